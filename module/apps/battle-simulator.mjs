@@ -0,0 +1,240 @@
+/**
+ * Battle Simulator — GM tool for balancing units.
+ *
+ * Pits two unit lists (world actors and/or exported actor JSON) against each
+ * other over many simulated engagements and reports win rates, strength lost,
+ * turns to rout, and ammo spent per side. Results export as CSV.
+ *
+ * The rules run in module/simulator.mjs. Singleton stored on game.starmercs.battleSimulator.
+ */
+import { BoardActor, BoardState } from "../board-state.mjs";
+import { runBattleSimulation, simulationToCSV } from "../simulator.mjs";
+
+const { HandlebarsApplicationMixin, ApplicationV2 } = foundry.applications.api;
+
+export default class BattleSimulator extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  static DEFAULT_OPTIONS = {
+    id: "star-mercs-battle-simulator",
+    window: {
+      title: "Battle Simulator",
+      resizable: true
+    },
+    classes: ["star-mercs", "battle-simulator"],
+    position: {
+      width: 620,
+      height: "auto"
+    }
+  };
+
+  static PARTS = {
+    form: {
+      template: "systems/star-mercs/templates/apps/battle-simulator.hbs"
+    }
+  };
+
+  constructor(options = {}) {
+    super(options);
+    /** Last submitted form values, restored on re-render. */
+    this._form = {
+      counts: { a: {}, b: {} },
+      json: { a: "", b: "" },
+      terrainSource: "scene",
+      terrainJson: "",
+      iterations: 100,
+      range: 4,
+      maxRounds: 10,
+      label: ""
+    };
+    this._results = null;
+    this._running = false;
+  }
+
+  /* ---------------------------------------- */
+  /*  Data Preparation                        */
+  /* ---------------------------------------- */
+
+  /** @override */
+  async _prepareContext(options) {
+    const actors = game.actors.filter(a => a.type === "unit").sort((x, y) => x.name.localeCompare(y.name));
+    const sides = ["a", "b"].map(side => ({
+      key: side,
+      label: `Team ${side.toUpperCase()}`,
+      json: this._form.json[side],
+      actors: actors.map(a => ({ id: a.id, name: a.name, count: this._form.counts[side][a.id] ?? 0 }))
+    }));
+
+    return {
+      sides,
+      form: this._form,
+      terrainSources: [
+        { value: "scene", label: "Current scene", selected: this._form.terrainSource === "scene" },
+        { value: "open", label: "Open ground", selected: this._form.terrainSource === "open" },
+        { value: "json", label: "Board JSON", selected: this._form.terrainSource === "json" }
+      ],
+      running: this._running,
+      results: this._results ? this._buildResultRows(this._results) : null
+    };
+  }
+
+  /**
+   * Format aggregated results for the results table.
+   * @param {object} results
+   * @returns {{iterations: number, drawPct: string, rows: object[]}}
+   * @private
+   */
+  _buildResultRows(results) {
+    const pct = v => `${Math.round(v * 100)}%`;
+    const ammoTypes = CONFIG.STARMERCS.ammoTypes ?? {};
+    const rows = Object.entries(results.sides).map(([side, s]) => ({
+      label: `Team ${side.toUpperCase()}`,
+      units: s.units,
+      winPct: pct(s.winRate),
+      strengthLost: `${s.avgStrengthLost.toFixed(1)} (${pct(s.avgStrengthLostPct)})`,
+      turnsToRout: s.avgTurnsToRout === null ? "—" : `${s.avgTurnsToRout.toFixed(1)} (${s.routs}×)`,
+      ammo: Object.entries(ammoTypes)
+        .map(([key, label]) => `${label} ${s.avgAmmo[key].toFixed(1)}`)
+        .join(", ")
+    }));
+    return { iterations: results.iterations, drawPct: pct(results.drawRate), rows };
+  }
+
+  /* ---------------------------------------- */
+  /*  Event Handlers                          */
+  /* ---------------------------------------- */
+
+  /** @override */
+  _onRender(context, options) {
+    const html = this.element;
+
+    html.querySelector(".run-simulation")?.addEventListener("click", () => this._runSimulation());
+    html.querySelector(".export-summary")?.addEventListener("click", () => this._exportCSV(false));
+    html.querySelector(".export-detail")?.addEventListener("click", () => this._exportCSV(true));
+  }
+
+  /**
+   * Read the form into this._form.
+   * @private
+   */
+  _readForm() {
+    const html = this.element;
+    const form = this._form;
+    for (const side of ["a", "b"]) {
+      form.counts[side] = {};
+      for (const input of html.querySelectorAll(`[data-side="${side}"] input.unit-count`)) {
+        const count = Math.max(0, parseInt(input.value) || 0);
+        if (count > 0) form.counts[side][input.dataset.actorId] = count;
+      }
+      form.json[side] = html.querySelector(`[name="json-${side}"]`)?.value.trim() ?? "";
+    }
+    form.terrainSource = html.querySelector('[name="terrainSource"]')?.value ?? "scene";
+    form.terrainJson = html.querySelector('[name="terrainJson"]')?.value.trim() ?? "";
+    form.iterations = Math.max(1, parseInt(html.querySelector('[name="iterations"]')?.value) || 100);
+    form.range = Math.max(1, parseInt(html.querySelector('[name="range"]')?.value) || 4);
+    form.maxRounds = Math.max(1, parseInt(html.querySelector('[name="maxRounds"]')?.value) || 10);
+    form.label = html.querySelector('[name="label"]')?.value.trim() ?? "";
+  }
+
+  /**
+   * Build one side's unit list from the actor counts and pasted JSON.
+   * @param {string} side
+   * @returns {object[]}
+   * @private
+   */
+  _collectUnits(side) {
+    const units = [];
+    for (const [actorId, count] of Object.entries(this._form.counts[side])) {
+      const actor = game.actors.get(actorId);
+      if (!actor) continue;
+      const data = BoardActor.dataFromActor(actor);
+      for (let i = 0; i < count; i++) units.push(data);
+    }
+    const json = this._form.json[side];
+    if (json) {
+      const parsed = JSON.parse(json);
+      units.push(...(Array.isArray(parsed) ? parsed : [parsed]));
+    }
+    return units;
+  }
+
+  /**
+   * Build the terrain snapshot for the selected source.
+   * @returns {object} BoardState data with an optional deployment anchor.
+   * @private
+   */
+  _collectTerrain() {
+    switch (this._form.terrainSource) {
+      case "json":
+        return JSON.parse(this._form.terrainJson || "{}");
+      case "open":
+        return { grid: canvas.scene ? { type: canvas.scene.grid.type, size: canvas.scene.grid.size } : {} };
+      default: {
+        if (!canvas.scene) throw new Error("No active scene to snapshot.");
+        const { tokens, ...terrain } = BoardState.fromCanvas().toJSON();
+        const rect = canvas.dimensions.sceneRect;
+        terrain.anchor = { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+        return terrain;
+      }
+    }
+  }
+
+  /**
+   * Run the simulation and render the results.
+   * @private
+   */
+  async _runSimulation() {
+    if (this._running) return;
+    this._readForm();
+
+    let sides;
+    let terrain;
+    try {
+      sides = { a: this._collectUnits("a"), b: this._collectUnits("b") };
+      terrain = this._collectTerrain();
+    } catch (err) {
+      ui.notifications.error(`Battle Simulator: ${err.message}`);
+      return;
+    }
+    if (!sides.a.length || !sides.b.length) {
+      ui.notifications.warn("Battle Simulator: both teams need at least one unit.");
+      return;
+    }
+
+    this._running = true;
+    await this.render();
+    const progress = this.element.querySelector(".simulation-progress");
+
+    try {
+      this._results = await runBattleSimulation({
+        sides,
+        terrain,
+        iterations: this._form.iterations,
+        range: this._form.range,
+        maxRounds: this._form.maxRounds,
+        onProgress: (done, total) => {
+          if (progress) progress.textContent = `Simulating… ${done} / ${total}`;
+        }
+      });
+    } catch (err) {
+      console.error("Star Mercs | Battle simulation failed", err);
+      ui.notifications.error(`Battle Simulator: ${err.message}`);
+    } finally {
+      this._running = false;
+      this.render();
+    }
+  }
+
+  /**
+   * Download the last results as CSV.
+   * @param {boolean} detail - One row per engagement instead of one row per side.
+   * @private
+   */
+  _exportCSV(detail) {
+    if (!this._results) return;
+    this._readForm();
+    const csv = simulationToCSV(this._results, { detail, label: this._form.label });
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const save = foundry.utils.saveDataToFile ?? saveDataToFile;
+    save(csv, "text/csv", `star-mercs-simulation-${detail ? "engagements" : "summary"}-${stamp}.csv`);
+  }
+}
@@ -0,0 +1,207 @@
+/**
+ * Campaign Journal — GM tool for running a persistent mercenary company.
+ *
+ * Lists the campaign roster with each unit's surviving strength, experience
+ * and kills, and the battle history. From here the GM adds units from world
+ * actors, musters them into the deploy pool, records the battle on the current
+ * scene, and spends parts and materials on repairs between battles.
+ *
+ * Campaign data and rules live in module/campaign.mjs.
+ * Uses Foundry v13 ApplicationV2 framework.
+ */
+import {
+  getCampaign, saveCampaign, addToRoster, removeFromRoster, musterUnits,
+  recordBattle, repairUnit, nextPromotion
+} from "../campaign.mjs";
+import { getFactionChoices, getFactionColor, getFactionLabel } from "../factions.mjs";
+import { esc } from "../helpers.mjs";
+
+const { HandlebarsApplicationMixin, ApplicationV2 } = foundry.applications.api;
+
+export default class CampaignJournal extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  static DEFAULT_OPTIONS = {
+    id: "star-mercs-campaign-journal",
+    window: {
+      title: "Campaign Journal",
+      resizable: true
+    },
+    classes: ["star-mercs", "campaign-journal"],
+    position: {
+      width: 560,
+      height: "auto"
+    }
+  };
+
+  static PARTS = {
+    form: {
+      template: "systems/star-mercs/templates/apps/campaign-journal.hbs"
+    }
+  };
+
+  /** @override */
+  async _prepareContext(options) {
+    const campaign = getCampaign();
+    const ratings = CONFIG.STARMERCS.ratings;
+    const pool = game.settings.get("star-mercs", "deployPool") ?? {};
+    const pooled = new Set(Object.values(pool).flat().map(e => e.campaignUnitId).filter(Boolean));
+    const repairCost = CONFIG.STARMERCS.campaign.repairCost;
+
+    const roster = campaign.roster.map(unit => {
+      const actor = game.actors.get(unit.actorId);
+      const maxStrength = actor?.system.strength.max ?? unit.strength;
+      const next = nextPromotion(unit);
+      return {
+        ...unit,
+        missingActor: !actor,
+        maxStrength,
+        teamLabel: getFactionLabel(unit.team),
+        teamColor: getFactionColor(unit.team),
+        ratingLabel: ratings[unit.rating]?.label ?? unit.rating,
+        nextPromotion: next ? `${next.xp} XP to ${ratings[next.rating].label}` : "Top rating",
+        destroyed: unit.status === "destroyed",
+        inPool: pooled.has(unit.id),
+        canRepair: unit.status === "active" && !!actor && unit.strength < maxStrength
+      };
+    });
+
+    const factions = getFactionChoices();
+    const lastResult = canvas.scene?.getFlag("star-mercs", "battleResult");
+    const winners = [
+      { value: "", label: "No victor", selected: !lastResult?.winner },
+      ...Object.entries(factions).map(([value, label]) => ({ value, label, selected: lastResult?.winner === value }))
+    ];
+
+    const battles = campaign.battles.slice().reverse().map(b => ({
+      name: b.name,
+      date: new Date(b.date).toLocaleDateString(),
+      outcome: b.winner ? `${getFactionLabel(b.winner)} victory` : "No victor",
+      summary: b.results.map(r => r.destroyed ? `${r.name} (lost)`
+        : r.promotedTo ? `${r.name} (+${r.xp} XP, ${ratings[r.promotedTo]?.label ?? r.promotedTo})`
+          : `${r.name} (+${r.xp} XP)`).join(", ")
+    }));
+
+    return {
+      campaign,
+      roster,
+      hasActive: roster.some(u => !u.destroyed && !u.inPool && !u.missingActor),
+      battles,
+      winners,
+      hasScene: !!canvas.scene,
+      repairCostLabel: `${repairCost.parts} parts + ${repairCost.materials} materials per STR`,
+      actors: game.actors.filter(a => a.type === "unit")
+        .map(a => ({ id: a.id, name: a.name }))
+        .sort((a, b) => a.name.localeCompare(b.name)),
+      teams: Object.entries(factions).map(([value, label]) => ({ value, label }))
+    };
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    const html = this.element;
+
+    // Campaign name and company stock save on change
+    html.querySelectorAll(".campaign-field").forEach(input => {
+      input.addEventListener("change", () => this._saveFields());
+    });
+
+    html.querySelector(".add-unit")?.addEventListener("click", () => this._addUnit());
+
+    html.querySelectorAll(".muster-unit").forEach(btn => {
+      btn.addEventListener("click", () => this._muster([btn.closest("[data-unit-id]").dataset.unitId]));
+    });
+    html.querySelector(".muster-all")?.addEventListener("click", () => {
+      this._muster(context.roster.map(u => u.id));
+    });
+
+    html.querySelectorAll(".repair-unit").forEach(btn => {
+      btn.addEventListener("click", async () => {
+        const repaired = await repairUnit(btn.closest("[data-unit-id]").dataset.unitId);
+        if (!repaired) ui.notifications.warn("Not enough parts and materials to repair.");
+      });
+    });
+
+    html.querySelectorAll(".remove-unit").forEach(btn => {
+      btn.addEventListener("click", () => this._removeUnit(btn.closest("[data-unit-id]").dataset.unitId));
+    });
+
+    html.querySelector(".record-battle")?.addEventListener("click", () => this._recordBattle());
+  }
+
+  /**
+   * Save the campaign name and stock inputs.
+   * @private
+   */
+  async _saveFields() {
+    const html = this.element;
+    const campaign = getCampaign();
+    campaign.name = html.querySelector('[name="name"]')?.value.trim() ?? campaign.name;
+    campaign.stock.parts = Math.max(0, parseInt(html.querySelector('[name="stock.parts"]')?.value) || 0);
+    campaign.stock.materials = Math.max(0, parseInt(html.querySelector('[name="stock.materials"]')?.value) || 0);
+    await saveCampaign(campaign);
+  }
+
+  /**
+   * Add the selected actor to the roster.
+   * @private
+   */
+  async _addUnit() {
+    const html = this.element;
+    const actor = game.actors.get(html.querySelector('[name="addActor"]')?.value);
+    if (!actor) return;
+    const name = html.querySelector('[name="addName"]')?.value.trim();
+    const team = html.querySelector('[name="addTeam"]')?.value;
+    await addToRoster(actor, { name, team });
+  }
+
+  /**
+   * Send roster units to the deploy pool.
+   * @param {string[]} unitIds
+   * @private
+   */
+  async _muster(unitIds) {
+    const added = await musterUnits(unitIds);
+    ui.notifications.info(added ? `${added} unit${added === 1 ? "" : "s"} added to the deploy pool.`
+      : "No units available to muster.");
+    this.render();
+  }
+
+  /**
+   * Confirm and remove a unit from the roster.
+   * @param {string} unitId
+   * @private
+   */
+  async _removeUnit(unitId) {
+    const unit = getCampaign().roster.find(u => u.id === unitId);
+    if (!unit) return;
+    const confirmed = await Dialog.confirm({
+      title: "Remove Unit",
+      content: `<p>Remove <strong>${esc(unit.name)}</strong> from the campaign roster? Its experience and history are lost.</p>`
+    });
+    if (confirmed) await removeFromRoster(unitId);
+  }
+
+  /**
+   * Confirm and record the battle on the current scene.
+   * @private
+   */
+  async _recordBattle() {
+    const scene = canvas.scene;
+    if (!scene) return;
+    if (game.combat?.started && game.combat.scene?.id === scene.id) {
+      ui.notifications.warn("End the combat before recording the battle.");
+      return;
+    }
+
+    const winner = this.element.querySelector('[name="winner"]')?.value || null;
+    const confirmed = await Dialog.confirm({
+      title: "Record Battle",
+      content: `<p>Record the battle on <strong>${esc(scene.name)}</strong> into the campaign?</p>
+        <p>Surviving strength and supply are written back to the roster and experience is awarded.</p>`
+    });
+    if (!confirmed) return;
+
+    const battle = await recordBattle(scene, { winner });
+    if (!battle) ui.notifications.warn("No campaign units were deployed on this scene.");
+  }
+}
@@ -7,6 +7,7 @@
  *
  * Singleton stored on game.starmercs.combatSummary.
  */
+import { getFactionKeys, getFactionLabel } from "../factions.mjs";
 
 const { HandlebarsApplicationMixin, ApplicationV2 } = foundry.applications.api;
 
@@ -53,7 +54,7 @@ export default class CombatSummary extends HandlebarsApplicationMixin(Applicatio
     this._viewedTeam = viewedTeam;
 
     if (!combat) {
-      return { isGM, viewedTeam, hasData: false, teams: [], turnNumber: 0 };
+      return { isGM, viewedTeam, hasData: false, teams: [], teamTabs: this._getTeamTabs(), turnNumber: 0 };
     }
 
     const turnNumber = combat.round ?? 0;
@@ -64,7 +65,7 @@ export default class CombatSummary extends HandlebarsApplicationMixin(Applicatio
     const damageTaken = combat.getFlag("star-mercs", "damageTakenPrevTurn") ?? {};
 
     // Build per-unit summaries
-    const unitsByTeam = { a: [], b: [] };
+    const unitsByTeam = Object.fromEntries(getFactionKeys().map(key => [key, []]));
 
     for (const combatant of combat.combatants) {
       const actor = combatant.actor;
@@ -153,15 +154,9 @@ export default class CombatSummary extends HandlebarsApplicationMixin(Applicatio
 
     // Build teams array for template
     const teams = [];
-    if (viewedTeam === "all" || viewedTeam === "a") {
-      if (unitsByTeam.a.length > 0) {
-        teams.push({ label: "Team A", key: "a", units: unitsByTeam.a });
-      }
-    }
-    if (viewedTeam === "all" || viewedTeam === "b") {
-      if (unitsByTeam.b.length > 0) {
-        teams.push({ label: "Team B", key: "b", units: unitsByTeam.b });
-      }
+    for (const [key, units] of Object.entries(unitsByTeam)) {
+      if (viewedTeam !== "all" && viewedTeam !== key) continue;
+      if (units.length > 0) teams.push({ label: getFactionLabel(key), key, units });
     }
 
     return {
@@ -169,12 +164,22 @@ export default class CombatSummary extends HandlebarsApplicationMixin(Applicatio
       viewedTeam,
       hasData: teams.length > 0,
       teams,
+      teamTabs: this._getTeamTabs(),
       turnNumber,
       phase,
       supplyColumns: activeSupplyColumns.map(k => ({ key: k, label: supplyColumnLabels[k] ?? k }))
     };
   }
 
+  /**
+   * Team tabs for the GM view, one per faction.
+   * @returns {Array<{key: string, label: string}>}
+   * @private
+   */
+  _getTeamTabs() {
+    return getFactionKeys().map(key => ({ key, label: getFactionLabel(key) }));
+  }
+
   /* ---------------------------------------- */
   /*  Rendering & Event Listeners             */
   /* ---------------------------------------- */
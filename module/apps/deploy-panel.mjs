@@ -15,6 +15,8 @@
 import { getDeployableHexes, getSpecialDeployHexes, isValidDeployHex } from "../deploy-utils.mjs";
 import { snapToHexCenter, hexKey, hexCenterToTokenPosition,
   getAdjacentHexCenters, getTokensAtHex } from "../hex-utils.mjs";
+import { getFactions, getFactionKeys, getFactionLabel, isFriendly } from "../factions.mjs";
+import { applyRosterState } from "../campaign.mjs";
 
 const { HandlebarsApplicationMixin, ApplicationV2 } = foundry.applications.api;
 
@@ -57,10 +59,11 @@ export default class DeployPanel extends HandlebarsApplicationMixin(ApplicationV
   async _prepareContext(options) {
     const isGM = game.user.isGM;
     const assignments = game.settings.get("star-mercs", "teamAssignments") ?? {};
-    const viewerTeam = isGM ? (this._viewedTeam ?? "a") : (assignments[game.user.id] ?? "a");
+    const defaultTeam = getFactionKeys()[0];
+    const viewerTeam = isGM ? (this._viewedTeam ?? defaultTeam) : (assignments[game.user.id] ?? defaultTeam);
     this._viewedTeam = viewerTeam;
 
-    const deployPool = game.settings.get("star-mercs", "deployPool") ?? { a: [], b: [] };
+    const deployPool = game.settings.get("star-mercs", "deployPool") ?? {};
     const teamPool = deployPool[viewerTeam] ?? [];
 
     // Auto-migrate old pool entries that lack instanceId
@@ -116,6 +119,7 @@ export default class DeployPanel extends HandlebarsApplicationMixin(ApplicationV
     return {
       isGM,
       viewedTeam: viewerTeam,
+      factions: Object.entries(getFactions()).map(([key, f]) => ({ key, label: f.label })),
       isDeployPhase,
       isOrdersPhase,
       poolEntries,
@@ -180,11 +184,11 @@ export default class DeployPanel extends HandlebarsApplicationMixin(ApplicationV
    * Open a dialog for the GM to select an actor to add to the deploy pool.
    */
   async _onAddUnit() {
-    const team = this._viewedTeam ?? "a";
+    const team = this._viewedTeam ?? getFactionKeys()[0];
     const teamActors = game.actors.filter(a => a.type === "unit" && a.system.team === team);
 
     if (teamActors.length === 0) {
-      ui.notifications.warn(`No ${team === "a" ? "Team A" : "Team B"} actors found.`);
+      ui.notifications.warn(`No ${getFactionLabel(team)} actors found.`);
       return;
     }
 
@@ -231,7 +235,7 @@ export default class DeployPanel extends HandlebarsApplicationMixin(ApplicationV
       return;
     }
 
-    const team = this._viewedTeam ?? "a";
+    const team = this._viewedTeam ?? getFactionKeys()[0];
     await this._addToPool(actor.id, team);
   }
 
@@ -242,7 +246,7 @@ export default class DeployPanel extends HandlebarsApplicationMixin(ApplicationV
    * @param {string} team
    */
   async _addToPool(actorId, team) {
-    const pool = foundry.utils.deepClone(game.settings.get("star-mercs", "deployPool") ?? { a: [], b: [] });
+    const pool = foundry.utils.deepClone(game.settings.get("star-mercs", "deployPool") ?? {});
     if (!pool[team]) pool[team] = [];
 
     const actor = game.actors.get(actorId);
@@ -269,8 +273,8 @@ export default class DeployPanel extends HandlebarsApplicationMixin(ApplicationV
    * @param {string} instanceId
    */
   async _onRemoveUnit(instanceId) {
-    const pool = foundry.utils.deepClone(game.settings.get("star-mercs", "deployPool") ?? { a: [], b: [] });
-    const team = this._viewedTeam ?? "a";
+    const pool = foundry.utils.deepClone(game.settings.get("star-mercs", "deployPool") ?? {});
+    const team = this._viewedTeam ?? getFactionKeys()[0];
     if (!pool[team]) return;
 
     pool[team] = pool[team].filter(e => e.instanceId !== instanceId);
@@ -325,8 +329,8 @@ export default class DeployPanel extends HandlebarsApplicationMixin(ApplicationV
    * @param {string} newName
    */
   async _updatePoolEntryName(instanceId, newName) {
-    const pool = foundry.utils.deepClone(game.settings.get("star-mercs", "deployPool") ?? { a: [], b: [] });
-    const team = this._viewedTeam ?? "a";
+    const pool = foundry.utils.deepClone(game.settings.get("star-mercs", "deployPool") ?? {});
+    const team = this._viewedTeam ?? getFactionKeys()[0];
     const entry = pool[team]?.find(e => e.instanceId === instanceId);
     if (entry) {
       entry.customName = newName;
@@ -360,8 +364,8 @@ export default class DeployPanel extends HandlebarsApplicationMixin(ApplicationV
     if (!actor) return;
 
     // Deployed entries: GM can recall, no other actions
-    const pool = game.settings.get("star-mercs", "deployPool") ?? { a: [], b: [] };
-    const team = this._viewedTeam ?? "a";
+    const pool = game.settings.get("star-mercs", "deployPool") ?? {};
+    const team = this._viewedTeam ?? getFactionKeys()[0];
     const poolEntry = pool[team]?.find(e => e.instanceId === instanceId);
     if (poolEntry?.deployed) {
       if (game.user.isGM) {
@@ -471,14 +475,15 @@ export default class DeployPanel extends HandlebarsApplicationMixin(ApplicationV
    * @param {string} mode - "standard", "meteoric_assault", "air_assault", "air_drop"
    */
   async _startDeploy(instanceId, actorId, mode) {
-    const team = this._viewedTeam ?? "a";
+    const team = this._viewedTeam ?? getFactionKeys()[0];
+    const actor = game.actors.get(actorId) ?? null;
 
     // Calculate valid hexes
-    const standardHexes = getDeployableHexes(team);
+    const standardHexes = getDeployableHexes(team, actor);
     let specialHexes = new Map();
 
     if (mode !== "standard") {
-      specialHexes = getSpecialDeployHexes(team);
+      specialHexes = getSpecialDeployHexes(team, actor);
     }
 
     if (standardHexes.size === 0 && specialHexes.size === 0) {
@@ -501,7 +506,7 @@ export default class DeployPanel extends HandlebarsApplicationMixin(ApplicationV
 
       const snapped = snapToHexCenter(pos);
 
-      if (!isValidDeployHex(snapped, team, mode)) {
+      if (!isValidDeployHex(snapped, team, mode, actor)) {
         ui.notifications.warn("Invalid deployment hex.");
         return;
       }
@@ -551,7 +556,7 @@ export default class DeployPanel extends HandlebarsApplicationMixin(ApplicationV
     if (!combat) return;
 
     // Get the pool entry's custom name
-    const pool = game.settings.get("star-mercs", "deployPool") ?? { a: [], b: [] };
+    const pool = game.settings.get("star-mercs", "deployPool") ?? {};
     const entry = pool[team]?.find(e => e.instanceId === instanceId);
     const customName = entry?.customName || game.actors.get(actorId)?.name || "Unknown";
 
@@ -600,7 +605,7 @@ export default class DeployPanel extends HandlebarsApplicationMixin(ApplicationV
       const tokensHere = getTokensAtHex(adjHex);
       for (const token of tokensHere) {
         if (!token.actor || token.actor.type !== "unit") continue;
-        if (token.actor.system.team === team) continue;
+        if (isFriendly(token.actor.system.team, team)) continue;
         if ((token.actor.system.strength?.value ?? 0) <= 0) continue;
         hostileTokens.push(token);
       }
@@ -669,7 +674,7 @@ export default class DeployPanel extends HandlebarsApplicationMixin(ApplicationV
     if (!actor) return;
 
     // Get the custom name from the pool entry
-    const pool = game.settings.get("star-mercs", "deployPool") ?? { a: [], b: [] };
+    const pool = game.settings.get("star-mercs", "deployPool") ?? {};
     const poolEntry = pool[team]?.find(e => e.instanceId === instanceId);
     const customName = poolEntry?.customName || actor.name;
 
@@ -717,6 +722,9 @@ export default class DeployPanel extends HandlebarsApplicationMixin(ApplicationV
         await tokenDoc.actor.update(synthUpdate);
       }
 
+      // Campaign units carry their strength, supply and rating into battle
+      if (poolEntry?.campaignUnitId) await applyRosterState(tokenDoc, poolEntry.campaignUnitId);
+
       // Mark as deployed in pool (keep entry visible)
       await this._markDeployed(instanceId, team, tokenDoc.id);
     } else {
@@ -777,7 +785,7 @@ export default class DeployPanel extends HandlebarsApplicationMixin(ApplicationV
    * @param {string} [tokenId] - The placed token's ID for recall support
    */
   async _markDeployed(instanceId, team, tokenId = null) {
-    const pool = foundry.utils.deepClone(game.settings.get("star-mercs", "deployPool") ?? { a: [], b: [] });
+    const pool = foundry.utils.deepClone(game.settings.get("star-mercs", "deployPool") ?? {});
     if (!pool[team]) return;
     const entry = pool[team].find(e => e.instanceId === instanceId);
     if (entry) {
@@ -792,8 +800,8 @@ export default class DeployPanel extends HandlebarsApplicationMixin(ApplicationV
    * @param {string} instanceId
    */
   async _recallDeployed(instanceId) {
-    const pool = foundry.utils.deepClone(game.settings.get("star-mercs", "deployPool") ?? { a: [], b: [] });
-    const team = this._viewedTeam ?? "a";
+    const pool = foundry.utils.deepClone(game.settings.get("star-mercs", "deployPool") ?? {});
+    const team = this._viewedTeam ?? getFactionKeys()[0];
     const entry = pool[team]?.find(e => e.instanceId === instanceId);
     if (!entry?.deployed) return;
 
@@ -0,0 +1,129 @@
+/**
+ * GM Environment Editor — set the scene's time of day and weather, and
+ * schedule changes for later rounds.
+ *
+ * The conditions and schedule are scene flags (see module/environment.mjs).
+ * Scheduled changes apply at the start of their round.
+ * Uses Foundry v13 ApplicationV2 framework.
+ */
+import { getEnvironment, getEnvironmentSchedule, updateEnvironment,
+  ENVIRONMENT_SCHEDULE_FLAG } from "../environment.mjs";
+
+const { HandlebarsApplicationMixin, ApplicationV2 } = foundry.applications.api;
+
+export default class EnvironmentSettings extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  static DEFAULT_OPTIONS = {
+    id: "star-mercs-environment-settings",
+    window: {
+      title: "Environment",
+      resizable: true
+    },
+    classes: ["star-mercs", "environment-settings"],
+    position: {
+      width: 400,
+      height: "auto"
+    }
+  };
+
+  static PARTS = {
+    form: {
+      template: "systems/star-mercs/templates/apps/environment-settings.hbs"
+    }
+  };
+
+  constructor(options = {}) {
+    super(options);
+    /** @type {{round: number, timeOfDay?: string, weather?: string}[]} Schedule being edited. */
+    this._schedule = getEnvironmentSchedule();
+    /** @type {{timeOfDay: string, weather: string}} Conditions being edited. */
+    this._current = getEnvironment();
+  }
+
+  /** @override */
+  async _prepareContext(options) {
+    const round = game.combat?.started ? game.combat.round : 0;
+    const choices = (table, selected, blank) => [
+      ...(blank ? [{ value: "", label: "— No change —", selected: !selected }] : []),
+      ...Object.entries(table).map(([value, config]) => ({ value, label: config.label, selected: value === selected }))
+    ];
+
+    return {
+      hasScene: !!canvas.scene,
+      round,
+      timeOptions: choices(CONFIG.STARMERCS.timesOfDay, this._current.timeOfDay, false),
+      weatherOptions: choices(CONFIG.STARMERCS.weatherConditions, this._current.weather, false),
+      schedule: this._schedule.map((entry, index) => ({
+        index,
+        round: entry.round,
+        past: entry.round <= round,
+        timeOptions: choices(CONFIG.STARMERCS.timesOfDay, entry.timeOfDay, true),
+        weatherOptions: choices(CONFIG.STARMERCS.weatherConditions, entry.weather, true)
+      }))
+    };
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    const html = this.element;
+
+    html.querySelector(".add-change")?.addEventListener("click", () => {
+      this._readForm();
+      const last = this._schedule.at(-1)?.round ?? (game.combat?.round ?? 0);
+      this._schedule.push({ round: last + 1 });
+      this.render();
+    });
+
+    html.querySelectorAll(".remove-change").forEach(btn => btn.addEventListener("click", (event) => {
+      this._readForm();
+      this._schedule.splice(Number(event.currentTarget.dataset.index), 1);
+      this.render();
+    }));
+
+    html.querySelector(".save-settings")?.addEventListener("click", async () => {
+      this._readForm();
+      await this._saveSettings();
+      ui.notifications.info("Environment saved.");
+      this.close();
+    });
+  }
+
+  /**
+   * Copy the form's current values into the edited conditions and schedule,
+   * so adding or removing a row keeps unsaved edits.
+   * @private
+   */
+  _readForm() {
+    const html = this.element;
+    this._current = {
+      timeOfDay: html.querySelector('[name="current.timeOfDay"]')?.value ?? this._current.timeOfDay,
+      weather: html.querySelector('[name="current.weather"]')?.value ?? this._current.weather
+    };
+    this._schedule = this._schedule.map((entry, index) => {
+      const row = html.querySelector(`.schedule-row[data-index="${index}"]`);
+      if (!row) return entry;
+      const updated = { round: Math.max(1, parseInt(row.querySelector('[name="round"]').value) || entry.round) };
+      const timeOfDay = row.querySelector('[name="timeOfDay"]').value;
+      const weather = row.querySelector('[name="weather"]').value;
+      if (timeOfDay) updated.timeOfDay = timeOfDay;
+      if (weather) updated.weather = weather;
+      return updated;
+    });
+  }
+
+  /**
+   * Store the schedule and apply the current conditions.
+   * Rows that change nothing are dropped.
+   * @private
+   */
+  async _saveSettings() {
+    const scene = canvas.scene;
+    if (!scene) return;
+    const schedule = this._schedule
+      .filter(entry => entry.timeOfDay || entry.weather)
+      .sort((a, b) => a.round - b.round);
+    if (schedule.length) await scene.setFlag("star-mercs", ENVIRONMENT_SCHEDULE_FLAG, schedule);
+    else await scene.unsetFlag("star-mercs", ENVIRONMENT_SCHEDULE_FLAG);
+    await updateEnvironment(this._current, { round: game.combat?.started ? game.combat.round : undefined });
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * GM Movement Cost Editor — edit the terrain movement cost matrix
+ * (MP to enter each terrain type, by movement class).
+ *
+ * The matrix is stored in world setting "star-mercs.movementCosts" and
+ * loaded into CONFIG.STARMERCS.movementCosts.
+ * Uses Foundry v13 ApplicationV2 framework.
+ */
+const { HandlebarsApplicationMixin, ApplicationV2 } = foundry.applications.api;
+
+export default class MovementCostSettings extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  static DEFAULT_OPTIONS = {
+    id: "star-mercs-movement-cost-settings",
+    window: {
+      title: "Movement Costs",
+      resizable: true
+    },
+    classes: ["star-mercs", "movement-cost-settings"],
+    position: {
+      width: 520,
+      height: "auto"
+    }
+  };
+
+  static PARTS = {
+    form: {
+      template: "systems/star-mercs/templates/apps/movement-cost-settings.hbs"
+    }
+  };
+
+  /** @override */
+  async _prepareContext(options) {
+    const matrix = game.settings.get("star-mercs", "movementCosts") ?? {};
+    const classes = Object.entries(CONFIG.STARMERCS.movementClasses)
+      .map(([key, c]) => ({ key, label: c.label, abbr: c.abbr }));
+
+    const terrains = Object.entries(CONFIG.STARMERCS.terrain).map(([key, t]) => ({
+      key,
+      label: t.label,
+      movementCost: t.movementCost,
+      cells: classes.map(c => {
+        const row = matrix[c.key] ?? {};
+        let value = "";
+        if (key in row) value = row[key] === null ? "X" : String(row[key]);
+        return { name: `${c.key}.${key}`, value };
+      })
+    }));
+
+    return { classes, terrains };
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    const html = this.element;
+
+    // Save button
+    html.querySelector(".save-settings")?.addEventListener("click", async () => {
+      await this._saveSettings();
+      ui.notifications.info("Movement costs saved.");
+      this.close();
+    });
+
+    // Reset to defaults button
+    html.querySelector(".reset-defaults")?.addEventListener("click", async () => {
+      const defaults = game.settings.settings.get("star-mercs.movementCosts").default;
+      await game.settings.set("star-mercs", "movementCosts", foundry.utils.deepClone(defaults));
+      ui.notifications.info("Movement costs reset to defaults.");
+      this.render();
+    });
+  }
+
+  /**
+   * Read the matrix inputs and save them. A number is the MP cost (at least 1),
+   * "X" means the class cannot enter, and a blank (or unreadable) cell is left out.
+   * @private
+   */
+  async _saveSettings() {
+    const html = this.element;
+    const matrix = {};
+
+    for (const cls of Object.keys(CONFIG.STARMERCS.movementClasses)) {
+      const row = {};
+      for (const terrain of Object.keys(CONFIG.STARMERCS.terrain)) {
+        const input = html.querySelector(`[name="${cls}.${terrain}"]`);
+        const raw = input?.value.trim() ?? "";
+        if (raw.toUpperCase() === "X") row[terrain] = null;
+        else if (raw !== "" && Number.isFinite(parseInt(raw))) row[terrain] = Math.max(1, parseInt(raw));
+      }
+      matrix[cls] = row;
+    }
+
+    await game.settings.set("star-mercs", "movementCosts", matrix);
+  }
+}
@@ -1,8 +1,11 @@
 /**
- * Reference Tables — a floating window displaying unit traits, weapon traits, and orders.
+ * Reference Tables — a floating window displaying unit traits, weapon traits, orders,
+ * terrain, weather and structures.
  *
  * Accessible via the token controls sidebar. Singleton stored on game.starmercs.referenceTables.
  */
+import { getEnvironment, describeEnvironment } from "../environment.mjs";
+
 const { HandlebarsApplicationMixin, ApplicationV2 } = foundry.applications.api;
 
 export default class ReferenceTables extends HandlebarsApplicationMixin(ApplicationV2) {
@@ -41,7 +44,11 @@ export default class ReferenceTables extends HandlebarsApplicationMixin(Applicat
     const weaponTraits = this._buildWeaponTraits();
     const orders = this._buildOrders();
     const terrainTypes = this._buildTerrain();
+    const movementClasses = Object.values(CONFIG.STARMERCS.movementClasses ?? {});
+    const edgeFeatures = this._buildEdgeFeatures();
     const sightTable = this._buildSightTable();
+    const emissionModes = this._buildEmissionModes();
+    const environment = this._buildEnvironment();
     const turnStructure = this._buildTurnStructure();
     const structures = this._buildStructures();
 
@@ -51,7 +58,11 @@ export default class ReferenceTables extends HandlebarsApplicationMixin(Applicat
       weaponTraits,
       orders,
       terrainTypes,
+      movementClasses,
+      edgeFeatures,
       sightTable,
+      emissionModes,
+      environment,
       turnStructure,
       structures
     };
@@ -67,7 +78,7 @@ export default class ReferenceTables extends HandlebarsApplicationMixin(Applicat
       { name: "Command", type: "Passive", value: "", description: "Friendly units within Comms range may re-roll failed Morale checks once per consolidation phase." },
       { name: "Deploy[X]", type: "Passive", value: "X", description: "Unit starts Packed (cannot fire). Must take Deploy/Pack order to transition. Takes X turns to deploy or pack. Deployed units cannot move." },
       { name: "Drone", type: "Passive", value: "", description: "Unit does not consume Basic Supplies." },
-      { name: "Engineer", type: "Passive", value: "", description: "Can use the Construct and Demolish special orders." },
+      { name: "Engineer", type: "Passive", value: "", description: "Can use the Construct, Demolish and Clear Mines special orders. Finds hidden enemy minefields in adjacent hexes on 1d10 + Sensors ≥ 8." },
       { name: "Entrenched", type: "Conditional", value: "", description: "Unit is in defensive positions. Incoming damage reduced by 1 (min 1). Infantry auto-gain in urban terrain." },
       { name: "Flying", type: "Passive", value: "", description: "Unit can fly. Airborne units can only be targeted by Anti-Air weapons. Uses the unit's MP for flying movement." },
       { name: "Fortified", type: "Conditional", value: "", description: "Built by an Engineer. Incoming damage reduced by 2 (min 1)." },
@@ -76,12 +87,13 @@ export default class ReferenceTables extends HandlebarsApplicationMixin(Applicat
       { name: "Infantry", type: "Passive", value: "", description: "Can benefit from Entrenchments and Fortifications. Counts as Entrenched in urban zones." },
       { name: "Jump Capable", type: "Passive", value: "", description: "May traverse ±2 elevation when moving instead of the usual ±1." },
       { name: "Mech", type: "Passive", value: "", description: "Walking vehicle. Terrain movement costs reduced by 1 (min 1). Cannot enter water without Amphibious." },
+      { name: "Naval[X]", type: "Passive", value: "X", description: "Moves only on water at least as deep as its draft X (1 river, 2 lake, 3 ocean). Fires at land targets up to 2 hexes inland at +1 accuracy. Coastal outposts resupply it along sea lanes." },
       { name: "Meteoric Assault", type: "Passive", value: "", description: "Enables the Meteoric Assault special order (orbital/high-altitude drop assault)." },
       { name: "Powered", type: "Passive", value: "", description: "All movement costs reduced by 1 (min 1). Does not apply to water." },
       { name: "Satellite Uplink", type: "Passive", value: "", description: "Orbital satellite access. Aircraft weapons in comms chain may acquire any target. Auto-links to Command units." },
       { name: "Shock[X]", type: "Passive", value: "X", description: "When assaulting, if the defender lacks Shock, the defender suffers -X on their assault morale check." },
       { name: "Supply[X]", type: "Passive", value: "X", description: "Enables the Supply special order. May transfer supplies to friendly units within X hexes." },
-      { name: "Transport", type: "Passive", value: "", description: "Flying unit can load and carry one Infantry unit. Must land adjacent to load/unload." },
+      { name: "Transport", type: "Passive", value: "", description: "Flying or Naval unit can load and carry one Infantry unit. Flying transports must land adjacent to load/unload; Naval transports load and unload on the adjacent shore." },
       { name: "Vehicle", type: "Passive", value: "", description: "Unit is comprised primarily of vehicles. Gains reduced terrain cover benefits." }
     ];
   }
@@ -90,7 +102,7 @@ export default class ReferenceTables extends HandlebarsApplicationMixin(Applicat
     return [
       { name: "Accurate[X]", description: "Reduces the accuracy threshold by X (easier to hit)." },
       { name: "Aircraft", description: "Fires during the Airstrikes tactical step. Excluded from Combined Arms penalty." },
-      { name: "Area", description: "Hard weapons deal full damage to Infantry (no half-damage). Soft/Anti-Air weapons get -1 to accuracy threshold." },
+      { name: "Area", description: "Hard weapons deal full damage to Infantry (no half-damage). Soft/Anti-Air weapons get -1 to accuracy threshold. With stacking on, also attacks every other unit in the target hex." },
       { name: "Artillery", description: "Fires during the Artillery tactical step. Excluded from Combined Arms penalty." },
       { name: "Hybrid", description: "Soft/Hard weapon can target both ground and flying units." },
       { name: "Inaccurate[X]", description: "Increases the accuracy threshold by X (harder to hit)." },
@@ -115,19 +127,37 @@ export default class ReferenceTables extends HandlebarsApplicationMixin(Applicat
 
   _buildTerrain() {
     const terrain = CONFIG.STARMERCS.terrain;
+    const matrix = CONFIG.STARMERCS.movementCosts ?? {};
+    const classes = Object.keys(CONFIG.STARMERCS.movementClasses ?? {});
     return Object.entries(terrain).map(([key, t]) => ({
       key,
       label: t.label,
       movementCost: t.movementCost,
+      classCosts: classes.map(cls => {
+        const row = matrix[cls] ?? {};
+        if (!(key in row)) return "—";
+        return row[key] === null ? "X" : row[key];
+      }),
       signatureMod: t.signatureMod !== 0 ? `${t.signatureMod > 0 ? "+" : ""}${t.signatureMod}` : "0",
       infantryCover: t.infantryCover ? "Cover" : (t.infantryHeavyCover ? "Heavy" : "—"),
       blocksLOS: t.blocksLOS ? "Yes" : "No",
       waterTerrain: t.waterTerrain ? "Yes" : "No",
-      impassableVehicle: t.impassableVehicle ? "Yes" : "No",
       noFortification: t.noFortification ? "Yes" : "No"
     }));
   }
 
+  _buildEdgeFeatures() {
+    const features = CONFIG.STARMERCS.edgeFeatures ?? {};
+    return Object.entries(features).map(([key, e]) => ({
+      key,
+      label: e.label,
+      movement: e.impassable ? "Impassable"
+        : `+${e.movementCost ?? 0}${e.blocksVehicles ? " (no vehicles)" : ""}${e.waterEdge ? ", bridge 0" : ""}`,
+      cover: e.coverMod ? `+${e.coverMod}${e.highSideCover ? " (upper side)" : ""}` : "—",
+      blocksLOS: e.blocksLOS ? "Yes" : "No"
+    }));
+  }
+
   _buildSightTable() {
     const table = CONFIG.STARMERCS.sightPointCost;
     if (!table) return [];
@@ -137,6 +167,46 @@ export default class ReferenceTables extends HandlebarsApplicationMixin(Applicat
     }));
   }
 
+  _buildEmissionModes() {
+    return Object.values(CONFIG.STARMERCS.emissionModes ?? {}).map(mode => ({
+      label: mode.label,
+      icon: mode.icon,
+      sensors: mode.sensorMultiplier === 1 ? "Full" : `×${mode.sensorMultiplier}`,
+      signature: mode.signatureMod ? `+${mode.signatureMod}` : "0",
+      emits: mode.emits ? "Yes" : "No",
+      description: mode.description
+    }));
+  }
+
+  _buildEnvironment() {
+    const signed = n => (n ? `${n > 0 ? "+" : ""}${n}` : "0");
+    const current = canvas?.scene ? getEnvironment() : null;
+    return {
+      current: current ? describeEnvironment(current) : null,
+      timesOfDay: Object.entries(CONFIG.STARMERCS.timesOfDay ?? {}).map(([key, t]) => ({
+        key,
+        label: t.label,
+        icon: t.icon,
+        sightMod: signed(t.sightMod ?? 0),
+        sensorMod: signed(t.sensorMod ?? 0),
+        active: key === current?.timeOfDay
+      })),
+      weather: Object.entries(CONFIG.STARMERCS.weatherConditions ?? {}).map(([key, w]) => ({
+        key,
+        label: w.label,
+        icon: w.icon,
+        sightMod: signed(w.sightMod ?? 0),
+        sensorMod: signed(w.sensorMod ?? 0),
+        groundsFlying: w.groundsFlying ? "Yes" : "No",
+        movement: Object.entries(w.terrainCostMods ?? {})
+          .map(([terrain, mod]) => `${CONFIG.STARMERCS.terrainTypes[terrain] ?? terrain} ${signed(mod)}`)
+          .join(", ") || "—",
+        description: w.description,
+        active: key === current?.weather
+      }))
+    };
+  }
+
   _buildTurnStructure() {
     return [
       {
@@ -0,0 +1,140 @@
+/**
+ * Scenario Manager — GM tool for importing and exporting scenario files.
+ *
+ * Import loads a scenario JSON into the current scene (terrain, structures,
+ * objectives, deploy pools, victory conditions, environment, scripted events). Export saves
+ * the current scene setup in the same format. The loaded scenario's event
+ * schedule is listed for reference.
+ *
+ * The format and event handlers live in module/scenario.mjs.
+ * Uses Foundry v13 ApplicationV2 framework.
+ */
+import { importScenario, exportScenario } from "../scenario.mjs";
+import { getFactionLabel } from "../factions.mjs";
+import { esc } from "../helpers.mjs";
+
+const { HandlebarsApplicationMixin, ApplicationV2 } = foundry.applications.api;
+
+export default class ScenarioManager extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  static DEFAULT_OPTIONS = {
+    id: "star-mercs-scenario-manager",
+    window: {
+      title: "Scenario Manager",
+      resizable: true
+    },
+    classes: ["star-mercs", "scenario-manager"],
+    position: {
+      width: 420,
+      height: "auto"
+    }
+  };
+
+  static PARTS = {
+    form: {
+      template: "systems/star-mercs/templates/apps/scenario-manager.hbs"
+    }
+  };
+
+  /** @override */
+  async _prepareContext(options) {
+    const scene = canvas.scene;
+    const scenario = scene?.getFlag("star-mercs", "scenario") ?? null;
+    const fired = game.combat?.getFlag("star-mercs", "firedScenarioEvents") ?? [];
+
+    const events = (scenario?.events ?? []).map((event, index) => ({
+      round: event.round,
+      phase: CONFIG.STARMERCS.phases[event.phase ?? "deploy"] ?? event.phase,
+      label: event.title ?? CONFIG.STARMERCS.scenarioEvents[event.type]?.label ?? event.type,
+      detail: this._describeEvent(event),
+      fired: fired.includes(index)
+    })).sort((a, b) => a.round - b.round);
+
+    return {
+      hasScene: !!scene,
+      sceneName: scene?.name,
+      scenario,
+      events
+    };
+  }
+
+  /**
+   * One-line summary of an event for the schedule list.
+   * @param {object} event
+   * @returns {string}
+   * @private
+   */
+  _describeEvent(event) {
+    switch (event.type) {
+      case "reinforcements": return `${getFactionLabel(event.team)}: ${(event.units ?? []).map(u => u.actor ?? u).join(", ")}`;
+      case "objective": return `${event.objective ?? "none"} at ${event.hex}`;
+      case "message": return event.text;
+      default: return "";
+    }
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    const html = this.element;
+
+    const fileInput = html.querySelector('[name="scenarioFile"]');
+    html.querySelector(".import-scenario")?.addEventListener("click", () => fileInput?.click());
+    fileInput?.addEventListener("change", async (event) => {
+      const file = event.target.files?.[0];
+      if (file) await this._importFile(file);
+    });
+
+    html.querySelector(".export-scenario")?.addEventListener("click", () => this._exportFile());
+  }
+
+  /**
+   * Read, confirm and import a scenario file into the current scene.
+   * @param {File} file
+   * @private
+   */
+  async _importFile(file) {
+    const scene = canvas.scene;
+    if (!scene) return;
+
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (err) {
+      ui.notifications.error(`Scenario Manager: ${file.name} is not valid JSON.`);
+      return;
+    }
+
+    const confirmed = await Dialog.confirm({
+      title: "Import Scenario",
+      content: `<p>Load <strong>${esc(data.name ?? file.name)}</strong> into ${esc(scene.name)}?</p>
+        <p>This replaces the scene's terrain, structures, victory conditions, environment and scenario events, and the deploy pools.</p>`
+    });
+    if (!confirmed) return;
+
+    try {
+      const { missing } = await importScenario(scene, data);
+      if (missing.length) {
+        ui.notifications.warn(`Scenario imported, but no unit actors match: ${missing.join(", ")}`);
+      } else {
+        ui.notifications.info(`Scenario "${data.name ?? file.name}" imported.`);
+      }
+    } catch (err) {
+      console.error("Star Mercs | Scenario import failed", err);
+      ui.notifications.error(`Scenario Manager: ${err.message}`);
+    }
+    this.render();
+  }
+
+  /**
+   * Download the current scene setup as a scenario file.
+   * @private
+   */
+  _exportFile() {
+    const scene = canvas.scene;
+    if (!scene) return;
+    const data = exportScenario(scene);
+    const slug = (data.name || "scenario").slugify({ strict: true }) || "scenario";
+    const save = foundry.utils.saveDataToFile ?? saveDataToFile;
+    save(JSON.stringify(data, null, 2), "application/json", `${slug}.json`);
+  }
+}
@@ -1,9 +1,11 @@
 import TacticalMarkerLayer from "../canvas/tactical-marker-layer.mjs";
+import { getFactionChoices, getFactionKeys, getFactionLabel } from "../factions.mjs";
+import { esc } from "../helpers.mjs";
 
 /**
  * Tactical Marker Painter — a floating panel that lets any player place
- * team-visible markers on the map. Markers are visible only to teammates
- * and the GM.
+ * team-visible markers on the map. Markers are visible only to teammates,
+ * allied teams and the GM.
  *
  * Left-click on the canvas places a marker at the click position.
  * Right-click on an existing marker opens an edit/delete dialog.
@@ -43,7 +45,7 @@ export default class TacticalMarkerPainter extends HandlebarsApplicationMixin(Ap
     this._active = false;
 
     // For GM: which team to place markers for
-    this._selectedTeam = this._getPlayerTeam() ?? "a";
+    this._selectedTeam = this._getPlayerTeam() ?? getFactionKeys()[0] ?? "a";
 
     // Bound event handlers
     this._onPointerDown = null;
@@ -73,6 +75,7 @@ export default class TacticalMarkerPainter extends HandlebarsApplicationMixin(Ap
       isTextType: this._selectedType === "text",
       isActive: this._active,
       isGM: game.user.isGM,
+      teamChoices: getFactionChoices(),
       selectedTeam: this._selectedTeam,
       playerTeam: this._getPlayerTeam()
     };
@@ -121,7 +124,7 @@ export default class TacticalMarkerPainter extends HandlebarsApplicationMixin(Ap
 
       const confirm = await Dialog.confirm({
         title: "Clear Team Markers",
-        content: `<p>Remove all markers for Team ${team.toUpperCase()} on this scene?</p>`
+        content: `<p>Remove all markers for ${esc(getFactionLabel(team))} on this scene?</p>`
       });
       if (confirm) {
         await TacticalMarkerLayer.clearTeamMarkers(team);
@@ -1,9 +1,18 @@
 /**
- * GM form application for assigning players to teams.
- * Manages the `teamAssignments` and `teamAssignmentsEnabled` world settings.
+ * GM form application for the faction registry and player team assignments.
+ * Manages the `factions`, `teamAssignments` and `teamAssignmentsEnabled` world settings.
  */
 export default class TeamSettingsForm extends FormApplication {
 
+  /** Colors offered to newly added factions, in order. */
+  static NEW_FACTION_COLORS = ["#33CC66", "#FFCC00", "#CC66FF", "#FF9933", "#33CCCC", "#FF66AA"];
+
+  constructor(object = {}, options = {}) {
+    super(object, options);
+    /** Working copy of the registry, edited in place until saved. */
+    this._factions = foundry.utils.deepClone(game.settings.get("star-mercs", "factions") ?? {});
+  }
+
   /** @override */
   static get defaultOptions() {
     return foundry.utils.mergeObject(super.defaultOptions, {
@@ -11,7 +20,7 @@ export default class TeamSettingsForm extends FormApplication {
       title: "Team Settings",
       template: "systems/star-mercs/templates/apps/team-settings.hbs",
       classes: ["star-mercs", "team-settings"],
-      width: 400,
+      width: 440,
       height: "auto",
       popOut: true,
       closeOnSubmit: false,
@@ -23,6 +32,23 @@ export default class TeamSettingsForm extends FormApplication {
   getData() {
     const assignments = game.settings.get("star-mercs", "teamAssignments") ?? {};
     const enabled = game.settings.get("star-mercs", "teamAssignmentsEnabled") ?? false;
+    const keys = Object.keys(this._factions);
+
+    const factions = keys.map(key => ({ key, ...this._factions[key] }));
+
+    // One checkbox per unordered pair of factions
+    const alliances = [];
+    for (let i = 0; i < keys.length; i++) {
+      for (let j = i + 1; j < keys.length; j++) {
+        const a = keys[i];
+        const b = keys[j];
+        alliances.push({
+          name: `ally-${a}-${b}`,
+          label: `${this._factions[a].label} + ${this._factions[b].label}`,
+          checked: this._factions[a].allies?.includes(b) || this._factions[b].allies?.includes(a)
+        });
+      }
+    }
 
     const users = game.users
       .filter(u => !u.isGM)
@@ -33,13 +59,42 @@ export default class TeamSettingsForm extends FormApplication {
       }));
 
     return {
+      factions,
+      alliances,
+      canRemove: keys.length > 2,
+      teamChoices: Object.fromEntries(factions.map(f => [f.key, f.label])),
       users,
       enabled
     };
   }
 
+  /**
+   * Read the faction fields of the form into the working copy.
+   * @param {object} formData - Flat form data.
+   * @private
+   */
+  _readFactions(formData) {
+    const keys = Object.keys(this._factions);
+    for (const key of keys) {
+      const faction = this._factions[key];
+      faction.label = formData[`faction-label-${key}`]?.trim() || faction.label;
+      faction.color = formData[`faction-color-${key}`] || faction.color;
+      faction.allies = [];
+    }
+    for (const a of keys) {
+      for (const b of keys) {
+        if (a !== b && (formData[`ally-${a}-${b}`] || formData[`ally-${b}-${a}`])) {
+          this._factions[a].allies.push(b);
+        }
+      }
+    }
+  }
+
   /** @override */
   async _updateObject(event, formData) {
+    this._readFactions(formData);
+    await game.settings.set("star-mercs", "factions", this._factions);
+
     const assignments = {};
     for (const user of game.users) {
       if (user.isGM) continue;
@@ -60,5 +115,31 @@ export default class TeamSettingsForm extends FormApplication {
   /** @override */
   activateListeners(html) {
     super.activateListeners(html);
+
+    // Add a faction under the next unused letter key
+    html.find(".add-faction").on("click", () => {
+      this._readFactions(this._getSubmitData());
+      const key = "abcdefghijklmnopqrstuvwxyz".split("").find(k => !this._factions[k]);
+      if (!key) return;
+      const colors = TeamSettingsForm.NEW_FACTION_COLORS;
+      const added = Math.max(0, Object.keys(this._factions).length - 2);
+      this._factions[key] = {
+        label: `Team ${key.toUpperCase()}`,
+        color: colors[added % colors.length],
+        allies: []
+      };
+      this.render();
+    });
+
+    // Remove a faction (units and players still on it keep the key until reassigned)
+    html.find(".remove-faction").on("click", (event) => {
+      const key = event.currentTarget.dataset.key;
+      this._readFactions(this._getSubmitData());
+      delete this._factions[key];
+      for (const faction of Object.values(this._factions)) {
+        faction.allies = faction.allies.filter(k => k !== key);
+      }
+      this.render();
+    });
   }
 }
@@ -1,5 +1,7 @@
-import { snapToHexCenter, hexKey, getAdjacentHexCenters, normalizeHexData } from "../hex-utils.mjs";
+import { snapToHexCenter, hexKey, edgeKey, getAdjacentHexCenters, normalizeHexData,
+  normalizeEdgeData } from "../hex-utils.mjs";
 import StructureLayer from "../canvas/structure-layer.mjs";
+import { getFactionChoices, getFactionKeys, getFactionLabel } from "../factions.mjs";
 
 /**
  * Terrain Painter — a floating panel that lets the GM paint terrain types onto hex cells.
@@ -9,7 +11,11 @@ import StructureLayer from "../canvas/structure-layer.mjs";
  * Performance: During drag-painting, only changed hexes are drawn on a dynamic overlay
  * (no full map redraw). The full static layer is redrawn once on pointer-up (commit).
  *
- * Terrain data is stored in the scene flag `star-mercs.terrainMap`.
+ * With a hex-side brush selected, click/drag paints the hex edge nearest the
+ * cursor instead (rivers, cliffs, walls, bridges over river edges).
+ *
+ * Terrain data is stored in the scene flag `star-mercs.terrainMap`, edge
+ * features in `star-mercs.edgeMap`.
  */
 export default class TerrainPainter extends FormApplication {
 
@@ -50,13 +56,15 @@ export default class TerrainPainter extends FormApplication {
     this._dragVisitedKeys = new Set();
     this._changedKeys = new Set();
     this._pendingTerrainMap = null;
+    this._pendingEdgeMap = null;
 
     // Hover deduplication
     this._lastPreviewKey = null;
 
     // Structure painting state
     this._selectedStructure = "";       // "" = terrain mode
-    this._structureTeam = "a";
+    this._selectedEdge = "";            // "" = paint hexes, not hex sides
+    this._structureTeam = getFactionKeys()[0] ?? "none";
     this._mineSubType = "antiPersonnel";
   }
 
@@ -75,6 +83,13 @@ export default class TerrainPainter extends FormApplication {
     terrainChoices["objectiveOnly"] = "Objective Only";
     terrainChoices["elevationOnly"] = "Elevation Only";
 
+    const edgeChoices = {};
+    for (const [key, config] of Object.entries(CONFIG.STARMERCS.edgeFeatures ?? {})) {
+      edgeChoices[key] = config.label;
+    }
+    edgeChoices["bridge"] = "Bridge (River Sides Only)";
+    edgeChoices["removeBridge"] = "Remove Bridge";
+
     return {
       terrainChoices,
       selectedTerrain: this._selectedTerrain,
@@ -84,8 +99,12 @@ export default class TerrainPainter extends FormApplication {
       brushSize: this._brushSize,
       maxElevation: CONFIG.STARMERCS.maxElevation ?? 5,
       isActive: this._active,
+      edgeChoices,
+      selectedEdge: this._selectedEdge,
+      isEdgeMode: !!this._selectedEdge,
       selectedStructure: this._selectedStructure,
       structureTeam: this._structureTeam,
+      teamChoices: getFactionChoices(),
       mineSubType: this._mineSubType,
       isStructureMode: !!this._selectedStructure,
       isMinefieldMode: this._selectedStructure === "minefield",
@@ -108,6 +127,9 @@ export default class TerrainPainter extends FormApplication {
     if (formData.brushSize != null) {
       this._brushSize = Math.max(1, Math.min(5, Number(formData.brushSize) || 1));
     }
+    if (formData.selectedEdge != null) {
+      this._selectedEdge = formData.selectedEdge;
+    }
     if (formData.selectedStructure != null) {
       this._selectedStructure = formData.selectedStructure;
     }
@@ -136,10 +158,11 @@ export default class TerrainPainter extends FormApplication {
     html.find(".clear-all-terrain").on("click", async () => {
       const confirm = await Dialog.confirm({
         title: "Clear All Terrain",
-        content: "<p>Remove all terrain from this scene?</p>"
+        content: "<p>Remove all terrain and hex-side features from this scene?</p>"
       });
       if (confirm) {
         await canvas.scene.unsetFlag("star-mercs", "terrainMap");
+        await canvas.scene.unsetFlag("star-mercs", "edgeMap");
         game.starmercs?.terrainLayer?.drawTerrain();
       }
     });
@@ -177,6 +200,27 @@ export default class TerrainPainter extends FormApplication {
     return all;
   }
 
+  /**
+   * Key of the hex side nearest a canvas position: the edge between the hex
+   * under the cursor and the neighbor in the cursor's direction.
+   * @param {{x: number, y: number}} pos - Canvas position.
+   * @returns {string|null}
+   * @private
+   */
+  _getEdgeKeyAt(pos) {
+    const center = snapToHexCenter(pos);
+    let best = null;
+    let bestDot = -Infinity;
+    for (const n of getAdjacentHexCenters(center)) {
+      const dot = (pos.x - center.x) * (n.x - center.x) + (pos.y - center.y) * (n.y - center.y);
+      if (dot > bestDot) {
+        bestDot = dot;
+        best = n;
+      }
+    }
+    return best ? edgeKey(center, best) : null;
+  }
+
   /* ---------------------------------------- */
   /*  Painting Mode                           */
   /* ---------------------------------------- */
@@ -226,6 +270,15 @@ export default class TerrainPainter extends FormApplication {
         // Painting/erasing — apply to hex under cursor (dynamic overlay only)
         this._applyToHex(pos);
       } else {
+        // Hovering a hex side — highlight just that edge
+        if (this._selectedEdge && !this._selectedStructure) {
+          const key = this._getEdgeKeyAt(pos);
+          if (key === this._lastPreviewKey) return;
+          this._lastPreviewKey = key;
+          if (key) game.starmercs?.terrainLayer?.drawEdgePreview(key);
+          return;
+        }
+
         // Hovering — show brush preview (skip if same hex as last event)
         const center = snapToHexCenter(pos);
         const key = hexKey(center);
@@ -242,16 +295,18 @@ export default class TerrainPainter extends FormApplication {
       if (!this._isDragging) return;
       this._isDragging = false;
 
-      if (this._pendingTerrainMap && this._dragVisitedKeys.size > 0) {
+      const flag = this._pendingEdgeMap ? "edgeMap" : "terrainMap";
+      const pendingMap = this._pendingEdgeMap ?? this._pendingTerrainMap;
+      if (pendingMap && this._dragVisitedKeys.size > 0) {
         // Build update object with proper deletion syntax for erased hexes.
         // setFlag() deep-merges, which silently preserves deleted keys.
         // scene.update() with Foundry's "-=key" convention actually removes them.
         const updateData = {};
         for (const key of this._dragVisitedKeys) {
-          if (key in this._pendingTerrainMap) {
-            updateData[`flags.star-mercs.terrainMap.${key}`] = this._pendingTerrainMap[key];
+          if (key in pendingMap) {
+            updateData[`flags.star-mercs.${flag}.${key}`] = pendingMap[key];
           } else {
-            updateData[`flags.star-mercs.terrainMap.-=${key}`] = null;
+            updateData[`flags.star-mercs.${flag}.-=${key}`] = null;
           }
         }
         await canvas.scene.update(updateData);
@@ -264,6 +319,7 @@ export default class TerrainPainter extends FormApplication {
       this._dragVisitedKeys.clear();
       this._changedKeys.clear();
       this._pendingTerrainMap = null;
+      this._pendingEdgeMap = null;
     };
 
     canvas.stage.on("pointerdown", this._onPointerDown);
@@ -285,9 +341,13 @@ export default class TerrainPainter extends FormApplication {
     this._isErasing = erasing;
     this._dragVisitedKeys.clear();
     this._changedKeys.clear();
-    this._pendingTerrainMap = foundry.utils.deepClone(
-      canvas.scene.getFlag("star-mercs", "terrainMap") ?? {}
-    );
+    if (this._selectedEdge && !this._selectedStructure) {
+      this._pendingEdgeMap = foundry.utils.deepClone(canvas.scene.getFlag("star-mercs", "edgeMap") ?? {});
+    } else {
+      this._pendingTerrainMap = foundry.utils.deepClone(
+        canvas.scene.getFlag("star-mercs", "terrainMap") ?? {}
+      );
+    }
 
     // Clear hover preview while dragging
     game.starmercs?.terrainLayer?.clearBrushPreview();
@@ -303,6 +363,10 @@ export default class TerrainPainter extends FormApplication {
    * @private
    */
   _applyToHex(pos) {
+    if (this._pendingEdgeMap) {
+      this._applyToEdge(pos);
+      return;
+    }
     const center = snapToHexCenter(pos);
     const radius = this._brushSize - 1;
     const hexes = this._getHexesInRadius(center, radius);
@@ -407,6 +471,34 @@ export default class TerrainPainter extends FormApplication {
     }
   }
 
+  /**
+   * Paint or erase the hex side nearest the cursor during a drag operation.
+   * Bridges only go on hex sides that already carry a water edge (river).
+   * @param {{x: number, y: number}} pos - Canvas position.
+   * @private
+   */
+  _applyToEdge(pos) {
+    const key = this._getEdgeKeyAt(pos);
+    if (!key || this._dragVisitedKeys.has(key)) return;
+    this._dragVisitedKeys.add(key);
+
+    const existing = this._pendingEdgeMap[key] ? normalizeEdgeData(this._pendingEdgeMap[key]) : null;
+    if (this._isErasing) {
+      delete this._pendingEdgeMap[key];
+    } else if (this._selectedEdge === "bridge") {
+      if (!CONFIG.STARMERCS.edgeFeatures?.[existing?.type]?.waterEdge) return;
+      this._pendingEdgeMap[key] = { ...existing, bridge: true };
+    } else if (this._selectedEdge === "removeBridge") {
+      if (!existing) return;
+      this._pendingEdgeMap[key] = { ...existing, bridge: false };
+    } else if (existing?.type !== this._selectedEdge) {
+      this._pendingEdgeMap[key] = { type: this._selectedEdge, bridge: false };
+    }
+
+    this._changedKeys.add(key);
+    game.starmercs?.terrainLayer?.drawEdgePaintOverlay(this._changedKeys, this._pendingEdgeMap);
+  }
+
   /* ---------------------------------------- */
   /*  Structure Painting                      */
   /* ---------------------------------------- */
@@ -472,7 +564,7 @@ export default class TerrainPainter extends FormApplication {
       }
       const existingHQ = structures.find(s => s.type === "headquarters" && s.team === team);
       if (existingHQ) {
-        ui.notifications.warn(`${team === "a" ? "Team A" : "Team B"} already has a Headquarters. Remove it first.`);
+        ui.notifications.warn(`${getFactionLabel(team)} already has a Headquarters. Remove it first.`);
         return;
       }
     }
@@ -493,7 +585,7 @@ export default class TerrainPainter extends FormApplication {
       maxStrength: config.maxStrength,
       turnsBuilt: config.turnsRequired,
       turnsRequired: config.turnsRequired,
-      revealed: false,
+      revealedTo: [],
       builderId: null,
       subType: type === "minefield" ? this._mineSubType : null,
       supply: null,
@@ -578,6 +670,7 @@ export default class TerrainPainter extends FormApplication {
     }
     this._isDragging = false;
     this._pendingTerrainMap = null;
+    this._pendingEdgeMap = null;
     this._dragVisitedKeys.clear();
     this._changedKeys.clear();
     this._lastPreviewKey = null;
@@ -1,11 +1,13 @@
-import { snapToHexCenter, hexKey, getAdjacentHexCenters, areAdjacent, isEngaged } from "../hex-utils.mjs";
+import { snapToHexCenter, hexKey, getAdjacentHexCenters, areAdjacent, isEngaged, canStackInHex,
+  getMovementCost } from "../hex-utils.mjs";
 
 /**
  * Transport Picker — dialog for selecting Load or Unload action
  * when taking the Transport order.
  *
  * Load: shows adjacent friendly Infantry units to pick up.
- * Unload: shows adjacent empty hexes to drop cargo into.
+ * Unload: shows adjacent hexes the cargo can stand in (for Naval landing
+ * craft, the shore) and has room in.
  *
  * Uses Foundry v13 ApplicationV2 framework.
  */
@@ -77,23 +79,13 @@ export default class TransportPicker extends HandlebarsApplicationMixin(Applicat
       }
     }
 
-    // Find adjacent empty hexes for unloading
+    // Find adjacent hexes the cargo can enter and has room in
     const unloadHexes = [];
     if (hasCargo) {
-      const occupiedKeys = new Set();
-      for (const token of canvas.tokens.placeables) {
-        if (token.actor?.type !== "unit") continue;
-        if (token.actor.system.strength.value <= 0) continue;
-        // Don't count the cargo token itself as occupying a hex
-        const cargoTokenId = this._token.document.getFlag("star-mercs", "cargoTokenId");
-        if (token.id === cargoTokenId) continue;
-        occupiedKeys.add(hexKey(snapToHexCenter(token.center)));
-      }
-
+      const cargoActor = this._token.actor.getCargoActor();
       for (const adj of adjacentCenters) {
-        const key = hexKey(adj);
-        if (!occupiedKeys.has(key)) {
-          unloadHexes.push({ hexKey: key, x: adj.x, y: adj.y });
+        if (canStackInHex(adj, cargoActor).allowed && getMovementCost(adj, cargoActor).passable) {
+          unloadHexes.push({ hexKey: hexKey(adj), x: adj.x, y: adj.y });
         }
       }
     }
@@ -107,7 +99,7 @@ export default class TransportPicker extends HandlebarsApplicationMixin(Applicat
 
     let unloadReason = "";
     if (!hasCargo) unloadReason = "No cargo aboard";
-    else if (unloadHexes.length === 0) unloadReason = "No adjacent empty hexes";
+    else if (unloadHexes.length === 0) unloadReason = "No adjacent hexes the cargo can enter";
 
     // Get cargo name if loaded
     const cargoActor = this._actor.getCargoActor();
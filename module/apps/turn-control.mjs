@@ -1,4 +1,7 @@
 import StarMercsCombat from "../documents/combat.mjs";
+import { getFactionColor, getFactionKeys, getFactionLabel } from "../factions.mjs";
+import { getEnvironment, getEnvironmentModifiers, describeEnvironment, describeEnvironmentModifiers,
+  getNextEnvironmentChange } from "../environment.mjs";
 
 /**
  * Turn Control Panel — a floating UI for managing combat phases.
@@ -8,7 +11,9 @@ import StarMercsCombat from "../documents/combat.mjs";
  * - Per-player "Ready" checkmarks (each player can only toggle their own)
  * - "Next Phase" button (enabled when all players are ready)
  * - GM-only "Previous Phase" and "GM Override" buttons
+ * - Current time of day and weather, with the next scheduled change
  * - Team scores display
+ * - Progress toward each victory condition
  *
  * Toggled from the token controls menu. Singleton stored on game.starmercs.turnControlPanel.
  */
@@ -50,13 +55,44 @@ export default class TurnControlPanel extends FormApplication {
       if (step) tacticalStepLabel = step.label;
     }
 
+    // Time of day and weather
+    const env = getEnvironment();
+    const next = getNextEnvironmentChange(round);
+    const environment = {
+      label: describeEnvironment(env),
+      timeIcon: CONFIG.STARMERCS.timesOfDay[env.timeOfDay].icon,
+      weatherIcon: CONFIG.STARMERCS.weatherConditions[env.weather].icon,
+      effects: describeEnvironmentModifiers(getEnvironmentModifiers()).join(", "),
+      next: next ? {
+        round: next.round,
+        label: [CONFIG.STARMERCS.timesOfDay[next.timeOfDay]?.label, CONFIG.STARMERCS.weatherConditions[next.weather]?.label]
+          .filter(Boolean).join(", ")
+      } : null
+    };
+
     // Team assignments and scores
     const assignments = game.settings.get("star-mercs", "teamAssignments") ?? {};
     const teamScores = hasCombat ? (combat.getFlag("star-mercs", "teamScores") ?? {}) : {};
-    const teams = [
-      { key: "a", label: "Team A", score: teamScores.a ?? 0 },
-      { key: "b", label: "Team B", score: teamScores.b ?? 0 }
-    ];
+    const teams = getFactionKeys().map(key => ({
+      key,
+      label: getFactionLabel(key),
+      color: getFactionColor(key),
+      score: teamScores[key] ?? 0
+    }));
+
+    // Progress toward each victory condition
+    const victory = combat.evaluateVictory().progress.map(p => ({
+      label: p.label,
+      text: p.text,
+      teams: p.teams.map(t => ({
+        key: t.team,
+        label: getFactionLabel(t.team),
+        color: getFactionColor(t.team),
+        text: t.text,
+        met: t.met,
+        pct: t.target > 0 ? Math.min(100, Math.round((t.value / t.target) * 100)) : 0
+      }))
+    }));
 
     // Build player ready list (non-GM, non-spectator users)
     const players = [];
@@ -69,7 +105,8 @@ export default class TurnControlPanel extends FormApplication {
         id: user.id,
         name: user.name,
         team,
-        teamLabel: team === "a" ? "Team A" : "Team B",
+        teamLabel: getFactionLabel(team),
+        teamColor: getFactionColor(team),
         ready: user.getFlag("star-mercs", "combatReady") ?? false,
         canToggle: user.id === game.user.id
       });
@@ -84,9 +121,12 @@ export default class TurnControlPanel extends FormApplication {
       round,
       phaseLabel,
       tacticalStepLabel,
+      environment,
       teams,
+      victory,
       players,
       canAdvance: allReady,
+      undoLabel: combat.undoLabel,
       isGM: game.user.isGM
     };
   }
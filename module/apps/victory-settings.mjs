@@ -0,0 +1,124 @@
+/**
+ * GM Victory Conditions Editor — choose which victory conditions end the battle.
+ *
+ * Conditions are stored as a list of { type, value } in the scene flag
+ * `star-mercs.victoryConditions`, or in the same flag on the active combat to
+ * override the scene for that combat only. They are checked at the end of each
+ * consolidation phase (see module/victory.mjs).
+ * Uses Foundry v13 ApplicationV2 framework.
+ */
+const { HandlebarsApplicationMixin, ApplicationV2 } = foundry.applications.api;
+
+export default class VictorySettings extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  static DEFAULT_OPTIONS = {
+    id: "star-mercs-victory-settings",
+    window: {
+      title: "Victory Conditions",
+      resizable: true
+    },
+    classes: ["star-mercs", "victory-settings"],
+    position: {
+      width: 380,
+      height: "auto"
+    }
+  };
+
+  static PARTS = {
+    form: {
+      template: "systems/star-mercs/templates/apps/victory-settings.hbs"
+    }
+  };
+
+  constructor(options = {}) {
+    super(options);
+    /** @type {"scene"|"combat"} Which document is being edited. */
+    this._scope = game.combat?.getFlag("star-mercs", "victoryConditions") ? "combat" : "scene";
+  }
+
+  /**
+   * The document whose flag is being edited.
+   * @returns {Scene|Combat|null}
+   * @private
+   */
+  _getTarget() {
+    return this._scope === "combat" ? game.combat : canvas.scene;
+  }
+
+  /** @override */
+  async _prepareContext(options) {
+    const target = this._getTarget();
+    const current = target?.getFlag("star-mercs", "victoryConditions")
+      ?? (this._scope === "combat" ? canvas.scene?.getFlag("star-mercs", "victoryConditions") : null)
+      ?? [];
+
+    const conditions = Object.entries(CONFIG.STARMERCS.victoryConditions).map(([type, config]) => {
+      const active = current.find(c => c.type === type);
+      return {
+        type,
+        label: config.label,
+        hint: config.hint,
+        valueLabel: config.valueLabel ?? null,
+        value: active?.value ?? config.default ?? null,
+        enabled: !!active
+      };
+    });
+
+    return {
+      conditions,
+      hasTarget: !!target,
+      hasCombat: !!game.combat,
+      scopes: [
+        { value: "scene", label: "Scene default", selected: this._scope === "scene" },
+        { value: "combat", label: "Current combat only", selected: this._scope === "combat" }
+      ]
+    };
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    const html = this.element;
+
+    html.querySelector('[name="scope"]')?.addEventListener("change", (event) => {
+      this._scope = event.target.value;
+      this.render();
+    });
+
+    html.querySelector(".save-settings")?.addEventListener("click", async () => {
+      await this._saveSettings();
+      ui.notifications.info("Victory conditions saved.");
+      this.close();
+    });
+
+    // Clearing a combat override falls back to the scene's conditions
+    html.querySelector(".clear-conditions")?.addEventListener("click", async () => {
+      await this._getTarget()?.unsetFlag("star-mercs", "victoryConditions");
+      game.starmercs?.turnControlPanel?.render(false);
+      this.render();
+    });
+  }
+
+  /**
+   * Read the form and store the enabled conditions on the target document.
+   * @private
+   */
+  async _saveSettings() {
+    const target = this._getTarget();
+    if (!target) return;
+    const html = this.element;
+    const conditions = [];
+
+    for (const [type, config] of Object.entries(CONFIG.STARMERCS.victoryConditions)) {
+      if (!html.querySelector(`[name="${type}.enabled"]`)?.checked) continue;
+      const condition = { type };
+      if (config.valueLabel) {
+        const input = html.querySelector(`[name="${type}.value"]`);
+        condition.value = Math.max(1, parseInt(input?.value) || config.default || 1);
+      }
+      conditions.push(condition);
+    }
+
+    await target.setFlag("star-mercs", "victoryConditions", conditions);
+    game.starmercs?.turnControlPanel?.render(false);
+  }
+}
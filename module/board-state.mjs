@@ -0,0 +1,627 @@
+/**
+ * Board-state model for the Star Mercs rules engine.
+ *
+ * A board is everything the rules read from a scene: grid geometry, unit
+ * tokens, the terrain and hex-side edge maps, structures, sight-blocking walls, the weather and
+ * time of day, and the optional rules in effect. Rules
+ * functions (hex-utils, detection, comms links, combat modifiers, scoring)
+ * resolve the board through getBoard() instead of touching the canvas.
+ *
+ * Two implementations share the same surface:
+ * - CanvasBoard — a live adapter over canvas.tokens / canvas.grid / scene flags.
+ *   This is the default board whenever no other board is active.
+ * - BoardState  — a detached snapshot built from plain data. It carries its own
+ *   hex math, so it works in Node (regression tests, balance simulations) and
+ *   for GM previews that must not touch documents.
+ *
+ * Evaluate rules against a specific board with withBoard(board, fn).
+ * withBoard is synchronous: the board is only active until fn returns.
+ */
+
+/* ============================================ */
+/*  Active Board                                */
+/* ============================================ */
+
+/** @type {CanvasBoard|BoardState|null} */
+let activeBoard = null;
+
+/** @type {CanvasBoard|null} */
+let canvasBoard = null;
+
+/**
+ * Get the board that rules functions should read from.
+ * @returns {CanvasBoard|BoardState}
+ */
+export function getBoard() {
+  if (activeBoard) return activeBoard;
+  canvasBoard ??= new CanvasBoard();
+  return canvasBoard;
+}
+
+/**
+ * Run a function with a board active, restoring the previous board afterwards.
+ * Passing a null board simply runs the function against the current board.
+ * @template T
+ * @param {CanvasBoard|BoardState|null} board
+ * @param {() => T} fn - Must be synchronous.
+ * @returns {T}
+ */
+export function withBoard(board, fn) {
+  if (!board || board === activeBoard) return fn();
+  const previous = activeBoard;
+  activeBoard = board;
+  try {
+    return fn();
+  } finally {
+    activeBoard = previous;
+  }
+}
+
+/**
+ * Optional rules a board can carry, with their defaults. On the live canvas
+ * each is read from the world setting of the same name.
+ *   zoneOfControl: "off" | "stop" (entering an enemy ZOC ends movement)
+ *                  | "exit" (leaving an enemy ZOC hex costs extra MP)
+ *   zocExitCost:   MP added for each step out of an enemy ZOC hex under "exit"
+ *   stacking:      "off" (one unit per hex) | "units" (up to stackLimit units)
+ *                  | "points" (up to stackLimit stack points, see CONFIG.STARMERCS.stackPoints)
+ *   stackLimit:    units or stack points allowed per hex when stacking is on
+ *   commsDetectionSharing: units only use contacts spotted within their comms chain
+ */
+export const DEFAULT_RULES = {
+  zoneOfControl: "off",
+  zocExitCost: 1,
+  stacking: "off",
+  stackLimit: 2,
+  commsDetectionSharing: false
+};
+
+/* ============================================ */
+/*  Hex Geometry (headless)                     */
+/* ============================================ */
+
+/** Foundry grid type ids (CONST.GRID_TYPES) for hexagonal grids. */
+export const HEX_GRID_TYPES = {
+  HEXODDR: 2,
+  HEXEVENR: 3,
+  HEXODDQ: 4,
+  HEXEVENQ: 5
+};
+
+/** Axial neighbor directions, in ring-walk order. */
+export const AXIAL_DIRECTIONS = [
+  { q: 1, r: 0 }, { q: 1, r: -1 }, { q: 0, r: -1 },
+  { q: -1, r: 0 }, { q: -1, r: 1 }, { q: 0, r: 1 }
+];
+
+/**
+ * Pixel hex math matching Foundry's HexagonalGrid layout.
+ *
+ * grid.size is the flat-to-flat width of a hex. Row grids (HEXODDR/HEXEVENR)
+ * are pointy-topped, column grids (HEXODDQ/HEXEVENQ) flat-topped. "Even"
+ * variants shift the even rows/columns, so their axial origin sits half a hex
+ * further along the shifted axis.
+ */
+export class HexGeometry {
+
+  /**
+   * @param {{type?: number, size?: number}} [grid]
+   */
+  constructor({ type = HEX_GRID_TYPES.HEXODDR, size = 100 } = {}) {
+    this.type = type;
+    this.size = size;
+    this.columns = type === HEX_GRID_TYPES.HEXODDQ || type === HEX_GRID_TYPES.HEXEVENQ;
+    this.even = type === HEX_GRID_TYPES.HEXEVENR || type === HEX_GRID_TYPES.HEXEVENQ;
+    this.sizeX = this.columns ? (2 * size) / Math.sqrt(3) : size;
+    this.sizeY = this.columns ? size : (2 * size) / Math.sqrt(3);
+    this.originX = (this.sizeX / 2) * (!this.columns && this.even ? 2 : 1);
+    this.originY = (this.sizeY / 2) * (this.columns && this.even ? 2 : 1);
+  }
+
+  /**
+   * Convert a pixel point to (unrounded) axial coordinates.
+   * @param {{x: number, y: number}} point
+   * @returns {{q: number, r: number}}
+   */
+  pixelToAxial({ x, y }) {
+    const px = x - this.originX;
+    const py = y - this.originY;
+    if (this.columns) {
+      const q = px / (this.sizeX * 0.75);
+      return { q, r: py / this.sizeY - q / 2 };
+    }
+    const r = py / (this.sizeY * 0.75);
+    return { q: px / this.sizeX - r / 2, r };
+  }
+
+  /**
+   * Convert axial coordinates to the pixel center of that hex.
+   * @param {{q: number, r: number}} axial
+   * @returns {{x: number, y: number}}
+   */
+  axialToPixel({ q, r }) {
+    if (this.columns) {
+      return { x: this.sizeX * 0.75 * q + this.originX, y: this.sizeY * (r + q / 2) + this.originY };
+    }
+    return { x: this.sizeX * (q + r / 2) + this.originX, y: this.sizeY * 0.75 * r + this.originY };
+  }
+
+  /**
+   * Round fractional axial coordinates to the containing hex.
+   * @param {{q: number, r: number}} axial
+   * @returns {{q: number, r: number}}
+   */
+  static roundAxial({ q, r }) {
+    const s = -q - r;
+    let rq = Math.round(q);
+    let rr = Math.round(r);
+    const rs = Math.round(s);
+    const dq = Math.abs(rq - q);
+    const dr = Math.abs(rr - r);
+    const ds = Math.abs(rs - s);
+    if (dq > dr && dq > ds) rq = -rr - rs;
+    else if (dr > ds) rr = -rq - rs;
+    return { q: rq + 0, r: rr + 0 };
+  }
+
+  /**
+   * Get the axial coordinates of the hex containing a pixel point.
+   * @param {{x: number, y: number}} point
+   * @returns {{q: number, r: number}}
+   */
+  toAxial(point) {
+    return HexGeometry.roundAxial(this.pixelToAxial(point));
+  }
+
+  /**
+   * Hex distance between two axial coordinates.
+   * @param {{q: number, r: number}} a
+   * @param {{q: number, r: number}} b
+   * @returns {number}
+   */
+  static axialDistance(a, b) {
+    const dq = a.q - b.q;
+    const dr = a.r - b.r;
+    return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+  }
+
+  /**
+   * Snap a pixel point to the center of its hex.
+   * @param {{x: number, y: number}} point
+   * @returns {{x: number, y: number}}
+   */
+  snap(point) {
+    return this.axialToPixel(this.toAxial(point));
+  }
+
+  /**
+   * Get the six neighboring hex centers.
+   * @param {{x: number, y: number}} center
+   * @returns {{x: number, y: number}[]}
+   */
+  neighbors(center) {
+    const { q, r } = this.toAxial(center);
+    return AXIAL_DIRECTIONS.map(d => this.axialToPixel({ q: q + d.q, r: r + d.r }));
+  }
+
+  /**
+   * Hex distance between two points.
+   * @param {{x: number, y: number}} a
+   * @param {{x: number, y: number}} b
+   * @returns {number}
+   */
+  distance(a, b) {
+    return HexGeometry.axialDistance(this.toAxial(a), this.toAxial(b));
+  }
+}
+
+/**
+ * Whether two line segments intersect (used for wall line of sight).
+ * @param {{x: number, y: number}} a
+ * @param {{x: number, y: number}} b
+ * @param {{x: number, y: number}} c
+ * @param {{x: number, y: number}} d
+ * @returns {boolean}
+ */
+function segmentsIntersect(a, b, c, d) {
+  const cross = (p, q, r) => (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+  const d1 = cross(c, d, a);
+  const d2 = cross(c, d, b);
+  const d3 = cross(a, b, c);
+  const d4 = cross(a, b, d);
+  return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+/* ============================================ */
+/*  Live Canvas Adapter                         */
+/* ============================================ */
+
+/**
+ * Board backed by the live canvas. Every read goes straight to the current
+ * scene, so it never needs refreshing. Axial coordinates and distances use
+ * HexGeometry for the scene's grid, so they agree with detached boards.
+ */
+export class CanvasBoard {
+
+  constructor() {
+    /** @type {HexGeometry|null} */
+    this._geometry = null;
+  }
+
+  /** @returns {HexGeometry} Hex math for the current scene's grid. */
+  get geometry() {
+    const { type, size } = canvas?.scene?.grid ?? {};
+    const grid = { type: type ?? HEX_GRID_TYPES.HEXODDR, size: size || 100 };
+    if (this._geometry?.type !== grid.type || this._geometry?.size !== grid.size) {
+      this._geometry = new HexGeometry(grid);
+    }
+    return this._geometry;
+  }
+
+  /** @returns {boolean} Whether a scene is loaded. */
+  get ready() {
+    return !!canvas?.tokens?.placeables;
+  }
+
+  /** @returns {Token[]} */
+  get tokens() {
+    return canvas?.tokens?.placeables ?? [];
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Token|null}
+   */
+  getToken(id) {
+    return canvas?.tokens?.get(id) ?? null;
+  }
+
+  /** @returns {object|null} Raw terrainMap scene flag. */
+  get terrainMap() {
+    return canvas?.scene?.getFlag("star-mercs", "terrainMap") ?? null;
+  }
+
+  /** @returns {object|null} Raw edgeMap scene flag (hex-side features keyed by edgeKey). */
+  get edgeMap() {
+    return canvas?.scene?.getFlag("star-mercs", "edgeMap") ?? null;
+  }
+
+  /** @returns {object[]} Structures scene flag. */
+  get structures() {
+    return canvas?.scene?.getFlag("star-mercs", "structures") ?? [];
+  }
+
+  /** @returns {object|null} Raw environment scene flag (time of day, weather, schedule). */
+  get environment() {
+    return canvas?.scene?.getFlag("star-mercs", "environment") ?? null;
+  }
+
+  /** @returns {number} Grid size in pixels. */
+  get gridSize() {
+    return canvas?.grid?.size || 100;
+  }
+
+  /** @returns {object} Optional rules in effect, from world settings (see DEFAULT_RULES). */
+  get rules() {
+    const rules = {};
+    for (const [key, fallback] of Object.entries(DEFAULT_RULES)) {
+      rules[key] = game.settings.get("star-mercs", key) ?? fallback;
+    }
+    return rules;
+  }
+
+  /**
+   * @param {{x: number, y: number}} point
+   * @returns {{x: number, y: number}}
+   */
+  snap(point) {
+    return canvas.grid.getSnappedPoint(point, { mode: CONST.GRID_SNAPPING_MODES.CENTER });
+  }
+
+  /**
+   * @param {{x: number, y: number}} center
+   * @returns {{x: number, y: number}[]}
+   */
+  neighbors(center) {
+    const offsets = canvas.grid.getAdjacentOffsets(center);
+    if (!offsets || offsets.length === 0) return [];
+    return offsets.map(offset => canvas.grid.getCenterPoint(offset));
+  }
+
+  /**
+   * @param {{x: number, y: number}} point
+   * @returns {{q: number, r: number}}
+   */
+  toAxial(point) {
+    return this.geometry.toAxial(point);
+  }
+
+  /**
+   * @param {{q: number, r: number}} axial
+   * @returns {{x: number, y: number}} Hex center, snapped to the canvas grid.
+   */
+  fromAxial(axial) {
+    return this.snap(this.geometry.axialToPixel(axial));
+  }
+
+  /**
+   * @param {{x: number, y: number}} a
+   * @param {{x: number, y: number}} b
+   * @returns {number} Distance in hexes.
+   */
+  distance(a, b) {
+    return this.geometry.distance(a, b);
+  }
+
+  /**
+   * Check whether any sight-blocking wall crosses the line between two points.
+   * @param {{x: number, y: number}} a
+   * @param {{x: number, y: number}} b
+   * @returns {boolean} True if the line is clear.
+   */
+  hasWallLOS(a, b) {
+    for (const wall of canvas.walls?.placeables ?? []) {
+      if (wall.document.sight === CONST.WALL_SENSE_TYPES.NONE) continue;
+      const [x1, y1, x2, y2] = wall.document.c;
+      if (foundry.utils.lineSegmentIntersects(a, b, { x: x1, y: y1 }, { x: x2, y: y2 })) return false;
+    }
+    return true;
+  }
+}
+
+/* ============================================ */
+/*  Detached Board State                        */
+/* ============================================ */
+
+/**
+ * Plain-data stand-in for a unit actor. Implements the subset of
+ * StarMercsActor the rules engine reads.
+ */
+export class BoardActor {
+
+  /**
+   * @param {object} data
+   * @param {string} data.id
+   * @param {string} [data.name]
+   * @param {string} [data.type="unit"]
+   * @param {object} data.system - Actor system data, including derived fields.
+   * @param {object} [data.flags] - Actor flags keyed by scope.
+   * @param {object[]} [data.items] - Embedded items as {id, name, type, system}.
+   * @param {string[]} [data.statuses] - Active status effect ids.
+   */
+  constructor({ id, name = "", type = "unit", system = {}, flags = {}, items = [], statuses = [] }) {
+    this.id = id;
+    this.name = name;
+    this.type = type;
+    this.system = system;
+    this.flags = flags;
+    this.items = items;
+    this.statuses = new Set(statuses);
+  }
+
+  /**
+   * Copy a live actor into plain data. System data is copied including
+   * derived fields, so the copy can be evaluated without re-running data preparation.
+   * @param {Actor} actor
+   * @returns {object} Constructor data for a BoardActor.
+   */
+  static dataFromActor(actor) {
+    return {
+      id: actor.id,
+      name: actor.name,
+      type: actor.type,
+      system: foundry.utils.deepClone({ ...actor.system }),
+      flags: foundry.utils.deepClone(actor.flags ?? {}),
+      items: actor.items.map(i => ({
+        id: i.id, name: i.name, type: i.type, system: foundry.utils.deepClone({ ...i.system })
+      })),
+      statuses: [...(actor.statuses ?? [])]
+    };
+  }
+
+  getFlag(scope, key) {
+    return this.flags?.[scope]?.[key];
+  }
+
+  _findTrait(traitName) {
+    const name = traitName.toLowerCase();
+    return this.items.find(i => i.type === "trait" && i.name.toLowerCase() === name && i.system?.active);
+  }
+
+  hasTrait(traitName) {
+    return !!this._findTrait(traitName);
+  }
+
+  getTraitValue(traitName) {
+    return this._findTrait(traitName)?.system.traitValue ?? 0;
+  }
+
+  getTraitItem(traitName) {
+    return this._findTrait(traitName);
+  }
+
+  get isAirborne() {
+    return this.hasTrait("Flying") && !this.getFlag("star-mercs", "landed");
+  }
+
+  getReadinessLoss(damage) {
+    const threshold = (this.system.strength?.max ?? 0) * 0.25;
+    return damage > threshold ? 2 : 1;
+  }
+
+  toJSON() {
+    return {
+      id: this.id, name: this.name, type: this.type, system: this.system,
+      flags: this.flags, items: this.items, statuses: [...this.statuses]
+    };
+  }
+}
+
+/**
+ * Plain-data stand-in for a canvas Token (and its TokenDocument).
+ */
+export class BoardToken {
+
+  /**
+   * @param {object} data
+   * @param {string} data.id
+   * @param {string} [data.name]
+   * @param {number} data.x - Top-left x in pixels.
+   * @param {number} data.y - Top-left y in pixels.
+   * @param {number} data.w - Width in pixels.
+   * @param {number} data.h - Height in pixels.
+   * @param {object} [data.flags] - Token document flags keyed by scope.
+   * @param {object|BoardActor} [data.actor]
+   */
+  constructor({ id, name = "", x = 0, y = 0, w = 100, h = 100, flags = {}, actor = null }) {
+    this.id = id;
+    this.name = name;
+    this.x = x;
+    this.y = y;
+    this.w = w;
+    this.h = h;
+    this.actor = actor instanceof BoardActor || !actor ? actor : new BoardActor(actor);
+    const token = this;
+    this.document = {
+      id,
+      name,
+      flags,
+      getFlag: (scope, key) => flags?.[scope]?.[key],
+      hasStatusEffect: statusId => token.actor?.statuses.has(statusId) ?? false
+    };
+  }
+
+  get center() {
+    return { x: this.x + this.w / 2, y: this.y + this.h / 2 };
+  }
+
+  toJSON() {
+    return {
+      id: this.id, name: this.name, x: this.x, y: this.y, w: this.w, h: this.h,
+      flags: this.document.flags, actor: this.actor?.toJSON() ?? null
+    };
+  }
+}
+
+/**
+ * A detached, serializable board.
+ */
+export class BoardState {
+
+  /**
+   * @param {object} data
+   * @param {{type?: number, size?: number, distance?: number}} [data.grid]
+   * @param {object[]} [data.tokens] - Token records (see BoardToken).
+   * @param {object} [data.terrainMap] - terrainMap keyed by hexKey.
+   * @param {object} [data.edgeMap] - Hex-side features keyed by edgeKey.
+   * @param {object[]} [data.structures]
+   * @param {number[][]} [data.walls] - Sight-blocking wall segments as [x1, y1, x2, y2].
+   * @param {object} [data.rules] - Optional rules in effect (see DEFAULT_RULES).
+   * @param {object|null} [data.environment] - Time of day and weather (see module/environment.mjs).
+   */
+  constructor({ grid = {}, tokens = [], terrainMap = {}, edgeMap = {}, structures = [], walls = [], rules = {}, environment = null } = {}) {
+    this.grid = { type: HEX_GRID_TYPES.HEXODDR, size: 100, distance: 1, ...grid };
+    this.geometry = new HexGeometry(this.grid);
+    this.tokens = tokens.map(t => (t instanceof BoardToken ? t : new BoardToken(t)));
+    this.terrainMap = terrainMap;
+    this.edgeMap = edgeMap;
+    this.structures = structures;
+    this.walls = walls;
+    this.rules = { ...DEFAULT_RULES, ...rules };
+    this.environment = environment;
+  }
+
+  get ready() {
+    return true;
+  }
+
+  get gridSize() {
+    return this.grid.size;
+  }
+
+  getToken(id) {
+    return this.tokens.find(t => t.id === id) ?? null;
+  }
+
+  snap(point) {
+    return this.geometry.snap(point);
+  }
+
+  neighbors(center) {
+    return this.geometry.neighbors(center);
+  }
+
+  distance(a, b) {
+    return this.geometry.distance(a, b);
+  }
+
+  toAxial(point) {
+    return this.geometry.toAxial(point);
+  }
+
+  fromAxial(axial) {
+    return this.geometry.axialToPixel(axial);
+  }
+
+  hasWallLOS(a, b) {
+    return !this.walls.some(([x1, y1, x2, y2]) => segmentsIntersect(a, b, { x: x1, y: y1 }, { x: x2, y: y2 }));
+  }
+
+  /**
+   * Snapshot the current scene into a detached board.
+   * @returns {BoardState}
+   */
+  static fromCanvas() {
+    const scene = canvas.scene;
+    const tokens = [];
+    for (const token of canvas.tokens.placeables) {
+      const actor = token.actor;
+      tokens.push({
+        id: token.id,
+        name: token.name,
+        x: token.x,
+        y: token.y,
+        w: token.w,
+        h: token.h,
+        flags: foundry.utils.deepClone(token.document.flags ?? {}),
+        actor: actor ? BoardActor.dataFromActor(actor) : null
+      });
+    }
+    const walls = (canvas.walls?.placeables ?? [])
+      .filter(w => w.document.sight !== CONST.WALL_SENSE_TYPES.NONE)
+      .map(w => [...w.document.c]);
+
+    return new BoardState({
+      grid: { type: scene.grid.type, size: scene.grid.size, distance: scene.grid.distance },
+      tokens,
+      terrainMap: foundry.utils.deepClone(scene.getFlag("star-mercs", "terrainMap") ?? {}),
+      edgeMap: foundry.utils.deepClone(scene.getFlag("star-mercs", "edgeMap") ?? {}),
+      structures: foundry.utils.deepClone(scene.getFlag("star-mercs", "structures") ?? []),
+      walls,
+      rules: new CanvasBoard().rules,
+      environment: foundry.utils.deepClone(scene.getFlag("star-mercs", "environment") ?? null)
+    });
+  }
+
+  /**
+   * @param {object} data - Output of toJSON().
+   * @returns {BoardState}
+   */
+  static fromJSON(data) {
+    return new BoardState(data);
+  }
+
+  /** @returns {object} Plain serializable data. */
+  toJSON() {
+    return {
+      grid: { ...this.grid },
+      tokens: this.tokens.map(t => t.toJSON()),
+      terrainMap: this.terrainMap,
+      edgeMap: this.edgeMap,
+      structures: this.structures,
+      walls: this.walls,
+      rules: { ...this.rules },
+      environment: this.environment
+    };
+  }
+}
@@ -0,0 +1,326 @@
+/**
+ * Campaign mode for Star Mercs.
+ *
+ * The campaign journal is a world setting holding the company roster and a
+ * history of recorded battles. Each roster entry is one unit instance built
+ * from a world actor, carrying its surviving strength, supply, kills and
+ * experience between battles:
+ *
+ *   {
+ *     name: "Iron Wolves",
+ *     stock: { parts: 0, materials: 0 },
+ *     roster: [{ id, actorId, name, team, rating, xp, kills, battles,
+ *                strength, supply: { <category>: current }, status }],
+ *     battles: [{ name, date, winner, results: [{ unitId, name, xp, promotedTo, destroyed }] }]
+ *   }
+ *
+ * Roster units reach the table through the deploy pool: mustering adds a pool
+ * entry tagged with the roster id, and deploying it copies the roster state onto
+ * the new token. Recording a battle reads those tokens back, awards experience
+ * (CONFIG.STARMERCS.campaign.xp) and promotes rating along CONFIG.STARMERCS.ratings.
+ */
+
+import { getFactionLabel, isFriendly } from "./factions.mjs";
+import { esc } from "./helpers.mjs";
+
+/** Empty campaign journal. */
+export const DEFAULT_CAMPAIGN = {
+  name: "",
+  stock: { parts: 0, materials: 0 },
+  roster: [],
+  battles: []
+};
+
+/**
+ * Read the campaign journal (a copy safe to modify).
+ * @returns {object}
+ */
+export function getCampaign() {
+  const stored = game.settings.get("star-mercs", "campaign") ?? {};
+  return foundry.utils.mergeObject(foundry.utils.deepClone(DEFAULT_CAMPAIGN), foundry.utils.deepClone(stored));
+}
+
+/**
+ * Store the campaign journal.
+ * @param {object} campaign
+ * @returns {Promise}
+ */
+export function saveCampaign(campaign) {
+  return game.settings.set("star-mercs", "campaign", campaign);
+}
+
+/* ---------------------------------------- */
+/*  Ratings                                 */
+/* ---------------------------------------- */
+
+/**
+ * The highest rating earned by an amount of experience. Units are never demoted,
+ * so the current rating is kept when it is already higher.
+ * @param {number} xp
+ * @param {string} [current="green"]
+ * @returns {string} Rating key.
+ */
+export function ratingForXp(xp, current = "green") {
+  const keys = Object.keys(CONFIG.STARMERCS.ratings);
+  let earned = keys[0];
+  for (const key of keys) {
+    if (xp >= (CONFIG.STARMERCS.ratings[key].xp ?? 0)) earned = key;
+  }
+  return keys.indexOf(earned) > keys.indexOf(current) ? earned : current;
+}
+
+/**
+ * Experience still needed for the next rating.
+ * @param {object} unit - Roster entry.
+ * @returns {{rating: string, xp: number}|null} Null at the top rating.
+ */
+export function nextPromotion(unit) {
+  const keys = Object.keys(CONFIG.STARMERCS.ratings);
+  const next = keys[keys.indexOf(unit.rating) + 1];
+  if (!next) return null;
+  return { rating: next, xp: Math.max(0, (CONFIG.STARMERCS.ratings[next].xp ?? 0) - unit.xp) };
+}
+
+/* ---------------------------------------- */
+/*  Roster                                  */
+/* ---------------------------------------- */
+
+/**
+ * Add a unit built from a world actor to the roster at the actor's current state.
+ * @param {Actor} actor - A unit actor.
+ * @param {object} [options]
+ * @param {string} [options.name] - Roster name; defaults to the actor's name.
+ * @param {string} [options.team] - Faction key; defaults to the actor's team.
+ * @returns {Promise<object>} The new roster entry.
+ */
+export async function addToRoster(actor, { name, team } = {}) {
+  const campaign = getCampaign();
+  const supply = {};
+  for (const [key, cat] of Object.entries(actor.system.supply ?? {})) supply[key] = cat.current;
+
+  const unit = {
+    id: foundry.utils.randomID(),
+    actorId: actor.id,
+    name: name || actor.name,
+    team: team || actor.system.team,
+    rating: actor.system.rating,
+    xp: CONFIG.STARMERCS.ratings[actor.system.rating]?.xp ?? 0,
+    kills: 0,
+    battles: 0,
+    strength: actor.system.strength.value,
+    supply,
+    status: "active"
+  };
+  campaign.roster.push(unit);
+  await saveCampaign(campaign);
+  return unit;
+}
+
+/**
+ * Remove a unit from the roster.
+ * @param {string} unitId
+ */
+export async function removeFromRoster(unitId) {
+  const campaign = getCampaign();
+  campaign.roster = campaign.roster.filter(u => u.id !== unitId);
+  await saveCampaign(campaign);
+}
+
+/**
+ * Add active roster units to their teams' deploy pools.
+ * Units already in a pool (waiting, or deployed in an unrecorded battle) are skipped.
+ * @param {string[]} unitIds
+ * @returns {Promise<number>} Number of units added.
+ */
+export async function musterUnits(unitIds) {
+  const campaign = getCampaign();
+  const pool = foundry.utils.deepClone(game.settings.get("star-mercs", "deployPool") ?? {});
+  const pooled = new Set(Object.values(pool).flat().map(e => e.campaignUnitId).filter(Boolean));
+  let added = 0;
+
+  for (const unit of campaign.roster) {
+    if (!unitIds.includes(unit.id) || unit.status !== "active" || pooled.has(unit.id)) continue;
+    if (!game.actors.get(unit.actorId)) continue;
+    if (!pool[unit.team]) pool[unit.team] = [];
+    pool[unit.team].push({
+      actorId: unit.actorId,
+      addedBy: game.user.id,
+      instanceId: foundry.utils.randomID(),
+      customName: unit.name,
+      campaignUnitId: unit.id
+    });
+    added++;
+  }
+
+  await game.settings.set("star-mercs", "deployPool", pool);
+  game.starmercs?.deployPanel?.render(false);
+  return added;
+}
+
+/**
+ * Copy a roster unit's persistent state onto a freshly deployed token.
+ * Readiness starts full; strength, supply and rating carry over.
+ * @param {TokenDocument} tokenDoc
+ * @param {string} unitId
+ */
+export async function applyRosterState(tokenDoc, unitId) {
+  const unit = getCampaign().roster.find(u => u.id === unitId);
+  const actor = tokenDoc.actor;
+  if (!unit || !actor) return;
+
+  const update = {
+    name: unit.name,
+    "system.team": unit.team,
+    "system.rating": unit.rating,
+    "system.strength.value": Math.min(unit.strength, actor.system.strength.max)
+  };
+  for (const [key, current] of Object.entries(unit.supply ?? {})) {
+    if (actor.system.supply?.[key]) update[`system.supply.${key}.current`] = current;
+  }
+  await actor.update(update);
+  await tokenDoc.setFlag("star-mercs", "campaignUnitId", unitId);
+}
+
+/* ---------------------------------------- */
+/*  Battle Results                          */
+/* ---------------------------------------- */
+
+/**
+ * Experience earned by one unit in a battle.
+ * @param {{damage: number, kills: number}} record - The token's battle record.
+ * @param {boolean} won - Whether the unit's faction (or an ally) won.
+ * @returns {number}
+ */
+export function battleXp(record, won) {
+  const xp = CONFIG.STARMERCS.campaign.xp;
+  return xp.battle
+    + (record.kills ?? 0) * xp.kill
+    + Math.floor((record.damage ?? 0) / Math.max(1, xp.damagePer))
+    + (won ? xp.victory : 0);
+}
+
+/**
+ * Record the battle on a scene into the campaign journal.
+ * Every token deployed from the roster writes back its surviving strength and
+ * supply, earns experience and is unlinked from the roster so the same battle
+ * cannot be recorded twice. Their deploy pool entries are removed so they can
+ * be mustered for the next battle.
+ * @param {Scene} scene
+ * @param {object} [options]
+ * @param {string|null} [options.winner] - Winning faction key, or null for no winner.
+ *   Allies of the winner share the victory bonus.
+ * @returns {Promise<object|null>} The battle entry, or null when no roster units fought.
+ */
+export async function recordBattle(scene, { winner = null } = {}) {
+  const campaign = getCampaign();
+  const results = [];
+
+  for (const tokenDoc of scene.tokens) {
+    const unitId = tokenDoc.getFlag("star-mercs", "campaignUnitId");
+    const unit = unitId ? campaign.roster.find(u => u.id === unitId) : null;
+    const actor = tokenDoc.actor;
+    if (!unit || !actor) continue;
+
+    const destroyed = actor.system.strength.value <= 0;
+    const record = tokenDoc.getFlag("star-mercs", "battleRecord") ?? { damage: 0, kills: 0 };
+    const xp = destroyed ? 0 : battleXp(record, !!winner && isFriendly(unit.team, winner));
+    const rating = ratingForXp(unit.xp + xp, unit.rating);
+
+    results.push({
+      unitId,
+      name: unit.name,
+      xp,
+      kills: record.kills ?? 0,
+      promotedTo: rating !== unit.rating ? rating : null,
+      destroyed
+    });
+
+    unit.xp += xp;
+    unit.rating = rating;
+    unit.kills += record.kills ?? 0;
+    unit.battles += 1;
+    unit.strength = Math.max(0, actor.system.strength.value);
+    for (const [key, cat] of Object.entries(actor.system.supply ?? {})) unit.supply[key] = cat.current;
+    if (destroyed) unit.status = "destroyed";
+
+    await tokenDoc.update({
+      "flags.star-mercs.-=campaignUnitId": null,
+      "flags.star-mercs.-=battleRecord": null
+    });
+  }
+
+  if (!results.length) return null;
+  await scene.unsetFlag("star-mercs", "battleResult");
+
+  const recorded = new Set(results.map(r => r.unitId));
+  const pool = foundry.utils.deepClone(game.settings.get("star-mercs", "deployPool") ?? {});
+  for (const [team, entries] of Object.entries(pool)) {
+    pool[team] = (entries ?? []).filter(e => !recorded.has(e.campaignUnitId));
+  }
+  await game.settings.set("star-mercs", "deployPool", pool);
+  game.starmercs?.deployPanel?.render(false);
+
+  const battle = { name: scene.name, date: Date.now(), winner, results };
+  campaign.battles.push(battle);
+  await saveCampaign(campaign);
+  await postBattleReport(battle);
+  return battle;
+}
+
+/**
+ * Post the battle report to chat.
+ * @param {object} battle
+ */
+async function postBattleReport(battle) {
+  const lines = battle.results.map(r => {
+    if (r.destroyed) return `<div class="status-update"><strong>${esc(r.name)}</strong> — <span class="destroyed">destroyed</span></div>`;
+    const kills = r.kills ? `, ${r.kills} kill${r.kills === 1 ? "" : "s"}` : "";
+    const promoted = r.promotedTo
+      ? ` — <strong>promoted to ${esc(CONFIG.STARMERCS.ratings[r.promotedTo]?.label ?? r.promotedTo)}</strong>` : "";
+    return `<div class="status-update"><strong>${esc(r.name)}</strong> +${r.xp} XP${kills}${promoted}</div>`;
+  });
+  const outcome = battle.winner ? `${esc(getFactionLabel(battle.winner))} victory` : "No victor";
+
+  await ChatMessage.create({
+    content: `<div class="star-mercs chat-card consolidation-combined campaign-report">
+      <div class="summary-header"><i class="fas fa-book"></i> <strong>Campaign — ${esc(battle.name)}</strong></div>
+      <div class="consolidation-section">
+        <div class="consolidation-section-header"><i class="fas fa-flag-checkered"></i> ${outcome}</div>
+        ${lines.join("")}
+      </div>
+    </div>`,
+    speaker: { alias: "Star Mercs" }
+  });
+}
+
+/* ---------------------------------------- */
+/*  Repair                                  */
+/* ---------------------------------------- */
+
+/**
+ * Repair a surviving roster unit from the company's parts and materials stock.
+ * Repairs as many strength points as requested, affordable and missing.
+ * @param {string} unitId
+ * @param {number} [points=Infinity] - Strength points to repair.
+ * @returns {Promise<number>} Strength points repaired.
+ */
+export async function repairUnit(unitId, points = Infinity) {
+  const campaign = getCampaign();
+  const unit = campaign.roster.find(u => u.id === unitId);
+  const actor = unit ? game.actors.get(unit.actorId) : null;
+  if (!unit || !actor || unit.status !== "active") return 0;
+
+  const cost = CONFIG.STARMERCS.campaign.repairCost;
+  const affordable = Math.min(
+    cost.parts > 0 ? Math.floor(campaign.stock.parts / cost.parts) : Infinity,
+    cost.materials > 0 ? Math.floor(campaign.stock.materials / cost.materials) : Infinity
+  );
+  const repaired = Math.max(0, Math.min(points, affordable, actor.system.strength.max - unit.strength));
+  if (!repaired) return 0;
+
+  unit.strength += repaired;
+  campaign.stock.parts -= repaired * cost.parts;
+  campaign.stock.materials -= repaired * cost.materials;
+  await saveCampaign(campaign);
+  return repaired;
+}
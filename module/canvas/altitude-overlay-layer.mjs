@@ -1,3 +1,6 @@
+import { isFriendly } from "../factions.mjs";
+import { getUnitVisibility } from "../fog-of-war.mjs";
+
 /**
  * PIXI.Container that renders altitude numbers on flying unit tokens.
  * Shows a small green number in the upper-right corner of the token.
@@ -32,15 +35,16 @@ export default class AltitudeOverlayLayer extends PIXI.Container {
       // Landed units show nothing (they're on the ground)
       if (token.actor.getFlag("star-mercs", "landed")) continue;
 
-      // Skip hidden tokens for non-GM users
+      // Skip hidden tokens for non-GM users, and enemies the viewer hasn't identified
       if (token.document?.hidden && !game.user.isGM) continue;
+      if (getUnitVisibility(token) !== "visible") continue;
 
       // Skip unrevealed enemy flying units for non-GM users
       if (!game.user.isGM) {
         const assignments = game.settings.get("star-mercs", "teamAssignments") ?? {};
         const viewerTeam = assignments[game.user.id] ?? "a";
         const tokenTeam = token.actor?.system?.team ?? "a";
-        if (tokenTeam !== viewerTeam) {
+        if (!isFriendly(tokenTeam, viewerTeam)) {
           if (!token.document?.hasStatusEffect?.("revealed")) continue;
         }
       }
@@ -1,3 +1,5 @@
+import { isFriendly } from "../factions.mjs";
+
 /**
  * PIXI.Container that renders comms link lines on the canvas.
  * Draws colored dotted lines between units that have direct mutual comms links.
@@ -59,7 +61,7 @@ export default class CommsLinkLayer extends PIXI.Container {
     manager.refresh();
     const links = manager.getDirectLinks();
 
-    // Non-GM players only see their own team's links
+    // Non-GM players only see their own and allied teams' links
     const assignments = game.settings.get("star-mercs", "teamAssignments") ?? {};
     const myTeam = game.user.isGM ? null : (assignments[game.user.id] ?? null);
 
@@ -68,11 +70,11 @@ export default class CommsLinkLayer extends PIXI.Container {
       const t2 = canvas.tokens.get(token2Id);
       if (!t1 || !t2) continue;
 
-      // Filter: non-GM players only see links for their own team
+      // Filter: non-GM players only see links for friendly teams
       if (myTeam) {
         const team1 = t1.actor?.system?.team ?? "a";
         const team2 = t2.actor?.system?.team ?? "a";
-        if (team1 !== myTeam && team2 !== myTeam) continue;
+        if (!isFriendly(team1, myTeam) && !isFriendly(team2, myTeam)) continue;
       }
 
       const color = CommsLinkLayer.CHAIN_COLORS[chainIndex % CommsLinkLayer.CHAIN_COLORS.length];
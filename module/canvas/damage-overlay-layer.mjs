@@ -1,3 +1,5 @@
+import { getUnitVisibility } from "../fog-of-war.mjs";
+
 /**
  * PIXI.Container that renders pending damage numbers on tokens during tactical phase.
  * Shows "-X STR / -Y RDY" text above tokens that have pending damage.
@@ -29,6 +31,7 @@ export default class DamageOverlayLayer extends PIXI.Container {
 
     for (const token of canvas.tokens.placeables) {
       if (!token.actor || token.actor.type !== "unit") continue;
+      if (getUnitVisibility(token) !== "visible") continue;
 
       const pending = token.document.getFlag("star-mercs", "pendingDamage");
       if (!pending || (pending.strength === 0 && pending.readiness === 0)) continue;
@@ -1,12 +1,23 @@
-import { snapToHexCenter, hexKey, getAdjacentHexCenters } from "../hex-utils.mjs";
+import { snapToHexCenter, hexKey, getAdjacentHexCenters, hexCenterFromKey } from "../hex-utils.mjs";
 import * as detection from "../detection.mjs";
+import { getFogTeam, getUnitVisibility, getEmissionContacts } from "../fog-of-war.mjs";
+import { getFactionLabel, isFriendly } from "../factions.mjs";
+import { esc } from "../helpers.mjs";
+import { LAST_KNOWN_FLAG, getGhostAge, isGhostActive, removeLastKnownPosition } from "../last-known-positions.mjs";
+import TacticalMarkerLayer from "./tactical-marker-layer.mjs";
 
 /**
  * PIXI.Container that renders detection-related overlays on the canvas.
  *
  * Features:
  * 1. Detection range rings for the selected friendly token (faint hex outlines)
- * 2. Blip markers ("?") at positions where enemies are at blip detection level
+ * 2. Contact markers ("?") standing in for enemies at blip detection level,
+ *    whose own tokens are not rendered (see fog-of-war.mjs)
+ * 3. Emission blips at the hexes of hidden enemies whose active sensors the
+ *    viewer's team picks up (see computeEmissionContacts)
+ * 4. Fading ghosts at the last-known positions of lost contacts (see
+ *    last-known-positions.mjs), shown to the observing team, its allies and
+ *    the GM. Right-click a ghost to convert it into a tactical marker.
  *
  * Added to canvas.interface during the canvasReady hook.
  */
@@ -21,6 +32,24 @@ export default class DetectionLayer extends PIXI.Container {
     /** @type {PIXI.Container} */
     this.blipContainer = new PIXI.Container();
     this.addChild(this.blipContainer);
+
+    /** @type {PIXI.Container} — holds last-known-position ghosts */
+    this.ghostContainer = new PIXI.Container();
+    this.addChild(this.ghostContainer);
+
+    /** @type {boolean} — flag to suppress browser context menu after right-click on a ghost */
+    this._suppressContextMenu = false;
+
+    this._contextMenuHandler = (e) => {
+      if (this._suppressContextMenu) {
+        e.preventDefault();
+        this._suppressContextMenu = false;
+      }
+    };
+    document.addEventListener("contextmenu", this._contextMenuHandler, true);
+
+    // Right-click handler on canvas.stage (canvas.interface doesn't propagate events)
+    this._onCanvasRightDown = this._handleCanvasRightDown.bind(this);
   }
 
   /* ---------------------------------------- */
@@ -34,6 +63,20 @@ export default class DetectionLayer extends PIXI.Container {
   static BLIP_FONT_SIZE = 24;
   static LOS_HIGHLIGHT_COLOR = 0x44FF44;
   static LOS_HIGHLIGHT_ALPHA = 0.12;
+  static EMISSION_COLOR = 0x33CCFF;
+  static EMISSION_BG_RADIUS = 12;
+  static EMISSION_LABEL_FONT_SIZE = 9;
+  static EMISSION_LABEL_OFFSET_Y = 14;
+  static GHOST_COLOR = 0xBBBBBB;
+  static GHOST_RADIUS = 12;
+  static GHOST_FONT_SIZE = 14;
+  static GHOST_LABEL_FONT_SIZE = 9;
+  static GHOST_LABEL_OFFSET_Y = 16;
+  static GHOST_ALPHA_MAX = 0.8;
+  static GHOST_ALPHA_MIN = 0.25;
+
+  /** Hit radius for right-click detection on ghosts */
+  static HIT_RADIUS = 18;
 
   /**
    * Check if a hex center is within the scene boundaries.
@@ -56,15 +99,16 @@ export default class DetectionLayer extends PIXI.Container {
   drawDetection() {
     this.rangeGraphics.clear();
     this.blipContainer.removeChildren();
+    this.ghostContainer.removeChildren();
 
-    if (!game.settings.get("star-mercs", "showDetectionOverlay")) return;
     if (!canvas?.tokens?.placeables) return;
 
-    // Only draw blips for non-GM users with team enforcement
-    const enabled = game.settings.get("star-mercs", "teamAssignmentsEnabled");
-    if (!game.user.isGM && enabled) {
-      this._drawBlipMarkers();
-    }
+    // Contact markers replace blip tokens, so they are drawn even with the overlay off
+    this._drawBlipMarkers();
+    this._drawEmissionBlips();
+    this._drawGhosts();
+
+    if (!game.settings.get("star-mercs", "showDetectionOverlay")) return;
 
     // Draw detection range ring for the controlled token (any user)
     this._drawDetectionRangeRing();
@@ -78,21 +122,23 @@ export default class DetectionLayer extends PIXI.Container {
   /* ---------------------------------------- */
 
   /**
-   * Draw "?" blip markers for enemy tokens at blip detection level.
+   * Draw a generic "?" contact marker for each enemy token at blip detection
+   * level. Only players under fog of war have blips.
    * @private
    */
   _drawBlipMarkers() {
-    const assignments = game.settings.get("star-mercs", "teamAssignments") ?? {};
-    const myTeam = assignments[game.user.id];
-    if (!myTeam || myTeam === "spectator") return;
-
-    const visMap = detection.computeTeamVisibility(myTeam);
+    if (!getFogTeam()) return;
 
-    for (const [tokenId, level] of visMap) {
-      if (level !== "blip") continue;
+    for (const token of canvas.tokens.placeables) {
+      if (token.actor?.type !== "unit" || getUnitVisibility(token) !== "blip") continue;
 
-      const token = canvas.tokens.get(tokenId);
-      if (!token) continue;
+      const ring = new PIXI.Graphics();
+      ring.lineStyle(2, DetectionLayer.BLIP_COLOR, 0.8);
+      ring.beginFill(0x000000, 0.35);
+      ring.drawCircle(0, 0, DetectionLayer.BLIP_FONT_SIZE * 0.75);
+      ring.endFill();
+      ring.position.set(token.center.x, token.center.y);
+      this.blipContainer.addChild(ring);
 
       const text = new PIXI.Text("?", {
         fontFamily: "Signika",
@@ -109,6 +155,203 @@ export default class DetectionLayer extends PIXI.Container {
     }
   }
 
+  /**
+   * Draw an emission blip (radio waves over a dark disc, styled like a firing
+   * blip) at the hex of each hidden enemy the viewer picks up by its active
+   * sensors. Only players under fog of war have emission contacts.
+   * @private
+   */
+  _drawEmissionBlips() {
+    const { EMISSION_COLOR, EMISSION_BG_RADIUS } = DetectionLayer;
+
+    for (const tokenId of getEmissionContacts()) {
+      const token = canvas.tokens.get(tokenId);
+      if (!token) continue;
+      const center = snapToHexCenter(token.center);
+
+      const group = new PIXI.Container();
+      group.position.set(center.x, center.y);
+
+      const g = new PIXI.Graphics();
+      g.beginFill(0x000000, 0.5);
+      g.drawCircle(0, 0, EMISSION_BG_RADIUS);
+      g.endFill();
+      g.beginFill(EMISSION_COLOR, 1);
+      g.drawCircle(0, 3, 2);
+      g.endFill();
+      g.lineStyle(2, EMISSION_COLOR, 1);
+      const start = -Math.PI * 0.8;
+      for (const radius of [5, 9]) {
+        g.moveTo(radius * Math.cos(start), 3 + radius * Math.sin(start));
+        g.arc(0, 3, radius, start, -Math.PI * 0.2);
+      }
+      group.addChild(g);
+
+      const label = new PIXI.Text("EMISSION", {
+        fontFamily: "Signika",
+        fontSize: DetectionLayer.EMISSION_LABEL_FONT_SIZE,
+        fill: 0xFFFFFF,
+        stroke: 0x000000,
+        strokeThickness: 2,
+        align: "center"
+      });
+      label.anchor.set(0.5, 0);
+      label.position.set(0, DetectionLayer.EMISSION_LABEL_OFFSET_Y);
+      group.addChild(label);
+
+      this.blipContainer.addChild(group);
+    }
+  }
+
+  /* ---------------------------------------- */
+  /*  Last-Known-Position Ghosts              */
+  /* ---------------------------------------- */
+
+  /**
+   * Get the ghosts this viewer may see: the GM sees all, players those of
+   * their team and its allies.
+   * @returns {object[]}
+   * @private
+   */
+  _getViewerGhosts() {
+    const ghosts = canvas.scene?.getFlag("star-mercs", LAST_KNOWN_FLAG) ?? [];
+    if (!ghosts.length) return [];
+    const isGM = game.user.isGM;
+    const myTeam = getFogTeam();
+    if (!isGM && !myTeam) return [];
+    return ghosts.filter(g => isGhostActive(g) && (isGM || isFriendly(g.team, myTeam)));
+  }
+
+  /**
+   * Draw a ghost for each lost contact, fading with its age.
+   * @private
+   */
+  _drawGhosts() {
+    const maxAge = game.settings.get("star-mercs", "lastKnownPositionRounds");
+    const { GHOST_ALPHA_MAX, GHOST_ALPHA_MIN } = DetectionLayer;
+
+    for (const ghost of this._getViewerGhosts()) {
+      const center = hexCenterFromKey(ghost.hexKey);
+      if (!center) continue;
+
+      const group = new PIXI.Container();
+      group.position.set(center.x, center.y);
+      group.alpha = GHOST_ALPHA_MAX - (GHOST_ALPHA_MAX - GHOST_ALPHA_MIN) * (getGhostAge(ghost) / maxAge);
+
+      const bg = new PIXI.Graphics();
+      bg.beginFill(0x000000, 0.4);
+      bg.lineStyle(2, DetectionLayer.GHOST_COLOR, 1);
+      bg.drawCircle(0, 0, DetectionLayer.GHOST_RADIUS);
+      bg.endFill();
+      group.addChild(bg);
+
+      const markerConfig = CONFIG.STARMERCS.tacticalMarkerTypes[ghost.unitType];
+      const icon = new PIXI.Text(markerConfig?.icon ?? "?", {
+        fontFamily: "Signika",
+        fontSize: DetectionLayer.GHOST_FONT_SIZE,
+        fill: DetectionLayer.GHOST_COLOR,
+        stroke: 0x000000,
+        strokeThickness: 2,
+        fontWeight: "bold",
+        align: "center"
+      });
+      icon.anchor.set(0.5, 0.5);
+      group.addChild(icon);
+
+      let label = `Last seen R:${ghost.round}`;
+      if (game.user.isGM) label += ` (${getFactionLabel(ghost.team)})`;
+      const labelText = new PIXI.Text(label, {
+        fontFamily: "Signika",
+        fontSize: DetectionLayer.GHOST_LABEL_FONT_SIZE,
+        fill: 0xFFFFFF,
+        stroke: 0x000000,
+        strokeThickness: 2,
+        align: "center"
+      });
+      labelText.anchor.set(0.5, 0);
+      labelText.position.set(0, DetectionLayer.GHOST_LABEL_OFFSET_Y);
+      group.addChild(labelText);
+
+      this.ghostContainer.addChild(group);
+    }
+  }
+
+  /**
+   * Register canvas.stage right-click handler. Called after the layer is added to canvas.
+   */
+  activateListeners() {
+    canvas.stage.on("rightdown", this._onCanvasRightDown);
+  }
+
+  /**
+   * Handle right-click on canvas.stage — check if any visible ghost was hit.
+   * @param {FederatedPointerEvent} event
+   * @private
+   */
+  _handleCanvasRightDown(event) {
+    const pos = event.getLocalPosition?.(canvas.stage)
+      ?? event.data?.getLocalPosition(canvas.stage)
+      ?? canvas.stage.toLocal(event.global);
+    if (!pos) return;
+
+    const hitRadius = DetectionLayer.HIT_RADIUS;
+    for (const ghost of this._getViewerGhosts()) {
+      const center = hexCenterFromKey(ghost.hexKey);
+      if (!center) continue;
+
+      const dx = pos.x - center.x;
+      const dy = pos.y - center.y;
+      if (dx * dx + dy * dy <= hitRadius * hitRadius) {
+        this._suppressContextMenu = true;
+        this._showGhostDialog(ghost, center);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Offer to convert a ghost into a "spotted" tactical marker or dismiss it.
+   * @param {object} ghost - The ghost data object.
+   * @param {{x: number, y: number}} center - The ghost's hex center.
+   * @private
+   */
+  _showGhostDialog(ghost, center) {
+    const markerConfig = CONFIG.STARMERCS.tacticalMarkerTypes[ghost.unitType];
+    const label = markerConfig?.label ?? "Unknown Unit";
+
+    new Dialog({
+      title: "Lost Contact",
+      content: `<p>${esc(label)} last seen here in round ${ghost.round}.</p>
+        <p>Convert it into a tactical marker for ${esc(getFactionLabel(ghost.team))}?</p>`,
+      buttons: {
+        convert: {
+          icon: '<i class="fas fa-map-marker-alt"></i>',
+          label: "Convert to Marker",
+          callback: async () => {
+            await TacticalMarkerLayer.createMarker({
+              x: center.x,
+              y: center.y,
+              type: markerConfig ? ghost.unitType : "spotted-unknown",
+              team: ghost.team,
+              serialNumber: "",
+              text: "",
+              createdBy: game.user.id
+            });
+            await removeLastKnownPosition(ghost.id);
+          }
+        },
+        dismiss: {
+          icon: '<i class="fas fa-trash"></i>',
+          label: "Dismiss",
+          callback: async () => {
+            await removeLastKnownPosition(ghost.id);
+          }
+        }
+      },
+      default: "convert"
+    }).render(true);
+  }
+
   /* ---------------------------------------- */
   /*  Detection Range Ring                    */
   /* ---------------------------------------- */
@@ -127,7 +370,7 @@ export default class DetectionLayer extends PIXI.Container {
     const token = controlled[0];
     if (!token?.actor || token.actor.type !== "unit") return;
 
-    const sensors = token.actor.system.sensors ?? 0;
+    const sensors = detection.getEffectiveSensors(token.actor);
     const targetSig = game.settings.get("star-mercs", "detectionRingTargetSig") ?? 2;
     const detRange = sensors + targetSig;
     if (detRange <= 0) return;
@@ -245,4 +488,14 @@ export default class DetectionLayer extends PIXI.Container {
       g.endFill();
     }
   }
+
+  /**
+   * Clean up event listeners before destroying the layer.
+   * @param {object} [options] - PIXI destroy options.
+   */
+  destroy(options) {
+    document.removeEventListener("contextmenu", this._contextMenuHandler, true);
+    canvas?.stage?.off("rightdown", this._onCanvasRightDown);
+    super.destroy(options);
+  }
 }
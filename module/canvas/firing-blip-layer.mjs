@@ -1,9 +1,12 @@
+import { getFactionLabel, isFriendly } from "../factions.mjs";
+import { hexCenterFromKey } from "../hex-utils.mjs";
+
 /**
  * PIXI.Container that renders hex-anchored firing blips on the canvas.
  *
  * When a completely hidden unit fires, a red "!" blip appears at that hex,
- * visible only to the opposing team. Blips show the round they were created
- * and can be clicked to dismiss by the team that sees them.
+ * visible only to the opposing team and its allies. Blips show the round they
+ * were created and can be clicked to dismiss by the team that sees them.
  *
  * Data stored in scene flag `star-mercs.firingBlips` as an array of:
  *   { id, hexKey, createdRound, visibleTo }
@@ -72,13 +75,11 @@ export default class FiringBlipLayer extends PIXI.Container {
     if (!isGM && !myTeam) return;
 
     for (const blip of blips) {
-      // Filter: players only see blips for their team; GM sees all
-      if (!isGM && blip.visibleTo !== myTeam) continue;
+      // Filter: players only see blips for their team and its allies; GM sees all
+      if (!isGM && !isFriendly(blip.visibleTo, myTeam)) continue;
 
-      const parts = blip.hexKey?.split(",") ?? [];
-      if (parts.length !== 2) continue;
-      const center = { x: parseFloat(parts[0]), y: parseFloat(parts[1]) };
-      if (isNaN(center.x) || isNaN(center.y)) continue;
+      const center = hexCenterFromKey(blip.hexKey);
+      if (!center) continue;
 
       this._drawSingleBlip(center, blip, isGM);
     }
@@ -169,7 +170,7 @@ export default class FiringBlipLayer extends PIXI.Container {
 
   /**
    * Get the current viewer's team key.
-   * @returns {string|null} Team key ("a" or "b") or null for spectators.
+   * @returns {string|null} Faction key, or null for spectators.
    * @private
    */
   _getViewerTeam() {
@@ -215,7 +216,7 @@ export default class FiringBlipLayer extends PIXI.Container {
     // Round number text below
     let roundLabel = `R:${blip.createdRound}`;
     if (isGM) {
-      roundLabel += ` (${blip.visibleTo.toUpperCase()})`;
+      roundLabel += ` (${getFactionLabel(blip.visibleTo)})`;
     }
     const roundText = new PIXI.Text(roundLabel, {
       fontFamily: "Signika",
@@ -273,13 +274,11 @@ export default class FiringBlipLayer extends PIXI.Container {
 
     for (const blip of blips) {
       // Skip blips not visible to this viewer
-      if (!isGM && blip.visibleTo !== myTeam) continue;
+      if (!isGM && !isFriendly(blip.visibleTo, myTeam)) continue;
 
       // Parse hex center from key
-      const parts = blip.hexKey?.split(",") ?? [];
-      if (parts.length !== 2) continue;
-      const center = { x: parseFloat(parts[0]), y: parseFloat(parts[1]) };
-      if (isNaN(center.x) || isNaN(center.y)) continue;
+      const center = hexCenterFromKey(blip.hexKey);
+      if (!center) continue;
 
       const dx = pos.x - center.x;
       const dy = pos.y - center.y;
@@ -1,5 +1,5 @@
 import { snapToHexCenter, hexKey, computeHexPath, calculatePathCost,
-  getMovementCost, getHexElevation } from "../hex-utils.mjs";
+  computeReachableHexes, getMovementCost, getHexElevation, getZoneOfControl } from "../hex-utils.mjs";
 
 /**
  * PIXI.Container that renders movement path previews on the hex grid.
@@ -10,6 +10,10 @@ import { snapToHexCenter, hexKey, computeHexPath, calculatePathCost,
  *   Green  — destination hex
  *   Yellow — viable intermediate hexes
  *   Red    — blocked hexes (impassable terrain, elevation too steep, etc.)
+ *   Orange outline — enemy zone of control (when the optional rule is on)
+ *
+ * During the Orders phase it also shades every hex the selected unit can reach
+ * this turn (see drawReachable), beneath the path preview.
  *
  * Added to canvas.interface during canvasReady hook.
  */
@@ -18,6 +22,14 @@ export default class MovementPathLayer extends PIXI.Container {
   constructor() {
     super();
 
+    /** @type {PIXI.Graphics} */
+    this.reachGraphics = new PIXI.Graphics();
+    this.addChild(this.reachGraphics);
+
+    /** @type {PIXI.Container} */
+    this.reachLabels = new PIXI.Container();
+    this.addChild(this.reachLabels);
+
     /** @type {PIXI.Graphics} */
     this.pathGraphics = new PIXI.Graphics();
     this.addChild(this.pathGraphics);
@@ -35,6 +47,9 @@ export default class MovementPathLayer extends PIXI.Container {
   static COLOR_BLOCKED = 0xFF3333;     // Red
   static COLOR_DESTINATION = 0x33FF33; // Green
   static COLOR_HOVER = 0x66CCFF;       // Light blue (hovered hex)
+  static COLOR_REACHABLE = 0x3399FF;   // Blue, stronger with more MP left
+  static COLOR_FUEL_LIMITED = 0xFF9933; // Orange (MP allows it, fuel does not)
+  static COLOR_ZOC = 0xFF6600;         // Dark orange (enemy zone of control)
   static HEX_FILL_ALPHA = 0.3;
   static HEX_BORDER_ALPHA = 0.6;
   static HEX_BORDER_WIDTH = 2;
@@ -43,12 +58,85 @@ export default class MovementPathLayer extends PIXI.Container {
   /*  Public API                              */
   /* ---------------------------------------- */
 
-  /** Clear all path visuals. */
+  /** Clear all path visuals. The reachable-hex overlay is cleared separately. */
   clear() {
     this.pathGraphics.clear();
     this.labelContainer.removeChildren();
   }
 
+  /** Clear the reachable-hex overlay. */
+  clearReachable() {
+    this.reachGraphics.clear();
+    this.reachLabels.removeChildren().forEach(c => c.destroy());
+  }
+
+  /**
+   * Movement points a unit has left this turn, and how many of them its fuel can pay for.
+   * @param {Token} token
+   * @returns {{mpRemaining: number, fuelMP: number}} fuelMP is Infinity if movement costs no fuel.
+   */
+  static getMovementAllowance(token) {
+    const actor = token.actor;
+    const orderConfig = CONFIG.STARMERCS.orders?.[actor.system.currentOrder];
+    let maxMP = actor.system.movement ?? 0;
+    if (orderConfig?.speedMultiplier) maxMP *= orderConfig.speedMultiplier;
+    const mpUsed = token.document?.getFlag("star-mercs", "movementUsed") ?? 0;
+
+    // Consumable is spent per MP in Consolidation, so MP already used this turn is still owed
+    const consumableType = actor.system.movementConsumable ?? "fuel";
+    const fuelPerMP = actor.system.fuelPerMP ?? 0;
+    let fuelMP = Infinity;
+    if (consumableType !== "none" && fuelPerMP > 0) {
+      const available = actor.system.supply?.[consumableType]?.current ?? 0;
+      fuelMP = Math.floor(available / fuelPerMP) - mpUsed;
+    }
+
+    return { mpRemaining: maxMP - mpUsed, fuelMP };
+  }
+
+  /**
+   * Shade every hex the single controlled unit can move to this turn.
+   * Drawn during the Orders phase for units whose order allows movement.
+   * Hexes are shaded stronger the more MP would be left on arrival and
+   * labelled with that remainder; hexes within the MP allowance that the
+   * unit's fuel cannot pay for are drawn orange instead.
+   */
+  drawReachable() {
+    this.clearReachable();
+
+    const combat = game.combat;
+    if (!combat?.started || combat.phase !== "orders") return;
+    const controlled = canvas.tokens?.controlled ?? [];
+    if (controlled.length !== 1) return;
+    const token = controlled[0];
+    const actor = token.actor;
+    if (actor?.type !== "unit" || !actor.isOwner) return;
+    if (!CONFIG.STARMERCS.orders?.[actor.system.currentOrder]?.allowsMovement) return;
+    if (actor.hasTrait("Deploy") && ["deployed", "deploying"].includes(actor.deployState)) return;
+
+    const shape = canvas.grid.getShape();
+    if (!shape || shape.length < 3) return;
+    const shapeCX = shape.reduce((sum, p) => sum + p.x, 0) / shape.length;
+    const shapeCY = shape.reduce((sum, p) => sum + p.y, 0) / shape.length;
+
+    const { mpRemaining, fuelMP } = MovementPathLayer.getMovementAllowance(token);
+    const reachable = computeReachableHexes(token, mpRemaining);
+
+    for (const { center, cost, occupied } of reachable.values()) {
+      if (occupied) continue;
+      const left = mpRemaining - cost;
+      const fuelLimited = cost > fuelMP;
+      const topLeft = { x: center.x - shapeCX, y: center.y - shapeCY };
+      if (fuelLimited) {
+        this._drawReachHex(topLeft, shape, MovementPathLayer.COLOR_FUEL_LIMITED, 0.2);
+        this._drawReachLabel(center, "Fuel", MovementPathLayer.COLOR_FUEL_LIMITED);
+      } else {
+        this._drawReachHex(topLeft, shape, MovementPathLayer.COLOR_REACHABLE, 0.08 + 0.27 * (left / mpRemaining));
+        this._drawReachLabel(center, `${left}`, 0xFFFFFF);
+      }
+    }
+  }
+
   /**
    * Draw the movement path preview for a set of waypoints.
    *
@@ -78,7 +166,7 @@ export default class MovementPathLayer extends PIXI.Container {
 
     for (const wp of allWaypoints) {
       segmentBoundaries.push(fullPath.length);
-      const segment = computeHexPath(startCenter, wp);
+      const segment = computeHexPath(startCenter, wp, { token });
       fullPath.push(...segment);
       if (segment.length > 0) {
         startCenter = segment[segment.length - 1];
@@ -88,53 +176,53 @@ export default class MovementPathLayer extends PIXI.Container {
     if (fullPath.length === 0) return;
 
     // Calculate cost and passability for each hex
-    const isFlying = actor.hasTrait?.("Flying") ?? false;
-    const isHover = actor.hasTrait?.("Hover") ?? false;
+    const isUnitAirborne = (actor.hasTrait?.("Flying") ?? false) && !actor.getFlag("star-mercs", "landed");
+    const maxElevChange = (actor.hasTrait?.("Jump Capable") ?? false) ? 2 : 1;
+    const zoc = getZoneOfControl(token);
     let runningCost = 0;
     let blocked = false;
     let prevCenter = snapToHexCenter(token.center);
-    const hexStates = []; // {center, cost, passable, reason, runningCost}
+    const hexStates = []; // {center, cost, passable, reason, runningCost, inZoc}
 
     for (let i = 0; i < fullPath.length; i++) {
       const hex = fullPath[i];
+      const inZoc = zoc.hexes.has(hexKey(hex));
 
       if (blocked) {
-        hexStates.push({ center: hex, cost: 0, passable: false, reason: "Path blocked earlier", runningCost });
+        hexStates.push({ center: hex, cost: 0, passable: false, reason: "Path blocked earlier", runningCost, inZoc });
         prevCenter = hex;
         continue;
       }
 
-      // Check elevation restriction
-      if (!isFlying && !isHover) {
+      // Check elevation restriction (same rule as calculatePathCost)
+      if (!isUnitAirborne) {
         const prevElev = getHexElevation(prevCenter);
         const nextElev = getHexElevation(hex);
-        if (Math.abs(nextElev - prevElev) > 1) {
+        if (Math.abs(nextElev - prevElev) > maxElevChange) {
           blocked = true;
-          hexStates.push({ center: hex, cost: 0, passable: false, reason: "Elevation too steep", runningCost });
+          hexStates.push({ center: hex, cost: 0, passable: false, reason: "Elevation too steep", runningCost, inZoc });
           prevCenter = hex;
           continue;
         }
       }
 
-      const { cost, passable, reason } = getMovementCost(hex, actor);
+      const { cost: terrainCost, passable, reason } = getMovementCost(hex, actor, prevCenter);
       if (!passable) {
         blocked = true;
-        hexStates.push({ center: hex, cost: 0, passable: false, reason, runningCost });
+        hexStates.push({ center: hex, cost: 0, passable: false, reason, runningCost, inZoc });
       } else {
+        // Same zone of control rules as calculatePathCost / validatePath
+        const cost = zoc.rule === "exit" && zoc.hexes.has(hexKey(prevCenter)) ? terrainCost + zoc.exitCost : terrainCost;
         runningCost += cost;
-        hexStates.push({ center: hex, cost, passable: true, reason: null, runningCost });
+        hexStates.push({ center: hex, cost, passable: true, reason: null, runningCost, inZoc });
+        if (zoc.rule === "stop" && inZoc) blocked = true;
       }
 
       prevCenter = hex;
     }
 
     // Determine available MP
-    const orderKey = actor.system.currentOrder;
-    const orderConfig = CONFIG.STARMERCS.orders?.[orderKey];
-    let maxMP = actor.system.movement ?? 0;
-    if (orderConfig?.speedMultiplier) maxMP *= orderConfig.speedMultiplier;
-    const mpUsed = token.document?.getFlag("star-mercs", "movementUsed") ?? 0;
-    const mpRemaining = maxMP - mpUsed;
+    const { mpRemaining } = MovementPathLayer.getMovementAllowance(token);
 
     // Build set of waypoint keys (for coloring destinations green)
     const waypointKeys = new Set(allWaypoints.map(wp => hexKey(snapToHexCenter(wp))));
@@ -159,6 +247,7 @@ export default class MovementPathLayer extends PIXI.Container {
       }
 
       this._drawHex(topLeft, shape, color);
+      if (state.inZoc) this._drawZocOutline(topLeft, shape);
     }
 
     // Draw total MP cost label at the last hex
@@ -167,7 +256,8 @@ export default class MovementPathLayer extends PIXI.Container {
       const totalCost = lastState.runningCost;
       const overBudget = totalCost > mpRemaining;
       const labelColor = overBudget ? 0xFF3333 : 0x33FF33;
-      const labelText = `${totalCost} MP`;
+      const stoppedByZoc = zoc.rule === "stop" && hexStates.some((s, i) => s.inZoc && i < hexStates.length - 1);
+      const labelText = stoppedByZoc ? `${totalCost} MP — ZOC` : `${totalCost} MP`;
       this._drawCostLabel(lastState.center, labelText, labelColor);
     }
   }
@@ -192,6 +282,57 @@ export default class MovementPathLayer extends PIXI.Container {
     g.endFill();
   }
 
+  /**
+   * Draw an inset outline marking an enemy zone of control hex on the path.
+   * @private
+   */
+  _drawZocOutline(topLeft, shape) {
+    const g = this.pathGraphics;
+    const cx = shape.reduce((sum, p) => sum + p.x, 0) / shape.length;
+    const cy = shape.reduce((sum, p) => sum + p.y, 0) / shape.length;
+    const inset = shape.map(p => ({ x: cx + (p.x - cx) * 0.8, y: cy + (p.y - cy) * 0.8 }));
+    g.lineStyle(2, MovementPathLayer.COLOR_ZOC, 0.9);
+    g.moveTo(topLeft.x + inset[0].x, topLeft.y + inset[0].y);
+    for (let i = 1; i < inset.length; i++) {
+      g.lineTo(topLeft.x + inset[i].x, topLeft.y + inset[i].y);
+    }
+    g.closePath();
+  }
+
+  /**
+   * Draw a reachable-hex fill with a faint border.
+   * @private
+   */
+  _drawReachHex(topLeft, shape, color, alpha) {
+    const g = this.reachGraphics;
+    g.lineStyle(1, color, 0.4);
+    g.beginFill(color, alpha);
+    g.moveTo(topLeft.x + shape[0].x, topLeft.y + shape[0].y);
+    for (let i = 1; i < shape.length; i++) {
+      g.lineTo(topLeft.x + shape[i].x, topLeft.y + shape[i].y);
+    }
+    g.closePath();
+    g.endFill();
+  }
+
+  /**
+   * Draw a small remaining-MP label at a hex center.
+   * @private
+   */
+  _drawReachLabel(center, text, color) {
+    const label = new PIXI.Text(text, {
+      fontFamily: "Signika",
+      fontSize: 11,
+      fill: color,
+      stroke: 0x000000,
+      strokeThickness: 2,
+      align: "center"
+    });
+    label.anchor.set(0.5, 0.5);
+    label.position.set(center.x, center.y);
+    this.reachLabels.addChild(label);
+  }
+
   /**
    * Draw a cost label at a hex center.
    * @private
@@ -1,12 +1,17 @@
-import { snapToHexCenter, hexKey, getStructureAtHex } from "../hex-utils.mjs";
+import { snapToHexCenter, hexKey, getStructureAtHex, getStructureCenter, getHexDistanceBetween,
+  isStructureVisibleTo } from "../hex-utils.mjs";
 import { esc } from "../helpers.mjs";
+import { getFactionColorNumber, getFactionLabel, isFriendly } from "../factions.mjs";
+import { HOOKS } from "../hooks.mjs";
+import { unitNameHtml } from "../fog-of-war.mjs";
 
 /**
  * PIXI.Container that renders constructable structures on the canvas.
  *
  * Structures are stored in scene flag `star-mercs.structures` as an array.
  * Visibility rules:
- *   - Minefields with hidden=true and revealed=false: owning team + GM only
+ *   - Hidden structures (minefields): owning team, its allies, teams the
+ *     minefield has been revealed to (revealedTo) + GM only
  *   - All other structures: visible to all
  *
  * Added to canvas.interface during the canvasReady hook.
@@ -50,13 +55,6 @@ export default class StructureLayer extends PIXI.Container {
   static HEALTH_BAR_OFFSET_Y = 26;
   static HIT_RADIUS = 20;
 
-  /** Team color map */
-  static TEAM_COLORS = {
-    a: 0x3399FF,
-    b: 0xFF3333,
-    none: 0x999999
-  };
-
   /* ---------------------------------------- */
   /*  Public API                              */
   /* ---------------------------------------- */
@@ -74,10 +72,8 @@ export default class StructureLayer extends PIXI.Container {
     const myTeam = this._getViewerTeam();
 
     for (const structure of structures) {
-      // Hidden minefields: only visible to owning team + GM
-      if (structure.type === "minefield" && !structure.revealed) {
-        if (!isGM && structure.team !== myTeam) continue;
-      }
+      // Hidden minefields: only visible to owning team, teams that found them + GM
+      if (!isGM && !isStructureVisibleTo(structure, myTeam)) continue;
       this._drawSingleStructure(structure, isGM);
     }
   }
@@ -188,10 +184,11 @@ export default class StructureLayer extends PIXI.Container {
     if (!config) return;
 
     const group = new PIXI.Container();
-    group.position.set(structure.x, structure.y);
+    const center = getStructureCenter(structure);
+    group.position.set(center.x, center.y);
 
     const isComplete = structure.turnsBuilt >= structure.turnsRequired;
-    const teamColor = StructureLayer.TEAM_COLORS[structure.team] ?? 0xCCCCCC;
+    const teamColor = getFactionColorNumber(structure.team);
     const alpha = isComplete ? StructureLayer.BG_ALPHA : 0.4;
 
     // Background circle
@@ -257,7 +254,7 @@ export default class StructureLayer extends PIXI.Container {
     }
 
     // Team indicator — visible to all users
-    const teamStr = structure.team === "none" ? "Neutral" : `Team ${(structure.team ?? "none").toUpperCase()}`;
+    const teamStr = getFactionLabel(structure.team);
     const teamLabel = new PIXI.Text(teamStr, {
       fontFamily: "Signika",
       fontSize: 10,
@@ -342,13 +339,12 @@ export default class StructureLayer extends PIXI.Container {
     const hitRadius = StructureLayer.HIT_RADIUS;
 
     for (const structure of structures) {
-      // Hidden minefields only clickable by owning team / GM
-      if (structure.type === "minefield" && !structure.revealed) {
-        if (!isGM && structure.team !== myTeam) continue;
-      }
+      // Hidden minefields only clickable by teams that can see them / GM
+      if (!isGM && !isStructureVisibleTo(structure, myTeam)) continue;
 
-      const dx = pos.x - structure.x;
-      const dy = pos.y - structure.y;
+      const center = getStructureCenter(structure);
+      const dx = pos.x - center.x;
+      const dy = pos.y - center.y;
       if (dx * dx + dy * dy <= hitRadius * hitRadius) {
         this._suppressContextMenu = true;
         this._showStructureContextMenu(structure, pos);
@@ -371,8 +367,9 @@ export default class StructureLayer extends PIXI.Container {
     const isComplete = structure.turnsBuilt >= structure.turnsRequired;
     const isGM = game.user.isGM;
     const myTeam = this._getViewerTeam();
-    const isEnemy = structure.team !== myTeam;
-    const isFriendly = !isEnemy && myTeam;
+    const isOwner = !!myTeam && structure.team === myTeam;
+    const isAlly = !!myTeam && isFriendly(structure.team, myTeam);
+    const isEnemy = !isAlly;
 
     // Build info HTML
     let statusText = isComplete ? "Complete" : `Under Construction (${structure.turnsBuilt}/${structure.turnsRequired})`;
@@ -384,7 +381,7 @@ export default class StructureLayer extends PIXI.Container {
 
     const content = `<div class="star-mercs sm-dialog structure-inspect">
       <h3>${esc(displayName)}</h3>
-      <p><strong>Team:</strong> ${structure.team === "none" ? "Neutral" : "Team " + (structure.team ?? "none").toUpperCase()}</p>
+      <p><strong>Team:</strong> ${esc(getFactionLabel(structure.team))}</p>
       <p><strong>Status:</strong> ${statusText}</p>
       <p><strong>${healthText}</strong></p>
       <p><em>${esc(config.description)}</em></p>
@@ -408,7 +405,7 @@ export default class StructureLayer extends PIXI.Container {
     }
 
     // Rename button — GM or owning-team player
-    if (isGM || isFriendly) {
+    if (isGM || isOwner) {
       buttons.rename = {
         icon: '<i class="fas fa-pen"></i>',
         label: "Rename",
@@ -459,7 +456,7 @@ export default class StructureLayer extends PIXI.Container {
     }
 
     // Outpost/HQ supply buttons — completed friendly outposts and headquarters
-    if ((structure.type === "outpost" || structure.type === "headquarters") && isComplete && (isGM || isFriendly)) {
+    if ((structure.type === "outpost" || structure.type === "headquarters") && isComplete && (isGM || isAlly)) {
       const autoLabel = structure.autoSupply === false ? "Enable Auto-Supply" : "Disable Auto-Supply";
       buttons.toggleSupply = {
         icon: '<i class="fas fa-toggle-on"></i>',
@@ -571,6 +568,8 @@ export default class StructureLayer extends PIXI.Container {
       </div>` : ""}
     </form></div>`;
 
+    const wasComplete = structure.turnsBuilt >= structure.turnsRequired;
+
     new Dialog({
       title: `Edit — ${structure.name ?? config.label}`,
       content,
@@ -578,19 +577,20 @@ export default class StructureLayer extends PIXI.Container {
         autocomplete: {
           icon: '<i class="fas fa-fast-forward"></i>',
           label: "Auto-Complete",
-          callback: () => {
+          callback: async () => {
             const changes = {
               turnsBuilt: structure.turnsRequired,
               builderId: null
             };
-            StructureLayer.updateStructure(structure.id, changes);
+            await StructureLayer.updateStructure(structure.id, changes);
+            if (!wasComplete) Hooks.callAll(HOOKS.structureBuilt, { ...structure, ...changes }, null);
             ui.notifications.info("Structure auto-completed.");
           }
         },
         save: {
           icon: '<i class="fas fa-check"></i>',
           label: "Save",
-          callback: (html) => {
+          callback: async (html) => {
             const el = html instanceof HTMLElement ? html : html[0] ?? html;
             const changes = {};
             const nameVal = el.querySelector('[name="name"]').value.trim();
@@ -632,7 +632,10 @@ export default class StructureLayer extends PIXI.Container {
               }
             }
 
-            StructureLayer.updateStructure(structure.id, changes);
+            await StructureLayer.updateStructure(structure.id, changes);
+            if (!wasComplete && newTurns >= structure.turnsRequired) {
+              Hooks.callAll(HOOKS.structureBuilt, { ...structure, ...changes }, null);
+            }
             ui.notifications.info("Structure properties updated.");
           }
         },
@@ -655,7 +658,7 @@ export default class StructureLayer extends PIXI.Container {
       projectile: "Projectile", ordnance: "Ordnance", energy: "Energy",
       fuel: "Fuel", materials: "Materials", parts: "Parts", basicSupplies: "Basic Supplies"
     };
-    const gridSize = canvas.grid.size || 100;
+    const structCenter = getStructureCenter(structure);
     const range = structure.supplyRange ?? 3;
 
     // Find friendly units within outpost supply range
@@ -663,11 +666,8 @@ export default class StructureLayer extends PIXI.Container {
     const nearbyUnits = [];
     for (const token of canvas.tokens.placeables) {
       if (!token.actor || token.actor.type !== "unit") continue;
-      if ((token.actor.system.team ?? "a") !== myTeam) continue;
-      const tc = snapToHexCenter(token.center);
-      const dx = tc.x - structure.x;
-      const dy = tc.y - structure.y;
-      const dist = Math.round(Math.sqrt(dx * dx + dy * dy) / gridSize);
+      if (!isFriendly(token.actor.system.team ?? "a", myTeam)) continue;
+      const dist = getHexDistanceBetween(token.center, structCenter);
       if (dist <= range) {
         nearbyUnits.push({ tokenId: token.id, name: token.name, actor: token.actor, distance: dist });
       }
@@ -827,8 +827,7 @@ export default class StructureLayer extends PIXI.Container {
     const results = [];
     const isGM = game.user.isGM;
     const myTeam = this._getViewerTeam();
-    const structPos = { x: structure.x, y: structure.y };
-    const gridSize = canvas.grid.size || 100;
+    const structPos = getStructureCenter(structure);
 
     for (const token of canvas.tokens.placeables) {
       if (!token.actor || token.actor.type !== "unit") continue;
@@ -837,7 +836,7 @@ export default class StructureLayer extends PIXI.Container {
       // Must be player's team (or GM can use any unit)
       const tokenTeam = token.actor.system.team ?? "a";
       if (!isGM && tokenTeam !== myTeam) continue;
-      if (tokenTeam === structure.team) continue; // Can't attack own structures
+      if (isFriendly(tokenTeam, structure.team)) continue; // Can't attack own or allied structures
 
       // Check combat order allows attacks
       if (game.combat?.started) {
@@ -846,10 +845,7 @@ export default class StructureLayer extends PIXI.Container {
         if (orderConfig && !orderConfig.allowsAttack) continue;
       }
 
-      const tokenCenter = snapToHexCenter(token.center);
-      const dx = tokenCenter.x - structPos.x;
-      const dy = tokenCenter.y - structPos.y;
-      const hexDist = Math.round(Math.sqrt(dx * dx + dy * dy) / gridSize);
+      const hexDist = getHexDistanceBetween(token.center, structPos);
 
       // Find weapons in range that haven't fired yet
       const firedWeapons = token.document.getFlag("star-mercs", "firedWeapons") ?? [];
@@ -980,7 +976,7 @@ export default class StructureLayer extends PIXI.Container {
     await ChatMessage.create({
       content: `<div class="star-mercs chat-card structure-attack">
         <div class="summary-header"><i class="fas fa-crosshairs"></i> Structure Attack</div>
-        <div class="status-update"><strong>${esc(token.name)}</strong> fires <strong>${esc(weapon.name)}</strong>
+        <div class="status-update"><strong>${unitNameHtml(token)}</strong> fires <strong>${esc(weapon.name)}</strong>
           at ${esc(sConfig?.label ?? structure.type)}.
           Rolled ${roll.total} → <strong>${totalDamage} damage</strong> dealt.
           ${destroyed
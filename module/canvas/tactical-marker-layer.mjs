@@ -1,4 +1,5 @@
 import { esc } from "../helpers.mjs";
+import { getFactionLabel, isFriendly } from "../factions.mjs";
 
 /**
  * PIXI.Container that renders team-visible tactical markers on the canvas.
@@ -70,8 +71,8 @@ export default class TacticalMarkerLayer extends PIXI.Container {
     if (!isGM && !myTeam) return;
 
     for (const marker of markers) {
-      // Players only see their own team's markers; GM sees all
-      if (!isGM && marker.team !== myTeam) continue;
+      // Players only see their own and allied teams' markers; GM sees all
+      if (!isGM && !isFriendly(marker.team, myTeam)) continue;
       this._drawSingleMarker(marker, isGM);
     }
   }
@@ -148,7 +149,7 @@ export default class TacticalMarkerLayer extends PIXI.Container {
 
   /**
    * Clear all tactical markers for a specific team.
-   * @param {string} team - Team key ("a" or "b")
+   * @param {string} team - Faction key
    * @returns {Promise<void>}
    */
   static async clearTeamMarkers(team) {
@@ -233,7 +234,7 @@ export default class TacticalMarkerLayer extends PIXI.Container {
     // Serial number below
     let serialLabel = marker.serialNumber || "---";
     if (isGM) {
-      serialLabel += ` (${marker.team.toUpperCase()})`;
+      serialLabel += ` (${getFactionLabel(marker.team)})`;
     }
     const serialText = new PIXI.Text(serialLabel, {
       fontFamily: "Signika",
@@ -291,7 +292,7 @@ export default class TacticalMarkerLayer extends PIXI.Container {
 
     for (const marker of markers) {
       // Skip markers not visible to this viewer
-      if (!isGM && marker.team !== myTeam) continue;
+      if (!isGM && !isFriendly(marker.team, myTeam)) continue;
 
       const dx = pos.x - marker.x;
       const dy = pos.y - marker.y;
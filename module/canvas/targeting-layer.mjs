@@ -1,4 +1,7 @@
 import { snapToHexCenter, computeHexPath } from "../hex-utils.mjs";
+import { previewAttack } from "../combat.mjs";
+import { isFriendly } from "../factions.mjs";
+import { getUnitVisibility } from "../fog-of-war.mjs";
 
 /**
  * PIXI.Container that renders targeting arrows on the canvas.
@@ -7,6 +10,8 @@ import { snapToHexCenter, computeHexPath } from "../hex-utils.mjs";
  * Colors are keyed by weapon attackType via CONFIG.STARMERCS.arrowColors:
  *   soft = yellow, hard = red, antiAir = purple
  *
+ * Arrows from units the user owns carry a hit-chance / expected-damage label.
+ *
  * Added to canvas.interface during the canvasReady hook.
  */
 export default class TargetingArrowLayer extends PIXI.Container {
@@ -16,6 +21,9 @@ export default class TargetingArrowLayer extends PIXI.Container {
     /** @type {PIXI.Graphics} */
     this.arrowGraphics = new PIXI.Graphics();
     this.addChild(this.arrowGraphics);
+    /** @type {PIXI.Container} */
+    this.labelContainer = new PIXI.Container();
+    this.addChild(this.labelContainer);
   }
 
   /* ---------------------------------------- */
@@ -29,6 +37,7 @@ export default class TargetingArrowLayer extends PIXI.Container {
   static MULTI_ARROW_OFFSET = 6; // Perpendicular pixel offset for stacked arrows
   static MOVE_ARROW_COLOR = 0x33FF33; // Green for movement destinations
   static MOVE_ARROW_WIDTH = 4;
+  static ODDS_LABEL_POSITION = 0.55; // Fraction of the way from attacker to target
 
   /* ---------------------------------------- */
   /*  Public API                              */
@@ -40,6 +49,7 @@ export default class TargetingArrowLayer extends PIXI.Container {
    */
   drawArrows() {
     this.arrowGraphics.clear();
+    for (const label of this.labelContainer.removeChildren()) label.destroy();
 
     // Bail if the toggle is off
     if (!game.settings.get("star-mercs", "showTargetingArrows")) return;
@@ -51,8 +61,11 @@ export default class TargetingArrowLayer extends PIXI.Container {
     const arrowData = this._collectArrowData();
 
     // Draw each arrow
-    for (const { attackerCenter, targetCenter, color, offset } of arrowData) {
+    for (const { attackerCenter, targetCenter, color, offset, weapon, attacker, target } of arrowData) {
       this._drawArrow(attackerCenter, targetCenter, color, offset);
+      if (attacker.isOwner && target) {
+        this._drawOddsLabel(attackerCenter, targetCenter, color, offset, previewAttack(weapon, attacker, target));
+      }
     }
 
     // Draw movement destination arrows (green) and hex highlights
@@ -85,8 +98,8 @@ export default class TargetingArrowLayer extends PIXI.Container {
   /**
    * Iterate all tokens on the canvas, check their weapons for targetIds,
    * resolve target tokens, and return arrow descriptors.
-   * Non-GM players only see arrows for their own team's units.
-   * @returns {Array<{attackerCenter: {x,y}, targetCenter: {x,y}, color: number, offset: number}>}
+   * Non-GM players only see arrows for their own and allied teams' units.
+   * @returns {Array<{attackerCenter: {x,y}, targetCenter: {x,y}, color: number, offset: number, weapon: Item, attacker: Actor, target: Actor|null}>}
    * @private
    */
   _collectArrowData() {
@@ -98,10 +111,10 @@ export default class TargetingArrowLayer extends PIXI.Container {
       const actor = token.actor;
       if (!actor) continue;
 
-      // Team filter: non-GM players only see their own team's arrows
+      // Team filter: non-GM players only see friendly arrows
       if (myTeam) {
         const tokenTeam = actor.system?.team ?? "a";
-        if (tokenTeam !== myTeam) continue;
+        if (!isFriendly(tokenTeam, myTeam)) continue;
       }
 
       // Group weapons by targetId to compute perpendicular offsets
@@ -119,7 +132,7 @@ export default class TargetingArrowLayer extends PIXI.Container {
 
       for (const [targetId, weapons] of weaponsByTarget) {
         const targetToken = canvas.tokens.get(targetId);
-        if (!targetToken) continue;
+        if (!targetToken || getUnitVisibility(targetToken) === "hidden") continue;
 
         // Compute perpendicular offsets for multiple arrows to same target
         const count = weapons.length;
@@ -135,7 +148,10 @@ export default class TargetingArrowLayer extends PIXI.Container {
             attackerCenter: token.center,
             targetCenter: targetToken.center,
             color,
-            offset
+            offset,
+            weapon,
+            attacker: actor,
+            target: targetToken.actor ?? null
           });
         }
       }
@@ -205,6 +221,38 @@ export default class TargetingArrowLayer extends PIXI.Container {
     g.endFill();
   }
 
+  /**
+   * Draw a "hit% · expected damage" label along a targeting arrow.
+   * @param {{x: number, y: number}} from - Attacker token center
+   * @param {{x: number, y: number}} to - Target token center
+   * @param {number} color - Arrow color
+   * @param {number} offset - Perpendicular pixel offset of the arrow
+   * @param {object} preview - Result of previewAttack()
+   * @private
+   */
+  _drawOddsLabel(from, to, color, offset, preview) {
+    const angle = Math.atan2(to.y - from.y, to.x - from.x);
+    const t = TargetingArrowLayer.ODDS_LABEL_POSITION;
+    const x = from.x + (to.x - from.x) * t - Math.sin(angle) * offset;
+    const y = from.y + (to.y - from.y) * t + Math.cos(angle) * offset;
+
+    const text = preview.valid
+      ? `${Math.round(preview.hitChance * 100)}% · ${preview.expectedDamage.toFixed(1)}`
+      : "\u2716";
+    const label = new PIXI.Text(text, {
+      fontFamily: "Signika",
+      fontSize: 12,
+      fontWeight: "bold",
+      fill: color,
+      stroke: 0x000000,
+      strokeThickness: 3,
+      align: "center"
+    });
+    label.anchor.set(0.5, 0.5);
+    label.position.set(x, y);
+    this.labelContainer.addChild(label);
+  }
+
   /* ---------------------------------------- */
   /*  Movement Destination Arrows             */
   /* ---------------------------------------- */
@@ -212,7 +260,7 @@ export default class TargetingArrowLayer extends PIXI.Container {
   /**
    * Draw green arrows from tokens through their waypoints to their planned movement destinations.
    * Arrows follow the waypoint path segment by segment.
-   * Non-GM players only see arrows for their own team's units.
+   * Non-GM players only see arrows for their own and allied teams' units.
    * @private
    */
   _drawMoveDestinationArrows() {
@@ -224,7 +272,7 @@ export default class TargetingArrowLayer extends PIXI.Container {
       // Team filter
       if (myTeam) {
         const tokenTeam = token.actor?.system?.team ?? "a";
-        if (tokenTeam !== myTeam) continue;
+        if (!isFriendly(tokenTeam, myTeam)) continue;
       }
 
       const dest = token.document.getFlag("star-mercs", "moveDestination");
@@ -279,12 +327,12 @@ export default class TargetingArrowLayer extends PIXI.Container {
       if (waypoints && waypoints.length > 1) {
         let start = snapToHexCenter(token.center);
         for (const wp of waypoints) {
-          const segment = computeHexPath(start, snapToHexCenter(wp));
+          const segment = computeHexPath(start, snapToHexCenter(wp), { token });
           fullPath.push(...segment);
           if (segment.length > 0) start = segment[segment.length - 1];
         }
       } else {
-        fullPath = computeHexPath(snapToHexCenter(token.center), snapToHexCenter(dest));
+        fullPath = computeHexPath(snapToHexCenter(token.center), snapToHexCenter(dest), { token });
       }
 
       // Highlight every hex in the path
@@ -1,4 +1,5 @@
-import { normalizeHexData, getAdjacentHexCenters, hexKey } from "../hex-utils.mjs";
+import { normalizeHexData, normalizeEdgeData, getAdjacentHexCenters, hexKey, hexCenterFromKey,
+  hexKeysFromEdgeKey } from "../hex-utils.mjs";
 
 /**
  * PIXI.Container that renders terrain type overlays on hex cells.
@@ -9,6 +10,8 @@ import { normalizeHexData, getAdjacentHexCenters, hexKey } from "../hex-utils.mj
  * - Dynamic paint overlay (paintGraphics): Only draws hexes changed during the current
  *   drag stroke. No labels — just colored hex fills and road borders.
  * - Preview layer (previewGraphics): Brush hover highlight, independent of both.
+ * - Edge layer (edgeGraphics): Hex-side features (rivers, cliffs, walls) drawn
+ *   along the shared edge of the two hexes, from the scene flag `edgeMap`.
  *
  * Added to canvas.interface during the canvasReady hook.
  */
@@ -21,6 +24,10 @@ export default class TerrainLayer extends PIXI.Container {
     this.terrainGraphics = new PIXI.Graphics();
     this.addChild(this.terrainGraphics);
 
+    /** @type {PIXI.Graphics} — static hex-side edge features */
+    this.edgeGraphics = new PIXI.Graphics();
+    this.addChild(this.edgeGraphics);
+
     /** @type {PIXI.Container} — static terrain labels */
     this.labelContainer = new PIXI.Container();
     this.addChild(this.labelContainer);
@@ -56,6 +63,9 @@ export default class TerrainLayer extends PIXI.Container {
   static BRIDGE_LINE_WIDTH = 3;
   static BRIDGE_LINE_ALPHA = 0.8;
   static ERASE_MASK_ALPHA = 0.6;
+  static EDGE_ALPHA = 0.9;
+  static EDGE_TICK_LENGTH = 6;
+  static EDGE_BRIDGE_WIDTH = 8;
   static LABEL_FONT_SIZE = 10;
   static STAR_PRIMARY_RADIUS = 14;
   static STAR_SECONDARY_RADIUS = 10;
@@ -129,6 +139,7 @@ export default class TerrainLayer extends PIXI.Container {
    */
   drawTerrain() {
     this.terrainGraphics.clear();
+    this.edgeGraphics.clear();
     this.labelContainer.removeChildren();
     this.paintGraphics.clear();
     this.objectiveGraphics.clear();
@@ -139,13 +150,18 @@ export default class TerrainLayer extends PIXI.Container {
     if (!game.settings.get("star-mercs", "showTerrainOverlay")) return;
     if (!canvas?.scene) return;
 
-    const terrainMap = canvas.scene.getFlag("star-mercs", "terrainMap");
-    if (!terrainMap || typeof terrainMap !== "object") return;
-
     const cache = this._ensureShapeCache();
     if (!cache) return;
     const { shape, centerX, centerY, edgeOutwardDirs } = cache;
 
+    const edgeMap = canvas.scene.getFlag("star-mercs", "edgeMap") ?? {};
+    for (const [key, entry] of Object.entries(edgeMap)) {
+      this._drawEdgeFeature(this.edgeGraphics, key, normalizeEdgeData(entry), cache);
+    }
+
+    const terrainMap = canvas.scene.getFlag("star-mercs", "terrainMap");
+    if (!terrainMap || typeof terrainMap !== "object") return;
+
     const terrainConfig = CONFIG.STARMERCS?.terrain ?? {};
     const objectiveConfig = CONFIG.STARMERCS?.objectives ?? {};
 
@@ -175,8 +191,8 @@ export default class TerrainLayer extends PIXI.Container {
       const config = terrainConfig[hexData.type];
       if (!config) continue;
 
-      const [xStr, yStr] = key.split(",");
-      const center = { x: parseFloat(xStr), y: parseFloat(yStr) };
+      const center = hexCenterFromKey(key);
+      if (!center) continue;
       const topLeft = { x: center.x - centerX, y: center.y - centerY };
       const color = config.color ?? 0x888888;
       const elevation = hexData.elevation ?? 0;
@@ -236,8 +252,8 @@ export default class TerrainLayer extends PIXI.Container {
     const g = this.paintGraphics;
 
     for (const key of changedKeys) {
-      const [xStr, yStr] = key.split(",");
-      const center = { x: parseFloat(xStr), y: parseFloat(yStr) };
+      const center = hexCenterFromKey(key);
+      if (!center) continue;
       const topLeft = { x: center.x - centerX, y: center.y - centerY };
 
       const rawEntry = pendingMap[key];
@@ -284,6 +300,47 @@ export default class TerrainLayer extends PIXI.Container {
     }
   }
 
+  /**
+   * Draw only the edges changed during an edge-painting drag.
+   * Erased edges are masked so the static line underneath reads as removed.
+   * @param {Set<string>} changedKeys - Edge keys modified in the current stroke.
+   * @param {object} pendingMap - The full pending edge map.
+   */
+  drawEdgePaintOverlay(changedKeys, pendingMap) {
+    this.paintGraphics.clear();
+    if (!changedKeys || changedKeys.size === 0) return;
+
+    const cache = this._ensureShapeCache();
+    if (!cache) return;
+
+    for (const key of changedKeys) {
+      const entry = pendingMap[key];
+      if (entry) {
+        this._drawEdgeFeature(this.paintGraphics, key, normalizeEdgeData(entry), cache);
+      } else {
+        const edge = this._getSharedEdge(key, cache);
+        if (!edge) continue;
+        this.paintGraphics.lineStyle(TerrainLayer.EDGE_BRIDGE_WIDTH, 0x12122e, TerrainLayer.ERASE_MASK_ALPHA);
+        this.paintGraphics.moveTo(edge.v1.x, edge.v1.y);
+        this.paintGraphics.lineTo(edge.v2.x, edge.v2.y);
+      }
+    }
+  }
+
+  /**
+   * Highlight a single hex side under the cursor.
+   * @param {string} key - Edge key.
+   */
+  drawEdgePreview(key) {
+    this.previewGraphics.clear();
+    const cache = this._ensureShapeCache();
+    const edge = cache ? this._getSharedEdge(key, cache) : null;
+    if (!edge) return;
+    this.previewGraphics.lineStyle(TerrainLayer.EDGE_BRIDGE_WIDTH, 0xFFFF00, 0.7);
+    this.previewGraphics.moveTo(edge.v1.x, edge.v1.y);
+    this.previewGraphics.lineTo(edge.v2.x, edge.v2.y);
+  }
+
   /**
    * Clear the dynamic paint overlay.
    */
@@ -442,8 +499,8 @@ export default class TerrainLayer extends PIXI.Container {
    */
   _drawRoadNetwork(g, roadByKey, shape, centerX, centerY, edgeOutwardDirs) {
     for (const key of roadByKey) {
-      const [xStr, yStr] = key.split(",");
-      const center = { x: parseFloat(xStr), y: parseFloat(yStr) };
+      const center = hexCenterFromKey(key);
+      if (!center) continue;
       this._drawRoadLinesForHex(g, center, shape, centerX, centerY, edgeOutwardDirs, (nKey) => roadByKey.has(nKey));
     }
   }
@@ -462,8 +519,8 @@ export default class TerrainLayer extends PIXI.Container {
    */
   _drawBridgeNetwork(g, bridgeByKey, roadByKey, shape, centerX, centerY, edgeOutwardDirs) {
     for (const key of bridgeByKey) {
-      const [xStr, yStr] = key.split(",");
-      const center = { x: parseFloat(xStr), y: parseFloat(yStr) };
+      const center = hexCenterFromKey(key);
+      if (!center) continue;
       const topLeft = { x: center.x - centerX, y: center.y - centerY };
       const neighbors = getAdjacentHexCenters(center);
 
@@ -572,6 +629,93 @@ export default class TerrainLayer extends PIXI.Container {
     }
   }
 
+  /**
+   * Find the two vertices of the side shared by the hexes of an edge key.
+   * @param {string} key - Edge key ("q1,r1|q2,r2").
+   * @param {{shape: Array, centerX: number, centerY: number, edgeOutwardDirs: Array}} cache
+   * @returns {{v1: {x: number, y: number}, v2: {x: number, y: number}, a: {x: number, y: number}, b: {x: number, y: number}}|null}
+   *   a and b are the two hex centers.
+   * @private
+   */
+  _getSharedEdge(key, cache) {
+    const keys = hexKeysFromEdgeKey(key);
+    const a = keys ? hexCenterFromKey(keys[0]) : null;
+    const b = keys ? hexCenterFromKey(keys[1]) : null;
+    if (!a || !b) return null;
+
+    const { shape, centerX, centerY, edgeOutwardDirs } = cache;
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const len = Math.sqrt(dx * dx + dy * dy);
+    if (len === 0) return null;
+
+    let bestIdx = 0;
+    let bestDot = -Infinity;
+    for (let i = 0; i < shape.length; i++) {
+      const dot = (dx / len) * edgeOutwardDirs[i].x + (dy / len) * edgeOutwardDirs[i].y;
+      if (dot > bestDot) {
+        bestDot = dot;
+        bestIdx = i;
+      }
+    }
+    const next = (bestIdx + 1) % shape.length;
+    return {
+      v1: { x: a.x - centerX + shape[bestIdx].x, y: a.y - centerY + shape[bestIdx].y },
+      v2: { x: a.x - centerX + shape[next].x, y: a.y - centerY + shape[next].y },
+      a,
+      b
+    };
+  }
+
+  /**
+   * Draw one hex-side feature along its shared edge. Cliffs get ticks pointing
+   * to the lower side; bridged edges get a crossing bar.
+   * @param {PIXI.Graphics} g - Target graphics object.
+   * @param {string} key - Edge key.
+   * @param {{type: string|null, bridge: boolean}} data - Normalized edge data.
+   * @param {object} cache - Shape cache from _ensureShapeCache.
+   * @private
+   */
+  _drawEdgeFeature(g, key, data, cache) {
+    const config = CONFIG.STARMERCS?.edgeFeatures?.[data.type];
+    if (!config) return;
+    const edge = this._getSharedEdge(key, cache);
+    if (!edge) return;
+    const { v1, v2, a, b } = edge;
+
+    g.lineStyle(config.width ?? 4, config.color ?? 0x888888, TerrainLayer.EDGE_ALPHA);
+    g.moveTo(v1.x, v1.y);
+    g.lineTo(v2.x, v2.y);
+
+    if (config.highSideCover) {
+      // Ticks toward the lower hex (toward b if level)
+      const terrainMap = canvas.scene?.getFlag("star-mercs", "terrainMap") ?? {};
+      const elevA = normalizeHexData(terrainMap[hexKey(a)]).elevation;
+      const elevB = normalizeHexData(terrainMap[hexKey(b)]).elevation;
+      const low = elevA < elevB ? a : b;
+      const mid = { x: (v1.x + v2.x) / 2, y: (v1.y + v2.y) / 2 };
+      const dx = low.x - mid.x;
+      const dy = low.y - mid.y;
+      const len = Math.sqrt(dx * dx + dy * dy) || 1;
+      const tick = { x: (dx / len) * TerrainLayer.EDGE_TICK_LENGTH, y: (dy / len) * TerrainLayer.EDGE_TICK_LENGTH };
+      g.lineStyle(2, config.color ?? 0x888888, TerrainLayer.EDGE_ALPHA);
+      for (const t of [0.2, 0.5, 0.8]) {
+        const px = v1.x + (v2.x - v1.x) * t;
+        const py = v1.y + (v2.y - v1.y) * t;
+        g.moveTo(px, py);
+        g.lineTo(px + tick.x, py + tick.y);
+      }
+    }
+
+    if (data.bridge) {
+      const mid = { x: (v1.x + v2.x) / 2, y: (v1.y + v2.y) / 2 };
+      const half = { x: (b.x - a.x) * 0.2, y: (b.y - a.y) * 0.2 };
+      g.lineStyle(TerrainLayer.EDGE_BRIDGE_WIDTH, TerrainLayer.BRIDGE_COLOR, TerrainLayer.BRIDGE_LINE_ALPHA);
+      g.moveTo(mid.x - half.x, mid.y - half.y);
+      g.lineTo(mid.x + half.x, mid.y + half.y);
+    }
+  }
+
   /**
    * Draw a dark mask hex to visually cover an erased hex on the static layer.
    * @param {PIXI.Graphics} g - Target graphics object.
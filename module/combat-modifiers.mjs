@@ -0,0 +1,267 @@
+/**
+ * Default combat modifiers for Star Mercs.
+ *
+ * These entries are copied onto CONFIG.STARMERCS.combatModifiers during init.
+ * The combat engine (calculateAccuracy / calculateDamage) walks that list,
+ * so a world script can push, splice, or reorder entries to implement house
+ * rules without touching the core resolution code.
+ *
+ * Entry shape:
+ *   id        — unique key, used to find/remove an entry
+ *   label     — string, or function(ctx) returning a string
+ *   stage     — "accuracy" | "damagePre" | "damagePost" (see CONFIG.STARMERCS.combatModifierStages)
+ *   predicate — optional function(ctx) → boolean; entry is skipped when false
+ *   value     — function(ctx) → number; a result of 0 is skipped
+ *
+ * Accuracy values are added to the to-hit threshold (negative = easier to hit).
+ * Damage values are added to damage (negative = less damage).
+ *
+ * The context passed to predicate/value is:
+ *   { weapon, attacker, target, hitType, attackerToken, targetToken }
+ * target, targetToken and hitType may be null (e.g. untargeted rolls).
+ */
+
+import { getEffectiveElevation, isShoreBombardment } from "./hex-utils.mjs";
+import { getBoard } from "./board-state.mjs";
+import { getTerrainCoverMod, computeUnitDetectionLevel } from "./detection.mjs";
+
+/**
+ * Whether the weapon bypasses Combined Arms (indirect, artillery and aircraft fire).
+ * @param {Item} weapon
+ * @returns {boolean}
+ */
+function ignoresCombinedArms(weapon) {
+  return !!(weapon.system.indirect || weapon.system.artillery || weapon.system.aircraft);
+}
+
+export const COMBAT_MODIFIERS = [
+
+  /* ---------------------------------------- */
+  /*  Accuracy (to-hit threshold)             */
+  /* ---------------------------------------- */
+
+  {
+    id: "accurate",
+    label: "Accurate",
+    stage: "accuracy",
+    value: ctx => -(ctx.weapon.system.accurate ?? 0)
+  },
+  {
+    id: "inaccurate",
+    label: "Inaccurate",
+    stage: "accuracy",
+    value: ctx => ctx.weapon.system.inaccurate ?? 0
+  },
+  {
+    // +1 to accuracy needed if readiness ≤ 70%
+    id: "readiness",
+    label: "Readiness",
+    stage: "accuracy",
+    value: ctx => ctx.attacker.system.readinessPenalty?.accuracy ?? 0
+  },
+  {
+    id: "ewar",
+    label: "EWAR",
+    stage: "accuracy",
+    predicate: ctx => !!ctx.target,
+    value: ctx => ctx.target.system.ewar ?? 0
+  },
+  {
+    id: "disordered",
+    label: "Disordered",
+    stage: "accuracy",
+    predicate: ctx => !!ctx.targetToken?.document?.getFlag("star-mercs", "disordered"),
+    value: () => -1
+  },
+  {
+    id: "standDown",
+    label: "Stand Down",
+    stage: "accuracy",
+    predicate: ctx => ctx.target?.system?.currentOrder === "stand_down",
+    value: () => -2
+  },
+  {
+    // Order penalty (e.g. Maneuver); Hot Disembarked cargo fires under Maneuver rules
+    id: "order",
+    label: "Order",
+    stage: "accuracy",
+    value: ctx => {
+      const penalty = CONFIG.STARMERCS.orders?.[ctx.attacker.system.currentOrder]?.accuracyPenalty ?? 0;
+      if (ctx.attackerToken?.document?.getFlag("star-mercs", "hotDisembarked")) return Math.max(penalty, 1);
+      return penalty;
+    }
+  },
+  {
+    // Transport that hot-disembarked this turn is harder to hit
+    id: "hotDisembarkEvasive",
+    label: "Evasive",
+    stage: "accuracy",
+    predicate: ctx => !!ctx.targetToken?.document?.getFlag("star-mercs", "hotDisembarkEvasive"),
+    value: () => 1
+  },
+  {
+    // Area: easier to hit for Soft and Anti-Air weapons
+    id: "area",
+    label: "Area",
+    stage: "accuracy",
+    predicate: ctx => !!ctx.weapon.system.area && ctx.weapon.system.attackType !== "hard",
+    value: () => -1
+  },
+  {
+    // Uses effective elevation (accounts for flying unit altitude)
+    id: "elevation",
+    label: "Elevation",
+    stage: "accuracy",
+    predicate: ctx => !!(ctx.attackerToken && ctx.targetToken)
+      && getEffectiveElevation(ctx.attackerToken) > getEffectiveElevation(ctx.targetToken),
+    value: () => -1
+  },
+  {
+    // Naval guns firing at land targets
+    id: "shoreBombardment",
+    label: "Shore Bombardment",
+    stage: "accuracy",
+    predicate: ctx => !!ctx.target && isShoreBombardment(ctx.weapon, ctx.attacker, ctx.target),
+    value: () => CONFIG.STARMERCS.naval?.shoreBombardmentPenalty ?? 1
+  },
+  {
+    // Does NOT apply during assault orders (for either attacker or defender)
+    id: "terrainCover",
+    label: "Terrain Cover",
+    stage: "accuracy",
+    predicate: ctx => !!ctx.targetToken
+      && ctx.attacker.system.currentOrder !== "assault"
+      && ctx.target?.system?.currentOrder !== "assault",
+    value: ctx => getTerrainCoverMod(ctx.targetToken, ctx.attackerToken).mod
+  },
+  {
+    // Target designated by an Advanced Recon Equipment unit
+    id: "advRecon",
+    label: "Recon",
+    stage: "accuracy",
+    predicate: ctx => !!ctx.targetToken && getBoard().tokens.some(tok =>
+      tok.actor && tok.actor !== ctx.attacker
+      && tok.document?.getFlag("star-mercs", "advReconTarget") === ctx.targetToken.id),
+    value: () => -1
+  },
+  {
+    // Attacker is completely hidden from the defender (its team, or its comms chain
+    // under the commsDetectionSharing rule)
+    id: "ambush",
+    label: "Ambush",
+    stage: "accuracy",
+    predicate: ctx => !!(ctx.targetToken && ctx.attackerToken)
+      && computeUnitDetectionLevel(ctx.targetToken, ctx.attackerToken) === "hidden",
+    value: () => -2
+  },
+  {
+    id: "combinedArms",
+    label: "Combined Arms",
+    stage: "accuracy",
+    predicate: ctx => !!ctx.target?.hasTrait("Combined Arms") && !ignoresCombinedArms(ctx.weapon),
+    value: () => 1
+  },
+
+  /* ---------------------------------------- */
+  /*  Damage: before Hard vs Infantry halving */
+  /* ---------------------------------------- */
+
+  {
+    id: "criticalHit",
+    label: "Critical Hit",
+    stage: "damagePre",
+    predicate: ctx => ctx.hitType === "critical_hit",
+    value: () => 1
+  },
+  {
+    id: "partialSuccess",
+    label: "Partial Success",
+    stage: "damagePre",
+    predicate: ctx => ctx.hitType === "partial",
+    value: () => -1
+  },
+  {
+    id: "casualtyPenalty",
+    label: "Casualty Penalty",
+    stage: "damagePre",
+    value: ctx => -Math.max(0, ctx.attacker.system.casualtyPenalty ?? 0)
+  },
+  {
+    // readinessPenalty.damage is already negative (readiness ≤ 4)
+    id: "lowReadiness",
+    label: "Low Readiness",
+    stage: "damagePre",
+    value: ctx => ctx.attacker.system.readinessPenalty?.damage ?? 0
+  },
+  {
+    // e.g. Withdraw: -1 damage. Only against a target: untargeted sheet rolls never took it
+    id: "orderDamage",
+    label: ctx => `${CONFIG.STARMERCS.orders?.[ctx.attacker.system.currentOrder]?.label} Penalty`,
+    stage: "damagePre",
+    predicate: ctx => !!ctx.target,
+    value: ctx => -(CONFIG.STARMERCS.orders?.[ctx.attacker.system.currentOrder]?.damagePenalty ?? 0)
+  },
+  {
+    id: "assaultTarget",
+    label: "Assault (+1 damage)",
+    stage: "damagePre",
+    predicate: ctx => ctx.attacker.system.currentOrder === "assault" && !!ctx.targetToken
+      && ctx.attackerToken?.document?.getFlag("star-mercs", "assaultTarget") === ctx.targetToken.id,
+    value: () => 1
+  },
+  {
+    id: "targetAssaulting",
+    label: "Target assaulting (+1 incoming)",
+    stage: "damagePre",
+    predicate: ctx => ctx.target?.system.currentOrder === "assault",
+    value: () => 1
+  },
+  {
+    // Failed withdraw morale
+    id: "targetDisordered",
+    label: "Target disordered (+1)",
+    stage: "damagePre",
+    predicate: ctx => !!ctx.targetToken?.document?.getFlag("star-mercs", "disordered"),
+    value: () => 1
+  },
+  {
+    id: "targetStandDown",
+    label: "Target standing down (+2)",
+    stage: "damagePre",
+    predicate: ctx => ctx.target?.system.currentOrder === "stand_down",
+    value: () => 2
+  },
+
+  /* ---------------------------------------- */
+  /*  Damage: armor and defenses              */
+  /* ---------------------------------------- */
+
+  {
+    id: "targetCombinedArms",
+    label: "Combined Arms",
+    stage: "damagePost",
+    predicate: ctx => !!ctx.target?.hasTrait("Combined Arms") && !ignoresCombinedArms(ctx.weapon),
+    value: () => -1
+  },
+  {
+    id: "armored",
+    label: ctx => `Armored[${ctx.target.getTraitValue("Armored")}]`,
+    stage: "damagePost",
+    predicate: ctx => !!ctx.target,
+    value: ctx => -Math.max(0, ctx.target.getTraitValue("Armored"))
+  },
+  {
+    id: "entrenched",
+    label: "Entrenched",
+    stage: "damagePost",
+    predicate: ctx => !!ctx.target?.hasTrait("Entrenched"),
+    value: () => -1
+  },
+  {
+    id: "fortified",
+    label: "Fortified",
+    stage: "damagePost",
+    predicate: ctx => !!ctx.target?.hasTrait("Fortified"),
+    value: () => -2
+  }
+];
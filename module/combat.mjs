@@ -10,11 +10,21 @@
  * Entrenched: Reduces incoming damage by 1.
  * Fortified: Reduces incoming damage by 2.
  * Heavy: Soft attacks only hit on natural 10.
+ * Naval: ground targets on land must lie within shore bombardment range of the water.
+ * Minefields: soft mines are reduced by Armored[X]; hard mines are halved against unarmored units.
  * APS/ZPS: Defensive weapon types that intercept ordnance-ammo attacks.
+ *
+ * Accuracy and damage modifiers are data-driven: see module/combat-modifiers.mjs
+ * for the defaults registered on CONFIG.STARMERCS.combatModifiers.
+ *
+ * Token lookups go through the active board (board-state.mjs); pass a
+ * BoardState to evaluate an attack against a snapshot instead of the canvas.
  */
 
-import { getHexElevation, snapToHexCenter, getEffectiveElevation } from "./hex-utils.mjs";
-import { getTerrainCoverMod, computeBestDetectionLevel } from "./detection.mjs";
+import { getBoard, withBoard } from "./board-state.mjs";
+import { getHexDistance, getDistanceToWater, isShoreBombardment, snapToHexCenter } from "./hex-utils.mjs";
+import { isFriendly } from "./factions.mjs";
+import { HOOKS } from "./hooks.mjs";
 
 /**
  * Validate whether a weapon can target a specific unit based on attack type
@@ -32,6 +42,11 @@ export function validateAttack(weapon, target, attacker = null) {
     return { valid: false, reason: `${weapon.name} is a defensive system — it cannot target units.`, softVsHeavy: false };
   }
 
+  // Units never fire on their own or an allied faction
+  if (attacker && isFriendly(attacker.system.team ?? "a", target.system.team ?? "a")) {
+    return { valid: false, reason: `${target.name} is friendly — it cannot be targeted.`, softVsHeavy: false };
+  }
+
   // Landed flying units cannot fire weapons
   if (attacker?.hasTrait("Flying") && attacker.getFlag("star-mercs", "landed")) {
     return { valid: false, reason: `${attacker.name} is landed — must take off to fire weapons.`, softVsHeavy: false };
@@ -45,6 +60,15 @@ export function validateAttack(weapon, target, attacker = null) {
     }
   }
 
+  // Naval fire at land reaches only so far inland (carrier aircraft are exempt)
+  if (attacker && isShoreBombardment(weapon, attacker, target)) {
+    const range = CONFIG.STARMERCS.naval?.shoreBombardmentRange ?? 2;
+    const targetToken = getBoard().tokens.find(t => t.actor === target);
+    if (targetToken && getDistanceToWater(snapToHexCenter(targetToken.center), range) > range) {
+      return { valid: false, reason: `${target.name} is more than ${range} hexes inland — beyond shore bombardment range.`, softVsHeavy: false };
+    }
+  }
+
   const isFlying = target.hasTrait("Flying");
   const isHovering = target.hasTrait("Hover");
   const isHeavy = target.hasTrait("Heavy");
@@ -56,7 +80,7 @@ export function validateAttack(weapon, target, attacker = null) {
   }
 
   // Anti-air weapons can only target units with the Flying trait (or Air Assault deployed)
-  const targetTokenDoc = target.getActiveTokens(true)[0]?.document;
+  const targetTokenDoc = getBoard().tokens.find(t => t.actor === target)?.document;
   const isAntiAirVulnerable = targetTokenDoc?.hasStatusEffect("air-assault") ?? false;
   if (attackType === "antiAir" && !isFlying && !isAntiAirVulnerable) {
     return { valid: false, reason: `${weapon.name} (Anti-Air) can only target units with the Flying trait.`, softVsHeavy: false };
@@ -69,133 +93,72 @@ export function validateAttack(weapon, target, attacker = null) {
 }
 
 /**
- * Calculate the effective accuracy threshold for an attack,
- * based on the attacker's unit rating, weapon traits, readiness, and target EWAR.
+ * Build the context object passed to combat modifier predicates and values.
  *
- * Rating thresholds: Green 7+, Trained 6+, Experienced 5+, Veteran 4+, Elite 3+
- * Accurate[X]: reduces threshold by X (easier to hit)
- * Inaccurate[X]: increases threshold by X (harder to hit)
+ * @param {Item} weapon - The weapon being fired.
+ * @param {StarMercsActor} attacker - The attacking unit.
+ * @param {StarMercsActor|null} target - The target unit.
+ * @param {string|null} [hitType=null] - The hit result type (damage stages only).
+ * @returns {{weapon: Item, attacker: StarMercsActor, target: StarMercsActor|null, hitType: string|null, attackerToken: Token|null, targetToken: Token|null}}
+ */
+export function buildModifierContext(weapon, attacker, target, hitType = null) {
+  const tokens = getBoard().tokens;
+  return {
+    weapon,
+    attacker,
+    target: target ?? null,
+    hitType,
+    attackerToken: tokens.find(t => t.actor === attacker) ?? null,
+    targetToken: target ? (tokens.find(t => t.actor === target) ?? null) : null
+  };
+}
+
+/**
+ * Evaluate every registered combat modifier for one stage.
+ * Entries come from CONFIG.STARMERCS.combatModifiers, in list order.
+ *
+ * @param {string} stage - "accuracy" | "damagePre" | "damagePost"
+ * @param {object} ctx - Context from buildModifierContext().
+ * @returns {Array<{id: string, label: string, value: number}>} Only non-zero modifiers.
+ */
+export function collectModifiers(stage, ctx) {
+  const applied = [];
+  for (const entry of CONFIG.STARMERCS.combatModifiers ?? []) {
+    if (entry.stage !== stage) continue;
+    if (entry.predicate && !entry.predicate(ctx)) continue;
+    const value = Number(entry.value?.(ctx) ?? 0);
+    if (!value) continue;
+    const label = typeof entry.label === "function" ? entry.label(ctx) : entry.label;
+    applied.push({ id: entry.id, label: label ?? entry.id, value });
+  }
+  return applied;
+}
+
+/**
+ * Calculate the effective accuracy threshold for an attack.
+ *
+ * Base threshold comes from the attacker's unit rating
+ * (Green 7+, Trained 6+, Experienced 5+, Veteran 4+, Elite 3+);
+ * everything else is an "accuracy" stage entry in CONFIG.STARMERCS.combatModifiers.
+ * Positive modifiers raise the threshold (harder to hit).
  *
  * @param {Item} weapon - The weapon being fired.
  * @param {StarMercsActor} attacker - The attacking unit.
- * @param {StarMercsActor} [target] - The target unit (for EWAR).
- * @returns {{effective: number, base: number, readinessMod: number, ewarMod: number, accurateMod: number, inaccurateMod: number}}
+ * @param {StarMercsActor} [target] - The target unit.
+ * @param {BoardState|null} [board=null] - Board to evaluate against (defaults to the active board).
+ * @returns {{effective: number, base: number, modifiers: Array<{id: string, label: string, value: number}>}}
  */
-export function calculateAccuracy(weapon, attacker, target = null) {
-  // Base accuracy from unit rating
+export function calculateAccuracy(weapon, attacker, target = null, board = null) {
   const ratingData = CONFIG.STARMERCS.ratings?.[attacker.system.rating];
   const base = ratingData?.accuracy ?? 7;
 
-  // Weapon trait modifiers: Accurate reduces threshold, Inaccurate increases it
-  const accurateMod = weapon.system.accurate ?? 0;
-  const inaccurateMod = weapon.system.inaccurate ?? 0;
-
-  // Readiness penalty: +1 to accuracy needed if readiness ≤ 70%
-  const readinessMod = attacker.system.readinessPenalty?.accuracy ?? 0;
-
-  // EWAR: target's EWAR increases the accuracy threshold (harder to hit)
-  const ewarMod = target ? (target.system.ewar ?? 0) : 0;
-
-  // Disordered target: -1 to threshold (easier to hit)
-  let disorderedMod = 0;
-  if (target) {
-    const targetToken = canvas?.tokens?.placeables.find(t => t.actor === target);
-    if (targetToken?.document?.getFlag("star-mercs", "disordered")) {
-      disorderedMod = -1;
-    }
-  }
-
-  // Stand Down target: -2 to threshold (much easier to hit)
-  let standDownMod = 0;
-  if (target?.system?.currentOrder === "stand_down") {
-    standDownMod = -2;
-  }
-
-  // Order accuracy penalty (e.g., Maneuver = +1 to threshold)
-  let orderAccuracyMod = 0;
-  const orderKey = attacker.system.currentOrder;
-  const orderConfig = CONFIG.STARMERCS.orders?.[orderKey];
-  if (orderConfig?.accuracyPenalty) {
-    orderAccuracyMod = orderConfig.accuracyPenalty;
-  }
-
-  // Resolve canvas tokens for attacker and target (used by multiple modifiers)
-  const attackerToken = canvas?.tokens?.placeables.find(t => t.actor === attacker);
-  const targetToken = target ? canvas?.tokens?.placeables.find(t => t.actor === target) : null;
+  const modifiers = withBoard(board, () =>
+    collectModifiers("accuracy", buildModifierContext(weapon, attacker, target))
+  );
+  const total = modifiers.reduce((sum, m) => sum + m.value, 0);
+  const effective = Math.max(2, Math.min(10, base + total));
 
-  // Hot Disembark: cargo fires at -1 accuracy (Maneuver rules)
-  if (attackerToken?.document?.getFlag("star-mercs", "hotDisembarked")) {
-    orderAccuracyMod = Math.max(orderAccuracyMod, 1);
-  }
-
-  // Hot Disembark evasive: target transport has -1 to hit from attackers
-  if (targetToken?.document?.getFlag("star-mercs", "hotDisembarkEvasive")) {
-    orderAccuracyMod += 1;
-  }
-
-  // Area trait: -1 to threshold (easier to hit) for Soft and Anti-Air weapons
-  let areaMod = 0;
-  if (weapon.system.area && weapon.system.attackType !== "hard") {
-    areaMod = -1;
-  }
-
-  // Elevation bonus: -1 to threshold (easier to hit) when firing from higher elevation
-  // Uses effective elevation (accounts for flying unit altitude)
-  let elevationMod = 0;
-  if (attackerToken && targetToken) {
-    const attackerElev = getEffectiveElevation(attackerToken);
-    const targetElev = getEffectiveElevation(targetToken);
-    if (attackerElev > targetElev) {
-      elevationMod = -1;
-    }
-  }
-
-  // Terrain cover: target's terrain provides defense based on Infantry/Vehicle trait
-  // Does NOT apply during assault orders (for either attacker or defender)
-  let terrainCoverMod = 0;
-  const isAssault = attacker.system.currentOrder === "assault";
-  const isTargetAssault = target?.system?.currentOrder === "assault";
-  if (targetToken && !isAssault && !isTargetAssault) {
-    const cover = getTerrainCoverMod(targetToken);
-    terrainCoverMod = cover.mod;
-  }
-
-  // Ambush: -2 to threshold (easier to hit) when attacker is completely hidden from defender's team
-  let ambushMod = 0;
-  if (target && attackerToken) {
-    const defenderTeam = target.system.team ?? "a";
-    const detectionLevel = computeBestDetectionLevel(defenderTeam, attackerToken);
-    if (detectionLevel === "hidden") {
-      ambushMod = -2;
-    }
-  }
-
-  // Combined Arms: +1 to threshold (harder to hit) when target has Combined Arms trait
-  // Does not apply to indirect, artillery, or aircraft weapons
-  let combinedArmsMod = 0;
-  if (target?.hasTrait("Combined Arms") && !weapon.system.indirect && !weapon.system.artillery && !weapon.system.aircraft) {
-    combinedArmsMod = 1;
-  }
-
-  // Advanced Recon Equipment: -1 to threshold (easier to hit) if target is designated
-  let advReconMod = 0;
-  if (target) {
-    const targetTokenRecon = canvas?.tokens?.placeables.find(t => t.actor === target);
-    if (targetTokenRecon) {
-      // Check if any enemy has designated this target via Advanced Recon Equipment
-      for (const tok of canvas.tokens.placeables) {
-        if (!tok.actor || tok.actor === attacker) continue;
-        if (tok.document?.getFlag("star-mercs", "advReconTarget") === targetTokenRecon.id) {
-          advReconMod = -1;
-          break;
-        }
-      }
-    }
-  }
-
-  const effective = Math.max(2, Math.min(10, base - accurateMod + inaccurateMod + readinessMod + ewarMod + disorderedMod + standDownMod + orderAccuracyMod + elevationMod + areaMod + terrainCoverMod + advReconMod + ambushMod + combinedArmsMod));
-
-  return { effective, base, readinessMod, ewarMod, accurateMod, inaccurateMod, disorderedMod, standDownMod, orderAccuracyMod, elevationMod, areaMod, terrainCoverMod, advReconMod, ambushMod, combinedArmsMod };
+  return { effective, base, modifiers };
 }
 
 /**
@@ -219,125 +182,87 @@ export function determineHitResult(rollTotal, effectiveAccuracy) {
  *
  * Pipeline:
  * 1. Base damage from weapon
- * 2. +1 for critical, -1 for partial
- * 3. -N for attacker casualty penalty
- * 4. -1 for attacker readiness ≤ 4
- * 5. +1 for Area weapon vs Infantry
- * 6. Half for hard-vs-infantry (rounded down)
- * 7. -X for target Armored[X]
- * 8. -1 for target Entrenched
- * 9. -2 for target Fortified
- * 10. Floor at min 1
+ * 2. "damagePre" modifiers (critical/partial, attacker penalties, target state)
+ * 3. Half for hard-vs-infantry (rounded down) unless the weapon has Area
+ * 4. "damagePost" modifiers (Combined Arms, Armored[X], Entrenched, Fortified)
+ * 5. Floor at min 1
+ *
+ * Modifier entries live in CONFIG.STARMERCS.combatModifiers.
  *
  * @param {Item} weapon - The weapon used.
  * @param {StarMercsActor} attacker - The attacking unit.
- * @param {StarMercsActor} target - The target unit.
+ * @param {StarMercsActor|null} target - The target unit (null for untargeted rolls).
  * @param {string} hitType - The hit result type.
+ * @param {BoardState|null} [board=null] - Board to evaluate against (defaults to the active board).
  * @returns {{final: number, base: number, modifiers: Array<{label: string, value: number}>}}
  */
-export function calculateDamage(weapon, attacker, target, hitType) {
+export function calculateDamage(weapon, attacker, target, hitType, board = null) {
   const base = weapon.system.damage;
-  const modifiers = [];
-  let damage = base;
-
-  // Critical / partial modifiers
-  if (hitType === "critical_hit") {
-    damage += 1;
-    modifiers.push({ label: "Critical Hit", value: +1 });
-  } else if (hitType === "partial") {
-    damage -= 1;
-    modifiers.push({ label: "Partial Success", value: -1 });
-  }
-
-  // Attacker casualty penalty
-  const casualtyPenalty = attacker.system.casualtyPenalty ?? 0;
-  if (casualtyPenalty > 0) {
-    damage -= casualtyPenalty;
-    modifiers.push({ label: "Casualty Penalty", value: -casualtyPenalty });
-  }
-
-  // Attacker readiness damage penalty (≤ 4)
-  const readinessDmg = attacker.system.readinessPenalty?.damage ?? 0;
-  if (readinessDmg !== 0) {
-    damage += readinessDmg; // readinessDmg is already negative
-    modifiers.push({ label: "Low Readiness", value: readinessDmg });
-  }
-
-  // Order damage penalty (e.g., Withdraw: -1 damage)
-  const attackerOrderConfig = CONFIG.STARMERCS.orders?.[attacker.system.currentOrder];
-  if (attackerOrderConfig?.damagePenalty) {
-    const penalty = attackerOrderConfig.damagePenalty;
-    damage -= penalty;
-    modifiers.push({ label: `${attackerOrderConfig.label} Penalty`, value: -penalty });
-  }
-
-  // Assault order: +1 damage dealt to assault target
-  if (attacker.system.currentOrder === "assault") {
-    const attackerToken = canvas?.tokens?.placeables.find(t => t.actor === attacker);
-    const targetToken = canvas?.tokens?.placeables.find(t => t.actor === target);
-    const assaultTargetId = attackerToken?.document?.getFlag("star-mercs", "assaultTarget");
-    if (assaultTargetId && targetToken?.id === assaultTargetId) {
-      damage += 1;
-      modifiers.push({ label: "Assault (+1 damage)", value: +1 });
-    }
-  }
-
-  // Assault order on target: +1 damage received from all sources
-  if (target.system.currentOrder === "assault") {
-    damage += 1;
-    modifiers.push({ label: "Target assaulting (+1 incoming)", value: +1 });
-  }
-
-  // Disordered target (failed withdraw morale): +1 damage
-  const targetToken = canvas?.tokens?.placeables.find(t => t.actor === target);
-  if (targetToken?.document?.getFlag("star-mercs", "disordered")) {
-    damage += 1;
-    modifiers.push({ label: "Target disordered (+1)", value: +1 });
-  }
-
-  // Stand Down target: +2 damage
-  if (target.system.currentOrder === "stand_down") {
-    damage += 2;
-    modifiers.push({ label: "Target standing down (+2)", value: +2 });
-  }
+  const { modifiers, post } = withBoard(board, () => {
+    const ctx = buildModifierContext(weapon, attacker, target, hitType);
+    return { modifiers: collectModifiers("damagePre", ctx), post: collectModifiers("damagePost", ctx) };
+  });
+  let damage = modifiers.reduce((sum, m) => sum + m.value, base);
 
   // Hard attack vs Infantry: half damage (rounded down) — unless weapon has Area trait
-  if (weapon.system.attackType === "hard" && target.hasTrait("Infantry") && !weapon.system.area) {
+  if (target && weapon.system.attackType === "hard" && target.hasTrait("Infantry") && !weapon.system.area) {
     const before = damage;
     damage = Math.floor(damage / 2);
-    const diff = damage - before;
-    modifiers.push({ label: "Hard vs Infantry (half)", value: diff });
+    modifiers.push({ id: "hardVsInfantry", label: "Hard vs Infantry (half)", value: damage - before });
   }
 
-  // Target Combined Arms: -1 damage (does not apply to indirect, artillery, or aircraft weapons)
-  if (target.hasTrait("Combined Arms") && !weapon.system.indirect && !weapon.system.artillery && !weapon.system.aircraft) {
-    damage -= 1;
-    modifiers.push({ label: "Combined Arms", value: -1 });
-  }
+  damage = post.reduce((sum, m) => sum + m.value, damage);
+  modifiers.push(...post);
 
-  // Target Armored[X] damage reduction
-  const armorValue = target.getTraitValue("Armored");
-  if (armorValue > 0) {
-    damage -= armorValue;
-    modifiers.push({ label: `Armored[${armorValue}]`, value: -armorValue });
-  }
+  // Floor at minimum 1 (if the attack hit, it always does at least 1)
+  const final = Math.max(1, damage);
 
-  // Target Entrenched: -1 damage
-  if (target.hasTrait("Entrenched")) {
-    damage -= 1;
-    modifiers.push({ label: "Entrenched", value: -1 });
-  }
+  return { final, base, modifiers };
+}
 
-  // Target Fortified: -2 damage
-  if (target.hasTrait("Fortified")) {
-    damage -= 2;
-    modifiers.push({ label: "Fortified", value: -2 });
+/**
+ * Calculate the damage a minefield deals to a unit that sets it off.
+ * Soft (anti-personnel) mines are stopped by armor: Armored[X] reduces the
+ * damage by X. Hard (anti-armor) mines ignore Armored but deal half damage
+ * (rounded down) to units without it. Unlike weapon hits there is no minimum
+ * of 1, so armor can shrug off a small blast entirely.
+ * @param {number} rolled - Detonation damage, already capped by the minefield's strength.
+ * @param {string} damageType - "soft" or "hard".
+ * @param {StarMercsActor} target - The unit that entered the minefield.
+ * @returns {{final: number, modifiers: Array<{id: string, label: string, value: number}>}}
+ */
+export function calculateMinefieldDamage(rolled, damageType, target) {
+  const modifiers = [];
+  let damage = rolled;
+  const armored = target.hasTrait("Armored");
+
+  if (damageType === "hard" && !armored) {
+    damage = Math.floor(rolled / 2);
+    modifiers.push({ id: "hardVsUnarmored", label: "Anti-Armor vs unarmored (half)", value: damage - rolled });
+  } else if (damageType !== "hard" && armored) {
+    const armor = Math.max(0, target.getTraitValue("Armored"));
+    modifiers.push({ id: "armored", label: `Armored[${armor}]`, value: -Math.min(armor, damage) });
+    damage = Math.max(0, damage - armor);
   }
 
-  // Floor at minimum 1 (if the attack hit, it always does at least 1)
-  const final = Math.max(1, damage);
+  return { final: damage, modifiers };
+}
 
-  return { final, base, modifiers };
+/**
+ * Work out a unit's strength and readiness after taking damage.
+ * Pure — callers apply the result (to documents, or to a BoardActor).
+ *
+ * @param {StarMercsActor|BoardActor} actor - The damaged unit.
+ * @param {number} damage - Strength damage taken.
+ * @param {number} [readinessLost] - Readiness loss (defaults to actor.getReadinessLoss(damage)).
+ * @returns {{newStrength: number, newReadiness: number, readinessLost: number, destroyed: boolean, routed: boolean}}
+ */
+export function computeDamageOutcome(actor, damage, readinessLost = actor.getReadinessLoss(damage)) {
+  const newStrength = Math.max(0, actor.system.strength.value - damage);
+  const newReadiness = Math.max(0, actor.system.readiness.value - readinessLost);
+  const destroyed = newStrength <= 0;
+  const routed = !destroyed && newReadiness <= 0;
+  return { newStrength, newReadiness, readinessLost, destroyed, routed };
 }
 
 /**
@@ -359,7 +284,8 @@ export function resolveInterception(attackingWeapon, target, ammoOverrides = nul
   if (ammoType !== "ordnance") return { totalReduction: 0, interceptors: [] };
 
   const interceptors = [];
-  const targetToken = canvas?.tokens?.placeables.find(t => t.actor === target);
+  const board = getBoard();
+  const targetToken = board.tokens.find(t => t.actor === target);
   if (!targetToken) return { totalReduction: 0, interceptors: [] };
 
   // Helper: get effective ammo for an actor
@@ -394,15 +320,13 @@ export function resolveInterception(attackingWeapon, target, ammoOverrides = nul
 
   // ZPS: Check nearby friendly units' ZPS weapons (including target's own unit)
   const targetTeam = target.system.team ?? "a";
-  for (const token of (canvas?.tokens?.placeables ?? [])) {
+  for (const token of board.tokens) {
     if (!token.actor || token.actor.type !== "unit") continue;
-    if ((token.actor.system.team ?? "a") !== targetTeam) continue;
+    if (!isFriendly(token.actor.system.team ?? "a", targetTeam)) continue;
     for (const weapon of token.actor.items) {
       if (weapon.type !== "weapon" || weapon.system.attackType !== "zps") continue;
       // Range check: ZPS weapon's range stat (distance from ZPS carrier to target)
-      const dist = canvas.grid.measurePath([token.center, targetToken.center]);
-      const gridDist = canvas.scene.grid.distance || 1;
-      const hexDist = Math.round(dist.distance / gridDist);
+      const hexDist = getHexDistance(token, targetToken);
       if (hexDist > weapon.system.range) continue;
       // Ammo check
       const wpnAmmo = weapon.system.ammoType || "projectile";
@@ -429,9 +353,16 @@ export function resolveInterception(attackingWeapon, target, ammoOverrides = nul
  * Resolve a full attack: validate, roll, calculate, and package results.
  * Does NOT apply damage — that is the caller's responsibility.
  *
+ * Live attacks fire starmercs.preResolveAttack (cancellable, may add accuracy
+ * and damage modifiers) and starmercs.attackResolved; see module/hooks.mjs.
+ * Attacks evaluated against a BoardState (the simulator) fire no hooks.
+ *
  * @param {Item} weapon - The weapon being fired.
  * @param {StarMercsActor} attacker - The attacking unit.
  * @param {StarMercsActor} target - The target unit.
+ * @param {Map|null} [interceptionAmmoOverrides=null] - See resolveInterception().
+ * @param {Map|null} [interceptionFireOverrides=null] - See resolveInterception().
+ * @param {BoardState|null} [board=null] - Board to evaluate against (defaults to the active board).
  * @returns {Promise<{
  *   valid: boolean,
  *   reason: string|null,
@@ -444,9 +375,10 @@ export function resolveInterception(attackingWeapon, target, ammoOverrides = nul
  *   target: StarMercsActor
  * }>}
  */
-export async function resolveAttack(weapon, attacker, target, interceptionAmmoOverrides = null, interceptionFireOverrides = null) {
+export async function resolveAttack(weapon, attacker, target, interceptionAmmoOverrides = null,
+  interceptionFireOverrides = null, board = null) {
   // Step 1: Validate
-  const validation = validateAttack(weapon, target, attacker);
+  const validation = withBoard(board, () => validateAttack(weapon, target, attacker));
   if (!validation.valid) {
     return {
       valid: false,
@@ -461,11 +393,32 @@ export async function resolveAttack(weapon, attacker, target, interceptionAmmoOv
     };
   }
 
+  // Step 1b: Hook listeners may cancel the attack or add modifiers
+  const hookModifiers = { accuracy: [], damage: [] };
+  if (!board && Hooks.call(HOOKS.preResolveAttack, { weapon, attacker, target, modifiers: hookModifiers }) === false) {
+    return {
+      valid: false,
+      reason: "Attack cancelled.",
+      roll: null,
+      accuracy: null,
+      hitResult: null,
+      damage: null,
+      weapon,
+      attacker,
+      target
+    };
+  }
+
   // Track soft-vs-Heavy flag for chat display
   const softVsHeavy = validation.softVsHeavy;
 
   // Step 2: Calculate accuracy
-  const accuracy = calculateAccuracy(weapon, attacker, target);
+  const accuracy = calculateAccuracy(weapon, attacker, target, board);
+  if (hookModifiers.accuracy.length) {
+    accuracy.modifiers.push(...hookModifiers.accuracy.map(m => ({ id: m.id ?? "hook", label: m.label, value: Number(m.value) || 0 })));
+    const total = accuracy.modifiers.reduce((sum, m) => sum + m.value, 0);
+    accuracy.effective = Math.max(2, Math.min(10, accuracy.base + total));
+  }
 
   // Step 3: Roll
   const roll = new Roll("1d10");
@@ -486,7 +439,12 @@ export async function resolveAttack(weapon, attacker, target, interceptionAmmoOv
       // Soft vs Heavy on natural 10: always exactly 1 damage
       damage = { final: 1, base: weapon.system.damage, modifiers: [{ label: "Soft vs Heavy (fixed)", value: null }] };
     } else {
-      damage = calculateDamage(weapon, attacker, target, hitResult.type);
+      damage = calculateDamage(weapon, attacker, target, hitResult.type, board);
+      if (hookModifiers.damage.length) {
+        const extra = hookModifiers.damage.map(m => ({ id: m.id ?? "hook", label: m.label, value: Number(m.value) || 0 }));
+        damage.modifiers.push(...extra);
+        damage.final = Math.max(1, extra.reduce((sum, m) => sum + m.value, damage.final));
+      }
     }
   }
 
@@ -494,7 +452,9 @@ export async function resolveAttack(weapon, attacker, target, interceptionAmmoOv
   // Both APS and ZPS fire even if damage is already at minimum.
   let interception = { totalReduction: 0, interceptors: [] };
   if (hitResult.hit && damage) {
-    interception = resolveInterception(weapon, target, interceptionAmmoOverrides, interceptionFireOverrides);
+    interception = withBoard(board, () =>
+      resolveInterception(weapon, target, interceptionAmmoOverrides, interceptionFireOverrides)
+    );
     if (interception.totalReduction > 0) {
       damage.final = Math.max(1, damage.final - interception.totalReduction);
       damage.modifiers.push(
@@ -506,7 +466,7 @@ export async function resolveAttack(weapon, attacker, target, interceptionAmmoOv
     }
   }
 
-  return {
+  const result = {
     valid: true,
     reason: null,
     roll,
@@ -519,6 +479,115 @@ export async function resolveAttack(weapon, attacker, target, interceptionAmmoOv
     attacker,
     target
   };
+  if (!board) Hooks.callAll(HOOKS.attackResolved, result);
+  return result;
+}
+
+/**
+ * Preview an attack without rolling, consuming ammo, or touching documents.
+ * Walks every d10 face through the same validation, accuracy, damage and
+ * APS/ZPS interception pipeline as resolveAttack().
+ *
+ * @param {Item} weapon - The weapon being fired.
+ * @param {StarMercsActor} attacker - The attacking unit.
+ * @param {StarMercsActor} target - The target unit.
+ * @param {BoardState|null} [board=null] - Board to evaluate against (defaults to the active board).
+ * @returns {{
+ *   valid: boolean,
+ *   reason: string|null,
+ *   softVsHeavy: boolean,
+ *   accuracy: object|null,
+ *   bands: Object<string, number>,
+ *   hitChance: number,
+ *   outcomes: Object<string, {damage: number, readinessLoss: number, modifiers: Array}>,
+ *   interception: object|null,
+ *   expectedDamage: number,
+ *   expectedReadinessLoss: number
+ * }}
+ *   bands: probability (0–1) of each hit result type.
+ *   expectedDamage is capped at the target's current strength.
+ */
+export function previewAttack(weapon, attacker, target, board = null) {
+  return withBoard(board, () => {
+    const bands = { critical_miss: 0, miss: 0, partial: 0, hit: 0, critical_hit: 0 };
+    const validation = validateAttack(weapon, target, attacker);
+    if (!validation.valid) {
+      return {
+        valid: false, reason: validation.reason, softVsHeavy: false, accuracy: null,
+        bands, hitChance: 0, outcomes: {}, interception: null, expectedDamage: 0, expectedReadinessLoss: 0
+      };
+    }
+
+    const softVsHeavy = validation.softVsHeavy;
+    const accuracy = calculateAccuracy(weapon, attacker, target);
+
+    // Count d10 faces per result, mirroring resolveAttack's Soft vs Heavy override
+    const faces = { ...bands };
+    for (let roll = 1; roll <= 10; roll++) {
+      let result = determineHitResult(roll, accuracy.effective);
+      if (softVsHeavy && roll !== 10) result = { hit: false, type: "miss" };
+      faces[result.type] += 1;
+    }
+    for (const type of Object.keys(bands)) bands[type] = faces[type] / 10;
+
+    const interception = resolveInterception(weapon, target);
+    const currentStrength = target.system.strength.value;
+    const outcomes = {};
+    let expectedDamage = 0;
+    let expectedReadinessLoss = 0;
+
+    for (const type of ["partial", "hit", "critical_hit"]) {
+      if (!faces[type]) continue;
+      const damage = softVsHeavy
+        ? { final: 1, modifiers: [{ label: "Soft vs Heavy (fixed)", value: null }] }
+        : calculateDamage(weapon, attacker, target, type);
+      const final = Math.max(1, damage.final - interception.totalReduction);
+      const readinessLoss = target.getReadinessLoss(final);
+      outcomes[type] = { damage: final, readinessLoss, modifiers: damage.modifiers };
+      expectedDamage += bands[type] * Math.min(final, currentStrength);
+      expectedReadinessLoss += bands[type] * readinessLoss;
+    }
+
+    return {
+      valid: true,
+      reason: null,
+      softVsHeavy,
+      accuracy,
+      bands,
+      hitChance: bands.partial + bands.hit + bands.critical_hit,
+      outcomes,
+      interception,
+      expectedDamage,
+      expectedReadinessLoss
+    };
+  });
+}
+
+/**
+ * Format an attack preview as a compact one-line summary and a multi-line tooltip.
+ * @param {object} preview - Result of previewAttack().
+ * @returns {{summary: string, tooltip: string}}
+ */
+export function formatAttackPreview(preview) {
+  if (!preview.valid) return { summary: "Invalid", tooltip: preview.reason ?? "" };
+  const pct = p => `${Math.round(p * 100)}%`;
+  const summary = `${pct(preview.hitChance)} · ~${preview.expectedDamage.toFixed(1)} dmg`;
+
+  const lines = [`Needs ${preview.accuracy.effective}+ (base ${preview.accuracy.base})`];
+  for (const m of preview.accuracy.modifiers) {
+    lines.push(`  ${m.value > 0 ? "+" : ""}${m.value} ${m.label}`);
+  }
+  for (const [type, p] of Object.entries(preview.bands)) {
+    const outcome = preview.outcomes[type];
+    const detail = outcome ? ` → ${outcome.damage} dmg, -${outcome.readinessLoss} RDY` : "";
+    lines.push(`${HIT_LABELS[type]}: ${pct(p)}${detail}`);
+  }
+  if (preview.softVsHeavy) lines.push("Soft vs Heavy — only a natural 10 can hit");
+  for (const i of preview.interception?.interceptors ?? []) {
+    lines.push(`${i.type.toUpperCase()} ${i.actorName}: -${i.reduction}`);
+  }
+  lines.push(`Expected: ${preview.expectedDamage.toFixed(1)} STR, ${preview.expectedReadinessLoss.toFixed(1)} RDY`);
+  return { summary, tooltip: lines.join("\n") };
 }
 
 /**
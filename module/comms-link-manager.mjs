@@ -1,5 +1,6 @@
-import StarMercsActor from "./documents/actor.mjs";
 import { checkLOS, getDetectionLevel } from "./detection.mjs";
+import { getBoard } from "./board-state.mjs";
+import { isFriendly } from "./factions.mjs";
 
 /**
  * Manages communications link chains between units.
@@ -7,7 +8,13 @@ import { checkLOS, getDetectionLevel } from "./detection.mjs";
  * Two units are linked if both are within each other's comms range (mutual).
  * Links chain transitively via Union-Find to form connected components.
  *
- * Special rule: Satellite Uplink units always link to Command units on the same team.
+ * Only friendly units (same or allied faction) link, so allied factions share chains.
+ *
+ * Special rule: Satellite Uplink units always link to friendly Command units.
+ *
+ * Under the optional commsDetectionSharing rule, a chain member only counts as
+ * a spotter for a target it detects at "visible" level, not merely one it has
+ * line of sight to (see also detection.getSensorNetwork).
  *
  * Instantiated once on game.starmercs.commsLinkManager.
  */
@@ -49,9 +56,10 @@ export default class CommsLinkManager {
    * @private
    */
   _buildCacheKey() {
-    if (!canvas?.tokens?.placeables) return "";
+    const board = getBoard();
+    if (!board.ready) return "";
     const parts = [];
-    for (const token of canvas.tokens.placeables) {
+    for (const token of board.tokens) {
       const actor = token.actor;
       if (!actor || actor.type !== "unit") continue;
       if (actor.system.strength.value <= 0) continue;
@@ -68,6 +76,7 @@ export default class CommsLinkManager {
 
   /**
    * Build the full comms graph using Union-Find.
+   * @param {CanvasBoard|BoardState} [board] - Board to read units from (defaults to the active board).
    * @returns {{
    *   directLinks: Array<{token1Id: string, token2Id: string, chainIndex: number}>,
    *   tokenChainMap: Map<string, number>,
@@ -76,89 +85,85 @@ export default class CommsLinkManager {
    * }}
    * @private
    */
-  _buildGraph() {
+  _buildGraph(board = getBoard()) {
     const directLinks = [];
     const tokenChainMap = new Map();
     const chainMembers = new Map();
     const tokenTeamMap = new Map();
 
-    if (!canvas?.tokens?.placeables) {
+    if (!board.ready) {
       return { directLinks, tokenChainMap, chainMembers, tokenTeamMap };
     }
 
-    // Group tokens by team
-    const tokensByTeam = new Map();
-    for (const token of canvas.tokens.placeables) {
+    // Collect living units and their teams
+    const tokens = [];
+    for (const token of board.tokens) {
       const actor = token.actor;
       if (!actor || actor.type !== "unit") continue;
       if (actor.system.strength.value <= 0) continue;
-      const team = actor.system.team ?? "a";
-      if (!tokensByTeam.has(team)) tokensByTeam.set(team, []);
-      tokensByTeam.get(team).push(token);
-      tokenTeamMap.set(token.id, team);
+      tokens.push(token);
+      tokenTeamMap.set(token.id, actor.system.team ?? "a");
+    }
+    const friendly = (tA, tB) => isFriendly(tokenTeamMap.get(tA.id), tokenTeamMap.get(tB.id));
+    const n = tokens.length;
+
+    // Union-Find initialization
+    const parent = {};
+    const rank = {};
+    for (const t of tokens) {
+      parent[t.id] = t.id;
+      rank[t.id] = 0;
     }
 
-    let globalChainIndex = 0;
-
-    for (const [team, tokens] of tokensByTeam) {
-      const n = tokens.length;
-
-      // Union-Find initialization
-      const parent = {};
-      const rank = {};
-      for (const t of tokens) {
-        parent[t.id] = t.id;
-        rank[t.id] = 0;
-      }
-
-      // Check all pairs for mutual comms range
-      for (let i = 0; i < n; i++) {
-        for (let j = i + 1; j < n; j++) {
-          const tA = tokens[i];
-          const tB = tokens[j];
-          const commsA = tA.actor.system.comms ?? 0;
-          const commsB = tB.actor.system.comms ?? 0;
-          const distance = StarMercsActor.getHexDistance(tA, tB);
-
-          // Mutual range: distance must be within BOTH units' comms range
-          if (distance <= commsA && distance <= commsB) {
-            directLinks.push({ token1Id: tA.id, token2Id: tB.id });
-            this._ufUnion(parent, rank, tA.id, tB.id);
-          }
+    // Check all friendly pairs for mutual comms range
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const tA = tokens[i];
+        const tB = tokens[j];
+        if (!friendly(tA, tB)) continue;
+        const commsA = tA.actor.system.comms ?? 0;
+        const commsB = tB.actor.system.comms ?? 0;
+        const distance = board.distance(tA.center, tB.center);
+
+        // Mutual range: distance must be within BOTH units' comms range
+        if (distance <= commsA && distance <= commsB) {
+          directLinks.push({ token1Id: tA.id, token2Id: tB.id });
+          this._ufUnion(parent, rank, tA.id, tB.id);
         }
       }
+    }
 
-      // Special rule: Satellite Uplink units auto-link to Command units
-      const satUplinkTokens = tokens.filter(t => t.actor.hasTrait("Satellite Uplink"));
-      const commandTokens = tokens.filter(t => t.actor.hasTrait("Command"));
-      for (const sat of satUplinkTokens) {
-        for (const cmd of commandTokens) {
-          if (sat.id === cmd.id) continue;
-          // Check if they're already linked (avoid duplicate direct links)
-          const rootSat = this._ufFind(parent, sat.id);
-          const rootCmd = this._ufFind(parent, cmd.id);
-          if (rootSat !== rootCmd) {
-            directLinks.push({ token1Id: sat.id, token2Id: cmd.id });
-            this._ufUnion(parent, rank, sat.id, cmd.id);
-          }
+    // Special rule: Satellite Uplink units auto-link to friendly Command units
+    const satUplinkTokens = tokens.filter(t => t.actor.hasTrait("Satellite Uplink"));
+    const commandTokens = tokens.filter(t => t.actor.hasTrait("Command"));
+    for (const sat of satUplinkTokens) {
+      for (const cmd of commandTokens) {
+        if (sat.id === cmd.id || !friendly(sat, cmd)) continue;
+        // Check if they're already linked (avoid duplicate direct links)
+        const rootSat = this._ufFind(parent, sat.id);
+        const rootCmd = this._ufFind(parent, cmd.id);
+        if (rootSat !== rootCmd) {
+          directLinks.push({ token1Id: sat.id, token2Id: cmd.id });
+          this._ufUnion(parent, rank, sat.id, cmd.id);
         }
       }
+    }
 
-      // Extract connected components
-      const components = new Map();
-      for (const t of tokens) {
-        const root = this._ufFind(parent, t.id);
-        if (!components.has(root)) components.set(root, new Set());
-        components.get(root).add(t.id);
-      }
+    // Extract connected components
+    const components = new Map();
+    for (const t of tokens) {
+      const root = this._ufFind(parent, t.id);
+      if (!components.has(root)) components.set(root, new Set());
+      components.get(root).add(t.id);
+    }
 
-      for (const [, members] of components) {
-        chainMembers.set(globalChainIndex, members);
-        for (const memberId of members) {
-          tokenChainMap.set(memberId, globalChainIndex);
-        }
-        globalChainIndex++;
+    let chainIndex = 0;
+    for (const [, members] of components) {
+      chainMembers.set(chainIndex, members);
+      for (const memberId of members) {
+        tokenChainMap.set(memberId, chainIndex);
       }
+      chainIndex++;
     }
 
     // Annotate direct links with their chain index
@@ -243,15 +248,28 @@ export default class CommsLinkManager {
   hasCommandInChain(tokenId) {
     const chain = this.getChainForToken(tokenId);
     for (const memberId of chain) {
-      const memberToken = canvas?.tokens?.get(memberId);
+      const memberToken = getBoard().getToken(memberId);
       if (memberToken?.actor?.hasTrait("Command")) return true;
     }
     return false;
   }
 
+  /**
+   * Whether a chain member may spot a target it has line of sight to: always,
+   * unless the commsDetectionSharing rule requires it to detect the target.
+   * @param {Token} memberToken
+   * @param {Token} targetToken
+   * @returns {boolean}
+   * @private
+   */
+  _canSpot(memberToken, targetToken) {
+    if (!getBoard().rules.commsDetectionSharing) return true;
+    return getDetectionLevel(memberToken, targetToken) === "visible";
+  }
+
   /**
    * Check if the target is visible to any unit in the firing unit's comms chain.
-   * Uses StarMercsActor.hasLineOfSight() for each chain member.
+   * Uses wall-based line of sight for each chain member.
    * @param {string} firingTokenId
    * @param {string} targetTokenId
    * @returns {boolean}
@@ -259,13 +277,14 @@ export default class CommsLinkManager {
   canSeeViaChain(firingTokenId, targetTokenId) {
     this.refresh();
     const chain = this.getChainForToken(firingTokenId);
-    const targetCanvasToken = canvas?.tokens?.get(targetTokenId);
+    const targetCanvasToken = getBoard().getToken(targetTokenId);
     if (!targetCanvasToken) return false;
 
     for (const memberId of chain) {
-      const memberToken = canvas?.tokens?.get(memberId);
+      const memberToken = getBoard().getToken(memberId);
       if (!memberToken) continue;
-      if (StarMercsActor.hasLineOfSight(memberToken, targetCanvasToken)) {
+      if (getBoard().hasWallLOS(memberToken.center, targetCanvasToken.center)
+        && this._canSpot(memberToken, targetCanvasToken)) {
         return true;
       }
     }
@@ -283,7 +302,7 @@ export default class CommsLinkManager {
     // Check if any unit in chain has Satellite Uplink (unrestricted targeting)
     const chain = this.getChainForToken(firingTokenId);
     for (const memberId of chain) {
-      const memberToken = canvas?.tokens?.get(memberId);
+      const memberToken = getBoard().getToken(memberId);
       if (memberToken?.actor?.hasTrait("Satellite Uplink")) {
         return true;
       }
@@ -302,13 +321,14 @@ export default class CommsLinkManager {
   canSeeViaChainTerrain(firingTokenId, targetTokenId) {
     this.refresh();
     const chain = this.getChainForToken(firingTokenId);
-    const targetCanvasToken = canvas?.tokens?.get(targetTokenId);
+    const targetCanvasToken = getBoard().getToken(targetTokenId);
     if (!targetCanvasToken) return false;
 
     for (const memberId of chain) {
-      const memberToken = canvas?.tokens?.get(memberId);
+      const memberToken = getBoard().getToken(memberId);
       if (!memberToken) continue;
-      if (checkLOS(memberToken.center, targetCanvasToken.center)) {
+      if (checkLOS(memberToken.center, targetCanvasToken.center)
+        && this._canSpot(memberToken, targetCanvasToken)) {
         return true;
       }
     }
@@ -326,12 +346,12 @@ export default class CommsLinkManager {
   canDetectViaChain(firingTokenId, targetTokenId) {
     this.refresh();
     const chain = this.getChainForToken(firingTokenId);
-    const targetCanvasToken = canvas?.tokens?.get(targetTokenId);
+    const targetCanvasToken = getBoard().getToken(targetTokenId);
     if (!targetCanvasToken) return false;
 
     for (const memberId of chain) {
       if (memberId === firingTokenId) continue; // Skip the firing unit itself
-      const memberToken = canvas?.tokens?.get(memberId);
+      const memberToken = getBoard().getToken(memberId);
       if (!memberToken) continue;
       const level = getDetectionLevel(memberToken, targetCanvasToken);
       if (level === "visible") return true;
@@ -348,7 +368,7 @@ export default class CommsLinkManager {
   canSeeForAirstrikeTerrain(firingTokenId, targetTokenId) {
     const chain = this.getChainForToken(firingTokenId);
     for (const memberId of chain) {
-      const memberToken = canvas?.tokens?.get(memberId);
+      const memberToken = getBoard().getToken(memberId);
       if (memberToken?.actor?.hasTrait("Satellite Uplink")) {
         return true;
       }
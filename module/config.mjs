@@ -5,13 +5,14 @@ export const STARMERCS = {};
 
 /**
  * Unit rating levels and their associated skill check bonuses.
+ * xp: campaign experience needed to be promoted to this rating.
  */
 STARMERCS.ratings = {
-  green: { label: "Green", bonus: 0, accuracy: 7 },
-  trained: { label: "Trained", bonus: 1, accuracy: 6 },
-  experienced: { label: "Experienced", bonus: 2, accuracy: 5 },
-  veteran: { label: "Veteran", bonus: 3, accuracy: 4 },
-  elite: { label: "Elite", bonus: 5, accuracy: 3 }
+  green: { label: "Green", bonus: 0, accuracy: 7, xp: 0 },
+  trained: { label: "Trained", bonus: 1, accuracy: 6, xp: 5 },
+  experienced: { label: "Experienced", bonus: 2, accuracy: 5, xp: 12 },
+  veteran: { label: "Veteran", bonus: 3, accuracy: 4, xp: 22 },
+  elite: { label: "Elite", bonus: 5, accuracy: 3, xp: 35 }
 };
 
 /**
@@ -26,6 +27,43 @@ STARMERCS.attackTypes = {
   zps: "ZPS (Zone Protection)"
 };
 
+/**
+ * Resolution stages for combat modifiers.
+ * accuracy: added to the to-hit threshold
+ * damagePre: added to damage before Hard vs Infantry halving
+ * damagePost: added after halving (armor and defensive reductions)
+ */
+STARMERCS.combatModifierStages = {
+  accuracy: "Accuracy",
+  damagePre: "Damage (before halving)",
+  damagePost: "Damage (armor & defenses)"
+};
+
+/**
+ * Accuracy and damage modifier registry, evaluated in order by the combat engine.
+ * Populated with the defaults from module/combat-modifiers.mjs during init;
+ * world scripts may add, remove or reorder entries.
+ */
+STARMERCS.combatModifiers = [];
+
+/**
+ * Scenario event handlers keyed by event type, fired by the combat at the
+ * round and phase each event names. Populated with the defaults from
+ * module/scenario.mjs during init; world scripts may add their own types.
+ */
+STARMERCS.scenarioEvents = {};
+
+/**
+ * Faction registry, keyed by team key (the value stored in a unit's system.team).
+ * These are the defaults; at init the world's "factions" setting replaces them.
+ * Allied factions share vision, comms chains and supply but keep separate scores.
+ * allies lists other faction keys; an alliance listed on either side applies to both.
+ */
+STARMERCS.factions = {
+  a: { label: "Team A", color: "#3399FF", allies: [] },
+  b: { label: "Team B", color: "#FF3333", allies: [] }
+};
+
 /**
  * Ammo types consumed by weapons when firing.
  * Each weapon specifies which ammo type it uses.
@@ -52,6 +90,7 @@ STARMERCS.orderCategories = {
  * allowsMovement: unit may move during tactical phase
  * allowsAttack: unit may attack during tactical phase
  * supplyModifier: multiplier string for supply consumption
+ * requiredTrait / excludedTrait: trait a unit must have / must not have to take the order
  */
 STARMERCS.orders = {
   hold: {
@@ -151,6 +190,16 @@ STARMERCS.orders = {
     supplyModifier: "1x",
     description: "Engineer demolishes a structure at current or adjacent hex."
   },
+  clear_mines: {
+    label: "Clear Mines",
+    category: "special",
+    requiredTrait: "Engineer",
+    allowsMovement: false,
+    allowsAttack: false,
+    readinessCost: -1,
+    supplyModifier: "1x",
+    description: "Engineer clears a known minefield at current or adjacent hex, removing 1d6 strength per turn."
+  },
   meteoric_assault: {
     label: "Meteoric Assault",
     category: "special",
@@ -210,12 +259,13 @@ STARMERCS.orders = {
     allowsAttack: false,
     readinessCost: -1,
     supplyModifier: "1x",
-    description: "Load or unload an adjacent Infantry unit. Unit must be landed. Costs one full turn."
+    description: "Load or unload an adjacent Infantry unit. Flying transports must be landed; Naval transports load and unload across the shoreline. Costs one full turn."
   },
   air_assault: {
     label: "Air Assault",
     category: "special",
     requiredTrait: "Transport",
+    excludedTrait: "Naval",
     allowsMovement: true,
     allowsAttack: true,
     readinessCost: -2,
@@ -271,8 +321,11 @@ STARMERCS.terrainTypes = {
  * Terrain effects data table.
  * Encodes the rules for each terrain type's modifiers.
  *
- * movementCost: movement points required to enter the hex (road subtracts 1, min 1)
- * waterTerrain: impassable unless unit has Flying, Hover, or Amphibious trait
+ * movementCost: default movement points to enter the hex, used where the
+ *   movement cost matrix (STARMERCS.movementCosts) has no entry (road subtracts 1, min 1)
+ * waterTerrain: impassable unless unit has Flying, Hover, Amphibious, or Naval trait
+ * waterDepth: depth of water terrain (1 river, 2 lake, 3 ocean); Naval units
+ *   can only enter water at least as deep as their draft
  * signatureMod: modifier to signature for Infantry units in this terrain
  * infantryCover: Infantry gains Entrenched trait (Cover)
  * infantryHeavyCover: Infantry gains Armored-like heavy cover (2 damage reduction)
@@ -371,6 +424,7 @@ STARMERCS.terrain = {
     icon: "fas fa-water",
     movementCost: 2,
     waterTerrain: true,
+    waterDepth: 1,
     signatureMod: 0,
     infantryCover: false,
     infantryHeavyCover: false,
@@ -387,6 +441,7 @@ STARMERCS.terrain = {
     icon: "fas fa-water",
     movementCost: 2,
     waterTerrain: true,
+    waterDepth: 2,
     signatureMod: 0,
     infantryCover: false,
     infantryHeavyCover: false,
@@ -403,6 +458,7 @@ STARMERCS.terrain = {
     icon: "fas fa-water",
     movementCost: 2,
     waterTerrain: true,
+    waterDepth: 3,
     signatureMod: 0,
     infantryCover: false,
     infantryHeavyCover: false,
@@ -445,6 +501,62 @@ STARMERCS.terrain = {
   }
 };
 
+/**
+ * Movement classes for the terrain movement cost matrix, keyed by the trait
+ * that puts a unit in the class. Units with none of the base classes move as
+ * Infantry.
+ */
+STARMERCS.movementClasses = {
+  Infantry: { label: "Infantry", abbr: "Inf", base: true },
+  Vehicle: { label: "Vehicle", abbr: "Veh", base: true },
+  Mech: { label: "Mech", abbr: "Mech", base: true },
+  Hover: { label: "Hover", abbr: "Hover" },
+  Naval: { label: "Naval", abbr: "Naval", base: true },
+  Amphibious: { label: "Amphibious", abbr: "Amph" },
+  "Jump Capable": { label: "Jump Capable", abbr: "Jump" }
+};
+
+/**
+ * Terrain movement cost matrix: MP to enter each terrain type, by movement class.
+ * null means the class cannot enter the terrain; a missing entry means the class
+ * does not affect it. A unit is blocked if any of its base classes is, and
+ * otherwise pays the lowest cost among its classes.
+ * If none of a unit's classes has an entry, the terrain's movementCost and its
+ * waterTerrain / impassableVehicle flags apply.
+ *
+ * Road subtracts 1 MP (min 1) afterwards, and lets units into land terrain
+ * their class cannot enter, at the terrain's movementCost. Bridges make water
+ * 1 MP for everyone. Airborne Flying units always pay 1 MP.
+ *
+ * GM-editable; the world's copy is kept in the "movementCosts" setting.
+ */
+STARMERCS.movementCosts = {
+  Infantry: {
+    forest: 3, plain: 2, hill: 3, mountain: 4, swamp: 3,
+    river: null, lake: null, ocean: null, urbanDense: 2, urbanLight: 2
+  },
+  Vehicle: {
+    forest: 3, plain: 2, hill: 3, mountain: null, swamp: 3,
+    river: null, lake: null, ocean: null, urbanDense: 2, urbanLight: 2
+  },
+  Mech: {
+    forest: 2, plain: 1, hill: 2, mountain: 3, swamp: 2,
+    river: null, lake: null, ocean: null, urbanDense: 1, urbanLight: 1
+  },
+  Hover: {
+    forest: 2, plain: 1, hill: 2, mountain: 3, swamp: 2,
+    river: 1, lake: 1, ocean: 1, urbanDense: 1, urbanLight: 1
+  },
+  Naval: {
+    forest: null, plain: null, hill: null, mountain: null, swamp: null,
+    river: 2, lake: 1, ocean: 1, urbanDense: null, urbanLight: null
+  },
+  Amphibious: {
+    river: 2, lake: 2, ocean: 2
+  },
+  "Jump Capable": {}
+};
+
 /**
  * Sight point cost per hex based on elevation difference (observer elevation − hex elevation).
  * Each unit has a sightRange stat (default 5). As LOS travels across hexes, each hex
@@ -461,6 +573,101 @@ STARMERCS.sightPointCost = {
   5: 0.03125
 };
 
+/**
+ * Emission control modes a unit can run its sensors in (system.emissions).
+ * sensorMultiplier scales the unit's sensors rating (rounded down);
+ * signatureMod adds to its active signature. Active emitters also show as
+ * emission blips to enemy units within twice their sensors rating.
+ */
+STARMERCS.emissionModes = {
+  active: {
+    label: "Active", icon: "fas fa-broadcast-tower", sensorMultiplier: 1, signatureMod: 1, emits: true,
+    description: "Full sensors. +1 signature; enemies within 2× sensors pick up the emissions."
+  },
+  passive: {
+    label: "Passive", icon: "fas fa-satellite-dish", sensorMultiplier: 0.5, signatureMod: 0, emits: false,
+    description: "Half sensors (rounded down). No emissions."
+  }
+};
+
+/**
+ * Times of day for a scene's environment (see module/environment.mjs).
+ * sightMod adjusts every unit's sightRange (minimum 1), sensorMod its
+ * sensors rating (minimum 0).
+ */
+STARMERCS.timesOfDay = {
+  day: { label: "Day", icon: "fas fa-sun", sightMod: 0, sensorMod: 0 },
+  dusk: { label: "Dusk", icon: "fas fa-cloud-sun", sightMod: -1, sensorMod: -1 },
+  night: { label: "Night", icon: "fas fa-moon", sightMod: -2, sensorMod: -2 }
+};
+
+/**
+ * Weather conditions for a scene's environment. sightMod and sensorMod stack
+ * with the time of day. groundsFlying forces airborne Flying units to land
+ * and prevents take-off. terrainCostMods adds to the movement cost of the
+ * listed terrain types off-road (Flying, Hover and Naval units are unaffected).
+ */
+STARMERCS.weatherConditions = {
+  clear: {
+    label: "Clear", icon: "fas fa-circle", sightMod: 0, sensorMod: 0,
+    groundsFlying: false, terrainCostMods: {},
+    description: "No effect."
+  },
+  rain: {
+    label: "Rain", icon: "fas fa-cloud-rain", sightMod: -1, sensorMod: 0,
+    groundsFlying: false, terrainCostMods: { plain: 1, swamp: 1 },
+    description: "Mud: plains and swamps cost +1 MP off-road."
+  },
+  fog: {
+    label: "Fog", icon: "fas fa-smog", sightMod: -2, sensorMod: -1,
+    groundsFlying: false, terrainCostMods: {},
+    description: "Heavy fog blankets the battlefield."
+  },
+  sandstorm: {
+    label: "Sandstorm", icon: "fas fa-wind", sightMod: -3, sensorMod: -2,
+    groundsFlying: true, terrainCostMods: {},
+    description: "Flying units are grounded and cannot take off."
+  }
+};
+
+/**
+ * Hex-side features, stored per shared edge in the scene flag `star-mercs.edgeMap`.
+ *
+ * movementCost: extra MP to cross the edge (a bridge on the edge removes it)
+ * waterEdge: Hover and Amphibious units cross at no extra cost
+ * blocksVehicles: Vehicle units cannot cross unless the edge is bridged
+ * impassable: ground units cannot cross at all (airborne Flying ignore all edges)
+ * blocksLOS: blocks line of sight across it unless the observer is at least as
+ *   high as its upper side, the target is higher, or it borders the target's hex
+ * coverMod: accuracy penalty for attacks whose last hex step crosses the edge
+ * highSideCover: coverMod only applies if the target is on the upper (or level) side
+ */
+STARMERCS.edgeFeatures = {
+  river: {
+    label: "River",
+    color: 0x3A7BD5,
+    width: 6,
+    movementCost: 1,
+    waterEdge: true,
+    blocksVehicles: true
+  },
+  cliff: {
+    label: "Cliff",
+    color: 0x4A3A2A,
+    width: 5,
+    impassable: true,
+    blocksLOS: true,
+    coverMod: 1,
+    highSideCover: true
+  },
+  wall: {
+    label: "Wall / Hedgerow",
+    color: 0x6B8E23,
+    width: 4,
+    coverMod: 1
+  }
+};
+
 /* ============================================ */
 /*  Constructable Structures                   */
 /* ============================================ */
@@ -468,6 +675,10 @@ STARMERCS.sightPointCost = {
 /**
  * Structure type definitions for buildable map objects.
  * GM-overridable via world setting "star-mercs.structureOverrides".
+ *
+ * Minefield-only fields: `detectionRange` (hexes an Engineer searches each
+ * consolidation), `detectionTarget` (1d10 + sensors needed to find a
+ * minefield) and `clearanceRoll` (strength removed per Clear Mines turn).
  */
 STARMERCS.structures = {
   bridge: {
@@ -497,7 +708,12 @@ STARMERCS.structures = {
       antiPersonnel: { label: "Anti-Personnel", damageType: "soft" },
       antiArmor: { label: "Anti-Armor", damageType: "hard" }
     },
-    description: "Hidden explosives dealing damage to enemy units entering this hex."
+    detectionRange: 1,
+    detectionTarget: 8,
+    clearanceRoll: "1d6",
+    description: "Hidden explosives. Enemy units entering this hex are stopped and take 1d6 damage "
+      + "(Anti-Personnel reduced by Armored, Anti-Armor halved against unarmored units). "
+      + "Strength drops by each detonation."
   },
   outpost: {
     label: "Outpost",
@@ -553,6 +769,35 @@ STARMERCS.structures = {
  */
 STARMERCS.maxElevation = 5;
 
+/**
+ * Traits whose units ignore enemy zones of control when the optional
+ * zoneOfControl world setting is on. Airborne Flying units are always exempt.
+ */
+STARMERCS.zocExemptTraits = ["Hover", "Jump Capable"];
+
+/**
+ * Naval rules.
+ * shoreBombardmentRange: how far inland (hexes from the nearest water hex) a
+ *   Naval unit's weapons can reach land targets
+ * shoreBombardmentPenalty: accuracy penalty for Naval fire at land targets
+ * seaLaneRange: how far, over connected water, a coastal outpost or
+ *   headquarters can resupply Naval units (beyond its normal supply range)
+ */
+STARMERCS.naval = {
+  shoreBombardmentRange: 2,
+  shoreBombardmentPenalty: 1,
+  seaLaneRange: 8
+};
+
+/**
+ * Stack points a unit takes up in a hex under the "points" stacking rule.
+ * A unit counts the highest value among its traits listed here, or default.
+ */
+STARMERCS.stackPoints = {
+  default: 1,
+  traits: { Infantry: 1, Mech: 2, Vehicle: 2 }
+};
+
 /**
  * Arrow colors for the targeting overlay, keyed by weapon attack type.
  * Values are hex color numbers for PIXI.Graphics.
@@ -575,6 +820,37 @@ STARMERCS.objectives = {
   secondary: { label: "Secondary Objective", points: 1, color: 0xC0C0C0 }
 };
 
+/**
+ * Victory condition types, checked at the end of each consolidation phase.
+ * A combat's conditions are a list of { type, value } entries (value only for
+ * types with a valueLabel), stored on the scene or overridden per combat.
+ */
+STARMERCS.victoryConditions = {
+  vpThreshold:       { label: "VP Threshold",             valueLabel: "VP",    default: 20,
+    hint: "A team wins on reaching this many victory points." },
+  roundLimit:        { label: "Round Limit",              valueLabel: "Round", default: 8,
+    hint: "At the end of this round, the team with the most victory points wins." },
+  hqDestroyed:       { label: "Enemy HQ Destroyed",
+    hint: "A team wins once every enemy headquarters is destroyed or captured." },
+  strengthDestroyed: { label: "Enemy Strength Destroyed", valueLabel: "%",     default: 75,
+    hint: "A team wins once this share of total enemy strength has been destroyed." },
+  allRouted:         { label: "Enemy Routed",
+    hint: "A team wins once every enemy unit is destroyed or routed." }
+};
+
+/**
+ * Campaign rules used when recording a battle into the campaign journal.
+ * xp.battle: awarded to every surviving unit that fought
+ * xp.kill: per enemy unit destroyed (credited to the largest damage dealer)
+ * xp.damagePer: one XP per this many strength damage dealt
+ * xp.victory: bonus for surviving units of the winning faction
+ * repairCost: company stock spent per strength point repaired between battles
+ */
+STARMERCS.campaign = {
+  xp: { battle: 1, kill: 2, damagePer: 5, victory: 2 },
+  repairCost: { parts: 1, materials: 1 }
+};
+
 /**
  * Trait activation modes.
  */
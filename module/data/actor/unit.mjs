@@ -86,6 +86,14 @@ export default class UnitData extends foundry.abstract.TypeDataModel {
       signature: new NumberField({ required: true, integer: true, initial: 2, label: "STARMERCS.Signature" }),
       // Sight range in sight points (determines max LOS distance, modified by terrain elevation)
       sightRange: new NumberField({ required: true, integer: false, min: 1, initial: 5, label: "STARMERCS.SightRange" }),
+      // Emission control: active sensors at full strength, or passive listening (see CONFIG.STARMERCS.emissionModes).
+      // Units predating it are set to active by migration version 2.
+      emissions: new StringField({
+        required: true,
+        initial: "active",
+        choices: { active: "Active", passive: "Passive" },
+        label: "STARMERCS.Emissions"
+      }),
 
       // --- Electronic Warfare ---
       ewar: new NumberField({ required: true, integer: true, min: 0, initial: 0, label: "STARMERCS.EWAR" }),
@@ -97,7 +105,8 @@ export default class UnitData extends foundry.abstract.TypeDataModel {
       currentOrder: new StringField({ required: false, initial: "", label: "STARMERCS.CurrentOrder" }),
 
       // --- Team Assignment ---
-      team: new StringField({ required: true, initial: "a", choices: { a: "Team A", b: "Team B" } }),
+      // Faction key from CONFIG.STARMERCS.factions (the registry is world-configurable)
+      team: new StringField({ required: true, blank: false, initial: "a" }),
 
       // --- Notes ---
       notes: new StringField({ required: false, initial: "" }),
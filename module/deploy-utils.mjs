@@ -4,42 +4,22 @@
  * special deployment requirements.
  */
 
-import { snapToHexCenter, hexKey, getAdjacentHexCenters, getTokensAtHex } from "./hex-utils.mjs";
-import { checkLOS } from "./detection.mjs";
+import { snapToHexCenter, hexKey, canStackInHex, getHexesInRange,
+  getHexDistanceBetween, getStructureCenter } from "./hex-utils.mjs";
+import { checkLOS, getEffectiveSensors } from "./detection.mjs";
 
 /* ============================================ */
 /*  Hex Radius Computation                      */
 /* ============================================ */
 
 /**
- * Get all hex center points within a given radius using BFS.
+ * Get all hex center points within a given radius, including the center hex.
  * @param {{x: number, y: number}} center - Starting hex center.
  * @param {number} radius - Max hex distance.
  * @returns {{x: number, y: number}[]}
  */
 export function getHexesWithinRadius(center, radius) {
-  const snapped = snapToHexCenter(center);
-  const visited = new Set();
-  const result = [];
-  const queue = [{ point: snapped, depth: 0 }];
-  visited.add(hexKey(snapped));
-  result.push(snapped);
-
-  while (queue.length > 0) {
-    const { point, depth } = queue.shift();
-    if (depth >= radius) continue;
-
-    const neighbors = getAdjacentHexCenters(point);
-    for (const neighbor of neighbors) {
-      const key = hexKey(neighbor);
-      if (visited.has(key)) continue;
-      visited.add(key);
-      result.push(neighbor);
-      queue.push({ point: neighbor, depth: depth + 1 });
-    }
-  }
-
-  return result;
+  return getHexesInRange(center, radius);
 }
 
 /* ============================================ */
@@ -49,25 +29,25 @@ export function getHexesWithinRadius(center, radius) {
 /**
  * Get all valid deploy hexes within HQ radius for a given team.
  * Returns a Map of hexKey → hex center point.
- * @param {string} team - "a" or "b"
+ * @param {string} team - Faction key
+ * @param {Actor|null} [actor=null] - The deploying unit, for stacking room.
  * @returns {Map<string, {x: number, y: number}>}
  */
-export function getDeployableHexes(team) {
+export function getDeployableHexes(team, actor = null) {
   const structures = canvas.scene?.getFlag("star-mercs", "structures") ?? [];
   const hq = structures.find(s => s.type === "headquarters" && s.team === team);
   if (!hq) return new Map();
 
   const config = CONFIG.STARMERCS.structures.headquarters;
   const radius = hq.deployRadius ?? config.defaultDeployRadius ?? 3;
-  const hqCenter = { x: hq.x, y: hq.y };
+  const hqCenter = getStructureCenter(hq);
   const hexesInRadius = getHexesWithinRadius(hqCenter, radius);
 
   const validHexes = new Map();
   for (const hex of hexesInRadius) {
     const key = hexKey(hex);
-    // Exclude hexes occupied by another living token
-    const tokensHere = getTokensAtHex(hex);
-    if (tokensHere.length > 0) continue;
+    // Exclude hexes with no room for the unit
+    if (!hasDeployRoom(hex, team, actor)) continue;
     validHexes.set(key, hex);
   }
 
@@ -81,7 +61,7 @@ export function getDeployableHexes(team) {
 /**
  * Get valid spotters for special deployment: friendly tokens that are either
  * within comms range of the team's HQ or have Satellite Uplink.
- * @param {string} team - "a" or "b"
+ * @param {string} team - Faction key
  * @returns {Token[]}
  */
 export function getValidSpotters(team) {
@@ -105,7 +85,7 @@ export function getValidSpotters(team) {
 
     // Within comms range of HQ
     if (hq) {
-      const hqCenter = { x: hq.x, y: hq.y };
+      const hqCenter = getStructureCenter(hq);
       const commsRange = hq.commsRange ?? CONFIG.STARMERCS.structures.headquarters.defaultCommsRange ?? 8;
       const dist = getHexDistancePoints(token.center, hqCenter);
       if (dist <= commsRange) {
@@ -121,18 +101,19 @@ export function getValidSpotters(team) {
  * Check if a hex is valid for special deployment (Meteoric Assault, Air Assault, Air Drop).
  * Requires a valid spotter with LOS and sensor range to the target hex.
  * @param {{x: number, y: number}} hexCenter - Target deployment hex.
- * @param {string} team - "a" or "b"
+ * @param {string} team - Faction key
+ * @param {Actor|null} [actor=null] - The deploying unit, for stacking room.
  * @returns {boolean}
  */
-export function canSpecialDeploy(hexCenter, team) {
+export function canSpecialDeploy(hexCenter, team, actor = null) {
   const snapped = snapToHexCenter(hexCenter);
 
-  // Target hex must be unoccupied
-  if (getTokensAtHex(snapped).length > 0) return false;
+  // Target hex must have room for the unit
+  if (!hasDeployRoom(snapped, team, actor)) return false;
 
   const spotters = getValidSpotters(team);
   for (const spotter of spotters) {
-    const sensors = spotter.actor.system.sensors ?? 0;
+    const sensors = getEffectiveSensors(spotter.actor);
     // Use sensor range as max distance (sensor + some base detection range)
     const dist = getHexDistancePoints(spotter.center, snapped);
     if (dist > sensors) continue;
@@ -150,18 +131,19 @@ export function canSpecialDeploy(hexCenter, team) {
  * Get all special deployment hexes visible to any valid spotter.
  * This is expensive — used for overlay highlighting only.
  * Returns a Map of hexKey → hex center point (excludes standard deploy hexes).
- * @param {string} team - "a" or "b"
+ * @param {string} team - Faction key
+ * @param {Actor|null} [actor=null] - The deploying unit, for stacking room.
  * @returns {Map<string, {x: number, y: number}>}
  */
-export function getSpecialDeployHexes(team) {
+export function getSpecialDeployHexes(team, actor = null) {
   const spotters = getValidSpotters(team);
   if (spotters.length === 0) return new Map();
 
   const validHexes = new Map();
-  const standardHexes = getDeployableHexes(team);
+  const standardHexes = getDeployableHexes(team, actor);
 
   for (const spotter of spotters) {
-    const sensors = spotter.actor.system.sensors ?? 0;
+    const sensors = getEffectiveSensors(spotter.actor);
     if (sensors <= 0) continue;
 
     const hexesInRange = getHexesWithinRadius(spotter.center, sensors);
@@ -170,8 +152,8 @@ export function getSpecialDeployHexes(team) {
       if (standardHexes.has(key)) continue; // Already a standard deploy hex
       if (validHexes.has(key)) continue;   // Already found
 
-      // Check unoccupied
-      if (getTokensAtHex(hex).length > 0) continue;
+      // Check room for the unit
+      if (!hasDeployRoom(hex, team, actor)) continue;
 
       // Check LOS
       if (checkLOS(spotter.center, hex, spotter, null)) {
@@ -186,26 +168,39 @@ export function getSpecialDeployHexes(team) {
 /**
  * Check if a hex is valid for deployment (standard or special).
  * @param {{x: number, y: number}} hexCenter - Target hex center.
- * @param {string} team - "a" or "b"
+ * @param {string} team - Faction key
  * @param {string} mode - "standard", "meteoric_assault", "air_assault", or "air_drop"
+ * @param {Actor|null} [actor=null] - The deploying unit, for stacking room.
  * @returns {boolean}
  */
-export function isValidDeployHex(hexCenter, team, mode) {
+export function isValidDeployHex(hexCenter, team, mode, actor = null) {
   const snapped = snapToHexCenter(hexCenter);
   const key = hexKey(snapped);
 
   // Always check standard hexes first
-  const standardHexes = getDeployableHexes(team);
+  const standardHexes = getDeployableHexes(team, actor);
   if (standardHexes.has(key)) return true;
 
   // Special modes can deploy beyond HQ radius
   if (mode !== "standard") {
-    return canSpecialDeploy(snapped, team);
+    return canSpecialDeploy(snapped, team, actor);
   }
 
   return false;
 }
 
+/**
+ * Whether a deploying unit has room in a hex under the stacking rule.
+ * Without an actor, a unit of the team taking the default stack points is assumed.
+ * @param {{x: number, y: number}} hex - A snapped hex center.
+ * @param {string} team - Faction key
+ * @param {Actor|null} actor
+ * @returns {boolean}
+ */
+function hasDeployRoom(hex, team, actor) {
+  return canStackInHex(hex, actor ?? { system: { team } }).allowed;
+}
+
 /* ============================================ */
 /*  Helper: Point-to-point hex distance         */
 /* ============================================ */
@@ -217,7 +212,5 @@ export function isValidDeployHex(hexCenter, team, mode) {
  * @returns {number}
  */
 export function getHexDistancePoints(from, to) {
-  const result = canvas.grid.measurePath([from, to]);
-  const gridDistance = canvas.scene.grid.distance || 1;
-  return Math.round(result.distance / gridDistance);
+  return getHexDistanceBetween(from, to);
 }
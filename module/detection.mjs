@@ -10,6 +10,18 @@
  *   "blip"    — beyond detection range but within 2x (partial contact)
  *   "hidden"  — beyond 2x detection range (invisible)
  *
+ * Time of day and weather (module/environment.mjs) lower every observer's
+ * sensors and sight range.
+ *
+ * Emission control: a unit running passive sensors detects at half its sensors
+ * rating; an active one has full sensors but a higher signature, and shows as
+ * an emission blip to enemies within twice its sensors rating
+ * (computeEmissionContacts).
+ *
+ * Units share contacts team-wide (and with allies). Under the optional
+ * commsDetectionSharing rule a unit only uses contacts spotted by units in
+ * its own comms chain, so an isolated unit sees only what it detects itself.
+ *
  * Line of sight uses a sight-point system:
  * - Each unit has a sightRange stat (default 5 sight points).
  * - Each hex along the LOS path costs sight points based on elevation difference
@@ -18,12 +30,21 @@
  * - The first blocking hex encountered is still within LOS itself,
  *   but everything beyond it is blocked.
  * - Terrain with blocksLOS: true also blocks (if hex elevation >= both endpoints).
+ * - Hex-side edges with blocksLOS (cliffs) block sight across them, unless the
+ *   observer is at least as high as the cliff top, the target is higher than
+ *   it, or the edge borders the target's hex.
  */
 
-import { snapToHexCenter, hexKey, computeHexPath,
-  getHexTerrain, getHexTerrainConfig, getHexElevation,
-  getEffectiveElevation, isAirborne } from "./hex-utils.mjs";
-import StarMercsActor from "./documents/actor.mjs";
+import { snapToHexCenter, hexKey, computeHexLine, getStructureCenter,
+  getHexTerrain, getHexTerrainConfig, getHexElevation, getEdgeFeature,
+  getEffectiveElevation, isAirborne, getHexDistance } from "./hex-utils.mjs";
+import { getBoard, withBoard } from "./board-state.mjs";
+import { getEnvironmentModifiers } from "./environment.mjs";
+import { isFriendly } from "./factions.mjs";
+import CommsLinkManager from "./comms-link-manager.mjs";
+
+/** Comms chains for the commsDetectionSharing rule, created on first use. */
+let sharingChains = null;
 
 /**
  * Get the sight-point cost for a hex given the observer's elevation.
@@ -57,7 +78,7 @@ export function checkLOS(fromCenter, toCenter, fromToken = null, toToken = null)
   // Same hex — always has LOS
   if (hexKey(from) === hexKey(to)) return true;
 
-  const path = computeHexPath(from, to);
+  const path = computeHexLine(from, to);
   if (path.length === 0) return true;
 
   // Use effective elevation (accounts for flying altitude) when tokens are provided
@@ -65,8 +86,8 @@ export function checkLOS(fromCenter, toCenter, fromToken = null, toToken = null)
   const toElev = toToken ? getEffectiveElevation(toToken) : getHexElevation(to);
   const maxEndpointElev = Math.max(fromElev, toElev);
 
-  // Observer's sight range (in sight points)
-  const sightRange = fromToken?.actor?.system?.sightRange ?? 5;
+  // Observer's sight range (in sight points), shortened by darkness and weather
+  const sightRange = Math.max(1, (fromToken?.actor?.system?.sightRange ?? 5) + getEnvironmentModifiers().sightMod);
 
   // Accumulate sight-point cost along the path
   let accumulatedCost = 0;
@@ -82,6 +103,14 @@ export function checkLOS(fromCenter, toCenter, fromToken = null, toToken = null)
 
     const elev = getHexElevation(hex);
 
+    // Cliff edges crossed on the way in
+    const prevHex = i === 0 ? from : path[i - 1];
+    const edge = getEdgeFeature(prevHex, hex);
+    if (edge?.config.blocksLOS && isIntermediate) {
+      const top = Math.max(elev, getHexElevation(prevHex));
+      if (fromElev < top && toElev <= top) return false;
+    }
+
     // Accumulate sight-point cost
     const cost = getSightCost(fromElev, elev);
     if (cost === Infinity) {
@@ -121,6 +150,27 @@ export function checkLOS(fromCenter, toCenter, fromToken = null, toToken = null)
   return true;
 }
 
+/**
+ * A unit's emission control mode.
+ * @param {Actor|null} actor
+ * @returns {object} Entry of CONFIG.STARMERCS.emissionModes.
+ */
+export function getEmissionMode(actor) {
+  const modes = CONFIG.STARMERCS.emissionModes;
+  return modes[actor?.system?.emissions] ?? modes.active;
+}
+
+/**
+ * A unit's sensors rating after emission control and the environment.
+ * @param {Actor} actor
+ * @param {number} [sensorBonus=0] - Additional sensor bonus (e.g. from outpost comms relay).
+ * @returns {number} Never below 0.
+ */
+export function getEffectiveSensors(actor, sensorBonus = 0) {
+  const base = Math.floor((actor?.system?.sensors ?? 0) * (getEmissionMode(actor).sensorMultiplier ?? 1));
+  return Math.max(0, base + sensorBonus + getEnvironmentModifiers().sensorMod);
+}
+
 /**
  * Compute a token's active signature, factoring in terrain modifiers.
  *
@@ -147,10 +197,15 @@ export function getActiveSignature(token) {
   if (token.document?.hasStatusEffect("meteoric-assault")) deploySigBonus = 2;
   else if (token.document?.hasStatusEffect("air-assault")) deploySigBonus = 5;
 
+  // Active sensors emit
+  const emissionSigMod = getEmissionMode(actor).signatureMod ?? 0;
+
   // Airborne flying units get no terrain signature modifiers (exposed in the sky)
   if (isAirborne(token)) {
-    const airMod = deploySigBonus;
-    const airModifiers = deploySigBonus ? [{ label: "Deploy signature", value: deploySigBonus }] : [];
+    const airModifiers = [];
+    if (deploySigBonus) airModifiers.push({ label: "Deploy signature", value: deploySigBonus });
+    if (emissionSigMod) airModifiers.push({ label: "Active sensors", value: emissionSigMod });
+    const airMod = deploySigBonus + emissionSigMod;
     return { active: baseSig + airMod, base: baseSig, totalMod: airMod, modifiers: airModifiers };
   }
 
@@ -176,6 +231,11 @@ export function getActiveSignature(token) {
     modifiers.push({ label: "Deploy signature", value: deploySigBonus });
   }
 
+  if (emissionSigMod) {
+    totalMod += emissionSigMod;
+    modifiers.push({ label: "Active sensors", value: emissionSigMod });
+  }
+
   return { active: baseSig + totalMod, base: baseSig, totalMod, modifiers };
 }
 
@@ -189,10 +249,15 @@ export function getActiveSignature(token) {
  * Vehicle cover:
  *   Urban (Dense): +1
  *
+ * Edge cover (needs the attacker): a wall or hedgerow on the last hex side the
+ * shot crosses adds its coverMod, as does a cliff when the target is on top.
+ * Airborne attackers fire over edges.
+ *
  * @param {Token} targetToken - The target being attacked.
+ * @param {Token|null} [attackerToken=null] - The attacker, for edge cover.
  * @returns {{ mod: number, modifiers: Array<{label: string, value: number}> }}
  */
-export function getTerrainCoverMod(targetToken) {
+export function getTerrainCoverMod(targetToken, attackerToken = null) {
   const actor = targetToken?.actor;
   if (!actor) return { mod: 0, modifiers: [] };
 
@@ -200,19 +265,43 @@ export function getTerrainCoverMod(targetToken) {
   if (isAirborne(targetToken)) return { mod: 0, modifiers: [] };
 
   // Read cover from status effects (synced on hex entry)
+  const modifiers = [];
   const doc = targetToken.document;
   if (doc?.hasStatusEffect("heavy-cover")) {
-    return { mod: 2, modifiers: [{ label: "Heavy Cover", value: 2 }] };
-  }
-  if (doc?.hasStatusEffect("cover")) {
-    return { mod: 1, modifiers: [{ label: "Cover", value: 1 }] };
+    modifiers.push({ label: "Heavy Cover", value: 2 });
+  } else if (doc?.hasStatusEffect("cover")) {
+    modifiers.push({ label: "Cover", value: 1 });
   }
-  return { mod: 0, modifiers: [] };
+
+  const edgeCover = attackerToken && !isAirborne(attackerToken) ? getEdgeCover(attackerToken, targetToken) : null;
+  if (edgeCover) modifiers.push(edgeCover);
+
+  return { mod: modifiers.reduce((sum, m) => sum + m.value, 0), modifiers };
+}
+
+/**
+ * Cover from the hex side a shot crosses last on its way into the target's hex.
+ * @param {Token} attackerToken
+ * @param {Token} targetToken
+ * @returns {{label: string, value: number}|null}
+ */
+function getEdgeCover(attackerToken, targetToken) {
+  const from = snapToHexCenter(attackerToken.center);
+  const to = snapToHexCenter(targetToken.center);
+  const line = computeHexLine(from, to);
+  if (line.length === 0) return null;
+
+  const prev = line.length > 1 ? line[line.length - 2] : from;
+  const edge = getEdgeFeature(prev, to);
+  if (!edge?.config.coverMod) return null;
+  if (edge.config.highSideCover && getHexElevation(to) < getHexElevation(prev)) return null;
+  return { label: edge.config.label, value: edge.config.coverMod };
 }
 
 /**
  * Check if an observer token can detect a target token.
- * Uses active signature (base + terrain modifiers) for detection range.
+ * Uses active signature (base + terrain modifiers) for detection range and
+ * the observer's sensors adjusted for emission control and the environment.
  * @param {Token} observerToken
  * @param {Token} targetToken
  * @param {number} [sensorBonus=0] - Additional sensor bonus (e.g. from outpost comms relay).
@@ -223,7 +312,7 @@ export function canDetect(observerToken, targetToken, sensorBonus = 0) {
     return { detected: false, distance: Infinity, detectionRange: 0, hasLOS: false };
   }
 
-  const sensors = (observerToken.actor.system.sensors ?? 0) + sensorBonus;
+  const sensors = getEffectiveSensors(observerToken.actor, sensorBonus);
   const { active: signature } = getActiveSignature(targetToken);
 
   // Check hex-based LOS (pass tokens for altitude-aware elevation)
@@ -234,7 +323,7 @@ export function canDetect(observerToken, targetToken, sensorBonus = 0) {
   const detectionRange = effectiveSensors + signature;
 
   // Calculate hex distance
-  const distance = StarMercsActor.getHexDistance(observerToken, targetToken);
+  const distance = getHexDistance(observerToken, targetToken);
 
   return {
     detected: distance <= detectionRange,
@@ -268,38 +357,81 @@ export function getDetectionLevel(observerToken, targetToken, sensorBonus = 0) {
 }
 
 /**
- * Compute the best detection level for an enemy token from any friendly unit on a team.
- * Returns the best level (visible > blip > hidden).
- * @param {string} friendlyTeam - The friendly team key ("a" or "b").
+ * The units whose contacts the given units may use under the
+ * commsDetectionSharing rule: every member of their comms chains.
+ * @param {string[]} tokenIds
+ * @returns {Set<string>|null} Observer token IDs, or null when the rule is off
+ *   and contacts are shared team-wide.
+ */
+export function getSensorNetwork(tokenIds) {
+  if (!getBoard().rules.commsDetectionSharing) return null;
+  sharingChains ??= new CommsLinkManager();
+  const network = new Set();
+  for (const id of tokenIds) {
+    for (const memberId of sharingChains.getChainForToken(id)) network.add(memberId);
+  }
+  return network;
+}
+
+/**
+ * Compute the best detection level for an enemy token from any unit friendly to a team
+ * (the team itself or its allies). Returns the best level (visible > blip > hidden).
+ * @param {string} friendlyTeam - The observing faction key.
+ * @param {Token} enemyToken - The enemy token to check.
+ * @param {BoardState|null} [board=null] - Board to evaluate against (defaults to the active board).
+ * @param {Set<string>|null} [observerIds=null] - Only count these friendly units (see getSensorNetwork).
+ * @returns {"visible" | "blip" | "hidden"}
+ */
+export function computeBestDetectionLevel(friendlyTeam, enemyToken, board = null, observerIds = null) {
+  return withBoard(board, () => bestDetectionLevel(friendlyTeam, enemyToken, observerIds));
+}
+
+/**
+ * Compute the detection level of an enemy token as one unit knows it: from
+ * every friendly unit, or only its comms chain under the commsDetectionSharing rule.
+ * @param {Token} unitToken - The friendly unit.
  * @param {Token} enemyToken - The enemy token to check.
+ * @param {BoardState|null} [board=null] - Board to evaluate against (defaults to the active board).
+ * @returns {"visible" | "blip" | "hidden"}
+ */
+export function computeUnitDetectionLevel(unitToken, enemyToken, board = null) {
+  return withBoard(board, () => bestDetectionLevel(
+    unitToken.actor?.system.team ?? "a", enemyToken, getSensorNetwork([unitToken.id])));
+}
+
+/**
+ * Body of computeBestDetectionLevel, evaluated against the active board.
+ * @param {string} friendlyTeam
+ * @param {Token} enemyToken
+ * @param {Set<string>|null} observerIds
  * @returns {"visible" | "blip" | "hidden"}
  */
-export function computeBestDetectionLevel(friendlyTeam, enemyToken) {
-  if (!canvas?.tokens?.placeables) return "hidden";
+function bestDetectionLevel(friendlyTeam, enemyToken, observerIds) {
+  const board = getBoard();
+  if (!board.ready) return "hidden";
 
   const levels = { visible: 3, blip: 2, hidden: 1 };
   let bestLevel = "hidden";
 
   // Outpost/HQ comms relay: find friendly outposts and headquarters for sensor bonus
-  const structures = canvas.scene?.getFlag("star-mercs", "structures") ?? [];
+  const structures = board.structures;
   const friendlyOutposts = structures.filter(s =>
-    (s.type === "outpost" || s.type === "headquarters") && s.team === friendlyTeam
+    (s.type === "outpost" || s.type === "headquarters") && isFriendly(s.team, friendlyTeam)
     && s.turnsBuilt >= s.turnsRequired && s.strength > 0
   );
 
-  for (const token of canvas.tokens.placeables) {
+  for (const token of board.tokens) {
     if (!token.actor || token.actor.type !== "unit") continue;
     if (token.actor.system.strength.value <= 0) continue;
-    if ((token.actor.system.team ?? "a") !== friendlyTeam) continue;
+    if (!isFriendly(token.actor.system.team ?? "a", friendlyTeam)) continue;
+    if (observerIds && !observerIds.has(token.id)) continue;
 
     // Check if observer is within any friendly outpost comms range → +2 sensors
     let commsBonus = 0;
     if (friendlyOutposts.length > 0) {
       const obsCenter = snapToHexCenter(token.center);
       for (const op of friendlyOutposts) {
-        const dx = obsCenter.x - op.x;
-        const dy = obsCenter.y - op.y;
-        const dist = Math.round(Math.sqrt(dx * dx + dy * dy) / (canvas.grid.size || 100));
+        const dist = board.distance(obsCenter, getStructureCenter(op));
         if (dist <= (op.commsRange ?? 5)) { commsBonus = 2; break; }
       }
     }
@@ -314,21 +446,53 @@ export function computeBestDetectionLevel(friendlyTeam, enemyToken) {
   return bestLevel;
 }
 
+/**
+ * Enemy units a team cannot see but picks up by their sensor emissions: hidden
+ * units running active sensors with a friendly unit within twice their sensors rating.
+ * @param {string} team - The observing faction key.
+ * @param {Map<string, string>} visibility - The team's detection levels (computeTeamVisibility).
+ * @param {Set<string>|null} [observerIds=null] - Only count these friendly units (see getSensorNetwork).
+ * @returns {string[]} Token IDs of the emitting units.
+ */
+export function computeEmissionContacts(team, visibility, observerIds = null) {
+  const board = getBoard();
+  if (!board.ready) return [];
+
+  const observers = board.tokens.filter(t => t.actor?.type === "unit"
+    && t.actor.system.strength.value > 0
+    && isFriendly(t.actor.system.team ?? "a", team)
+    && (!observerIds || observerIds.has(t.id)));
+  if (!observers.length) return [];
+
+  const contacts = [];
+  for (const [tokenId, level] of visibility) {
+    if (level !== "hidden") continue;
+    const token = board.getToken(tokenId);
+    if (!token?.actor || !getEmissionMode(token.actor).emits) continue;
+    const range = getEffectiveSensors(token.actor) * 2;
+    if (range <= 0) continue;
+    if (observers.some(o => getHexDistance(o, token) <= range)) contacts.push(tokenId);
+  }
+  return contacts;
+}
+
 /**
  * Compute visibility map for all enemy tokens from a team's perspective.
  * @param {string} team - The observing team key.
+ * @param {Set<string>|null} [observerIds=null] - Only count these friendly units (see getSensorNetwork).
  * @returns {Map<string, "visible" | "blip" | "hidden">} Token ID → detection level.
  */
-export function computeTeamVisibility(team) {
+export function computeTeamVisibility(team, observerIds = null) {
   const visibilityMap = new Map();
-  if (!canvas?.tokens?.placeables) return visibilityMap;
+  const board = getBoard();
+  if (!board.ready) return visibilityMap;
 
-  for (const token of canvas.tokens.placeables) {
+  for (const token of board.tokens) {
     if (!token.actor || token.actor.type !== "unit") continue;
     if (token.actor.system.strength.value <= 0) continue;
-    if ((token.actor.system.team ?? "a") === team) continue; // Skip friendlies
+    if (isFriendly(token.actor.system.team ?? "a", team)) continue; // Skip friendlies and allies
 
-    const level = computeBestDetectionLevel(team, token);
+    const level = computeBestDetectionLevel(team, token, null, observerIds);
     visibilityMap.set(token.id, level);
   }
 
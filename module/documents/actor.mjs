@@ -1,8 +1,14 @@
-import { resolveAttack, validateAttack, calculateAccuracy, determineHitResult, calculateDamage, HIT_LABELS } from "../combat.mjs";
+import { resolveAttack, validateAttack, calculateAccuracy, determineHitResult, calculateDamage, computeDamageOutcome, HIT_LABELS } from "../combat.mjs";
 import { skillCheck } from "../dice.mjs";
 import { computeBestDetectionLevel, checkLOS } from "../detection.mjs";
 import FiringBlipLayer from "../canvas/firing-blip-layer.mjs";
 import { esc } from "../helpers.mjs";
+import { getHexDistance, getTokensAtHex, snapToHexCenter, getHexElevation } from "../hex-utils.mjs";
+import { getBoard } from "../board-state.mjs";
+import { getEnvironmentModifiers } from "../environment.mjs";
+import { isFriendly } from "../factions.mjs";
+import { HOOKS } from "../hooks.mjs";
+import { unitNameHtml } from "../fog-of-war.mjs";
 
 /**
  * Extended Actor class for Star Mercs units.
@@ -117,7 +123,8 @@ export default class StarMercsActor extends Actor {
   /**
    * Check if this unit can land at its current position.
    * Requires: Flying trait, not already landed, altitude == hex elevation,
-   * and the terrain must be landable (no water unless Amphibious).
+   * and the unit's movement classes must be able to enter the terrain
+   * (see the movement cost matrix).
    * @returns {boolean}
    */
   canLand() {
@@ -127,7 +134,7 @@ export default class StarMercsActor extends Actor {
     const token = this.getActiveTokens()?.[0];
     if (!token || !canvas?.scene) return false;
 
-    const { getHexElevation, getHexTerrainConfig, snapToHexCenter } = game.starmercs?.hexUtils ?? {};
+    const { getHexElevation, getHexTerrainConfig, getHexTerrain, getTerrainClassCost, snapToHexCenter } = game.starmercs?.hexUtils ?? {};
     if (!getHexElevation) return false;
 
     const hexCenter = snapToHexCenter(token.center);
@@ -139,8 +146,13 @@ export default class StarMercsActor extends Actor {
 
     // Terrain checks
     const config = getHexTerrainConfig(hexCenter);
-    if (config?.waterTerrain && !this.hasTrait("Amphibious")) return false;
-    if (config?.impassableVehicle && this.hasTrait("Vehicle")) return false;
+    if (!config) return true;
+    const cost = getTerrainClassCost(getHexTerrain(hexCenter), this);
+    if (cost === null) return false;
+    if (cost === undefined) {
+      if (config.waterTerrain && !this.hasTrait("Amphibious")) return false;
+      if (config.impassableVehicle && this.hasTrait("Vehicle")) return false;
+    }
 
     return true;
   }
@@ -168,14 +180,34 @@ export default class StarMercsActor extends Actor {
     await this.toggleStatusEffect("airborne", { active: false });
   }
 
+  /**
+   * Land this flying unit wherever it is, regardless of terrain (out of fuel,
+   * grounding weather). Altitude drops to the hex elevation.
+   */
+  async forceLand() {
+    await this.setFlag("star-mercs", "landed", true);
+    const token = this.getActiveTokens()?.[0];
+    if (token) await this.setFlag("star-mercs", "altitude", getHexElevation(snapToHexCenter(token.center)));
+
+    if (!this.effects.some(e => e.statuses?.has("landed"))) {
+      await this.createEmbeddedDocuments("ActiveEffect", [{
+        name: "Landed",
+        img: "icons/svg/downgrade.svg",
+        statuses: ["landed"]
+      }]);
+    }
+    await this.toggleStatusEffect("airborne", { active: false });
+  }
+
   /**
    * Check if this unit can take off.
-   * Requires: Flying trait, currently landed, and has fuel.
+   * Requires: Flying trait, currently landed, has fuel, and no grounding weather.
    * @returns {boolean}
    */
   canTakeOff() {
     if (!this.hasTrait("Flying")) return false;
     if (!(this.getFlag("star-mercs", "landed") ?? false)) return false;
+    if (getEnvironmentModifiers().groundsFlying) return false;
     // Cannot take off without movement consumable (or fuel if "none")
     const consumableType = this.system.movementConsumable ?? "fuel";
     const consumableKey = consumableType === "none" ? "fuel" : consumableType;
@@ -306,9 +338,10 @@ export default class StarMercsActor extends Actor {
     const myToken = this.getActiveTokens()?.[0];
     if (!myToken || !cargoToken) return false;
 
-    // Validate: must have Transport trait, must be landed, must not already have cargo
+    // Validate: must have Transport trait, must be landed (Naval landing craft
+    // load from the shore), must not already have cargo
     if (!this.hasTrait("Transport")) return false;
-    if (!this.getFlag("star-mercs", "landed")) return false;
+    if (!this.hasTrait("Naval") && !this.getFlag("star-mercs", "landed")) return false;
     if (this.hasCargoAboard()) return false;
 
     // Validate cargo: must be Infantry, same team, not already aboard a transport
@@ -488,20 +521,7 @@ export default class StarMercsActor extends Actor {
    */
   static hasLineOfSight(token1, token2) {
     if (!token1 || !token2) return true;
-    const ray = new Ray(token1.center, token2.center);
-    // Check if any walls with sight restriction block the ray
-    const walls = canvas.walls?.placeables ?? [];
-    for (const wall of walls) {
-      if (wall.document.sight === CONST.WALL_SENSE_TYPES.NONE) continue;
-      const wallRay = new Ray(
-        { x: wall.document.c[0], y: wall.document.c[1] },
-        { x: wall.document.c[2], y: wall.document.c[3] }
-      );
-      if (foundry.utils.lineSegmentIntersects(ray.A, ray.B, wallRay.A, wallRay.B)) {
-        return false;
-      }
-    }
-    return true;
+    return getBoard().hasWallLOS(token1.center, token2.center);
   }
 
   /**
@@ -511,9 +531,7 @@ export default class StarMercsActor extends Actor {
    * @returns {number} Distance in hexes.
    */
   static getHexDistance(token1, token2) {
-    const result = canvas.grid.measurePath([token1.center, token2.center]);
-    const gridDistance = canvas.scene.grid.distance || 1;
-    return Math.round(result.distance / gridDistance);
+    return getHexDistance(token1, token2);
   }
 
   /* ---------------------------------------- */
@@ -528,6 +546,9 @@ export default class StarMercsActor extends Actor {
    *
    * If no target, performs a standalone roll and posts to chat.
    *
+   * Area weapons also attack every other unit stacked in the target's hex,
+   * each with its own roll, for the ammo of a single shot.
+   *
    * @param {Item} weapon - The weapon item to attack with.
    * @param {StarMercsActor} [target=null] - The target unit actor.
    * @returns {Promise<ChatMessage>}
@@ -542,21 +563,44 @@ export default class StarMercsActor extends Actor {
 
     // --- Targeted attack: full pipeline ---
     if (target) {
-      return this._rollTargetedAttack(weapon, target);
+      const message = await this._rollTargetedAttack(weapon, target);
+      if (message && weapon.system.area) await this._rollAreaAttacks(weapon, target);
+      return message;
     }
 
     // --- Untargeted: standalone roll for display ---
     return this._rollStandaloneAttack(weapon);
   }
 
+  /**
+   * Attack the other units stacked in an area weapon's target hex.
+   * @param {Item} weapon
+   * @param {StarMercsActor} target - The unit the weapon was aimed at.
+   * @private
+   */
+  async _rollAreaAttacks(weapon, target) {
+    const targetToken = canvas?.tokens?.placeables.find(t => t.actor === target);
+    if (!targetToken) return;
+    for (const token of getTokensAtHex(snapToHexCenter(targetToken.center))) {
+      if (token === targetToken || token.actor === this) continue;
+      if (token.document.getFlag("star-mercs", "transportTokenId")) continue; // Aboard a transport
+      await this._rollTargetedAttack(weapon, token.actor, { areaSplash: true });
+    }
+  }
+
   /**
    * Full targeted attack pipeline using CombatResolver.
+   * @param {Item} weapon
+   * @param {StarMercsActor} target
+   * @param {object} [options]
+   * @param {boolean} [options.areaSplash=false] - A follow-up area attack on another unit in
+   *   the target hex: fire, range and LOS were checked for the aimed shot, and no ammo is spent.
    * @private
    */
-  async _rollTargetedAttack(weapon, target) {
+  async _rollTargetedAttack(weapon, target, { areaSplash = false } = {}) {
     // Check if this weapon has already fired this tactical phase
     const attackerToken = canvas?.tokens?.placeables.find(t => t.actor === this);
-    if (game.combat?.started && attackerToken?.document) {
+    if (!areaSplash && game.combat?.started && attackerToken?.document) {
       const firedWeapons = attackerToken.document.getFlag("star-mercs", "firedWeapons") ?? [];
       if (firedWeapons.includes(weapon.id)) {
         ui.notifications.warn(`${weapon.name} has already fired this tactical phase.`);
@@ -565,7 +609,7 @@ export default class StarMercsActor extends Actor {
     }
 
     // Per-weapon ammo check
-    if (!this._hasAmmoForWeapon(weapon)) {
+    if (!areaSplash && !this._hasAmmoForWeapon(weapon)) {
       const ammoLabel = CONFIG.STARMERCS.ammoTypes?.[weapon.system.ammoType] ?? weapon.system.ammoType;
       ui.notifications.warn(`${weapon.name} cannot fire — no ${ammoLabel} ammo remaining.`);
       return null;
@@ -573,7 +617,7 @@ export default class StarMercsActor extends Actor {
 
     // Range check: find both tokens and measure hex distance
     const targetToken = canvas?.tokens?.placeables.find(t => t.actor === target);
-    if (attackerToken && targetToken && weapon.system.range > 0) {
+    if (!areaSplash && attackerToken && targetToken && weapon.system.range > 0) {
       const distance = StarMercsActor.getHexDistance(attackerToken, targetToken);
       if (distance > weapon.system.range) {
         ui.notifications.warn(
@@ -584,7 +628,7 @@ export default class StarMercsActor extends Actor {
     }
 
     // LOS check at fire time
-    if (attackerToken && targetToken) {
+    if (!areaSplash && attackerToken && targetToken) {
       const hasDirectLOS = checkLOS(attackerToken.center, targetToken.center, attackerToken, targetToken);
       if (!hasDirectLOS) {
         if (weapon.system.indirect) {
@@ -646,16 +690,14 @@ export default class StarMercsActor extends Actor {
     if (result.hitResult.hit && result.damage && result.damage.final > 0) {
       if (deferDamage) {
         // Store as pending — will be applied during consolidation
-        const maxStr = target.system.strength.max;
-        const threshold = maxStr * 0.25;
-        const readinessLoss = result.damage.final > threshold ? 2 : 1;
+        const readinessLoss = target.getReadinessLoss(result.damage.final);
 
         // Find the target's token document
         const targetToken = canvas?.tokens?.placeables.find(t => t.actor === target);
         if (targetToken) {
           await game.combat.addPendingDamage(
             targetToken.document, result.damage.final, readinessLoss,
-            this.name, weapon.name
+            this.name, weapon.name, attackerToken?.id
           );
         }
         damageApplied = { pending: true, damage: result.damage.final, readinessLost: readinessLoss };
@@ -674,10 +716,13 @@ export default class StarMercsActor extends Actor {
     const hitLabel = result.hitResult.hit ? `HIT (${result.damage?.final ?? 0} dmg)` : `MISS (${HIT_LABELS[result.hitResult.type]})`;
     await this.addLogEntry(`Attacked ${target.name} with ${weapon.name}: ${hitLabel}`, "info");
 
-    // Build chat card
+    // Build chat card (token ids let fog of war hide names the reader hasn't identified)
     const templateData = {
       attackerName: this.name,
+      attackerTokenId: attackerToken?.id ?? null,
       targetName: target.name,
+      targetTokenId: targetToken?.id ?? null,
+      areaSplash,
       weaponName: weapon.name,
       attackString: weapon.system.attackString ?? `D${weapon.system.damage}/R${weapon.system.range}`,
       attackType: weapon.system.attackType,
@@ -686,19 +731,8 @@ export default class StarMercsActor extends Actor {
       roll: result.roll.total,
       accuracyBase: result.accuracy.base,
       accuracyEffective: result.accuracy.effective,
-      ewarMod: result.accuracy.ewarMod,
-      readinessMod: result.accuracy.readinessMod,
-      accurateMod: result.accuracy.accurateMod ?? 0,
-      inaccurateMod: result.accuracy.inaccurateMod ?? 0,
-      disorderedMod: result.accuracy.disorderedMod ?? 0,
-      standDownMod: result.accuracy.standDownMod ?? 0,
-      orderAccuracyMod: result.accuracy.orderAccuracyMod ?? 0,
-      areaMod: result.accuracy.areaMod ?? 0,
-      terrainCoverMod: result.accuracy.terrainCoverMod ?? 0,
-      advReconMod: result.accuracy.advReconMod ?? 0,
-      ambushMod: result.accuracy.ambushMod ?? 0,
-      combinedArmsMod: result.accuracy.combinedArmsMod ?? 0,
-      hasAccuracyMods: (result.accuracy.ewarMod > 0 || result.accuracy.readinessMod > 0 || (result.accuracy.accurateMod ?? 0) > 0 || (result.accuracy.inaccurateMod ?? 0) > 0 || (result.accuracy.disorderedMod ?? 0) !== 0 || (result.accuracy.standDownMod ?? 0) !== 0 || (result.accuracy.orderAccuracyMod ?? 0) !== 0 || (result.accuracy.areaMod ?? 0) !== 0 || (result.accuracy.terrainCoverMod ?? 0) !== 0 || (result.accuracy.advReconMod ?? 0) !== 0 || (result.accuracy.ambushMod ?? 0) !== 0 || (result.accuracy.combinedArmsMod ?? 0) !== 0),
+      accuracyModifiers: result.accuracy.modifiers,
+      hasAccuracyMods: result.accuracy.modifiers.length > 0,
       hitType: result.hitResult.type,
       hitLabel: HIT_LABELS[result.hitResult.type],
       isHit: result.hitResult.hit,
@@ -723,6 +757,7 @@ export default class StarMercsActor extends Actor {
       interceptors: (result.interception?.interceptors ?? []).map(i => ({
         typeBadge: i.type.toUpperCase(),
         actorName: i.actorName,
+        tokenId: canvas?.tokens?.placeables.find(t => t.actor?.id === i.actorId)?.id ?? null,
         weaponName: i.weaponName,
         reduction: i.reduction
       }))
@@ -734,9 +769,11 @@ export default class StarMercsActor extends Actor {
     );
 
     // Consume ammo immediately when weapon fires (3x for Assault order)
-    const orderKey = this.system.currentOrder;
-    const ammoMod = (orderKey === "assault") ? 3 : 1;
-    await this._consumeAmmo(weapon, ammoMod);
+    if (!areaSplash) {
+      const orderKey = this.system.currentOrder;
+      const ammoMod = (orderKey === "assault") ? 3 : 1;
+      await this._consumeAmmo(weapon, ammoMod);
+    }
 
     // Consume interception ammo from APS/ZPS units and update fire counts
     if (result.interception?.interceptors?.length > 0) {
@@ -783,7 +820,7 @@ export default class StarMercsActor extends Actor {
           const unknownName = `Unknown Attacker ${serialStr}`;
 
           // Defender team message with hidden attacker name
-          const defTemplateData = { ...templateData, attackerName: unknownName };
+          const defTemplateData = { ...templateData, attackerName: unknownName, attackerTokenId: null };
           const defContent = await foundry.applications.handlebars.renderTemplate(
             "systems/star-mercs/templates/chat/attack-result.hbs",
             defTemplateData
@@ -837,28 +874,7 @@ export default class StarMercsActor extends Actor {
     let damage = null;
     if (hitResult.hit) {
       // Standalone: no target, so only attacker-side modifiers apply
-      const base = weapon.system.damage;
-      let dmg = base;
-      const modifiers = [];
-
-      if (hitResult.type === "critical_hit") {
-        dmg += 1;
-        modifiers.push({ label: "Critical Hit", value: +1 });
-      } else if (hitResult.type === "partial") {
-        dmg -= 1;
-        modifiers.push({ label: "Partial Success", value: -1 });
-      }
-      const casualtyPenalty = this.system.casualtyPenalty ?? 0;
-      if (casualtyPenalty > 0) {
-        dmg -= casualtyPenalty;
-        modifiers.push({ label: "Casualty Penalty", value: -casualtyPenalty });
-      }
-      const readinessDmg = this.system.readinessPenalty?.damage ?? 0;
-      if (readinessDmg !== 0) {
-        dmg += readinessDmg;
-        modifiers.push({ label: "Low Readiness", value: readinessDmg });
-      }
-      damage = { final: Math.max(1, dmg), base, modifiers };
+      damage = calculateDamage(weapon, this, null, hitResult.type);
     }
 
     const templateData = {
@@ -872,19 +888,8 @@ export default class StarMercsActor extends Actor {
       roll: roll.total,
       accuracyBase: accuracy.base,
       accuracyEffective: accuracy.effective,
-      ewarMod: 0,
-      readinessMod: accuracy.readinessMod,
-      accurateMod: accuracy.accurateMod ?? 0,
-      inaccurateMod: accuracy.inaccurateMod ?? 0,
-      disorderedMod: 0,
-      standDownMod: 0,
-      orderAccuracyMod: accuracy.orderAccuracyMod ?? 0,
-      areaMod: accuracy.areaMod ?? 0,
-      terrainCoverMod: accuracy.terrainCoverMod ?? 0,
-      advReconMod: accuracy.advReconMod ?? 0,
-      ambushMod: accuracy.ambushMod ?? 0,
-      combinedArmsMod: accuracy.combinedArmsMod ?? 0,
-      hasAccuracyMods: (accuracy.readinessMod > 0 || (accuracy.accurateMod ?? 0) > 0 || (accuracy.inaccurateMod ?? 0) > 0 || (accuracy.orderAccuracyMod ?? 0) !== 0 || (accuracy.areaMod ?? 0) !== 0 || (accuracy.terrainCoverMod ?? 0) !== 0 || (accuracy.advReconMod ?? 0) !== 0 || (accuracy.ambushMod ?? 0) !== 0 || (accuracy.combinedArmsMod ?? 0) !== 0),
+      accuracyModifiers: accuracy.modifiers,
+      hasAccuracyMods: accuracy.modifiers.length > 0,
       hitType: hitResult.type,
       hitLabel: HIT_LABELS[hitResult.type],
       isHit: hitResult.hit,
@@ -1079,11 +1084,9 @@ export default class StarMercsActor extends Actor {
     // Apply or defer accumulated damage to each target
     const damageResults = new Map();
     for (const [targetId, { target, targetName, totalDamage, hitDamages }] of damageByTarget) {
-      const maxStrength = target.system.strength.max;
-      const threshold = maxStrength * 0.25;
       let totalReadinessLoss = 0;
       for (const dmg of hitDamages) {
-        totalReadinessLoss += dmg > threshold ? 2 : 1;
+        totalReadinessLoss += target.getReadinessLoss(dmg);
       }
 
       if (deferDamage) {
@@ -1092,7 +1095,7 @@ export default class StarMercsActor extends Actor {
         if (targetToken) {
           await game.combat.addPendingDamage(
             targetToken.document, totalDamage, totalReadinessLoss,
-            this.name, `${hitDamages.length} weapon(s)`
+            this.name, `${hitDamages.length} weapon(s)`, attackerToken?.id
           );
         }
         damageResults.set(targetId, {
@@ -1172,7 +1175,9 @@ export default class StarMercsActor extends Actor {
 
       const templateData = {
         attackerName: this.name,
+        attackerTokenId: attackerToken?.id ?? null,
         targetName: result.targetTokenName,
+        targetTokenId: result.targetTokenId ?? null,
         weaponName: result.weapon.name,
         attackString: result.weapon.system.attackString ?? `D${result.weapon.system.damage}/R${result.weapon.system.range}`,
         attackType: result.weapon.system.attackType,
@@ -1181,17 +1186,8 @@ export default class StarMercsActor extends Actor {
         roll: result.roll.total,
         accuracyBase: result.accuracy.base,
         accuracyEffective: result.accuracy.effective,
-        ewarMod: result.accuracy.ewarMod,
-        readinessMod: result.accuracy.readinessMod,
-        accurateMod: result.accuracy.accurateMod ?? 0,
-        inaccurateMod: result.accuracy.inaccurateMod ?? 0,
-        orderAccuracyMod: result.accuracy.orderAccuracyMod ?? 0,
-        areaMod: result.accuracy.areaMod ?? 0,
-        terrainCoverMod: result.accuracy.terrainCoverMod ?? 0,
-        advReconMod: result.accuracy.advReconMod ?? 0,
-        ambushMod: result.accuracy.ambushMod ?? 0,
-        combinedArmsMod: result.accuracy.combinedArmsMod ?? 0,
-        hasAccuracyMods: (result.accuracy.ewarMod > 0 || result.accuracy.readinessMod > 0 || (result.accuracy.accurateMod ?? 0) > 0 || (result.accuracy.inaccurateMod ?? 0) > 0 || (result.accuracy.orderAccuracyMod ?? 0) !== 0 || (result.accuracy.areaMod ?? 0) !== 0 || (result.accuracy.terrainCoverMod ?? 0) !== 0 || (result.accuracy.advReconMod ?? 0) !== 0 || (result.accuracy.ambushMod ?? 0) !== 0 || (result.accuracy.combinedArmsMod ?? 0) !== 0),
+        accuracyModifiers: result.accuracy.modifiers,
+        hasAccuracyMods: result.accuracy.modifiers.length > 0,
         hitType: result.hitResult.type,
         hitLabel: HIT_LABELS[result.hitResult.type],
         isHit: result.hitResult.hit,
@@ -1214,6 +1210,7 @@ export default class StarMercsActor extends Actor {
         interceptors: (result.interception?.interceptors ?? []).map(i => ({
           typeBadge: i.type.toUpperCase(),
           actorName: i.actorName,
+          tokenId: canvas?.tokens?.placeables.find(t => t.actor?.id === i.actorId)?.id ?? null,
           weaponName: i.weaponName,
           reduction: i.reduction
         }))
@@ -1236,8 +1233,8 @@ export default class StarMercsActor extends Actor {
       if (!entry) continue;
       const targetName = entry.targetName;
 
-      const safeName = esc(this.name);
-      const safeTarget = esc(targetName);
+      const safeName = unitNameHtml(attackerToken, this.name);
+      const safeTarget = unitNameHtml(canvas?.tokens?.get(tokenId), targetName);
       let statusHtml = `<div class="star-mercs chat-card fire-all-summary">`;
       statusHtml += `<div class="summary-header"><i class="fas fa-crosshairs"></i> <strong>${safeName}</strong> &rarr; <strong>${safeTarget}</strong></div>`;
       statusHtml += `<div class="summary-damage">Total Damage: <strong>${entry.totalDamage}</strong> (${entry.hitDamages.length} hit${entry.hitDamages.length > 1 ? "s" : ""})</div>`;
@@ -1332,6 +1329,16 @@ export default class StarMercsActor extends Actor {
   /*  Combat: Damage Application              */
   /* ---------------------------------------- */
 
+  /**
+   * Readiness lost from a single hit: 1 normally, 2 if the hit exceeds 25% of max strength.
+   * @param {number} damage - Final damage of the hit.
+   * @returns {number}
+   */
+  getReadinessLoss(damage) {
+    const threshold = this.system.strength.max * 0.25;
+    return damage > threshold ? 2 : 1;
+  }
+
   /**
    * Apply damage to this unit, reducing strength and readiness.
    *
@@ -1346,34 +1353,36 @@ export default class StarMercsActor extends Actor {
    * @returns {Promise<{newStrength: number, newReadiness: number, readinessLost: number, destroyed: boolean, routed: boolean}>}
    */
   async applyDamage(damage, source = null) {
-    const currentStrength = this.system.strength.value;
-    const maxStrength = this.system.strength.max;
-    const currentReadiness = this.system.readiness.value;
+    const outcome = computeDamageOutcome(this, damage);
 
-    // Calculate new strength
-    const newStrength = Math.max(0, currentStrength - damage);
-
-    // Readiness loss: 1 normally, 2 if single hit > 25% of max strength
-    const threshold = maxStrength * 0.25;
-    const readinessLost = damage > threshold ? 2 : 1;
-    const newReadiness = Math.max(0, currentReadiness - readinessLost);
-
-    // Apply updates
     await this.update({
-      "system.strength.value": newStrength,
-      "system.readiness.value": newReadiness
+      "system.strength.value": outcome.newStrength,
+      "system.readiness.value": outcome.newReadiness
     });
 
-    const destroyed = newStrength <= 0;
-    const routed = !destroyed && newReadiness <= 0;
+    return outcome;
+  }
 
-    return {
-      newStrength,
-      newReadiness,
-      readinessLost,
-      destroyed,
-      routed
-    };
+  /* ---------------------------------------- */
+  /*  Document Lifecycle                      */
+  /* ---------------------------------------- */
+
+  /** @override */
+  async _preUpdate(changed, options, user) {
+    // Remember whether the unit was alive so _onUpdate can detect destruction
+    if (foundry.utils.hasProperty(changed, "system.strength.value") && this.type === "unit") {
+      options.starMercsWasAlive = this.system.strength.value > 0;
+    }
+    return super._preUpdate(changed, options, user);
+  }
+
+  /** @override */
+  _onUpdate(changed, options, userId) {
+    super._onUpdate(changed, options, userId);
+    if (userId !== game.user.id || !options.starMercsWasAlive || options.starMercsRestore) return;
+    if (this.system.strength.value > 0) return;
+    const token = this.token ?? this.getActiveTokens(false, true)[0] ?? null;
+    Hooks.callAll(HOOKS.unitDestroyed, this, token);
   }
 
   /* ---------------------------------------- */
@@ -1444,11 +1453,11 @@ export default class StarMercsActor extends Actor {
   async transferSupply(targetActor, transfers) {
     if (!targetActor || targetActor.type !== "unit") return false;
 
-    // Team check: can only transfer to same-team units
+    // Team check: can only transfer to same-team or allied units
     const myTeam = this.system.team ?? "a";
     const targetTeam = targetActor.system.team ?? "a";
-    if (myTeam !== targetTeam) {
-      ui.notifications.warn("Cannot transfer supply to a unit on a different team.");
+    if (!isFriendly(myTeam, targetTeam)) {
+      ui.notifications.warn("Cannot transfer supply to a unit that is not friendly.");
       return false;
     }
 
@@ -3,8 +3,22 @@ import { esc } from "../helpers.mjs";
 import { snapToHexCenter, hexKey, hexCenterFromKey, hexCenterToTokenPosition,
   getAdjacentHexCenters, getTokensAtHex, areAdjacent, getAdjacentEnemies, isEngaged,
   computeHexPath, validatePath, findBestAdjacentHex, getLastSafeHex,
-  calculatePathCost, normalizeHexData, getStructureAtHex } from "../hex-utils.mjs";
-import { getDetectionLevel, checkLOS } from "../detection.mjs";
+  calculatePathCost, getStructureAtHex, getStructureCenter, getHexDistanceBetween,
+  getZoneOfControl, getZocStopIndex, canStackInHex, getStackAtHex, getMovementCost,
+  getSeaLaneDistance, isStructureVisibleTo, revealStructureTo } from "../hex-utils.mjs";
+import { getDetectionLevel, checkLOS, getEffectiveSensors } from "../detection.mjs";
+import { computeObjectiveScores } from "../scoring.mjs";
+import { evaluateVictory, updateVictoryState } from "../victory.mjs";
+import { computeDamageOutcome, calculateMinefieldDamage } from "../combat.mjs";
+import { getFactionLabel, getFriendlyFactions, isFriendly } from "../factions.mjs";
+import { captureSnapshot, restoreSnapshot, SNAPSHOT_FLAG } from "../snapshots.mjs";
+import { HOOKS } from "../hooks.mjs";
+import { skillCheck } from "../dice.mjs";
+import { evaluateMoraleRoll, rollMoraleCheck, moraleCheckAction } from "../morale.mjs";
+import { unitNameHtml } from "../fog-of-war.mjs";
+import { clearLastKnownPositions, resetLastKnownTracking, suspendLastKnownTracking,
+  trackLastKnownPositions } from "../last-known-positions.mjs";
+import { getEnvironmentModifiers, applyEnvironmentSchedule } from "../environment.mjs";
 import StructureLayer from "../canvas/structure-layer.mjs";
 
 /**
@@ -44,6 +58,12 @@ export default class StarMercsCombat extends Combat {
     consolidation: { allowsMovement: true,  allowsAttack: false }
   };
 
+  /** Phase snapshots kept for undo (enough to step back through a full tactical phase). */
+  static SNAPSHOT_DEPTH = 15;
+
+  /** Pause between movement impulses (ms), so each one can be followed on the board. */
+  static IMPULSE_DELAY = 400;
+
   /* ---------------------------------------- */
   /*  Accessors                               */
   /* ---------------------------------------- */
@@ -68,6 +88,16 @@ export default class StarMercsCombat extends Combat {
     return StarMercsCombat.PHASE_RULES[this.phase];
   }
 
+  /**
+   * Victory conditions for this combat: its own list if set, otherwise the scene's.
+   * @type {Array<{type: string, value?: number}>}
+   */
+  get victoryConditions() {
+    return this.getFlag("star-mercs", "victoryConditions")
+      ?? (this.scene ?? canvas.scene)?.getFlag("star-mercs", "victoryConditions")
+      ?? [];
+  }
+
   /* ---------------------------------------- */
   /*  Combat Lifecycle Overrides              */
   /* ---------------------------------------- */
@@ -80,6 +110,8 @@ export default class StarMercsCombat extends Combat {
     });
     const result = await super.startCombat();
     this._announcePhase();
+    await applyEnvironmentSchedule(this.round);
+    await this._fireScenarioEvents(this.round, "deploy");
     this._refreshEngagementStatus();
     return result;
   }
@@ -93,6 +125,12 @@ export default class StarMercsCombat extends Combat {
       }
     }
 
+    // Snapshot the board so this step can be undone
+    await this._pushSnapshot();
+
+    // Note headquarters before this step can destroy them
+    await this._updateVictoryState();
+
     const currentIndex = this.phaseIndex;
 
     // If currently IN tactical, advance sub-step instead of phase
@@ -107,6 +145,7 @@ export default class StarMercsCombat extends Combat {
       }
 
       // All tactical steps done — proceed to consolidation
+      await this._fireScenarioEvents(this.round, "consolidation");
       await this._runConsolidationEffects();
       await this.update({
         "flags.star-mercs.phase": "consolidation",
@@ -118,6 +157,11 @@ export default class StarMercsCombat extends Combat {
 
     const nextIndex = currentIndex + 1;
 
+    // Scripted scenario events for the phase being entered (a new round fires its own in nextRound)
+    if (nextIndex < StarMercsCombat.PHASES.length) {
+      await this._fireScenarioEvents(this.round, StarMercsCombat.PHASES[nextIndex]);
+    }
+
     // Entering preparation — run preparation effects
     if (nextIndex === 1) {
       await this._runPreparationEffects();
@@ -149,10 +193,8 @@ export default class StarMercsCombat extends Combat {
       return this;
     }
 
-    // Leaving consolidation — clear targets, destinations, orders
-    if (currentIndex === 4) {
-      await this._runConsolidationCleanup();
-    }
+    // Leaving consolidation — check victory, then clear targets, destinations, orders
+    if (currentIndex === 4 && await this._leaveConsolidation()) return this;
 
     // Entering consolidation — apply damage, readiness costs, supply consumption
     if (nextIndex === 4) {
@@ -161,7 +203,7 @@ export default class StarMercsCombat extends Combat {
 
     // All phases done — next round resets to preparation
     if (nextIndex >= StarMercsCombat.PHASES.length) {
-      return this.nextRound();
+      return this._advanceRound();
     }
 
     // Advance to next phase
@@ -176,20 +218,55 @@ export default class StarMercsCombat extends Combat {
     return this;
   }
 
-  /** @override — New round resets to deploy phase, or skips it if pool is empty. */
+  /**
+   * @override — New round resets to deploy phase, or skips it if pool is empty.
+   * From consolidation it first ends the round as nextTurn does, so a decided
+   * battle stops here.
+   */
   async nextRound() {
+    await this._pushSnapshot();
+    if (this.phaseIndex === 4) {
+      await this._updateVictoryState();
+      if (await this._leaveConsolidation()) return this;
+    }
+    return this._advanceRound();
+  }
+
+  /**
+   * End-of-round handling when leaving consolidation (shared by nextTurn and
+   * nextRound): check victory, then clear targets, destinations and orders.
+   * @returns {Promise<boolean>} Whether the battle ended.
+   * @private
+   */
+  async _leaveConsolidation() {
+    if (await this._checkVictory()) return true;
+    await this._runConsolidationCleanup();
+    return false;
+  }
+
+  /**
+   * Start the next round (shared by nextRound and the last phase of nextTurn).
+   * @returns {Promise<Combat>}
+   * @private
+   */
+  async _advanceRound() {
+    // Start-of-round weather and scenario events first: reinforcements may fill the deploy pool
+    const nextRoundNum = this.round + 1;
+    await applyEnvironmentSchedule(nextRoundNum);
+    await this._fireScenarioEvents(nextRoundNum, "deploy");
+
     // Check if deploy pool has any entries
-    const pool = game.settings.get("star-mercs", "deployPool") ?? { a: [], b: [] };
-    const poolHasEntries = (pool.a?.length > 0) || (pool.b?.length > 0);
+    const pool = game.settings.get("star-mercs", "deployPool") ?? {};
+    const poolHasEntries = Object.values(pool).some(entries => entries?.length > 0);
 
     // After round 1, skip deploy phase if pool is empty
-    const nextRoundNum = this.round + 1;
     if (nextRoundNum > 1 && !poolHasEntries) {
       await this.update({
         "flags.star-mercs.phase": "preparation",
         "flags.star-mercs.phaseIndex": 1
       });
       const result = await super.nextRound();
+      await this._fireScenarioEvents(nextRoundNum, "preparation");
       // Run preparation effects
       await this._runPreparationEffects();
       this._announcePhase();
@@ -207,8 +284,17 @@ export default class StarMercsCombat extends Combat {
     return result;
   }
 
-  /** @override — Previous round resets to deploy phase. */
+  /**
+   * @override — Restore the earliest snapshot of the previous round; without
+   * one, step the round back and reset to deploy phase.
+   */
   async previousRound() {
+    const target = this._getSnapshotKeys().find(key => this._getSnapshot(key).round === this.round - 1);
+    if (target !== undefined) {
+      await this._undoToSnapshot(target);
+      return this;
+    }
+
     await this.update({
       "flags.star-mercs.phase": "deploy",
       "flags.star-mercs.phaseIndex": 0
@@ -216,8 +302,17 @@ export default class StarMercsCombat extends Combat {
     return super.previousRound();
   }
 
-  /** @override — Go back one phase within the current round. */
+  /**
+   * @override — Restore the state before the last phase or tactical-step advance;
+   * without a snapshot, go back one phase within the current round (flags only).
+   */
   async previousTurn() {
+    const latest = this._getSnapshotKeys().at(-1);
+    if (latest !== undefined) {
+      await this._undoToSnapshot(latest);
+      return this;
+    }
+
     const currentIndex = this.phaseIndex;
     if (currentIndex <= 0) return this;
 
@@ -231,11 +326,103 @@ export default class StarMercsCombat extends Combat {
     return this;
   }
 
-  /** @override — Clean up firing blips when combat ends. */
+  /** @override — Clean up firing blips and last-known positions when combat ends. */
   async endCombat() {
+    await this._clearFiringBlips();
+    await clearLastKnownPositions();
+    return super.endCombat();
+  }
+
+  /**
+   * Remove all firing blips from the scene.
+   * @private
+   */
+  async _clearFiringBlips() {
     const { default: FiringBlipLayer } = await import("../canvas/firing-blip-layer.mjs");
     await FiringBlipLayer.clearAllFiringBlips();
-    return super.endCombat();
+  }
+
+  /* ---------------------------------------- */
+  /*  Phase Snapshots (Undo)                  */
+  /* ---------------------------------------- */
+
+  /**
+   * Where Prev Phase would return to, e.g. "Round 2 — Tactical: Weapons Fire".
+   * @type {string|null} Null when there is no snapshot to restore.
+   */
+  get undoLabel() {
+    const latest = this._getSnapshotKeys().at(-1);
+    return latest !== undefined ? this._getSnapshot(latest).label : null;
+  }
+
+  /**
+   * Sequence numbers of the stored snapshots, oldest first.
+   * @returns {number[]}
+   * @private
+   */
+  _getSnapshotKeys() {
+    return Object.keys(this.getFlag("star-mercs", SNAPSHOT_FLAG) ?? {}).map(Number).sort((a, b) => a - b);
+  }
+
+  /**
+   * A stored snapshot by sequence number.
+   * @param {number} key
+   * @returns {object|undefined}
+   * @private
+   */
+  _getSnapshot(key) {
+    return this.getFlag("star-mercs", SNAPSHOT_FLAG)?.[key];
+  }
+
+  /**
+   * Snapshot the board before an advance, dropping the oldest beyond SNAPSHOT_DEPTH.
+   * Each snapshot is its own flag key so pushing one does not resend the others.
+   * @private
+   */
+  async _pushSnapshot() {
+    const keys = this._getSnapshotKeys();
+    const next = (keys.at(-1) ?? 0) + 1;
+    const update = { [`flags.star-mercs.${SNAPSHOT_FLAG}.${next}`]: captureSnapshot(this) };
+    const excess = keys.length + 1 - StarMercsCombat.SNAPSHOT_DEPTH;
+    for (const key of keys.slice(0, Math.max(0, excess))) {
+      update[`flags.star-mercs.${SNAPSHOT_FLAG}.-=${key}`] = null;
+    }
+    await this.update(update);
+  }
+
+  /**
+   * Restore a snapshot and discard it along with every newer one.
+   * @param {number} key - Snapshot sequence number.
+   * @private
+   */
+  async _undoToSnapshot(key) {
+    const snapshot = this._getSnapshot(key);
+    if (!snapshot) return;
+
+    suspendLastKnownTracking();
+    await restoreSnapshot(this, snapshot);
+    resetLastKnownTracking();
+    trackLastKnownPositions();
+
+    const discard = {};
+    for (const k of this._getSnapshotKeys().filter(k => k >= key)) {
+      discard[`flags.star-mercs.${SNAPSHOT_FLAG}.-=${k}`] = null;
+    }
+    await this.update(discard);
+
+    game.starmercs?.commsLinkManager?.invalidate();
+    game.starmercs?.terrainLayer?.drawTerrain();
+    game.starmercs?.targetingArrowLayer?.drawArrows();
+    game.starmercs?.commsLinkLayer?.drawLinks();
+    game.starmercs?.deployPanel?.render(false);
+
+    await ChatMessage.create({
+      content: `<div class="star-mercs phase-announcement undo">
+        <h3><i class="fas fa-undo"></i> Undo &mdash; ${esc(snapshot.label)}</h3>
+      </div>`,
+      speaker: { alias: "Star Mercs" }
+    });
+    Hooks.callAll(HOOKS.phaseChanged, this, { round: this.round, phase: this.phase, undo: true });
   }
 
   /* ---------------------------------------- */
@@ -346,16 +533,24 @@ export default class StarMercsCombat extends Combat {
    * @param {number} readinessLoss - Readiness loss to apply.
    * @param {string} sourceName - Name of the attacking unit (for display).
    * @param {string} weaponName - Name of the weapon (for display).
+   * @param {string|null} [sourceTokenId] - Attacking token, credited in its battle record.
    */
-  async addPendingDamage(tokenDoc, strengthDamage, readinessLoss, sourceName, weaponName) {
+  async addPendingDamage(tokenDoc, strengthDamage, readinessLoss, sourceName, weaponName, sourceTokenId = null) {
     const existing = tokenDoc.getFlag("star-mercs", "pendingDamage") ?? {
       strength: 0, readiness: 0, hits: []
     };
     existing.strength += strengthDamage;
     existing.readiness += readinessLoss;
-    existing.hits.push({ source: sourceName, weapon: weaponName, damage: strengthDamage, readinessLoss });
+    existing.hits.push({ source: sourceName, sourceTokenId, weapon: weaponName, damage: strengthDamage, readinessLoss });
     await tokenDoc.setFlag("star-mercs", "pendingDamage", existing);
 
+    // Per-token battle record (damage dealt, kills) used by campaign experience
+    const sourceToken = sourceTokenId ? this.scene?.tokens.get(sourceTokenId) : null;
+    if (sourceToken && strengthDamage > 0) {
+      const record = sourceToken.getFlag("star-mercs", "battleRecord") ?? { damage: 0, kills: 0 };
+      await sourceToken.setFlag("star-mercs", "battleRecord", { ...record, damage: record.damage + strengthDamage });
+    }
+
     // Track damage dealt by attacker for combat summary
     if (strengthDamage > 0) {
       const dealt = foundry.utils.deepClone(this.getFlag("star-mercs", "damageDealtThisTurn") ?? {});
@@ -364,6 +559,26 @@ export default class StarMercsCombat extends Combat {
     }
   }
 
+  /**
+   * Credit a kill to the attacker that dealt the most damage to a destroyed unit.
+   * @param {Array<{sourceTokenId?: string, damage: number}>} hits - The destroyed unit's pending hits.
+   * @private
+   */
+  async _creditKill(hits = []) {
+    const bySource = new Map();
+    for (const hit of hits) {
+      if (!hit.sourceTokenId) continue;
+      bySource.set(hit.sourceTokenId, (bySource.get(hit.sourceTokenId) ?? 0) + hit.damage);
+    }
+    if (!bySource.size) return;
+
+    const [killerId] = [...bySource.entries()].sort((a, b) => b[1] - a[1])[0];
+    const killer = this.scene?.tokens.get(killerId);
+    if (!killer) return;
+    const record = killer.getFlag("star-mercs", "battleRecord") ?? { damage: 0, kills: 0 };
+    await killer.setFlag("star-mercs", "battleRecord", { ...record, kills: record.kills + 1 });
+  }
+
   /* ---------------------------------------- */
   /*  Internal Helpers                        */
   /* ---------------------------------------- */
@@ -389,13 +604,15 @@ export default class StarMercsCombat extends Combat {
 
   /**
    * Get user IDs to whisper a chat message to for a given team.
-   * Includes GM users and all players assigned to the specified team.
-   * @param {string} team - Team key ("a" or "b").
+   * Includes GM users and all players assigned to the team or an allied team,
+   * since allies share vision.
+   * @param {string} team - Faction key.
    * @returns {string[]} Array of user IDs.
    */
   static getTeamWhisperIds(team) {
     const assignments = game.settings.get("star-mercs", "teamAssignments") ?? {};
-    return game.users.filter(u => u.isGM || assignments[u.id] === team).map(u => u.id);
+    const teams = getFriendlyFactions(team);
+    return game.users.filter(u => u.isGM || teams.includes(assignments[u.id])).map(u => u.id);
   }
 
   /**
@@ -406,11 +623,12 @@ export default class StarMercsCombat extends Combat {
    */
   static getBothTeamsWhisperIds(teamA, teamB) {
     const assignments = game.settings.get("star-mercs", "teamAssignments") ?? {};
-    return game.users.filter(u => u.isGM || assignments[u.id] === teamA || assignments[u.id] === teamB).map(u => u.id);
+    const teams = [...getFriendlyFactions(teamA), ...getFriendlyFactions(teamB)];
+    return game.users.filter(u => u.isGM || teams.includes(assignments[u.id])).map(u => u.id);
   }
 
   /**
-   * Post a chat message announcing the current phase.
+   * Post a chat message announcing the current phase and fire starmercs.phaseChanged.
    * @private
    */
   _announcePhase() {
@@ -420,6 +638,7 @@ export default class StarMercsCombat extends Combat {
       </div>`,
       speaker: { alias: "Star Mercs" }
     });
+    Hooks.callAll(HOOKS.phaseChanged, this, { round: this.round, phase: this.phase, undo: false });
   }
 
   /**
@@ -500,8 +719,7 @@ export default class StarMercsCombat extends Combat {
       if (token) {
         const pending = token.getFlag("star-mercs", "pendingDamage");
         if (pending && (pending.strength > 0 || pending.readiness > 0)) {
-          const newStrength = Math.max(0, actor.system.strength.value - pending.strength);
-          const newReadiness = Math.max(0, actor.system.readiness.value - pending.readiness);
+          const { newStrength, newReadiness } = computeDamageOutcome(actor, pending.strength, pending.readiness);
           await actor.update({
             "system.strength.value": newStrength,
             "system.readiness.value": newReadiness
@@ -520,6 +738,8 @@ export default class StarMercsCombat extends Combat {
 
           // Damage applied section removed from chat (visible in combat summary)
 
+          if (destroyed) await this._creditKill(pending.hits);
+
           await token.unsetFlag("star-mercs", "pendingDamage");
         }
       }
@@ -665,19 +885,11 @@ export default class StarMercsCombat extends Combat {
         const myCenter = snapToHexCenter(token.center ?? { x: token.x, y: token.y });
         const adjacentCenters = getAdjacentHexCenters(myCenter);
 
-        // Find first adjacent empty hex
-        const occupiedKeys = new Set();
-        for (const t of canvas.tokens.placeables) {
-          if (!t.actor || t.actor.type !== "unit") continue;
-          if (t.actor.system.strength.value <= 0) continue;
-          const cargoTokenId = token.getFlag("star-mercs", "cargoTokenId");
-          if (t.id === cargoTokenId) continue;
-          occupiedKeys.add(hexKey(snapToHexCenter(t.center)));
-        }
-
-        const emptyAdj = adjacentCenters.find(adj => !occupiedKeys.has(hexKey(adj)));
+        // Find first adjacent hex the cargo can enter and has room in
+        const cargoActor = actor.getCargoActor();
+        const emptyAdj = adjacentCenters.find(adj => canStackInHex(adj, cargoActor).allowed
+          && getMovementCost(adj, cargoActor).passable);
         if (emptyAdj) {
-          const cargoActor = actor.getCargoActor();
           const cargoName = cargoActor?.name ?? "cargo";
           const gridSize = canvas.grid.size ?? 100;
           const targetPos = { x: emptyAdj.x - gridSize / 2, y: emptyAdj.y - gridSize / 2 };
@@ -704,7 +916,7 @@ export default class StarMercsCombat extends Combat {
         } else {
           sections.push(`<div class="consolidation-section damage">
             <div class="consolidation-section-header"><i class="fas fa-exclamation-triangle"></i> Hot Disembark Failed</div>
-            <div class="status-update">No adjacent empty hexes — cargo remains aboard.</div>
+            <div class="status-update">No adjacent hex the cargo can enter — cargo remains aboard.</div>
           </div>`);
         }
 
@@ -846,12 +1058,12 @@ export default class StarMercsCombat extends Combat {
                 );
                 if (!structure) {
                   // Create new structure
-                  const [xStr, yStr] = target.targetHexKey.split(",");
+                  const targetCenter = hexCenterFromKey(target.targetHexKey);
                   structure = {
                     id: foundry.utils.randomID(),
                     hexKey: target.targetHexKey,
-                    x: parseFloat(xStr),
-                    y: parseFloat(yStr),
+                    x: targetCenter?.x ?? 0,
+                    y: targetCenter?.y ?? 0,
                     type: target.type,
                     name: null,
                     team: actor.system.team ?? "a",
@@ -859,7 +1071,7 @@ export default class StarMercsCombat extends Combat {
                     maxStrength: merged.maxStrength,
                     turnsBuilt: 0,
                     turnsRequired: merged.turnsRequired,
-                    revealed: false,
+                    revealedTo: [],
                     builderId: token.id,
                     subType: target.subType ?? null,
                     supply: null,
@@ -912,6 +1124,9 @@ export default class StarMercsCombat extends Combat {
                 }
 
                 await canvas.scene.setFlag("star-mercs", "structures", structures);
+                if (structure.turnsBuilt >= structure.turnsRequired) {
+                  Hooks.callAll(HOOKS.structureBuilt, structure, actor);
+                }
               }
             }
           }
@@ -962,37 +1177,81 @@ export default class StarMercsCombat extends Combat {
         }
       }
 
-      // 2f. Advanced Sensors — reveal hidden minefields within range
+      // 2e. Clear Mines order execution
+      if (token && order && order.key === "clear_mines") {
+        const movementUsed = token.getFlag("star-mercs", "movementUsed") ?? 0;
+        const clearTarget = token.getFlag("star-mercs", "clearMinesTarget");
+        if (movementUsed === 0 && clearTarget?.structureId) {
+          const structures = canvas.scene.getFlag("star-mercs", "structures") ?? [];
+          const minefield = structures.find(s => s.id === clearTarget.structureId && s.type === "minefield");
+          if (minefield) {
+            const mfConfig = CONFIG.STARMERCS.structures.minefield;
+            const roll = await new Roll(mfConfig?.clearanceRoll ?? "1d6").evaluate();
+            const cleared = Math.min(roll.total, minefield.strength);
+            minefield.strength -= cleared;
+            const remaining = minefield.strength > 0 ? structures : structures.filter(s => s.id !== minefield.id);
+            if (remaining.length === 0) {
+              await canvas.scene.unsetFlag("star-mercs", "structures");
+            } else {
+              await canvas.scene.setFlag("star-mercs", "structures", remaining);
+            }
+            sections.push(`<div class="consolidation-section demolish">
+              <div class="consolidation-section-header"><i class="fas fa-bomb"></i> Mines Cleared</div>
+              <div class="status-update">Rolled ${roll.total}: ${cleared} minefield strength removed.
+                ${minefield.strength <= 0 ? "Minefield cleared." : `Remaining strength: ${minefield.strength}/${minefield.maxStrength ?? 10}`}</div>
+            </div>`);
+          }
+        }
+        if (clearTarget) await token.unsetFlag("star-mercs", "clearMinesTarget");
+      }
+
+      // 2f. Minefield detection — Advanced Sensors reveal hidden minefields
+      //     within range; Engineers may find those next to them on a sensors roll
       if (token) {
+        const unitTeam = actor.system.team ?? "a";
+        const unitCenter = snapToHexCenter(canvas.tokens.get(token.id)?.center ?? { x: 0, y: 0 });
         const advSensors = actor.items.find(
           i => i.type === "trait" && /^Advanced Sensors/i.test(i.name)
         );
-        if (advSensors) {
-          const match = advSensors.name.match(/\[(\d+)\]/);
-          const revealRange = match ? parseInt(match[1]) : 0;
-          if (revealRange > 0) {
-            const unitCenter = snapToHexCenter(canvas.tokens.get(token.id)?.center ?? { x: 0, y: 0 });
-            const sensorStructures = canvas.scene.getFlag("star-mercs", "structures") ?? [];
-            let revealedAny = false;
-            for (const s of sensorStructures) {
-              if (s.type !== "minefield" || s.revealed) continue;
-              if (s.turnsBuilt < s.turnsRequired) continue;
-              const dx = unitCenter.x - s.x;
-              const dy = unitCenter.y - s.y;
-              const pixelDist = Math.sqrt(dx * dx + dy * dy);
-              const hexDist = Math.round(pixelDist / (canvas.grid.size || 100));
-              if (hexDist <= revealRange) {
-                s.revealed = true;
-                revealedAny = true;
+        const match = advSensors?.name.match(/\[(\d+)\]/);
+        const revealRange = match ? parseInt(match[1]) : 0;
+        const mfConfig = CONFIG.STARMERCS.structures.minefield;
+        const searchRange = actor.hasTrait("Engineer") ? (mfConfig?.detectionRange ?? 1) : -1;
+
+        if (revealRange > 0 || searchRange >= 0) {
+          const sensorStructures = canvas.scene.getFlag("star-mercs", "structures") ?? [];
+          const sensorsRevealed = [];
+          const sweepRolls = [];
+          for (const s of sensorStructures) {
+            if (s.type !== "minefield" || isStructureVisibleTo(s, unitTeam)) continue;
+            if (s.turnsBuilt < s.turnsRequired) continue;
+            const hexDist = getHexDistanceBetween(unitCenter, getStructureCenter(s));
+            if (hexDist <= revealRange) {
+              revealStructureTo(s, unitTeam);
+              sensorsRevealed.push(s);
+            } else if (hexDist <= searchRange) {
+              const roll = await new Roll("1d10 + @sensors", { sensors: actor.system.sensors ?? 0 }).evaluate();
+              if (roll.total >= (mfConfig?.detectionTarget ?? 8)) {
+                revealStructureTo(s, unitTeam);
+                sweepRolls.push(roll.total);
               }
             }
-            if (revealedAny) {
-              await canvas.scene.setFlag("star-mercs", "structures", sensorStructures);
-              sections.push(`<div class="consolidation-section sensors">
-                <div class="consolidation-section-header"><i class="fas fa-satellite-dish"></i> Minefield Detected!</div>
-                <div class="status-update">Advanced Sensors revealed nearby minefields.</div>
-              </div>`);
-            }
+          }
+          if (sensorsRevealed.length || sweepRolls.length) {
+            await canvas.scene.setFlag("star-mercs", "structures", sensorStructures);
+          }
+          if (sensorsRevealed.length) {
+            sections.push(`<div class="consolidation-section sensors">
+              <div class="consolidation-section-header"><i class="fas fa-satellite-dish"></i> Minefield Detected!</div>
+              <div class="status-update">Advanced Sensors revealed nearby minefields.</div>
+            </div>`);
+          }
+          // Only successful sweeps are reported, so a miss gives nothing away
+          for (const total of sweepRolls) {
+            sections.push(`<div class="consolidation-section sensors">
+              <div class="consolidation-section-header"><i class="fas fa-search"></i> Minefield Detected!</div>
+              <div class="status-update">Mine sweep rolled ${total} (need ${mfConfig?.detectionTarget ?? 8}+): minefield found nearby.</div>
+            </div>`);
           }
         }
       }
@@ -1005,13 +1264,13 @@ export default class StarMercsCombat extends Combat {
         const capturable = captureStructures.find(s => {
           if (!s.hexKey || s.hexKey !== hexKey(unitCenter)) return false;
           const cfg = CONFIG.STARMERCS.structures[s.type];
-          return cfg?.canCapture && s.turnsBuilt >= s.turnsRequired && s.team !== unitTeam;
+          return cfg?.canCapture && s.turnsBuilt >= s.turnsRequired && !isFriendly(s.team, unitTeam);
         });
         if (capturable) {
           const tokensHere = getTokensAtHex(unitCenter);
           const defenders = tokensHere.filter(t =>
             t.actor && t.actor.system.strength.value > 0
-            && (t.actor.system.team ?? "a") === capturable.team
+            && isFriendly(t.actor.system.team ?? "a", capturable.team)
           );
           if (defenders.length === 0) {
             capturable.team = unitTeam;
@@ -1019,7 +1278,7 @@ export default class StarMercsCombat extends Combat {
             const capConfig = CONFIG.STARMERCS.structures[capturable.type];
             sections.push(`<div class="consolidation-section capture">
               <div class="consolidation-section-header"><i class="fas fa-flag"></i> Structure Captured!</div>
-              <div class="status-update">${esc(capConfig?.label ?? capturable.type)} captured by Team ${unitTeam.toUpperCase()}.</div>
+              <div class="status-update">${esc(capConfig?.label ?? capturable.type)} captured by ${esc(getFactionLabel(unitTeam))}.</div>
             </div>`);
           }
         }
@@ -1038,15 +1297,18 @@ export default class StarMercsCombat extends Combat {
         const supStructures = canvas.scene?.getFlag("star-mercs", "structures") ?? [];
 
         for (const s of supStructures) {
-          if ((s.type !== "outpost" && s.type !== "headquarters") || s.team !== supTeam) continue;
+          if ((s.type !== "outpost" && s.type !== "headquarters") || !isFriendly(s.team, supTeam)) continue;
           if (s.turnsBuilt < s.turnsRequired || s.strength <= 0) continue;
           if (!s.supply) continue;
           if (s.autoSupply === false) continue;
 
-          const dx = supCenter.x - s.x;
-          const dy = supCenter.y - s.y;
-          const dist = Math.round(Math.sqrt(dx * dx + dy * dy) / (canvas.grid.size || 100));
-          if (dist > (s.supplyRange ?? 3)) continue;
+          const dist = getHexDistanceBetween(supCenter, getStructureCenter(s));
+          if (dist > (s.supplyRange ?? 3)) {
+            // Sea lanes: coastal outposts also reach Naval units over open water
+            const seaLaneRange = CONFIG.STARMERCS.naval?.seaLaneRange ?? 0;
+            if (!actor.hasTrait("Naval")) continue;
+            if (getSeaLaneDistance(getStructureCenter(s), supCenter, seaLaneRange) > seaLaneRange) continue;
+          }
 
           const supplyUpdate = {};
           let transferred = false;
@@ -1188,36 +1450,23 @@ export default class StarMercsCombat extends Combat {
       }
 
       // 4d. Auto-land airborne flying units with 0 movement consumable (emergency landing)
+      //     or caught aloft in grounding weather (e.g. deployed during a sandstorm)
       if (actor.isAirborne) {
         const postConsumableType = actor.system.movementConsumable ?? "fuel";
         const postConsumableKey = postConsumableType === "none" ? "fuel" : postConsumableType;
         const postFuel = actor.system.supply?.[postConsumableKey]?.current ?? 0;
         if (postFuel <= 0) {
-          await actor.setFlag("star-mercs", "landed", true);
-          if (token) {
-            const tokenObj = canvas?.tokens?.get(token.id);
-            if (tokenObj) {
-              const { getHexElevation: ghElev, snapToHexCenter: shc } = game.starmercs?.hexUtils ?? {};
-              if (ghElev) {
-                const hexElev = ghElev(shc(tokenObj.center));
-                await actor.setFlag("star-mercs", "altitude", hexElev);
-              }
-            }
-          }
-          const existingEffect = actor.effects.find(e => e.statuses?.has("landed"));
-          if (!existingEffect) {
-            await actor.createEmbeddedDocuments("ActiveEffect", [{
-              name: "Landed",
-              img: "icons/svg/downgrade.svg",
-              statuses: ["landed"]
-            }]);
-          }
-          // Remove airborne status on emergency landing
-          await actor.toggleStatusEffect("airborne", { active: false });
+          await actor.forceLand();
           sections.push(`<div class="consolidation-section supply">
             <div class="consolidation-section-header"><i class="fas fa-exclamation-triangle"></i> Emergency Landing — No Fuel!</div>
             <div class="status-update">Unit has been forced to land. Cannot take off until refueled.</div>
           </div>`);
+        } else if (getEnvironmentModifiers().groundsFlying) {
+          await actor.forceLand();
+          sections.push(`<div class="consolidation-section supply">
+            <div class="consolidation-section-header"><i class="fas fa-wind"></i> Grounded by Weather</div>
+            <div class="status-update">Unit has been forced to land. Cannot take off until the weather clears.</div>
+          </div>`);
         }
       }
 
@@ -1283,6 +1532,18 @@ export default class StarMercsCombat extends Combat {
   /*  Morale Helpers                          */
   /* ---------------------------------------- */
 
+  /**
+   * Fire starmercs.moraleResolved for one unit once its result has been applied.
+   * @param {TokenDocument} token
+   * @param {"consolidation"|"assault"|"withdraw"} type
+   * @param {boolean} passed
+   * @param {string} outcome - See module/hooks.mjs.
+   * @private
+   */
+  _moraleResolved(token, type, passed, outcome) {
+    Hooks.callAll(HOOKS.moraleResolved, this, { token, actor: token?.actor ?? null, type, passed, outcome });
+  }
+
   /**
    * Get comms chain status for a unit using the CommsLinkManager.
    * @param {string} tokenId - The token's ID.
@@ -1299,22 +1560,6 @@ export default class StarMercsCombat extends Combat {
     };
   }
 
-  /**
-   * Evaluate a morale roll with all modifiers applied.
-   * Roll-under system: roll d10 + damage taken, must be ≤ readiness to pass.
-   * Lower rolls are better (natural 1 is the best possible roll).
-   * @param {number} dieResult - Raw d10 result.
-   * @param {number} damageTaken - Strength damage taken this turn.
-   * @param {number} readiness - Current readiness value.
-   * @returns {{total: number, passed: boolean}}
-   * @private
-   */
-  _evaluateMoraleRoll(dieResult, damageTaken, readiness) {
-    const total = dieResult + damageTaken;
-    const passed = total <= readiness;
-    return { total, passed };
-  }
-
   /* ---------------------------------------- */
   /*  Morale: Standard Consolidation Checks   */
   /* ---------------------------------------- */
@@ -1352,75 +1597,54 @@ export default class StarMercsCombat extends Combat {
       const damageTaken = damageTakenMap.get(token.id) ?? 0;
       const isBreaking = token.getFlag("star-mercs", "breaking") ?? false;
       const isBroken = token.getFlag("star-mercs", "broken") ?? false;
+      const wasFiredAt = token.getFlag("star-mercs", "firedAtThisTurn") ?? false;
+      const currentReadiness = actor.system.readiness.value;
+
+      const action = moraleCheckAction({
+        breaking: isBreaking, broken: isBroken, firedAt: wasFiredAt, damageTaken, readiness: currentReadiness
+      });
+      if (action === "skip") continue;
 
       // --- Breaking/Broken unit recovery or escalation ---
-      if (isBreaking || isBroken) {
-        // If the unit took no damage this turn, they recover automatically
-        if (damageTaken === 0) {
-          await token.setFlag("star-mercs", "breaking", false);
-          await token.setFlag("star-mercs", "broken", false);
-          await ChatMessage.create({
-            content: `<div class="star-mercs chat-card morale-recovery">
-              <div class="summary-header unit-link" data-token-id="${token.id}"><i class="fas fa-shield-alt"></i> <strong>${esc(token.name)}</strong> — Morale Recovered</div>
-              <div class="status-update">No damage taken — ${isBreaking ? "Breaking" : "Broken"} status removed.</div>
-            </div>`,
-            speaker: { alias: "Star Mercs" },
-            whisper: StarMercsCombat.getTeamWhisperIds(actor.system.team ?? "a")
-          });
-          continue;
-        }
+      if (action === "recover") {
+        // The unit took no damage this turn — recovers automatically
+        await token.setFlag("star-mercs", "breaking", false);
+        await token.setFlag("star-mercs", "broken", false);
+        await ChatMessage.create({
+          content: `<div class="star-mercs chat-card morale-recovery">
+            <div class="summary-header unit-link" data-token-id="${token.id}"><i class="fas fa-shield-alt"></i> <strong>${esc(token.name)}</strong> — Morale Recovered</div>
+            <div class="status-update">No damage taken — ${isBreaking ? "Breaking" : "Broken"} status removed.</div>
+          </div>`,
+          speaker: { alias: "Star Mercs" },
+          whisper: StarMercsCombat.getTeamWhisperIds(actor.system.team ?? "a")
+        });
+        this._moraleResolved(token, "consolidation", true, "recovered");
+        continue;
+      }
 
-        // They took damage while Breaking/Broken — must roll morale again
-        const currentReadiness = actor.system.readiness.value;
-        const { isIsolated, hasCommandInChain } = this._getCommsChainStatus(token.id);
-
-        const roll = new Roll("1d10");
-        await roll.evaluate();
-        const result = this._evaluateMoraleRoll(roll.total, damageTaken, currentReadiness);
-
-        const allRolls = [roll];
-        let rerollType = null;
-        let rerollRollObj = null;
-        let rerollEval = null;
-        let finalPassed = result.passed;
-
-        // Isolation re-roll: if passed but isolated, forced re-roll (use re-roll result)
-        if (result.passed && isIsolated) {
-          rerollType = "isolation";
-          rerollRollObj = new Roll("1d10");
-          await rerollRollObj.evaluate();
-          allRolls.push(rerollRollObj);
-          rerollEval = this._evaluateMoraleRoll(rerollRollObj.total, damageTaken, currentReadiness);
-          finalPassed = rerollEval.passed;
-        }
-        // Command re-roll: if failed and Command in chain, re-roll (use re-roll if it passes)
-        else if (!result.passed && hasCommandInChain) {
-          rerollType = "command";
-          rerollRollObj = new Roll("1d10");
-          await rerollRollObj.evaluate();
-          allRolls.push(rerollRollObj);
-          rerollEval = this._evaluateMoraleRoll(rerollRollObj.total, damageTaken, currentReadiness);
-          finalPassed = rerollEval.passed;
-        }
+      const check = await rollMoraleCheck(damageTaken, currentReadiness, this._getCommsChainStatus(token.id));
+      const { roll, result, passed: finalPassed } = check;
 
-        const statusLabel = isBreaking ? "Breaking" : "Broken";
-
-        let html = `<div class="star-mercs chat-card morale-check">`;
-        html += `<div class="summary-header"><i class="fas fa-brain"></i> <strong>${esc(token.name)}</strong> — Morale Check (${statusLabel})</div>`;
-        html += `<div class="morale-details">RDY: ${currentReadiness} | Roll: ${roll.total}`;
-        if (damageTaken > 0) html += ` +${damageTaken} dmg`;
-        html += ` = ${result.total} vs RDY ${currentReadiness} — ${result.passed ? "Passed" : "Failed"}</div>`;
-
-        if (rerollType === "isolation") {
-          html += `<div class="morale-reroll isolation">Isolation re-roll (no comms link): ${rerollRollObj.total}`;
-          if (damageTaken > 0) html += ` +${damageTaken}`;
-          html += ` = ${rerollEval.total} — ${rerollEval.passed ? "Passed" : "Failed"}</div>`;
-        } else if (rerollType === "command") {
-          html += `<div class="morale-reroll command">Command re-roll: ${rerollRollObj.total}`;
-          if (damageTaken > 0) html += ` +${damageTaken}`;
-          html += ` = ${rerollEval.total} — ${rerollEval.passed ? "Passed" : "Failed"}</div>`;
-        }
+      const statusLabel = isBreaking ? "Breaking" : "Broken";
+      const underPressure = isBreaking || isBroken;
+
+      let html = `<div class="star-mercs chat-card morale-check">`;
+      html += `<div class="summary-header"><i class="fas fa-brain"></i> <strong>${esc(token.name)}</strong> — Morale Check${underPressure ? ` (${statusLabel})` : ""}</div>`;
+      html += `<div class="morale-details">RDY: ${currentReadiness} | Roll: ${roll.total}`;
+      if (damageTaken > 0) html += ` +${damageTaken} dmg`;
+      html += ` = ${result.total} vs RDY ${currentReadiness} — ${result.passed ? "Passed" : "Failed"}</div>`;
 
+      if (check.rerollType === "isolation") {
+        html += `<div class="morale-reroll isolation">Isolation re-roll (no comms link): ${check.reroll.total}`;
+        if (damageTaken > 0) html += ` +${damageTaken}`;
+        html += ` = ${check.rerollResult.total} — ${check.rerollResult.passed ? "Passed" : "Failed"}</div>`;
+      } else if (check.rerollType === "command") {
+        html += `<div class="morale-reroll command">Command re-roll: ${check.reroll.total}`;
+        if (damageTaken > 0) html += ` +${damageTaken}`;
+        html += ` = ${check.rerollResult.total} — ${check.rerollResult.passed ? "Passed" : "Failed"}</div>`;
+      }
+
+      if (underPressure) {
         if (finalPassed) {
           await token.setFlag("star-mercs", "breaking", false);
           await token.setFlag("star-mercs", "broken", false);
@@ -1439,68 +1663,14 @@ export default class StarMercsCombat extends Combat {
         await ChatMessage.create({
           content: html,
           speaker: { alias: "Star Mercs" },
-          rolls: allRolls,
+          rolls: check.rolls,
           whisper: StarMercsCombat.getTeamWhisperIds(actor.system.team ?? "a")
         });
+        this._moraleResolved(token, "consolidation", finalPassed, finalPassed ? "recovered" : "surrendered");
         continue;
       }
 
       // --- Normal units: morale check if fired at or damaged this turn ---
-      const currentReadiness = actor.system.readiness.value;
-      const wasFiredAt = token.getFlag("star-mercs", "firedAtThisTurn") ?? false;
-
-      // Skip units that were not engaged this turn
-      if (!wasFiredAt && damageTaken === 0) continue;
-
-      // Skip if it's mathematically impossible to fail (max d10 + damage can't exceed readiness)
-      if (10 + damageTaken <= currentReadiness) continue;
-
-      const { isIsolated, hasCommandInChain } = this._getCommsChainStatus(token.id);
-
-      const roll = new Roll("1d10");
-      await roll.evaluate();
-      const result = this._evaluateMoraleRoll(roll.total, damageTaken, currentReadiness);
-
-      const allRolls = [roll];
-      let rerollType = null;
-      let rerollRollObj = null;
-      let rerollEval = null;
-      let finalPassed = result.passed;
-
-      // Isolation re-roll: if passed but isolated, forced re-roll
-      if (result.passed && isIsolated) {
-        rerollType = "isolation";
-        rerollRollObj = new Roll("1d10");
-        await rerollRollObj.evaluate();
-        allRolls.push(rerollRollObj);
-        rerollEval = this._evaluateMoraleRoll(rerollRollObj.total, damageTaken, currentReadiness);
-        finalPassed = rerollEval.passed;
-      }
-      // Command re-roll: if failed and Command in chain, re-roll
-      else if (!result.passed && hasCommandInChain) {
-        rerollType = "command";
-        rerollRollObj = new Roll("1d10");
-        await rerollRollObj.evaluate();
-        allRolls.push(rerollRollObj);
-        rerollEval = this._evaluateMoraleRoll(rerollRollObj.total, damageTaken, currentReadiness);
-        finalPassed = rerollEval.passed;
-      }
-
-      let html = `<div class="star-mercs chat-card morale-check">`;
-      html += `<div class="summary-header"><i class="fas fa-brain"></i> <strong>${esc(token.name)}</strong> — Morale Check</div>`;
-      html += `<div class="morale-details">RDY: ${currentReadiness} | Roll: ${roll.total}`;
-      if (damageTaken > 0) html += ` +${damageTaken} dmg`;
-      html += ` = ${result.total} vs RDY ${currentReadiness} — ${result.passed ? "Passed" : "Failed"}</div>`;
-
-      if (rerollType === "isolation") {
-        html += `<div class="morale-reroll isolation">Isolation re-roll (no comms link): ${rerollRollObj.total}`;
-        if (damageTaken > 0) html += ` +${damageTaken}`;
-        html += ` = ${rerollEval.total} — ${rerollEval.passed ? "Passed" : "Failed"}</div>`;
-      } else if (rerollType === "command") {
-        html += `<div class="morale-reroll command">Command re-roll: ${rerollRollObj.total}`;
-        if (damageTaken > 0) html += ` +${damageTaken}`;
-        html += ` = ${rerollEval.total} — ${rerollEval.passed ? "Passed" : "Failed"}</div>`;
-      }
 
       // Determine trigger reason for log entry
       const reason = wasFiredAt && damageTaken > 0 ? "fired at, took damage"
@@ -1509,45 +1679,26 @@ export default class StarMercsCombat extends Combat {
       if (finalPassed) {
         html += `<div class="status-update morale-passed"><i class="fas fa-check"></i> Morale holds!</div>`;
       } else {
-        // Check for double-breaking: already Breaking from a previous turn
-        const alreadyBreaking = token.getFlag("star-mercs", "breaking") ?? false;
-        const breakingTurn = token.getFlag("star-mercs", "breakingTurn") ?? -1;
-
-        if (alreadyBreaking && breakingTurn !== this.round) {
-          // Second Breaking on a different turn → ROUTED (destroyed)
-          html += `<div class="status-alert morale-failed"><i class="fas fa-flag"></i> ROUTED — ${esc(token.name)} was already Breaking and failed morale again! Removed from game.</div>`;
-        } else {
-          html += `<div class="status-alert morale-failed"><i class="fas fa-heartbeat"></i> BREAKING — unit can only Hold or Withdraw!</div>`;
-        }
+        html += `<div class="status-alert morale-failed"><i class="fas fa-heartbeat"></i> BREAKING — unit can only Hold or Withdraw!</div>`;
       }
       html += `</div>`;
 
       await ChatMessage.create({
         content: html,
         speaker: { alias: "Star Mercs" },
-        rolls: allRolls,
+        rolls: check.rolls,
         whisper: StarMercsCombat.getTeamWhisperIds(actor.system.team ?? "a")
       });
 
       // Apply status and log
       if (!finalPassed) {
-        const alreadyBreaking = token.getFlag("star-mercs", "breaking") ?? false;
-        const breakingTurn = token.getFlag("star-mercs", "breakingTurn") ?? -1;
-
-        if (alreadyBreaking && breakingTurn !== this.round) {
-          // Double Breaking → ROUTED
-          await actor.update({ "system.strength.value": 0 });
-          await token.setFlag("star-mercs", "breaking", false);
-          await token.unsetFlag("star-mercs", "breakingTurn");
-          await actor.addLogEntry(`ROUTED (${reason}): Already Breaking, failed morale again — destroyed`, "morale");
-        } else {
-          await token.setFlag("star-mercs", "breaking", true);
-          await token.setFlag("star-mercs", "breakingTurn", this.round);
-          await actor.addLogEntry(`Morale FAILED (${reason}): rolled ${roll.total} +${damageTaken} dmg = ${result.total} vs RDY ${currentReadiness} — BREAKING`, "morale");
-        }
+        await token.setFlag("star-mercs", "breaking", true);
+        await token.setFlag("star-mercs", "breakingTurn", this.round);
+        await actor.addLogEntry(`Morale FAILED (${reason}): rolled ${roll.total} +${damageTaken} dmg = ${result.total} vs RDY ${currentReadiness} — BREAKING`, "morale");
       } else {
         await actor.addLogEntry(`Morale passed (${reason}): rolled ${roll.total} +${damageTaken} dmg = ${result.total} vs RDY ${currentReadiness}`, "morale");
       }
+      this._moraleResolved(token, "consolidation", finalPassed, finalPassed ? "held" : "breaking");
     }
   }
 
@@ -1652,11 +1803,11 @@ export default class StarMercsCombat extends Combat {
       // Roll morale for both
       const assaultRoll = new Roll("1d10");
       await assaultRoll.evaluate();
-      const aResult = this._evaluateMoraleRoll(assaultRoll.total, attackerDmg, attackerReadiness);
+      const aResult = evaluateMoraleRoll(assaultRoll.total, attackerDmg, attackerReadiness);
 
       const defenderRoll = new Roll("1d10");
       await defenderRoll.evaluate();
-      const dResult = this._evaluateMoraleRoll(defenderRoll.total, defenderDmg + shockPenalty, defenderReadiness);
+      const dResult = evaluateMoraleRoll(defenderRoll.total, defenderDmg + shockPenalty, defenderReadiness);
 
       const allRolls = [assaultRoll, defenderRoll];
 
@@ -1671,14 +1822,14 @@ export default class StarMercsCombat extends Combat {
         aRerollObj = new Roll("1d10");
         await aRerollObj.evaluate();
         allRolls.push(aRerollObj);
-        aRerollEval = this._evaluateMoraleRoll(aRerollObj.total, attackerDmg, attackerReadiness);
+        aRerollEval = evaluateMoraleRoll(aRerollObj.total, attackerDmg, attackerReadiness);
         aFinalPassed = aRerollEval.passed;
       } else if (!aResult.passed && attackerComms.hasCommandInChain) {
         aRerollType = "command";
         aRerollObj = new Roll("1d10");
         await aRerollObj.evaluate();
         allRolls.push(aRerollObj);
-        aRerollEval = this._evaluateMoraleRoll(aRerollObj.total, attackerDmg, attackerReadiness);
+        aRerollEval = evaluateMoraleRoll(aRerollObj.total, attackerDmg, attackerReadiness);
         aFinalPassed = aRerollEval.passed;
       }
 
@@ -1693,52 +1844,56 @@ export default class StarMercsCombat extends Combat {
         dRerollObj = new Roll("1d10");
         await dRerollObj.evaluate();
         allRolls.push(dRerollObj);
-        dRerollEval = this._evaluateMoraleRoll(dRerollObj.total, defenderDmg + shockPenalty, defenderReadiness);
+        dRerollEval = evaluateMoraleRoll(dRerollObj.total, defenderDmg + shockPenalty, defenderReadiness);
         dFinalPassed = dRerollEval.passed;
       } else if (!dResult.passed && defenderComms.hasCommandInChain) {
         dRerollType = "command";
         dRerollObj = new Roll("1d10");
         await dRerollObj.evaluate();
         allRolls.push(dRerollObj);
-        dRerollEval = this._evaluateMoraleRoll(dRerollObj.total, defenderDmg + shockPenalty, defenderReadiness);
+        dRerollEval = evaluateMoraleRoll(dRerollObj.total, defenderDmg + shockPenalty, defenderReadiness);
         dFinalPassed = dRerollEval.passed;
       }
 
       // Build chat message
       const headerLabel = isMutual ? "Mutual Assault" : "Assault Resolution";
       let html = `<div class="star-mercs chat-card assault-morale">`;
-      html += `<div class="summary-header"><i class="fas fa-fist-raised"></i> ${headerLabel}: <strong>${esc(token.name)}</strong> vs <strong>${esc(targetCanvasToken.name)}</strong></div>`;
+      html += `<div class="summary-header"><i class="fas fa-fist-raised"></i> ${headerLabel}: <strong>${unitNameHtml(token)}</strong> vs <strong>${unitNameHtml(targetCanvasToken)}</strong></div>`;
 
       // Attacker roll details
-      html += `<div class="morale-details">${esc(token.name)}: Roll ${assaultRoll.total}`;
+      html += `<div class="morale-details">${unitNameHtml(token)}: Roll ${assaultRoll.total}`;
       if (attackerDmg > 0) html += ` +${attackerDmg} dmg`;
       html += ` = ${aResult.total} vs RDY ${attackerReadiness} — ${aResult.passed ? "Passed" : "Failed"}</div>`;
       if (aRerollType === "isolation") {
-        html += `<div class="morale-reroll isolation">${esc(token.name)} Isolation re-roll: ${aRerollObj.total}`;
+        html += `<div class="morale-reroll isolation">${unitNameHtml(token)} Isolation re-roll: ${aRerollObj.total}`;
         if (attackerDmg > 0) html += ` +${attackerDmg}`;
         html += ` = ${aRerollEval.total} — ${aRerollEval.passed ? "Passed" : "Failed"}</div>`;
       } else if (aRerollType === "command") {
-        html += `<div class="morale-reroll command">${esc(token.name)} Command re-roll: ${aRerollObj.total}`;
+        html += `<div class="morale-reroll command">${unitNameHtml(token)} Command re-roll: ${aRerollObj.total}`;
         if (attackerDmg > 0) html += ` +${attackerDmg}`;
         html += ` = ${aRerollEval.total} — ${aRerollEval.passed ? "Passed" : "Failed"}</div>`;
       }
 
       // Defender roll details
-      html += `<div class="morale-details">${esc(targetCanvasToken.name)}: Roll ${defenderRoll.total}`;
+      html += `<div class="morale-details">${unitNameHtml(targetCanvasToken)}: Roll ${defenderRoll.total}`;
       if (defenderDmg > 0) html += ` +${defenderDmg} dmg`;
       if (shockPenalty > 0) html += ` +${shockPenalty} Shock`;
       html += ` = ${dResult.total} vs RDY ${defenderReadiness} — ${dResult.passed ? "Passed" : "Failed"}</div>`;
       if (dRerollType === "isolation") {
-        html += `<div class="morale-reroll isolation">${esc(targetCanvasToken.name)} Isolation re-roll: ${dRerollObj.total}`;
+        html += `<div class="morale-reroll isolation">${unitNameHtml(targetCanvasToken)} Isolation re-roll: ${dRerollObj.total}`;
         if (defenderDmg > 0) html += ` +${defenderDmg}`;
         html += ` = ${dRerollEval.total} — ${dRerollEval.passed ? "Passed" : "Failed"}</div>`;
       } else if (dRerollType === "command") {
-        html += `<div class="morale-reroll command">${esc(targetCanvasToken.name)} Command re-roll: ${dRerollObj.total}`;
+        html += `<div class="morale-reroll command">${unitNameHtml(targetCanvasToken)} Command re-roll: ${dRerollObj.total}`;
         if (defenderDmg > 0) html += ` +${defenderDmg}`;
         html += ` = ${dRerollEval.total} — ${dRerollEval.passed ? "Passed" : "Failed"}</div>`;
       }
 
-      // Helper to apply Breaking with double-breaking check
+      // Outcomes reported to starmercs.moraleResolved
+      let attackerOutcome = aFinalPassed ? "held" : "breaking";
+      let defenderOutcome = dFinalPassed ? "held" : "breaking";
+
+      // Helper to apply Breaking with double-breaking check (label: the unit's name HTML)
       const applyBreaking = async (tkn, act, label) => {
         const alreadyBreaking = tkn.getFlag("star-mercs", "breaking") ?? false;
         const breakingTurn = tkn.getFlag("star-mercs", "breakingTurn") ?? -1;
@@ -1763,11 +1918,12 @@ export default class StarMercsCombat extends Combat {
         // Attacker fails, defender passes: attacker Breaking, loses 2 RDY
         const newRdy = Math.max(0, actor.system.readiness.value - 2);
         await actor.update({ "system.readiness.value": newRdy });
-        const routedHtml = await applyBreaking(token, actor, token.name);
+        const routedHtml = await applyBreaking(token, actor, unitNameHtml(token));
         if (routedHtml) {
           html += routedHtml;
+          attackerOutcome = "routed";
         } else {
-          html += `<div class="status-alert morale-failed"><i class="fas fa-shield-alt"></i> Assault repelled! ${esc(token.name)} is Breaking, loses 2 readiness.</div>`;
+          html += `<div class="status-alert morale-failed"><i class="fas fa-shield-alt"></i> Assault repelled! ${unitNameHtml(token)} is Breaking, loses 2 readiness.</div>`;
         }
       } else if (aFinalPassed && !dFinalPassed) {
         // Attacker passes, defender fails → Routing → must move 1 hex or surrender
@@ -1775,18 +1931,21 @@ export default class StarMercsCombat extends Combat {
         await targetActor.update({ "system.readiness.value": newRdy });
 
         // For mutual assault, the passing unit is the "attacker" (winner)
-        const routedHtml = await applyBreaking(defenderToken, targetActor, targetCanvasToken.name);
+        const routedHtml = await applyBreaking(defenderToken, targetActor, unitNameHtml(targetCanvasToken));
         if (routedHtml) {
           html += routedHtml;
+          defenderOutcome = "routed";
         } else {
           // Check if defender can move 1 hex away
           const canRetreat = this._canRetreatFromAssault(targetCanvasToken, token.id);
           if (canRetreat) {
             if (defenderToken) await defenderToken.setFlag("star-mercs", "broken", true);
-            html += `<div class="status-alert morale-failed"><i class="fas fa-running"></i> ${isMutual ? "Loser routs!" : "Defender routs!"} ${esc(targetCanvasToken.name)} must fall back 1 hex — BROKEN. Loses 2 readiness.</div>`;
+            defenderOutcome = "broken";
+            html += `<div class="status-alert morale-failed"><i class="fas fa-running"></i> ${isMutual ? "Loser routs!" : "Defender routs!"} ${unitNameHtml(targetCanvasToken)} must fall back 1 hex — BROKEN. Loses 2 readiness.</div>`;
           } else {
             await targetActor.update({ "system.strength.value": 0 });
-            html += `<div class="status-alert morale-failed"><i class="fas fa-flag"></i> ${esc(targetCanvasToken.name)} cannot retreat — SURRENDERED! Removed from game.</div>`;
+            defenderOutcome = "surrendered";
+            html += `<div class="status-alert morale-failed"><i class="fas fa-flag"></i> ${unitNameHtml(targetCanvasToken)} cannot retreat — SURRENDERED! Removed from game.</div>`;
           }
         }
       } else {
@@ -1795,13 +1954,15 @@ export default class StarMercsCombat extends Combat {
         const newDefRdy = Math.max(0, targetActor.system.readiness.value - 2);
         await actor.update({ "system.readiness.value": newAtkRdy });
         await targetActor.update({ "system.readiness.value": newDefRdy });
-        const atkRoutedHtml = await applyBreaking(token, actor, token.name);
-        const defRoutedHtml = await applyBreaking(defenderToken, targetActor, targetCanvasToken.name);
+        const atkRoutedHtml = await applyBreaking(token, actor, unitNameHtml(token));
+        const defRoutedHtml = await applyBreaking(defenderToken, targetActor, unitNameHtml(targetCanvasToken));
         if (atkRoutedHtml) {
           html += atkRoutedHtml;
+          attackerOutcome = "routed";
         }
         if (defRoutedHtml) {
           html += defRoutedHtml;
+          defenderOutcome = "routed";
         }
         if (!atkRoutedHtml && !defRoutedHtml) {
           html += `<div class="status-alert morale-failed"><i class="fas fa-exchange-alt"></i> Both sides falter! Each is Breaking, loses 2 readiness.</div>`;
@@ -1817,41 +1978,25 @@ export default class StarMercsCombat extends Combat {
         rolls: allRolls,
         whisper: StarMercsCombat.getBothTeamsWhisperIds(atkTeam, defTeam)
       });
+      this._moraleResolved(token, "assault", aFinalPassed, attackerOutcome);
+      this._moraleResolved(defenderToken, "assault", dFinalPassed, defenderOutcome);
     }
   }
 
   /**
-   * Check if a token can retreat 1 hex away from the attacker into an empty hex.
-   * "Empty" means no other unit tokens occupy it.
+   * Check if a token can retreat 1 hex into an adjacent hex with room for it
+   * under the stacking rule (an empty hex when stacking is off).
    * @param {Token} retreatingToken - The token that needs to retreat.
    * @param {string} attackerTokenDocId - The attacker's TokenDocument ID.
    * @returns {boolean}
    * @private
    */
   _canRetreatFromAssault(retreatingToken, attackerTokenDocId) {
-    // Simple check: look for at least one adjacent grid position that is not occupied
-    // For now, return true as a default — the GM will manually move the token.
-    // A full hex-adjacency check would require grid topology analysis.
-    // We just check if there are fewer enemy tokens adjacent than total adjacent hexes.
-    const offsets = canvas?.grid?.getAdjacentOffsets?.(retreatingToken.center);
-    const neighbors = offsets?.map(offset => canvas.grid.getCenterPoint(offset));
+    const neighbors = getAdjacentHexCenters(snapToHexCenter(retreatingToken.center));
     if (!neighbors || neighbors.length === 0) return true;
 
-    // Count occupied adjacent positions
-    const occupiedPositions = new Set();
-    for (const otherToken of canvas.tokens.placeables) {
-      if (otherToken === retreatingToken) continue;
-      if (!otherToken.actor || otherToken.actor.system?.strength?.value <= 0) continue;
-      occupiedPositions.add(`${Math.round(otherToken.center.x)},${Math.round(otherToken.center.y)}`);
-    }
-
-    // Check if any adjacent hex center is unoccupied
-    for (const pos of neighbors) {
-      const snapped = canvas.grid.getSnappedPoint(pos, { mode: CONST.GRID_SNAPPING_MODES.CENTER });
-      const key = `${Math.round(snapped.x)},${Math.round(snapped.y)}`;
-      if (!occupiedPositions.has(key)) return true;
-    }
-    return false;
+    // Any adjacent hex with room for the unit
+    return neighbors.some(pos => canStackInHex(pos, retreatingToken.actor, { ignore: [retreatingToken] }).allowed);
   }
 
   /* ---------------------------------------- */
@@ -1889,7 +2034,7 @@ export default class StarMercsCombat extends Combat {
       await roll.evaluate();
 
       // No damage modifier for withdraw test (damage hasn't happened yet this turn)
-      const result = this._evaluateMoraleRoll(roll.total, 0, currentReadiness);
+      const result = evaluateMoraleRoll(roll.total, 0, currentReadiness);
 
       const allRolls = [roll];
       let rerollType = null;
@@ -1903,7 +2048,7 @@ export default class StarMercsCombat extends Combat {
         rerollRollObj = new Roll("1d10");
         await rerollRollObj.evaluate();
         allRolls.push(rerollRollObj);
-        rerollEval = this._evaluateMoraleRoll(rerollRollObj.total, 0, currentReadiness);
+        rerollEval = evaluateMoraleRoll(rerollRollObj.total, 0, currentReadiness);
         finalPassed = rerollEval.passed;
       }
       // Command re-roll: if failed and Command in chain, re-roll
@@ -1912,7 +2057,7 @@ export default class StarMercsCombat extends Combat {
         rerollRollObj = new Roll("1d10");
         await rerollRollObj.evaluate();
         allRolls.push(rerollRollObj);
-        rerollEval = this._evaluateMoraleRoll(rerollRollObj.total, 0, currentReadiness);
+        rerollEval = evaluateMoraleRoll(rerollRollObj.total, 0, currentReadiness);
         finalPassed = rerollEval.passed;
       }
 
@@ -1943,6 +2088,7 @@ export default class StarMercsCombat extends Combat {
         rolls: allRolls,
         whisper: StarMercsCombat.getTeamWhisperIds(actor.system.team ?? "a")
       });
+      this._moraleResolved(token, "withdraw", finalPassed, finalPassed ? "held" : "disordered");
     }
   }
 
@@ -2086,38 +2232,44 @@ export default class StarMercsCombat extends Combat {
 
     const step = steps[stepIndex];
 
-    switch (step.key) {
-      case "withdraw_morale":
-        await this._runWithdrawMorale();
-        break;
-      case "artillery":
-        await this._runArtilleryFire();
-        break;
-      case "airstrikes":
-        await this._runAirStrikeFire();
-        break;
-      case "weapons_fire":
-        await this._runStandardWeaponsFire();
-        break;
-      case "assault_adjacent":
-        await this._runAssaultStep("adjacent");
-        break;
-      case "assault_move":
-        await this._runAssaultStep("move");
-        break;
-      case "movement":
-        await this._runMovementStep();
-        break;
-      case "maneuver_fire":
-        await this._runManeuverFire();
-        break;
-      case "meteoric_landing":
-        if (await this._runPendingLanding("meteoric_assault")) return;
-        break;
-      case "air_drop_landing":
-        if (await this._runPendingLanding("air_drop")) return;
-        break;
+    // Listeners may take over a step; it then counts as run with no automation
+    const proceed = Hooks.call(HOOKS.preTacticalStep, this, step, stepIndex) !== false;
+
+    if (proceed) {
+      switch (step.key) {
+        case "withdraw_morale":
+          await this._runWithdrawMorale();
+          break;
+        case "artillery":
+          await this._runArtilleryFire();
+          break;
+        case "airstrikes":
+          await this._runAirStrikeFire();
+          break;
+        case "weapons_fire":
+          await this._runStandardWeaponsFire();
+          break;
+        case "assault_adjacent":
+          await this._runAssaultStep("adjacent");
+          break;
+        case "assault_move":
+          await this._runAssaultStep("move");
+          break;
+        case "movement":
+          await this._runMovementStep();
+          break;
+        case "maneuver_fire":
+          await this._runManeuverFire();
+          break;
+        case "meteoric_landing":
+          if (await this._runPendingLanding("meteoric_assault")) return;
+          break;
+        case "air_drop_landing":
+          if (await this._runPendingLanding("air_drop")) return;
+          break;
+      }
     }
+    Hooks.callAll(HOOKS.tacticalStepComplete, this, step, stepIndex);
 
     // Refresh combat summary after step execution
     game.starmercs?.combatSummary?.render();
@@ -2215,7 +2367,7 @@ export default class StarMercsCombat extends Combat {
       }
 
       // Remove from deploy pool
-      const pool = foundry.utils.deepClone(game.settings.get("star-mercs", "deployPool") ?? { a: [], b: [] });
+      const pool = foundry.utils.deepClone(game.settings.get("star-mercs", "deployPool") ?? {});
       const team = entry.team;
       if (pool[team]) {
         pool[team] = pool[team].filter(e => e.instanceId !== entry.instanceId);
@@ -2262,7 +2414,7 @@ export default class StarMercsCombat extends Combat {
       if (!actor || actor.type !== "unit") continue;
       if (actor.system.currentOrder !== "assault") continue;
       if (actor.system.strength.value <= 0) continue;
-      assaultingUnits.push(combatant.token?.name ?? actor.name);
+      assaultingUnits.push(unitNameHtml(combatant.token, combatant.token?.name ?? actor.name));
     }
 
     if (assaultingUnits.length > 0) {
@@ -2543,7 +2695,9 @@ export default class StarMercsCombat extends Combat {
 
   /**
    * Auto-move all maneuvering units to their set destinations.
-   * Handles overwatch triggers, hex contest detection/resolution.
+   * Opposing units bound for the same hex contest it first; then units move
+   * in impulses, one hex each in initiative order, with collisions, zones of
+   * control, overwatch and minefields resolved as each hex is entered.
    * @private
    */
   async _runMovementStep() {
@@ -2651,137 +2805,55 @@ export default class StarMercsCombat extends Combat {
         }
       }
 
-      // Same-team conflict: block all but the first mover to that hex
+      // Same-team conflict: the losing side stays out, and movers beyond the
+      // hex's stacking room stop short
+      const destCenter = snapToHexCenter(contestants[0].dest);
       for (const teamKey of teamKeys) {
         const teamMovers = teams[teamKey];
-        for (let i = 1; i < teamMovers.length; i++) {
-          teamMovers[i].contestLost = true;
+        const lostContest = teamMovers[0].contestLost;
+        const arriving = [];
+        for (const m of teamMovers) {
+          const ignore = [canvas.tokens.get(m.token.id)];
+          if (lostContest || !canStackInHex(destCenter, m.actor, { ignore, arriving }).allowed) {
+            m.contestLost = true;
+          } else {
+            arriving.push(m.actor);
+          }
         }
       }
     }
 
-    // 4. Execute movements with overwatch checks
-    let movedCount = 0;
+    // 4. Plan each mover's path through its waypoints
     for (const mover of movers) {
       const canvasToken = canvas.tokens.get(mover.token.id);
-      if (!canvasToken) continue;
-
-      // Build full path through waypoints (if any) or direct to destination
-      const waypoints = mover.token.getFlag("star-mercs", "moveWaypoints");
-      const snappedDest = snapToHexCenter(mover.dest);
-      let path = [];
-
-      if (waypoints && waypoints.length > 1) {
-        // Multi-waypoint path
-        let start = canvasToken.center;
-        for (const wp of waypoints) {
-          const segment = computeHexPath(start, snapToHexCenter(wp));
-          path.push(...segment);
-          if (segment.length > 0) start = segment[segment.length - 1];
-        }
-      } else {
-        path = computeHexPath(canvasToken.center, snappedDest);
-      }
-
-      // Skip if path is empty (already at destination)
-      if (path.length === 0) {
-        movedCount++;
-        continue;
-      }
-
-      // Calculate MP cost
-      const { totalCost } = calculatePathCost(canvasToken.center, path, mover.actor);
-
-      if (mover.contestLost) {
-        // Move to last hex before the contested destination
-        const safePath = path.slice(0, -1);
-        if (safePath.length > 0) {
-          const safeHex = safePath[safePath.length - 1];
-          const snapped = snapToHexCenter(safeHex);
-          const safePos = hexCenterToTokenPosition(snapped, canvasToken);
-          await mover.token.update({ x: safePos.x, y: safePos.y }, { _starMercsAutoMove: true });
-          const { totalCost: safeCost } = calculatePathCost(canvasToken.center, safePath, mover.actor);
-          await mover.token.setFlag("star-mercs", "movementUsed", safeCost);
-        }
-        movedCount++;
-        continue;
-      }
-
-      // Check each step for overwatch triggers, minefield triggers, and terrain effects
-      for (const step of path) {
-        // Sync terrain cover/concealment at each hex entered (before overwatch fires)
-        const stepCenter = snapToHexCenter(step);
-        game.starmercs?.syncTerrainCover?.(mover.actor, stepCenter);
-        game.starmercs?.syncTerrainConcealment?.(mover.actor, stepCenter);
-
-        const overwatchTriggers = this._checkOverwatchTriggers(canvasToken, step);
-        for (const owToken of overwatchTriggers) {
-          await this._executeOverwatchFire(owToken, canvasToken);
-        }
-
-        // Minefield trigger check at each step
-        const stepKey = hexKey(snapToHexCenter(step));
-        const allStructures = canvas.scene?.getFlag("star-mercs", "structures") ?? [];
-        const minefield = allStructures.find(s => s.type === "minefield" && s.hexKey === stepKey
-          && s.turnsBuilt >= s.turnsRequired && s.strength > 0);
-        if (minefield && minefield.team !== (canvasToken.actor?.system?.team ?? "a")) {
-          // Roll d6 damage, capped by remaining strength
-          const roll = await new Roll("1d6").evaluate();
-          const dmg = Math.min(roll.total, minefield.strength);
-          const subConfig = CONFIG.STARMERCS.structures.minefield?.subTypes?.[minefield.subType];
-          const damageType = subConfig?.damageType ?? "soft";
-
-          // Reveal the minefield
-          if (!minefield.revealed) minefield.revealed = true;
-
-          // Reduce minefield strength
-          minefield.strength -= dmg;
-          if (minefield.strength <= 0) {
-            const updatedStructures = allStructures.filter(s => s.id !== minefield.id);
-            if (updatedStructures.length === 0) {
-              await canvas.scene.unsetFlag("star-mercs", "structures");
-            } else {
-              await canvas.scene.setFlag("star-mercs", "structures", updatedStructures);
-            }
-          } else {
-            await canvas.scene.setFlag("star-mercs", "structures", allStructures);
-          }
-
-          // Apply pending damage to unit
-          await this.addPendingDamage(canvasToken.document, dmg, 0,
-            `Minefield (${damageType})`, minefield.subType ?? "minefield");
+      mover.path = canvasToken ? this._planMovePath(mover, canvasToken) : [];
+      // Contest losers stop in the last hex before the contested destination
+      if (mover.contestLost) mover.path = mover.path.slice(0, -1);
+      mover.traversed = canvasToken ? [snapToHexCenter(canvasToken.center)] : [];
+      mover.done = mover.path.length === 0;
+    }
 
-          // Post chat card
-          const mfMaxStr = minefield.strength + dmg; // original before reduction
-          await ChatMessage.create({
-            content: `<div class="star-mercs chat-card minefield-trigger">
-              <div class="summary-header"><i class="fas fa-burst"></i> Minefield Triggered!</div>
-              <div class="status-update"><strong>${esc(canvasToken.name)}</strong> entered a minefield.
-                Rolled ${roll.total} → <strong>${dmg} ${damageType} damage</strong> applied.
-                ${minefield.strength <= 0 ? "Minefield depleted and removed." : `Minefield strength: ${minefield.strength}/${minefield.maxStrength ?? 10}`}</div>
-            </div>`,
-            speaker: { alias: "Star Mercs" }
-          });
-        }
+    // 5. Move in impulses: each unit advances one hex per impulse, in initiative
+    //    order, so every step sees where the units ahead of it have got to
+    const order = await this._rollMovementInitiative(movers.filter(m => !m.done));
+    let zocHalts = 0;
+    let collisions = 0;
+    let mineHalts = 0;
+    for (let impulse = 0; order.some(m => !m.done); impulse++) {
+      if (impulse > 0) await new Promise(r => setTimeout(r, StarMercsCombat.IMPULSE_DELAY));
+      for (const mover of order) {
+        if (mover.done) continue;
+        const halt = await this._advanceMover(mover);
+        if (halt === "zoc") zocHalts++;
+        else if (halt === "collision") collisions++;
+        else if (halt === "minefield") mineHalts++;
       }
+    }
 
-      // Move token through waypoints for visible step-by-step movement
-      const moveWaypoints = mover.token.getFlag("star-mercs", "moveWaypoints");
-      if (moveWaypoints && moveWaypoints.length > 1) {
-        // Animate through each waypoint with brief pauses
-        for (const wp of moveWaypoints) {
-          const wpSnapped = snapToHexCenter(wp);
-          const wpPos = hexCenterToTokenPosition(wpSnapped, canvasToken);
-          await mover.token.update({ x: wpPos.x, y: wpPos.y }, { _starMercsAutoMove: true });
-          await new Promise(r => setTimeout(r, 800));
-        }
-      } else {
-        // Single destination — move directly
-        const finalHex = path[path.length - 1];
-        const snapped = snapToHexCenter(finalHex);
-        const finalPos = hexCenterToTokenPosition(snapped, canvasToken);
-        await mover.token.update({ x: finalPos.x, y: finalPos.y }, { _starMercsAutoMove: true });
-      }
+    // Charge each unit for the hexes it actually entered
+    for (const mover of movers) {
+      if (mover.traversed.length < 2) continue;
+      const { totalCost } = calculatePathCost(mover.traversed[0], mover.traversed.slice(1), mover.actor);
       await mover.token.setFlag("star-mercs", "movementUsed", totalCost);
 
       // Fly order: apply altitude change after movement
@@ -2797,22 +2869,256 @@ export default class StarMercsCombat extends Combat {
           }
         }
       }
-
-      movedCount++;
     }
+    const movedCount = movers.filter(m => m.traversed.length > 1).length;
 
-    // 5. Refresh engagement status for all tokens
+    // 6. Refresh engagement status for all tokens
     this._refreshEngagementStatus();
 
     await ChatMessage.create({
       content: `<div class="star-mercs chat-card tactical-step">
         <div class="summary-header"><i class="fas fa-arrows-alt"></i> Movement Complete</div>
-        <div class="status-update">${movedCount} unit${movedCount !== 1 ? "s" : ""} moved.${altitudeChanges > 0 ? ` ${altitudeChanges} altitude change${altitudeChanges !== 1 ? "s" : ""}.` : ""}</div>
+        <div class="status-update">${movedCount} unit${movedCount !== 1 ? "s" : ""} moved.${collisions > 0 ? ` ${collisions} blocked by enemy units.` : ""}${zocHalts > 0 ? ` ${zocHalts} halted by enemy zone of control.` : ""}${mineHalts > 0 ? ` ${mineHalts} stopped by minefields.` : ""}${altitudeChanges > 0 ? ` ${altitudeChanges} altitude change${altitudeChanges !== 1 ? "s" : ""}.` : ""}</div>
       </div>`,
       speaker: { alias: "Star Mercs" }
     });
   }
 
+  /**
+   * Build a mover's path to its destination, through its waypoints if it has them.
+   * @param {object} mover - Movement entry from _runMovementStep.
+   * @param {Token} canvasToken
+   * @returns {{x: number, y: number}[]} Hex centers, excluding the start.
+   * @private
+   */
+  _planMovePath(mover, canvasToken) {
+    const waypoints = mover.token.getFlag("star-mercs", "moveWaypoints");
+    if (!waypoints || waypoints.length <= 1) {
+      return computeHexPath(canvasToken.center, snapToHexCenter(mover.dest), { token: canvasToken });
+    }
+    const path = [];
+    let start = canvasToken.center;
+    for (const wp of waypoints) {
+      const segment = computeHexPath(start, snapToHexCenter(wp), { token: canvasToken });
+      path.push(...segment);
+      if (segment.length > 0) start = segment[segment.length - 1];
+    }
+    return path;
+  }
+
+  /**
+   * Roll movement initiative for each mover (a skill check: 1d10 + rating
+   * bonus) and tell each team where its units move in the order.
+   * Ties go to the better-rated unit.
+   * @param {object[]} movers - Movement entries from _runMovementStep.
+   * @returns {Promise<object[]>} The movers, highest initiative first.
+   * @private
+   */
+  async _rollMovementInitiative(movers) {
+    if (movers.length === 0) return [];
+    for (const mover of movers) {
+      mover.initiative = await skillCheck(mover.actor, { toChat: false });
+    }
+    const order = [...movers].sort((a, b) =>
+      (b.initiative.total - a.initiative.total)
+      || (b.initiative.ratingBonus - a.initiative.ratingBonus)
+      || (a.token.id < b.token.id ? -1 : a.token.id > b.token.id ? 1 : 0));
+
+    const byTeam = new Map();
+    order.forEach((mover, i) => {
+      const team = mover.actor.system.team ?? "a";
+      if (!byTeam.has(team)) byTeam.set(team, []);
+      byTeam.get(team).push({ mover, rank: i + 1 });
+    });
+    for (const [team, entries] of byTeam) {
+      const lines = entries.map(({ mover, rank }) => {
+        const { total, natural, ratingBonus } = mover.initiative;
+        return `<div class="morale-details">${rank}. <span class="unit-link" data-token-id="${mover.token.id}">${esc(mover.token.name ?? mover.actor.name)}</span> — ${total} (d10 ${natural} + ${ratingBonus})</div>`;
+      }).join("");
+      await ChatMessage.create({
+        content: `<div class="star-mercs chat-card tactical-step">
+          <div class="summary-header"><i class="fas fa-sort-amount-down"></i> Movement Initiative</div>
+          <div class="status-update">Units move one hex at a time, in initiative order (of ${order.length} moving).</div>
+          ${lines}
+        </div>`,
+        speaker: { alias: "Star Mercs" },
+        whisper: StarMercsCombat.getTeamWhisperIds(team),
+        rolls: entries.map(({ mover }) => mover.initiative.roll)
+      });
+    }
+    return order;
+  }
+
+  /**
+   * Run one movement impulse for a unit: advance it one hex along its path
+   * and resolve terrain, overwatch and minefields in the hex entered.
+   * A unit that runs into an enemy, or would end its move in a hex without
+   * room, halts at the last hex it passed through that it can stop in; one
+   * that sets off a minefield stops in the mined hex, or short of it the same
+   * way when that hex has no room.
+   * @param {object} mover - Movement entry from _runMovementStep.
+   * @returns {Promise<string|null>} Why the unit halted early
+   *   ("collision" | "zoc" | "stacking" | "minefield"), or null.
+   * @private
+   */
+  async _advanceMover(mover) {
+    const canvasToken = canvas.tokens.get(mover.token.id);
+    if (!canvasToken || mover.actor.system.strength.value <= 0) {
+      mover.done = true;
+      return null;
+    }
+    const step = snapToHexCenter(mover.path[mover.traversed.length - 1]);
+    const isLast = mover.traversed.length === mover.path.length;
+
+    // An enemy got into the hex first
+    if (this._getBlockingEnemy(step, canvasToken)) {
+      await this._haltMover(mover, canvasToken, step);
+      return "collision";
+    }
+
+    // Entering an enemy zone of control ends the move under the "stop" rule
+    const zocHalt = !isLast && getZocStopIndex([step], getZoneOfControl(canvasToken)) === 0;
+    if ((isLast || zocHalt) && !this._canStopAt(step, canvasToken)) {
+      await this._haltMover(mover, canvasToken, step);
+      return "stacking";
+    }
+
+    const pos = hexCenterToTokenPosition(step, canvasToken);
+    await mover.token.update({ x: pos.x, y: pos.y }, { _starMercsAutoMove: true });
+    mover.traversed.push(step);
+
+    // Sync terrain cover/concealment for the hex entered (before overwatch fires)
+    game.starmercs?.syncTerrainCover?.(mover.actor, step);
+    game.starmercs?.syncTerrainConcealment?.(mover.actor, step);
+
+    const overwatchTriggers = this._checkOverwatchTriggers(canvasToken, step);
+    for (const owToken of overwatchTriggers) {
+      await this._executeOverwatchFire(owToken, canvasToken);
+    }
+
+    // A minefield stops the unit in the hex it went off in, or short of it without room to stop
+    if (await this._checkMinefieldTrigger(canvasToken, step)) {
+      if (this._canStopAt(step, canvasToken)) mover.done = true;
+      else await this._haltMover(mover, canvasToken, step);
+      return isLast ? null : "minefield";
+    }
+
+    if (isLast || zocHalt) mover.done = true;
+    return zocHalt ? "zoc" : null;
+  }
+
+  /**
+   * Find an enemy unit holding a hex a mover is about to enter. Airborne
+   * units only block airborne movers, and ground units ground movers.
+   * @param {{x: number, y: number}} hexCenter - A snapped hex center.
+   * @param {Token} movingToken
+   * @returns {Token|null}
+   * @private
+   */
+  _getBlockingEnemy(hexCenter, movingToken) {
+    const myTeam = movingToken.actor.system.team ?? "a";
+    const airborne = movingToken.actor.isAirborne;
+    return getStackAtHex(hexCenter).find(t => t !== movingToken
+      && t.actor.isAirborne === airborne
+      && !isFriendly(t.actor.system.team ?? "a", myTeam)) ?? null;
+  }
+
+  /**
+   * Whether a moving unit may end its move in a hex: no enemy holds it and
+   * the stacking rule leaves room.
+   * @param {{x: number, y: number}} hexCenter - A snapped hex center.
+   * @param {Token} movingToken
+   * @returns {boolean}
+   * @private
+   */
+  _canStopAt(hexCenter, movingToken) {
+    return !this._getBlockingEnemy(hexCenter, movingToken)
+      && canStackInHex(hexCenter, movingToken.actor, { ignore: [movingToken] }).allowed;
+  }
+
+  /**
+   * End a mover's movement short of a hex it cannot enter, at the last hex
+   * it passed through that it is allowed to stop in. If none is, the unit
+   * stays where it is.
+   * @param {object} mover - Movement entry from _runMovementStep.
+   * @param {Token} canvasToken
+   * @param {{x: number, y: number}} blockedHex
+   * @private
+   */
+  async _haltMover(mover, canvasToken, blockedHex) {
+    mover.done = true;
+    const canStop = hex => this._canStopAt(hex, canvasToken);
+    const safeHex = getLastSafeHex(mover.traversed, blockedHex, canStop) ?? mover.traversed.at(-1);
+    const safeKey = hexKey(safeHex);
+    const index = mover.traversed.findLastIndex(hex => hexKey(hex) === safeKey);
+    if (index === mover.traversed.length - 1) return;
+
+    mover.traversed = mover.traversed.slice(0, index + 1);
+    const pos = hexCenterToTokenPosition(safeHex, canvasToken);
+    await mover.token.update({ x: pos.x, y: pos.y }, { _starMercsAutoMove: true });
+  }
+
+  /**
+   * Trigger a hostile minefield in a hex a unit has just entered: roll d6
+   * detonation damage (capped by the minefield's strength), reduce it by
+   * the mine type against the unit's armor, and wear the minefield down.
+   * The minefield is revealed to the triggering team only.
+   * @param {Token} canvasToken - The moving unit.
+   * @param {{x: number, y: number}} step - The hex entered.
+   * @returns {Promise<boolean>} True if a minefield went off (the unit stops).
+   * @private
+   */
+  async _checkMinefieldTrigger(canvasToken, step) {
+    const stepKey = hexKey(snapToHexCenter(step));
+    const moverTeam = canvasToken.actor?.system?.team ?? "a";
+    const allStructures = canvas.scene?.getFlag("star-mercs", "structures") ?? [];
+    const minefield = allStructures.find(s => s.type === "minefield" && s.hexKey === stepKey
+      && s.turnsBuilt >= s.turnsRequired && s.strength > 0);
+    if (!minefield || isFriendly(minefield.team, moverTeam)) return false;
+
+    // Roll d6 detonation, capped by remaining strength
+    const roll = await new Roll("1d6").evaluate();
+    const detonation = Math.min(roll.total, minefield.strength);
+    const subConfig = CONFIG.STARMERCS.structures.minefield?.subTypes?.[minefield.subType];
+    const damageType = subConfig?.damageType ?? "soft";
+    const { final, modifiers } = calculateMinefieldDamage(detonation, damageType, canvasToken.actor);
+
+    revealStructureTo(minefield, moverTeam);
+
+    // Reduce minefield strength by the detonation
+    minefield.strength -= detonation;
+    if (minefield.strength <= 0) {
+      const updatedStructures = allStructures.filter(s => s.id !== minefield.id);
+      if (updatedStructures.length === 0) {
+        await canvas.scene.unsetFlag("star-mercs", "structures");
+      } else {
+        await canvas.scene.setFlag("star-mercs", "structures", updatedStructures);
+      }
+    } else {
+      await canvas.scene.setFlag("star-mercs", "structures", allStructures);
+    }
+
+    // Apply pending damage to unit
+    if (final > 0) {
+      await this.addPendingDamage(canvasToken.document, final, 0,
+        `Minefield (${subConfig?.label ?? damageType})`, minefield.subType ?? "minefield");
+    }
+
+    // Post chat card to the triggering team and the minefield's owner
+    const modText = modifiers.map(m => ` ${m.label} ${m.value}.`).join("");
+    await ChatMessage.create({
+      content: `<div class="star-mercs chat-card minefield-trigger">
+        <div class="summary-header"><i class="fas fa-burst"></i> Minefield Triggered!</div>
+        <div class="status-update"><strong>${unitNameHtml(canvasToken)}</strong> entered a minefield and was stopped.
+          Rolled ${roll.total}${detonation < roll.total ? ` (capped at ${detonation})` : ""} →${modText} <strong>${final} ${damageType} damage</strong> applied.
+          ${minefield.strength <= 0 ? "Minefield depleted and removed." : `Minefield strength: ${minefield.strength}/${minefield.maxStrength ?? 10}`}</div>
+      </div>`,
+      speaker: { alias: "Star Mercs" },
+      whisper: StarMercsCombat.getBothTeamsWhisperIds(moverTeam, minefield.team)
+    });
+    return true;
+  }
+
   /**
    * Check for overwatch-capable units that can see a moving token at a given position.
    * @param {Token} movingToken - The moving unit.
@@ -2874,15 +3180,9 @@ export default class StarMercsCombat extends Combat {
       if (token.actor.hasTrait("Flying") && token.actor.getFlag("star-mercs", "landed")) continue;
 
       const owTeam = token.actor.system.team ?? "a";
-      if (owTeam === movingTeam) continue;
+      if (isFriendly(owTeam, movingTeam)) continue;
 
-      const owCenter = snapToHexCenter(token.center);
-      const stepSnapped = snapToHexCenter(stepPosition);
-      const dx = owCenter.x - stepSnapped.x;
-      const dy = owCenter.y - stepSnapped.y;
-      const pixelDist = Math.sqrt(dx * dx + dy * dy);
-      const gridSize = canvas.grid.size || 100;
-      const hexDist = Math.round(pixelDist / gridSize);
+      const hexDist = getHexDistanceBetween(token.center, stepPosition);
 
       // Get overwatch settings
       const rangeMode = token.document.getFlag("star-mercs", "overwatchRange") ?? "max";
@@ -2908,7 +3208,7 @@ export default class StarMercsCombat extends Combat {
       if (hexDist > 1) {
         const hasLOS = checkLOS(owCenter, stepSnapped);
         if (!hasLOS) continue;
-        const sensors = token.actor.system.sensors ?? 0;
+        const sensors = getEffectiveSensors(token.actor);
         const baseSig = movingToken.actor.system.signature ?? 0;
         const detRange = sensors + baseSig;
         if (detRange <= 0 || hexDist > detRange) continue;
@@ -2959,7 +3259,7 @@ export default class StarMercsCombat extends Combat {
       content: `<div class="star-mercs chat-card overwatch-trigger">
         <div class="summary-header"><i class="fas fa-eye"></i> Overwatch Fire!</div>
         <div class="status-update"><strong>${esc(actor.name)}</strong> fires at
-          <strong>${esc(targetActor.name)}</strong> — ${firedCount} weapon${firedCount !== 1 ? "s" : ""} engaged.</div>
+          <strong>${unitNameHtml(movingToken, targetActor.name)}</strong> — ${firedCount} weapon${firedCount !== 1 ? "s" : ""} engaged.</div>
       </div>`,
       speaker: { alias: "Star Mercs" },
       whisper: StarMercsCombat.getTeamWhisperIds(owTeam)
@@ -2995,7 +3295,7 @@ export default class StarMercsCombat extends Combat {
       const margin1 = rdy1 - roll1.total;
       const margin2 = rdy2 - roll2.total;
 
-      roundDetails.push(`Round ${rounds}: ${esc(token1.name)} (RDY ${rdy1} - ${roll1.total} = ${margin1}) vs ${esc(token2.name)} (RDY ${rdy2} - ${roll2.total} = ${margin2})`);
+      roundDetails.push(`Round ${rounds}: ${unitNameHtml(token1)} (RDY ${rdy1} - ${roll1.total} = ${margin1}) vs ${unitNameHtml(token2)} (RDY ${rdy2} - ${roll2.total} = ${margin2})`);
 
       if (margin1 > margin2) { winner = token1; loser = token2; }
       else if (margin2 > margin1) { winner = token2; loser = token1; }
@@ -3011,11 +3311,11 @@ export default class StarMercsCombat extends Combat {
     // Post chat result
     let html = `<div class="star-mercs chat-card hex-contest">`;
     html += `<div class="summary-header"><i class="fas fa-flag"></i> Hex Contest!</div>`;
-    html += `<div class="status-update"><strong>${esc(token1.name)}</strong> vs <strong>${esc(token2.name)}</strong> both target the same hex.</div>`;
+    html += `<div class="status-update"><strong>${unitNameHtml(token1)}</strong> vs <strong>${unitNameHtml(token2)}</strong> both target the same hex.</div>`;
     for (const detail of roundDetails) {
       html += `<div class="morale-details">${detail}</div>`;
     }
-    html += `<div class="status-alert"><strong>${esc(winner.name)}</strong> wins the hex! <strong>${esc(loser.name)}</strong> stops short.</div>`;
+    html += `<div class="status-alert"><strong>${unitNameHtml(winner)}</strong> wins the hex! <strong>${unitNameHtml(loser)}</strong> stops short.</div>`;
     html += `</div>`;
 
     await ChatMessage.create({
@@ -3171,43 +3471,13 @@ export default class StarMercsCombat extends Combat {
     const terrainMap = canvas.scene.getFlag("star-mercs", "terrainMap");
     if (!terrainMap || typeof terrainMap !== "object") return;
 
-    const objectiveConfig = CONFIG.STARMERCS?.objectives ?? {};
     const currentScores = this.getFlag("star-mercs", "teamScores") ?? {};
-    const roundScores = {};
-    const scoringDetails = [];
-
-    for (const [key, rawEntry] of Object.entries(terrainMap)) {
-      const hexData = normalizeHexData(rawEntry);
-      if (!hexData.objective || !objectiveConfig[hexData.objective]) continue;
-
-      const [xStr, yStr] = key.split(",");
-      const center = { x: parseFloat(xStr), y: parseFloat(yStr) };
-
-      // Find token occupying this hex
-      const tokens = getTokensAtHex(center);
-      if (tokens.length === 0) continue;
-
-      const token = tokens[0];
-      const team = token.actor?.system?.team;
-      if (!team) continue;
-
-      // Airborne flying units cannot score objectives (must land)
-      if (token.actor?.isAirborne) continue;
-
-      const basePoints = objectiveConfig[hexData.objective].points;
-      const engaged = isEngaged(token);
-      const points = Math.max(0, basePoints - (engaged ? 1 : 0));
-
-      if (points <= 0) continue;
-
-      if (!roundScores[team]) roundScores[team] = 0;
-      roundScores[team] += points;
-
-      const unitName = token.document?.name ?? token.actor?.name ?? "Unknown";
-      const objLabel = objectiveConfig[hexData.objective].label;
-      const engagedNote = engaged ? " (Engaged: -1)" : "";
-      scoringDetails.push(`${unitName} holds ${objLabel}: +${points} VP${engagedNote} (${team === "a" ? "Team A" : "Team B"})`);
-    }
+    const { roundScores, details } = computeObjectiveScores();
+    const scoringDetails = details.map(d => {
+      const engagedNote = d.engaged ? " (Engaged: -1)" : "";
+      const stackNote = d.stacked ? ` with ${d.stacked} other unit${d.stacked !== 1 ? "s" : ""}` : "";
+      return `${d.unitName}${stackNote} holds ${d.label}: +${d.points} VP${engagedNote} (${getFactionLabel(d.team)})`;
+    });
 
     // Update cumulative scores
     const updatedScores = { ...currentScores };
@@ -3219,7 +3489,7 @@ export default class StarMercsCombat extends Combat {
     // Post scoring summary to chat
     if (scoringDetails.length > 0) {
       const teamSummary = Object.entries(updatedScores)
-        .map(([t, s]) => `${t === "a" ? "Team A" : "Team B"}: ${s} VP`)
+        .map(([t, s]) => `${getFactionLabel(t)}: ${s} VP`)
         .join(" | ");
 
       await ChatMessage.create({
@@ -3238,7 +3508,7 @@ export default class StarMercsCombat extends Combat {
     } else {
       const teamSummary = Object.entries(updatedScores)
         .filter(([, s]) => s > 0)
-        .map(([t, s]) => `${t === "a" ? "Team A" : "Team B"}: ${s} VP`)
+        .map(([t, s]) => `${getFactionLabel(t)}: ${s} VP`)
         .join(" | ") || "No points scored yet";
 
       await ChatMessage.create({
@@ -3255,6 +3525,128 @@ export default class StarMercsCombat extends Combat {
     }
   }
 
+  /* ---------------------------------------- */
+  /*  Scenario Events                         */
+  /* ---------------------------------------- */
+
+  /**
+   * Fire the scene scenario's events scheduled for a round and phase.
+   * Each event fires once per combat, even if phases are stepped back and replayed.
+   * Posts one announcement card listing what happened.
+   * @param {number} round
+   * @param {string} phase - Phase key being entered.
+   * @private
+   */
+  async _fireScenarioEvents(round, phase) {
+    const events = (this.scene ?? canvas.scene)?.getFlag("star-mercs", "scenario")?.events ?? [];
+    if (!events.length) return;
+
+    const fired = [...(this.getFlag("star-mercs", "firedScenarioEvents") ?? [])];
+    const alreadyFired = fired.length;
+    const lines = [];
+    for (const [index, event] of events.entries()) {
+      if (fired.includes(index)) continue;
+      if (event.round !== round || (event.phase ?? "deploy") !== phase) continue;
+      fired.push(index);
+
+      const handler = CONFIG.STARMERCS.scenarioEvents[event.type];
+      if (!handler) {
+        console.warn(`Star Mercs | Unknown scenario event type "${event.type}"`);
+        continue;
+      }
+      try {
+        const html = await handler.apply(event, this);
+        lines.push(`<div class="status-update"><strong>${esc(event.title ?? handler.label)}:</strong> ${html}</div>`);
+      } catch (err) {
+        console.error(`Star Mercs | Scenario event ${index + 1} failed`, err);
+      }
+    }
+    if (fired.length === alreadyFired) return;
+    await this.setFlag("star-mercs", "firedScenarioEvents", fired);
+
+    if (lines.length) {
+      await ChatMessage.create({
+        content: `<div class="star-mercs chat-card consolidation-combined scenario-events">
+          <div class="summary-header"><i class="fas fa-scroll"></i> Round ${round} — Scenario Events</div>
+          ${lines.join("\n")}
+        </div>`,
+        speaker: { alias: "Star Mercs" }
+      });
+    }
+  }
+
+  /* ---------------------------------------- */
+  /*  Victory Conditions                      */
+  /* ---------------------------------------- */
+
+  /**
+   * Evaluate this combat's victory conditions against the current board.
+   * Used for the end-of-consolidation check and the Turn Control progress display.
+   * @returns {{progress: object[], result: object|null, state: {hqTeams: string[]}}}
+   */
+  evaluateVictory() {
+    return evaluateVictory(this.victoryConditions, {
+      round: this.round,
+      scores: this.getFlag("star-mercs", "teamScores") ?? {},
+      state: this.getFlag("star-mercs", "victoryState") ?? {}
+    });
+  }
+
+  /**
+   * Remember which teams have held a headquarters, for the Enemy HQ Destroyed condition.
+   * @private
+   */
+  async _updateVictoryState() {
+    if (!this.victoryConditions.some(c => c.type === "hqDestroyed")) return;
+    const previous = this.getFlag("star-mercs", "victoryState") ?? {};
+    const state = updateVictoryState(previous);
+    if (state.hqTeams.length !== (previous.hqTeams?.length ?? 0)) {
+      await this.setFlag("star-mercs", "victoryState", state);
+    }
+  }
+
+  /**
+   * Check victory conditions at the end of consolidation. If one is met, post the
+   * victory card and end the combat.
+   * @returns {Promise<boolean>} Whether the combat ended.
+   * @private
+   */
+  async _checkVictory() {
+    if (!this.victoryConditions.length) return false;
+    const { result, state } = this.evaluateVictory();
+    await this.setFlag("star-mercs", "victoryState", state);
+    if (!result) return false;
+
+    const scores = this.getFlag("star-mercs", "teamScores") ?? {};
+    const teamSummary = Object.entries(scores)
+      .map(([t, s]) => `${getFactionLabel(t)}: ${s} VP`)
+      .join(" | ") || "No points scored";
+    const headline = result.draw
+      ? "Draw"
+      : `Victory — ${result.winners.map(t => getFactionLabel(t)).join(" & ")}`;
+
+    await ChatMessage.create({
+      content: `<div class="star-mercs chat-card consolidation-combined victory-card${result.draw ? " draw" : ""}">
+        <div class="summary-header"><i class="fas fa-trophy"></i> ${esc(headline)}</div>
+        <div class="status-update">${esc(result.reason)}</div>
+        <div class="consolidation-section">
+          <div class="consolidation-section-header"><i class="fas fa-star"></i> Final Scores</div>
+          <div class="status-update"><strong>${esc(teamSummary)}</strong></div>
+        </div>
+        <div class="status-update">The battle ends after Round ${this.round}.</div>
+      </div>`,
+      speaker: { alias: "Star Mercs" }
+    });
+
+    // Kept on the scene after the combat is deleted, for the campaign journal
+    await this.scene?.setFlag("star-mercs", "battleResult", { winner: result.winner, round: this.round });
+
+    await this._clearFiringBlips();
+    await clearLastKnownPositions();
+    await this.delete();
+    return true;
+  }
+
   /**
    * End-of-consolidation cleanup: runs when LEAVING consolidation phase.
    * 1. Clear weapon targets
@@ -0,0 +1,169 @@
+/**
+ * Scene environment: time of day and weather.
+ *
+ * The current conditions live in scene flag `star-mercs.environment` as
+ *   { timeOfDay, weather }
+ * (keys of CONFIG.STARMERCS.timesOfDay and weatherConditions) and are read
+ * through the board, so detached boards carry their own. They modify:
+ *   - the sight-point budget in checkLOS and the sensors rating in canDetect
+ *   - movement costs of some terrain types (getHexEntryCost)
+ *   - Flying operations: grounding weather lands airborne units and blocks take-off
+ *
+ * Scene flag `star-mercs.environmentSchedule` lists changes applied at the
+ * start of a round: [{ round, timeOfDay?, weather? }]. Phase undo restores
+ * the conditions (see SNAPSHOT_SCENE_FLAGS) but never the schedule.
+ */
+
+import { getBoard } from "./board-state.mjs";
+import { esc } from "./helpers.mjs";
+
+/** Scene flag holding the current conditions. */
+export const ENVIRONMENT_FLAG = "environment";
+
+/** Scene flag holding the round schedule. */
+export const ENVIRONMENT_SCHEDULE_FLAG = "environmentSchedule";
+
+/** Conditions of a scene with no environment set. */
+export const DEFAULT_ENVIRONMENT = { timeOfDay: "day", weather: "clear" };
+
+/**
+ * Current time of day and weather, falling back to the defaults for
+ * missing or unknown keys.
+ * @param {CanvasBoard|BoardState} [board]
+ * @returns {{timeOfDay: string, weather: string}}
+ */
+export function getEnvironment(board = getBoard()) {
+  const env = board.environment ?? {};
+  return {
+    timeOfDay: CONFIG.STARMERCS.timesOfDay[env.timeOfDay] ? env.timeOfDay : DEFAULT_ENVIRONMENT.timeOfDay,
+    weather: CONFIG.STARMERCS.weatherConditions[env.weather] ? env.weather : DEFAULT_ENVIRONMENT.weather
+  };
+}
+
+/**
+ * Combined effect of the current time of day and weather.
+ * @param {CanvasBoard|BoardState} [board]
+ * @returns {{sightMod: number, sensorMod: number, groundsFlying: boolean, terrainCostMods: Object<string, number>}}
+ */
+export function getEnvironmentModifiers(board = getBoard()) {
+  const { timeOfDay, weather } = getEnvironment(board);
+  const time = CONFIG.STARMERCS.timesOfDay[timeOfDay];
+  const conditions = CONFIG.STARMERCS.weatherConditions[weather];
+  return {
+    sightMod: (time.sightMod ?? 0) + (conditions.sightMod ?? 0),
+    sensorMod: (time.sensorMod ?? 0) + (conditions.sensorMod ?? 0),
+    groundsFlying: !!conditions.groundsFlying,
+    terrainCostMods: conditions.terrainCostMods ?? {}
+  };
+}
+
+/**
+ * Display label for a set of conditions, e.g. "Night, Rain".
+ * @param {{timeOfDay: string, weather: string}} env
+ * @returns {string}
+ */
+export function describeEnvironment(env) {
+  const time = CONFIG.STARMERCS.timesOfDay[env.timeOfDay]?.label ?? env.timeOfDay;
+  const weather = CONFIG.STARMERCS.weatherConditions[env.weather]?.label ?? env.weather;
+  return `${time}, ${weather}`;
+}
+
+/**
+ * Short descriptions of a set of modifiers, e.g. ["Sight −2", "Plain +1 MP"].
+ * @param {{sightMod: number, sensorMod: number, groundsFlying: boolean, terrainCostMods: Object<string, number>}} mods
+ * @returns {string[]} Empty when the conditions have no effect.
+ */
+export function describeEnvironmentModifiers(mods) {
+  const signed = n => (n > 0 ? `+${n}` : `−${Math.abs(n)}`);
+  const parts = [];
+  if (mods.sightMod) parts.push(`Sight ${signed(mods.sightMod)}`);
+  if (mods.sensorMod) parts.push(`Sensors ${signed(mods.sensorMod)}`);
+  if (mods.groundsFlying) parts.push("Flying grounded");
+  for (const [terrain, mod] of Object.entries(mods.terrainCostMods ?? {})) {
+    if (mod) parts.push(`${CONFIG.STARMERCS.terrainTypes[terrain] ?? terrain} ${signed(mod)} MP`);
+  }
+  return parts;
+}
+
+/**
+ * A scene's scheduled changes, in round order.
+ * @param {Scene|null} [scene]
+ * @returns {{round: number, timeOfDay?: string, weather?: string}[]}
+ */
+export function getEnvironmentSchedule(scene = canvas?.scene) {
+  const schedule = scene?.getFlag("star-mercs", ENVIRONMENT_SCHEDULE_FLAG) ?? [];
+  return [...schedule].sort((a, b) => a.round - b.round);
+}
+
+/**
+ * The first scheduled change after a round.
+ * @param {number} round
+ * @param {Scene|null} [scene]
+ * @returns {{round: number, timeOfDay?: string, weather?: string}|null}
+ */
+export function getNextEnvironmentChange(round, scene = canvas?.scene) {
+  return getEnvironmentSchedule(scene).find(entry => entry.round > round) ?? null;
+}
+
+/**
+ * Change the scene's conditions (GM only). Airborne Flying units land at
+ * once if the new weather grounds them. Posts an announcement card.
+ * @param {{timeOfDay?: string, weather?: string}} changes - Unset keys keep their current value.
+ * @param {object} [options]
+ * @param {number} [options.round] - Round the change belongs to, for the card header.
+ * @returns {Promise<boolean>} Whether anything changed.
+ */
+export async function updateEnvironment(changes, { round } = {}) {
+  const scene = canvas?.scene;
+  if (!game.user.isGM || !scene) return false;
+
+  const current = getEnvironment();
+  const next = { ...current };
+  if (CONFIG.STARMERCS.timesOfDay[changes.timeOfDay]) next.timeOfDay = changes.timeOfDay;
+  if (CONFIG.STARMERCS.weatherConditions[changes.weather]) next.weather = changes.weather;
+  if (next.timeOfDay === current.timeOfDay && next.weather === current.weather) return false;
+
+  await scene.setFlag("star-mercs", ENVIRONMENT_FLAG, next);
+
+  let grounded = 0;
+  if (CONFIG.STARMERCS.weatherConditions[next.weather].groundsFlying) {
+    for (const tokenDoc of scene.tokens) {
+      const actor = tokenDoc.actor;
+      if (actor?.type !== "unit" || !actor.isAirborne) continue;
+      await actor.forceLand();
+      grounded++;
+    }
+  }
+
+  const mods = describeEnvironmentModifiers(getEnvironmentModifiers());
+  const lines = [
+    `<div class="status-update"><strong>${esc(describeEnvironment(next))}:</strong> ${esc(mods.join(", ") || "No effect")}</div>`
+  ];
+  if (grounded) {
+    lines.push(`<div class="status-update">${grounded} airborne unit${grounded === 1 ? " is" : "s are"} forced to land.</div>`);
+  }
+  await ChatMessage.create({
+    content: `<div class="star-mercs chat-card consolidation-combined environment-change">
+      <div class="summary-header"><i class="${CONFIG.STARMERCS.weatherConditions[next.weather].icon}"></i> ${round ? `Round ${round} — ` : ""}Environment</div>
+      ${lines.join("\n")}
+    </div>`,
+    speaker: { alias: "Star Mercs" }
+  });
+  return true;
+}
+
+/**
+ * Apply the changes scheduled for a round (GM only).
+ * @param {number} round
+ * @returns {Promise<boolean>} Whether the conditions changed.
+ */
+export async function applyEnvironmentSchedule(round) {
+  const entries = getEnvironmentSchedule().filter(entry => entry.round === round);
+  if (!entries.length) return false;
+  const changes = {};
+  for (const entry of entries) {
+    if (entry.timeOfDay) changes.timeOfDay = entry.timeOfDay;
+    if (entry.weather) changes.weather = entry.weather;
+  }
+  return updateEnvironment(changes, { round });
+}
@@ -0,0 +1,97 @@
+/**
+ * Faction helpers for Star Mercs.
+ *
+ * A unit's faction is its system.team key. The registry lives on
+ * CONFIG.STARMERCS.factions (loaded from the world "factions" setting), so
+ * these helpers also work against detached boards and in Node.
+ *
+ * "Friendly" means the same faction or an allied one: friendly units share
+ * vision, comms chains and supply, and never engage each other. Scores, unit
+ * ownership and deploy pools stay per faction.
+ */
+
+/** Fallback color for unknown or unassigned factions. */
+const NEUTRAL_COLOR = "#999999";
+
+/**
+ * Get the faction registry.
+ * @returns {Object<string, {label: string, color: string, allies: string[]}>}
+ */
+export function getFactions() {
+  return CONFIG.STARMERCS.factions ?? {};
+}
+
+/**
+ * Get the faction keys in registry order.
+ * @returns {string[]}
+ */
+export function getFactionKeys() {
+  return Object.keys(getFactions());
+}
+
+/**
+ * Get a faction's display name.
+ * @param {string} key
+ * @returns {string}
+ */
+export function getFactionLabel(key) {
+  if (!key || key === "none") return "Neutral";
+  return getFactions()[key]?.label ?? `Team ${key.toUpperCase()}`;
+}
+
+/**
+ * Get a faction's color as a CSS string.
+ * @param {string} key
+ * @returns {string}
+ */
+export function getFactionColor(key) {
+  return getFactions()[key]?.color ?? NEUTRAL_COLOR;
+}
+
+/**
+ * Get a faction's color as a number (for PIXI drawing).
+ * @param {string} key
+ * @returns {number}
+ */
+export function getFactionColorNumber(key) {
+  return parseInt(getFactionColor(key).replace("#", ""), 16);
+}
+
+/**
+ * Whether two different factions are allied.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function areAllied(a, b) {
+  if (!a || !b || a === b) return false;
+  const factions = getFactions();
+  return !!(factions[a]?.allies?.includes(b) || factions[b]?.allies?.includes(a));
+}
+
+/**
+ * Whether two factions are friendly (the same faction, or allied).
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function isFriendly(a, b) {
+  return a === b || areAllied(a, b);
+}
+
+/**
+ * Get a faction and all factions allied with it.
+ * @param {string} key
+ * @returns {string[]}
+ */
+export function getFriendlyFactions(key) {
+  return [key, ...getFactionKeys().filter(other => areAllied(key, other))];
+}
+
+/**
+ * Faction choices for select inputs.
+ * @returns {Object<string, string>} key → label
+ */
+export function getFactionChoices() {
+  return Object.fromEntries(Object.entries(getFactions()).map(([key, f]) => [key, f.label]));
+}
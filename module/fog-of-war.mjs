@@ -0,0 +1,239 @@
+/**
+ * Per-client fog of war.
+ *
+ * Players see enemy units only as well as their team detects them
+ * (computeTeamVisibility): "visible" enemies render normally, "blip" enemies
+ * only as a generic contact marker drawn by the DetectionLayer, and "hidden"
+ * enemies not at all. The same levels decide what the combat tracker lists
+ * and which unit names chat cards show. The GM, spectators and worlds
+ * without team assignments see everything.
+ *
+ * Under the commsDetectionSharing rule, a player with friendly units selected
+ * sees only the contacts of those units' comms chains.
+ *
+ * Hidden enemies running active sensors that the team picks up by their
+ * emissions (computeEmissionContacts) are drawn as emission blips.
+ *
+ * Levels are cached per client and recomputed after tokens, actors or the
+ * scene change (see refreshFogOfWar).
+ */
+
+import { computeTeamVisibility, computeEmissionContacts, getSensorNetwork } from "./detection.mjs";
+import { isFriendly } from "./factions.mjs";
+import { esc } from "./helpers.mjs";
+
+/** Name shown in place of a unit the viewer has not identified. */
+export const UNKNOWN_CONTACT = "Unknown Contact";
+
+/** Portrait shown in the combat tracker for a blip. */
+export const CONTACT_ICON = "icons/svg/radiation.svg";
+
+/** @type {{team: string, network: string, observers: Set<string>|null, levels: Map<string, string>, emissions?: Set<string>}|null} */
+let cache = null;
+
+/**
+ * The team whose detection limits what this client sees, or null if the
+ * user sees every unit (GM, spectator, unassigned, or team assignments off).
+ * @returns {string|null}
+ */
+export function getFogTeam() {
+  if (game.user.isGM) return null;
+  if (!game.settings.get("star-mercs", "teamAssignmentsEnabled")) return null;
+  const team = (game.settings.get("star-mercs", "teamAssignments") ?? {})[game.user.id];
+  return team && team !== "spectator" ? team : null;
+}
+
+/**
+ * Drop the cached detection levels so the next lookup recomputes them.
+ */
+export function invalidateFogOfWar() {
+  cache = null;
+}
+
+/**
+ * The units whose contacts this client sees under the commsDetectionSharing
+ * rule: the comms chains of the selected friendly units.
+ * @param {string} team - The viewer's team.
+ * @returns {Set<string>|null} Observer token IDs, or null for the whole team's picture.
+ */
+function getViewerSensorNetwork(team) {
+  const selected = canvas.tokens.controlled
+    .filter(t => t.actor?.type === "unit" && isFriendly(t.actor.system.team ?? "a", team))
+    .map(t => t.id);
+  return selected.length ? getSensorNetwork(selected) : null;
+}
+
+/**
+ * This client's cached detection picture, recomputed when the team or the
+ * selected sensor network changes.
+ * @param {string} team - The viewer's team.
+ * @returns {object} The cache entry.
+ */
+function getViewerCache(team) {
+  const observers = getViewerSensorNetwork(team);
+  const network = observers ? [...observers].sort().join(",") : "";
+  if (cache?.team !== team || cache.network !== network) {
+    cache = { team, network, observers, levels: computeTeamVisibility(team, observers) };
+  }
+  return cache;
+}
+
+/**
+ * How well this client sees a unit. Friendly, allied and destroyed units,
+ * and every unit when there is no fog, are "visible".
+ * @param {Token|TokenDocument|string} token - Token, token document or token id.
+ * @returns {"visible" | "blip" | "hidden"}
+ */
+export function getUnitVisibility(token) {
+  const team = getFogTeam();
+  if (!team) return "visible";
+  const id = typeof token === "string" ? token : token?.id;
+
+  // Before the canvas is drawn nothing can be detected yet: hide every enemy
+  if (!canvas?.ready) {
+    const unitTeam = game.scenes.viewed?.tokens.get(id)?.actor?.system.team;
+    return !unitTeam || isFriendly(unitTeam, team) ? "visible" : "hidden";
+  }
+
+  return getViewerCache(team).levels.get(id) ?? "visible";
+}
+
+/**
+ * Hidden enemy units this client picks up by their sensor emissions.
+ * @returns {Set<string>} Token IDs; empty without fog of war.
+ */
+export function getEmissionContacts() {
+  const team = getFogTeam();
+  if (!team || !canvas?.ready) return new Set();
+  const viewer = getViewerCache(team);
+  viewer.emissions ??= new Set(computeEmissionContacts(team, viewer.levels, viewer.observers));
+  return viewer.emissions;
+}
+
+/**
+ * A unit's name as this client may see it.
+ * @param {Token|TokenDocument|string} token - Token, token document or token id.
+ * @param {string} name - The real name.
+ * @returns {string} The name, or UNKNOWN_CONTACT for a blip or hidden unit.
+ */
+export function getUnitDisplayName(token, name) {
+  return getUnitVisibility(token) === "visible" ? name : UNKNOWN_CONTACT;
+}
+
+/**
+ * Markup for a unit's name in a chat card, tagged so applyChatFog can hide
+ * it from readers who haven't identified the unit.
+ * @param {Token|TokenDocument|null} token
+ * @param {string} [name] - Name to show (defaults to the token's name).
+ * @returns {string} HTML.
+ */
+export function unitNameHtml(token, name = token?.name ?? "") {
+  if (!token?.id) return esc(name);
+  return `<span class="unit-name" data-token-id="${token.id}">${esc(name)}</span>`;
+}
+
+/**
+ * Show or hide a unit token for this client. Blips and hidden enemies are
+ * not rendered and cannot be hovered, clicked or opened; visible enemies
+ * show their name but never their bars.
+ * @param {Token} token
+ */
+export function applyTokenFog(token) {
+  const actor = token.actor;
+  if (!actor || actor.type !== "unit") return;
+
+  const level = getUnitVisibility(token);
+  if (level !== "visible") {
+    token.visible = false;
+    token.eventMode = "none";
+    token._starMercsFogged = true;
+    if (token.nameplate) token.nameplate.visible = false;
+    if (token.bars) token.bars.visible = false;
+    return;
+  }
+
+  // Back in sight (or fog lifted): hand visibility and interaction back to Foundry
+  if (token._starMercsFogged) {
+    token._starMercsFogged = false;
+    token.visible = token.isVisible;
+    token.eventMode = "static";
+  }
+
+  // Spotted enemy (only enemies have a level): show its name, never its bars
+  if (getFogTeam() && cache?.levels.has(token.id)) {
+    if (token.nameplate) token.nameplate.visible = true;
+    if (token.bars) token.bars.visible = false;
+  }
+}
+
+/**
+ * Recompute detection levels and re-apply them to every unit token, the
+ * contact markers and the combat tracker.
+ */
+export function refreshFogOfWar() {
+  invalidateFogOfWar();
+  if (!canvas?.ready) return;
+  for (const token of canvas.tokens.placeables) applyTokenFog(token);
+  game.starmercs?.detectionLayer?.drawDetection();
+  if (!game.user.isGM) ui.combat?.render(false);
+}
+
+/**
+ * Hide blips and hidden enemies in the combat tracker: hidden units are
+ * dropped, blips are listed as an unknown contact with no portrait,
+ * effects or controls.
+ * @param {HTMLElement} html - The rendered tracker.
+ */
+export function applyCombatTrackerFog(html) {
+  if (!getFogTeam()) return;
+  const combat = game.combat;
+  if (!combat) return;
+
+  for (const li of html.querySelectorAll(".combatant[data-combatant-id]")) {
+    const combatant = combat.combatants.get(li.dataset.combatantId);
+    if (!combatant?.tokenId) continue;
+    const level = getUnitVisibility(combatant.tokenId);
+    if (level === "visible") continue;
+    if (level === "hidden") {
+      li.remove();
+      continue;
+    }
+    li.classList.add("fog-contact");
+    const name = li.querySelector(".token-name .name, .token-name h4, .token-name strong");
+    if (name) name.textContent = UNKNOWN_CONTACT;
+    const img = li.querySelector("img.token-image");
+    if (img) {
+      img.src = CONTACT_ICON;
+      img.removeAttribute("data-src");
+      img.title = UNKNOWN_CONTACT;
+    }
+    li.querySelectorAll(".token-effects, .token-resource, .combatant-controls").forEach(el => el.remove());
+  }
+}
+
+/**
+ * Hide the names of units this client has not identified in a rendered
+ * chat card: any `.unit-name[data-token-id]` element, and the message
+ * sender when it speaks for such a unit.
+ * @param {ChatMessage} message
+ * @param {HTMLElement} html - The rendered message.
+ */
+export function applyChatFog(message, html) {
+  if (!getFogTeam()) return;
+
+  for (const el of html.querySelectorAll(".unit-name[data-token-id]")) {
+    if (getUnitVisibility(el.dataset.tokenId) === "visible") continue;
+    el.textContent = UNKNOWN_CONTACT;
+    el.classList.remove("unit-link");
+    delete el.dataset.tokenId;
+  }
+
+  const speaker = message.speaker ?? {};
+  const speakerToken = canvas?.tokens?.get(speaker.token)
+    ?? (speaker.actor ? canvas?.tokens?.placeables.find(t => t.actor?.id === speaker.actor) : null);
+  if (speakerToken && getUnitVisibility(speakerToken) !== "visible") {
+    const sender = html.querySelector(".message-sender");
+    if (sender) sender.textContent = UNKNOWN_CONTACT;
+    html.querySelectorAll(".message-header img, .message-portrait").forEach(el => el.remove());
+  }
+}
@@ -1,15 +1,28 @@
 /**
  * Hex grid utility functions for Star Mercs.
- * Provides adjacency, path computation, engagement checks, and movement validation.
+ * Provides hex coordinates, adjacency, path computation, engagement checks,
+ * and movement validation.
+ *
+ * Hexes are identified by axial coordinates {q, r} (cube s = -q - r), and
+ * stored data (terrainMap, structures, blips, order targets) is keyed by
+ * hexKey(), "q,r". Pixel centers are only used for drawing and token
+ * placement, so stored data survives grid size or offset changes.
+ *
+ * Grid, token, terrain and structure reads go through the active board
+ * (see board-state.mjs), so these work against the live canvas or a snapshot.
  */
 
+import { getBoard, withBoard, HexGeometry, AXIAL_DIRECTIONS } from "./board-state.mjs";
+import { getEnvironmentModifiers } from "./environment.mjs";
+import { isFriendly } from "./factions.mjs";
+
 /**
  * Snap a point to the center of its hex cell.
  * @param {{x: number, y: number}} point
  * @returns {{x: number, y: number}}
  */
 export function snapToHexCenter(point) {
-  return canvas.grid.getSnappedPoint(point, { mode: CONST.GRID_SNAPPING_MODES.CENTER });
+  return getBoard().snap(point);
 }
 
 /**
@@ -19,7 +32,7 @@ export function snapToHexCenter(point) {
  * @returns {{x: number, y: number}}
  */
 export function hexCenterToTokenPosition(center, token) {
-  const gridSize = canvas.grid.size || 100;
+  const gridSize = getBoard().gridSize;
   // Support Canvas Token (.w/.h), TokenDocument (.width/.height in grid units),
   // or nested TokenDocument (token.document?.width).
   const tokenW = token.w ?? ((token.document?.width ?? token.width ?? 1) * gridSize);
@@ -28,27 +41,118 @@ export function hexCenterToTokenPosition(center, token) {
 }
 
 /**
- * Get a string key for a hex center point (for use in Maps/Sets).
+ * Get the axial coordinates of the hex containing a point.
+ * @param {{x: number, y: number}} point
+ * @returns {{q: number, r: number}}
+ */
+export function hexToAxial(point) {
+  return getBoard().toAxial(point);
+}
+
+/**
+ * Get the pixel center of a hex from its axial coordinates.
+ * @param {{q: number, r: number}} axial
+ * @returns {{x: number, y: number}}
+ */
+export function axialToHexCenter(axial) {
+  return getBoard().fromAxial(axial);
+}
+
+/**
+ * Format axial coordinates as a hex key.
+ * @param {{q: number, r: number}} axial
+ * @returns {string} "q,r"
+ */
+export function axialKey({ q, r }) {
+  return `${q},${r}`;
+}
+
+/**
+ * Parse a hex key back into axial coordinates.
+ * @param {string} key - A hex key in "q,r" format.
+ * @returns {{q: number, r: number}|null}
+ */
+export function axialFromKey(key) {
+  if (!key || typeof key !== "string") return null;
+  const parts = key.split(",");
+  if (parts.length !== 2) return null;
+  const q = Number(parts[0]);
+  const r = Number(parts[1]);
+  if (!Number.isInteger(q) || !Number.isInteger(r)) return null;
+  return { q, r };
+}
+
+/**
+ * Get the key of the hex containing a point (for stored data and Maps/Sets).
  * @param {{x: number, y: number}} center
- * @returns {string}
+ * @returns {string} "q,r"
  */
 export function hexKey(center) {
-  return `${Math.round(center.x)},${Math.round(center.y)}`;
+  return axialKey(hexToAxial(center));
 }
 
 /**
  * Reverse a hex key string back into a center point.
- * @param {string} key - A hex key in "x,y" format.
+ * @param {string} key - A hex key in "q,r" format.
  * @returns {{x: number, y: number}|null}
  */
 export function hexCenterFromKey(key) {
-  if (!key || typeof key !== "string") return null;
-  const parts = key.split(",");
-  if (parts.length !== 2) return null;
-  const x = Number(parts[0]);
-  const y = Number(parts[1]);
-  if (Number.isNaN(x) || Number.isNaN(y)) return null;
-  return { x, y };
+  const axial = axialFromKey(key);
+  return axial ? axialToHexCenter(axial) : null;
+}
+
+/**
+ * Get the center of the hex a structure occupies.
+ * Resolved from its hexKey; the stored x/y are only a fallback.
+ * @param {object} structure
+ * @returns {{x: number, y: number}}
+ */
+export function getStructureCenter(structure) {
+  return hexCenterFromKey(structure.hexKey) ?? { x: structure.x, y: structure.y };
+}
+
+/**
+ * Exact hex distance between two points.
+ * @param {{x: number, y: number}} a
+ * @param {{x: number, y: number}} b
+ * @returns {number}
+ */
+export function getHexDistanceBetween(a, b) {
+  return getBoard().distance(a, b);
+}
+
+/**
+ * Get the hexes exactly `radius` steps from a center.
+ * @param {{x: number, y: number}} center
+ * @param {number} radius
+ * @returns {{x: number, y: number}[]}
+ */
+export function getHexRing(center, radius) {
+  const origin = hexToAxial(center);
+  if (radius <= 0) return [axialToHexCenter(origin)];
+
+  const ring = [];
+  const start = AXIAL_DIRECTIONS[4];
+  let hex = { q: origin.q + start.q * radius, r: origin.r + start.r * radius };
+  for (const dir of AXIAL_DIRECTIONS) {
+    for (let i = 0; i < radius; i++) {
+      ring.push(axialToHexCenter(hex));
+      hex = { q: hex.q + dir.q, r: hex.r + dir.r };
+    }
+  }
+  return ring;
+}
+
+/**
+ * Get every hex within `radius` steps of a center, including the center.
+ * @param {{x: number, y: number}} center
+ * @param {number} radius
+ * @returns {{x: number, y: number}[]}
+ */
+export function getHexesInRange(center, radius) {
+  const hexes = [];
+  for (let k = 0; k <= radius; k++) hexes.push(...getHexRing(center, k));
+  return hexes;
 }
 
 /**
@@ -57,26 +161,101 @@ export function hexCenterFromKey(key) {
  * @returns {{x: number, y: number}[]}
  */
 export function getAdjacentHexCenters(center) {
-  const offsets = canvas.grid.getAdjacentOffsets(center);
-  if (!offsets || offsets.length === 0) return [];
-  return offsets.map(offset => canvas.grid.getCenterPoint(offset));
+  return getBoard().neighbors(center);
+}
+
+/**
+ * Hex distance between two tokens.
+ * @param {Token} token1
+ * @param {Token} token2
+ * @returns {number}
+ */
+export function getHexDistance(token1, token2) {
+  return getBoard().distance(token1.center, token2.center);
 }
 
 /**
  * Get all living unit tokens occupying a specific hex.
+ * Sorted by token id, so every client sees a stack in the same order.
  * @param {{x: number, y: number}} center - A snapped hex center.
  * @returns {Token[]}
  */
 export function getTokensAtHex(center) {
   const key = hexKey(center);
   const results = [];
-  for (const token of canvas.tokens.placeables) {
+  for (const token of getBoard().tokens) {
     if (!token.actor || token.actor.type !== "unit") continue;
     if (token.actor.system.strength.value <= 0) continue;
     const tokenCenter = snapToHexCenter(token.center);
     if (hexKey(tokenCenter) === key) results.push(token);
   }
-  return results;
+  return results.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+}
+
+/* ---------------------------------------- */
+/*  Stacking                                */
+/* ---------------------------------------- */
+
+/**
+ * Stack points a unit takes up in a hex (see CONFIG.STARMERCS.stackPoints).
+ * @param {Actor} actor
+ * @returns {number}
+ */
+export function getStackPoints(actor) {
+  const { default: fallback = 1, traits = {} } = CONFIG.STARMERCS.stackPoints ?? {};
+  let points = null;
+  for (const [trait, value] of Object.entries(traits)) {
+    if (actor?.hasTrait?.(trait)) points = Math.max(points ?? 0, value);
+  }
+  return points ?? fallback;
+}
+
+/**
+ * Units in a hex that count against its stacking limit. Cargo aboard a
+ * transport travels inside it and takes no room of its own.
+ * @param {{x: number, y: number}} center - A snapped hex center.
+ * @returns {Token[]}
+ */
+export function getStackAtHex(center) {
+  return getTokensAtHex(center).filter(t => !t.document?.getFlag?.("star-mercs", "transportTokenId"));
+}
+
+/**
+ * Check whether a unit may end its movement (or deploy) in a hex, under the
+ * board's stacking rule. Units never stack with non-allied units.
+ * @param {{x: number, y: number}} center - A snapped hex center.
+ * @param {Actor} actor - The unit entering the hex.
+ * @param {object} [options]
+ * @param {Token[]} [options.ignore=[]] - Tokens not counted (e.g. the mover itself).
+ * @param {Actor[]} [options.arriving=[]] - Other units already committed to moving into the hex.
+ * @returns {{allowed: boolean, reason: string|null}}
+ */
+export function canStackInHex(center, actor, { ignore = [], arriving = [] } = {}) {
+  const others = [
+    ...getStackAtHex(center).filter(t => !ignore.includes(t) && t.actor !== actor).map(t => t.actor),
+    ...arriving
+  ];
+  if (others.length === 0) return { allowed: true, reason: null };
+
+  const { stacking = "off", stackLimit = 1 } = getBoard().rules ?? {};
+  if (stacking === "off") {
+    return { allowed: false, reason: "Cannot end movement in a hex occupied by another unit." };
+  }
+
+  const myTeam = actor?.system?.team ?? "a";
+  if (others.some(other => !isFriendly(other.system.team ?? "a", myTeam))) {
+    return { allowed: false, reason: "Cannot end movement in a hex occupied by an enemy unit." };
+  }
+
+  const used = stacking === "points"
+    ? others.reduce((sum, other) => sum + getStackPoints(other), 0)
+    : others.length;
+  const needed = stacking === "points" ? getStackPoints(actor) : 1;
+  if (used + needed > stackLimit) {
+    const unit = stacking === "points" ? "stack points" : "units";
+    return { allowed: false, reason: `Hex is full — stacking limit is ${stackLimit} ${unit} (${used} in use).` };
+  }
+  return { allowed: true, reason: null };
 }
 
 /**
@@ -107,22 +286,33 @@ export function getAdjacentEnemies(token) {
   const neighborKeys = new Set(getAdjacentHexCenters(center).map(hexKey));
 
   const enemies = [];
-  for (const other of canvas.tokens.placeables) {
+  for (const other of getBoard().tokens) {
     if (other === token) continue;
-    if (!other.actor || other.actor.type !== "unit") continue;
-    if (other.actor.system.strength.value <= 0) continue;
-    // Airborne flying enemies don't cause engagement
-    if (other.actor.hasTrait("Flying") && !other.actor.getFlag("star-mercs", "landed")) continue;
-    const otherTeam = other.actor.system.team ?? "a";
-    if (otherTeam === myTeam) continue;
+    if (!engagesTeam(other, myTeam)) continue;
     const otherKey = hexKey(snapToHexCenter(other.center));
     if (neighborKeys.has(otherKey)) enemies.push(other);
   }
   return enemies;
 }
 
+/**
+ * Whether a token is a living ground enemy of a team, able to engage its
+ * neighbours and exert a zone of control.
+ * @param {Token} other
+ * @param {string} team
+ * @returns {boolean}
+ */
+function engagesTeam(other, team) {
+  if (!other.actor || other.actor.type !== "unit") return false;
+  if (other.actor.system.strength.value <= 0) return false;
+  // Airborne flying enemies don't cause engagement
+  if (other.actor.hasTrait("Flying") && !other.actor.getFlag("star-mercs", "landed")) return false;
+  return !isFriendly(other.actor.system.team ?? "a", team);
+}
+
 /**
  * Check if a token is "Engaged" (adjacent to at least one living enemy).
+ * An engaged unit stands in an enemy zone of control (see getZoneOfControl).
  * @param {Token} token
  * @returns {boolean}
  */
@@ -131,157 +321,391 @@ export function isEngaged(token) {
 }
 
 /**
- * Compute a hex-step path from one center to another.
+ * The enemy zone of control a moving unit must respect, under the board's
+ * zoneOfControl rule. Every hex adjacent to a living ground enemy is in its
+ * zone of control — the hexes where the unit would be engaged.
+ * Units with a trait listed in CONFIG.STARMERCS.zocExemptTraits, and airborne
+ * Flying units, ignore zones of control (rule "off").
+ * @param {Token|null} token - The moving token.
+ * @param {Actor|null} [actor=null] - The moving actor, if different from token.actor.
+ * @returns {{rule: string, hexes: Set<string>, exitCost: number}}
+ *   rule: "off" | "stop" | "exit"; hexes: hexKeys in enemy ZOC (empty when off).
+ */
+export function getZoneOfControl(token, actor = null) {
+  const mover = actor ?? token?.actor ?? null;
+  const { zoneOfControl = "off", zocExitCost = 1 } = getBoard().rules ?? {};
+  const zoc = { rule: "off", hexes: new Set(), exitCost: zocExitCost };
+  if (!mover || zoneOfControl === "off") return zoc;
+
+  const isUnitAirborne = (mover.hasTrait?.("Flying") ?? false) && !(mover.getFlag?.("star-mercs", "landed") ?? false);
+  if (isUnitAirborne) return zoc;
+  if ((CONFIG.STARMERCS.zocExemptTraits ?? []).some(trait => mover.hasTrait?.(trait))) return zoc;
+
+  const myTeam = mover.system.team ?? "a";
+  for (const other of getBoard().tokens) {
+    if (other === token || other.actor === mover) continue;
+    if (!engagesTeam(other, myTeam)) continue;
+    for (const n of getAdjacentHexCenters(snapToHexCenter(other.center))) zoc.hexes.add(hexKey(n));
+  }
+  zoc.rule = zoneOfControl;
+  return zoc;
+}
+
+/**
+ * Find where the "stop" zone of control rule ends a path.
+ * @param {{x: number, y: number}[]} path - Hex centers along the path (excluding start).
+ * @param {{rule: string, hexes: Set<string>}} zoc - From getZoneOfControl.
+ * @returns {number} Index of the first enemy ZOC hex entered, or -1 if movement is not stopped.
+ */
+export function getZocStopIndex(path, zoc) {
+  if (zoc.rule !== "stop") return -1;
+  return path.findIndex(center => zoc.hexes.has(hexKey(center)));
+}
+
+/**
+ * Compute the straight line of hexes from one center to another.
+ * Returns array of hex center points along the line (excluding the start, including the end).
+ * Interpolates in cube coordinates and rounds each step to its hex; the ends are
+ * nudged slightly so lines running exactly along a hex edge resolve consistently.
+ * Used for line of sight, where terrain along the direct line matters.
+ * @param {{x: number, y: number}} fromCenter - Starting hex center.
+ * @param {{x: number, y: number}} toCenter - Destination hex center.
+ * @returns {{x: number, y: number}[]}
+ */
+export function computeHexLine(fromCenter, toCenter) {
+  const a = hexToAxial(fromCenter);
+  const b = hexToAxial(toCenter);
+  const steps = HexGeometry.axialDistance(a, b);
+  const eps = 1e-6;
+
+  const line = [];
+  for (let i = 1; i <= steps; i++) {
+    const t = i / steps;
+    line.push(axialToHexCenter(HexGeometry.roundAxial({
+      q: a.q + eps + (b.q - a.q) * t,
+      r: a.r + eps + (b.r - a.r) * t
+    })));
+  }
+  return line;
+}
+
+/**
+ * Compute the cheapest hex-step movement path from one center to another.
  * Returns array of hex center points along the path (excluding the start, including the end).
- * Uses greedy neighbor-stepping: at each step, pick the adjacent hex closest to the target.
+ *
+ * A* search over the hex graph. With a moving unit, each step costs its
+ * getMovementCost MP (Flying, Hover, Amphibious, road and edge rules included),
+ * steps steeper than the unit's elevation limit (1, or 2 for Jump Capable;
+ * airborne Flying exempt) are excluded, and ground units do not route through
+ * enemy-held hexes. Without a unit every hex costs 1.
+ *
+ * If no route is found within maxSteps hexes, returns the straight hex line
+ * instead, so validatePath and calculatePathCost can report where it is blocked.
+ *
  * @param {{x: number, y: number}} fromCenter - Starting hex center.
  * @param {{x: number, y: number}} toCenter - Destination hex center.
- * @param {number} [maxSteps=50] - Safety limit.
+ * @param {object} [options]
+ * @param {Token|null} [options.token=null] - The moving token; its actor supplies costs and team.
+ * @param {Actor|null} [options.actor=null] - The moving actor, if different from token.actor.
+ * @param {number} [options.maxSteps=50] - Longest route searched, in hexes.
  * @returns {{x: number, y: number}[]}
  */
-export function computeHexPath(fromCenter, toCenter, maxSteps = 50) {
+export function computeHexPath(fromCenter, toCenter, { token = null, actor = null, maxSteps = 50 } = {}) {
   const from = snapToHexCenter(fromCenter);
   const to = snapToHexCenter(toCenter);
+  const startKey = hexKey(from);
   const destKey = hexKey(to);
+  if (startKey === destKey) return [];
+
+  const board = getBoard();
+  const { mover, canMove, enemyHexes, stepCost, stopsIn } = movementRules(token, actor);
+
+  // Landed flying units, or a destination the unit cannot enter: no route to search for
+  if (!canMove) return computeHexLine(from, to);
+  if (mover && !getMovementCost(to, mover).passable) return computeHexLine(from, to);
+
+  // Every step costs at least 1 MP, so hex distance never overestimates
+  const estimate = center => ({
+    h: board.distance(center, to),
+    line: Math.hypot(center.x - to.x, center.y - to.y)
+  });
+
+  const open = [{ key: startKey, center: from, g: 0, steps: 0, parent: null, ...estimate(from) }];
+  const bestCost = new Map([[startKey, 0]]);
+
+  while (open.length) {
+    const node = heapPop(open);
+    if (node.key === destKey) {
+      const path = [];
+      for (let n = node; n.parent; n = n.parent) path.unshift(n.center);
+      return path;
+    }
+    if (node.g > bestCost.get(node.key) || node.steps >= maxSteps) continue;
+    if (node.key !== startKey && stopsIn(node.key)) continue;
+
+    for (const next of board.neighbors(node.center)) {
+      const key = hexKey(next);
+      if (key !== destKey && enemyHexes.has(key)) continue;
+      const g = node.g + stepCost(node.center, next);
+      if (!Number.isFinite(g) || g >= (bestCost.get(key) ?? Infinity)) continue;
+      bestCost.set(key, g);
+      heapPush(open, { key, center: next, g, steps: node.steps + 1, parent: node, ...estimate(next) });
+    }
+  }
 
-  // If already at destination, return empty path
-  if (hexKey(from) === destKey) return [];
-
-  const path = [];
-  let current = from;
-  const visited = new Set();
-  visited.add(hexKey(current));
+  return computeHexLine(from, to);
+}
 
-  for (let i = 0; i < maxSteps; i++) {
-    const neighbors = getAdjacentHexCenters(current);
-    let bestNeighbor = null;
-    let bestDist = Infinity;
+/**
+ * Find every hex a unit can reach this turn for at most maxCost MP.
+ * Dijkstra flood fill using the same step rules as computeHexPath.
+ * @param {Token} token - The moving token.
+ * @param {number} maxCost - Movement points available.
+ * @param {object} [options]
+ * @param {Actor|null} [options.actor=null] - The moving actor, if different from token.actor.
+ * @returns {Map<string, {center: {x: number, y: number}, cost: number, occupied: boolean}>}
+ *   Reachable hexes keyed by hexKey, excluding the start hex. occupied marks hexes
+ *   with no room for the unit (see canStackInHex), which can be passed through
+ *   but not ended in.
+ */
+export function computeReachableHexes(token, maxCost, { actor = null } = {}) {
+  const reachable = new Map();
+  const { mover, canMove, enemyHexes, stepCost, stopsIn } = movementRules(token, actor);
+  if (!mover || !canMove || maxCost <= 0) return reachable;
+
+  const board = getBoard();
+  const from = snapToHexCenter(token.center);
+  const startKey = hexKey(from);
+  const fullHexes = new Set();
+  for (const other of board.tokens) {
+    if (other === token || other.actor === mover) continue;
+    if (other.actor?.type !== "unit" || other.actor.system.strength.value <= 0) continue;
+    const center = snapToHexCenter(other.center);
+    if (!canStackInHex(center, mover, { ignore: [token] }).allowed) fullHexes.add(hexKey(center));
+  }
 
-    for (const neighbor of neighbors) {
-      const nKey = hexKey(neighbor);
+  const open = [{ key: startKey, center: from, g: 0, h: 0, line: 0 }];
+  const bestCost = new Map([[startKey, 0]]);
 
-      // Check if we've reached the destination
-      if (nKey === destKey) {
-        path.push(neighbor);
-        return path;
-      }
+  while (open.length) {
+    const node = heapPop(open);
+    if (node.g > bestCost.get(node.key)) continue;
+    if (node.key !== startKey) {
+      reachable.set(node.key, { center: node.center, cost: node.g, occupied: fullHexes.has(node.key) });
+      if (stopsIn(node.key)) continue;
+    }
 
-      // Skip already-visited hexes (prevent loops)
-      if (visited.has(nKey)) continue;
+    for (const next of board.neighbors(node.center)) {
+      const key = hexKey(next);
+      if (enemyHexes.has(key)) continue;
+      const g = node.g + stepCost(node.center, next);
+      if (g > maxCost || g >= (bestCost.get(key) ?? Infinity)) continue;
+      bestCost.set(key, g);
+      heapPush(open, { key, center: next, g, h: 0, line: 0 });
+    }
+  }
 
-      // Calculate distance to target
-      const dx = neighbor.x - to.x;
-      const dy = neighbor.y - to.y;
-      const dist = Math.sqrt(dx * dx + dy * dy);
+  return reachable;
+}
 
-      if (dist < bestDist) {
-        bestDist = dist;
-        bestNeighbor = neighbor;
-      }
+/**
+ * Movement rules shared by computeHexPath and computeReachableHexes.
+ * @param {Token|null} token - The moving token.
+ * @param {Actor|null} actor - The moving actor; defaults to token.actor.
+ * @returns {{mover: Actor|null, canMove: boolean, enemyHexes: Set<string>, stepCost: Function, stopsIn: Function}}
+ *   stepCost(prev, next) is the MP to step between adjacent hexes, Infinity if not allowed.
+ *   stopsIn(key) is true if entering that hex ends movement (zone of control).
+ */
+function movementRules(token, actor) {
+  const mover = actor ?? token?.actor ?? null;
+  const isFlying = mover?.hasTrait?.("Flying") ?? false;
+  const isUnitAirborne = isFlying && !(mover?.getFlag?.("star-mercs", "landed") ?? false);
+  const maxElevChange = (mover?.hasTrait?.("Jump Capable") ?? false) ? 2 : 1;
+
+  // Hexes held by enemy units (ground units may not pass through them)
+  const enemyHexes = new Set();
+  if (mover && !isUnitAirborne) {
+    const myTeam = mover.system.team ?? "a";
+    for (const other of getBoard().tokens) {
+      if (other === token || other.actor === mover) continue;
+      if (other.actor?.type !== "unit" || other.actor.system.strength.value <= 0) continue;
+      if (isFriendly(other.actor.system.team ?? "a", myTeam)) continue;
+      enemyHexes.add(hexKey(snapToHexCenter(other.center)));
     }
+  }
 
-    if (!bestNeighbor) break; // No unvisited neighbors — stuck
+  const zoc = getZoneOfControl(token, mover);
+  const zocToll = zoc.rule === "exit" ? zoc.exitCost : 0;
 
-    path.push(bestNeighbor);
-    visited.add(hexKey(bestNeighbor));
-    current = bestNeighbor;
+  const stepCost = (prev, next) => {
+    if (!mover) return 1;
+    if (!isUnitAirborne && Math.abs(getHexElevation(next) - getHexElevation(prev)) > maxElevChange) return Infinity;
+    const { cost, passable } = getMovementCost(next, mover, prev);
+    if (!passable) return Infinity;
+    return zocToll && zoc.hexes.has(hexKey(prev)) ? cost + zocToll : cost;
+  };
+  const stopsIn = key => zoc.rule === "stop" && zoc.hexes.has(key);
+
+  return { mover, canMove: !isFlying || isUnitAirborne, enemyHexes, stepCost, stopsIn };
+}
+
+/**
+ * Open-list ordering for the hex searches: lowest estimated total first, then
+ * nearest the destination, then nearest the straight line to it.
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean} True if a should be expanded before b.
+ */
+function nodeBefore(a, b) {
+  const fa = a.g + a.h;
+  const fb = b.g + b.h;
+  if (fa !== fb) return fa < fb;
+  if (a.h !== b.h) return a.h < b.h;
+  return a.line < b.line;
+}
+
+/**
+ * Push a node onto a binary min-heap ordered by nodeBefore.
+ * @param {object[]} heap
+ * @param {object} node
+ */
+function heapPush(heap, node) {
+  heap.push(node);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (!nodeBefore(heap[i], heap[parent])) break;
+    [heap[i], heap[parent]] = [heap[parent], heap[i]];
+    i = parent;
   }
+}
 
-  return path;
+/**
+ * Remove and return the first node of a binary min-heap ordered by nodeBefore.
+ * @param {object[]} heap
+ * @returns {object}
+ */
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let first = i;
+      if (left < heap.length && nodeBefore(heap[left], heap[first])) first = left;
+      if (right < heap.length && nodeBefore(heap[right], heap[first])) first = right;
+      if (first === i) break;
+      [heap[i], heap[first]] = [heap[first], heap[i]];
+      i = first;
+    }
+  }
+  return top;
 }
 
 /**
  * Validate a movement path for a token.
  * Checks that:
  * 1. No intermediate hex contains an enemy unit.
- * 2. The final hex is not occupied by any other living unit.
- * 3. Terrain is passable for this unit (water, vehicle restrictions).
+ * 2. The final hex has room for the unit under the stacking rule (see canStackInHex).
+ * 3. Terrain and the hex-side edges crossed are passable for this unit (water,
+ *    vehicle restrictions, cliffs, unbridged rivers).
  * 4. Elevation changes between adjacent hexes are ≤ 1 (unless Flying/Hover).
+ * 5. Under the "stop" zone of control rule, only the final hex is in an enemy ZOC.
  * @param {Token} token - The moving token.
  * @param {{x: number, y: number}[]} path - Array of hex centers along the path.
+ * @param {BoardState|null} [board=null] - Board to evaluate against (defaults to the active board).
  * @returns {{ valid: boolean, blockedAt: {x: number, y: number}|null, reason: string|null }}
  */
-export function validatePath(token, path) {
-  if (!token.actor || path.length === 0) return { valid: true, blockedAt: null, reason: null };
-
-  const myTeam = token.actor.system.team ?? "a";
-  const actor = token.actor;
-  const isFlying = actor.hasTrait?.("Flying") ?? false;
-  const isHover = actor.hasTrait?.("Hover") ?? false;
-  const isJumpCapable = actor.hasTrait?.("Jump Capable") ?? false;
-  const maxElevChange = isJumpCapable ? 2 : 1;
-  const isUnitAirborne = isFlying && !(actor.getFlag?.("star-mercs", "landed") ?? false);
-
-  // Landed flying units cannot move at all
-  if (isFlying && !isUnitAirborne) {
-    return { valid: false, blockedAt: path[0] ?? null, reason: "Landed flying units cannot move — take off first." };
-  }
+export function validatePath(token, path, board = null) {
+  return withBoard(board, () => {
+    if (!token.actor || path.length === 0) return { valid: true, blockedAt: null, reason: null };
+
+    const myTeam = token.actor.system.team ?? "a";
+    const actor = token.actor;
+    const isFlying = actor.hasTrait?.("Flying") ?? false;
+    const isHover = actor.hasTrait?.("Hover") ?? false;
+    const isJumpCapable = actor.hasTrait?.("Jump Capable") ?? false;
+    const maxElevChange = isJumpCapable ? 2 : 1;
+    const isUnitAirborne = isFlying && !(actor.getFlag?.("star-mercs", "landed") ?? false);
+
+    // Landed flying units cannot move at all
+    if (isFlying && !isUnitAirborne) {
+      return { valid: false, blockedAt: path[0] ?? null, reason: "Landed flying units cannot move — take off first." };
+    }
 
-  let prevCenter = snapToHexCenter(token.center);
+    let prevCenter = snapToHexCenter(token.center);
+    const zocStop = getZocStopIndex(path, getZoneOfControl(token));
 
-  for (let i = 0; i < path.length; i++) {
-    const hexCenter = path[i];
+    for (let i = 0; i < path.length; i++) {
+      const hexCenter = path[i];
 
-    // Terrain passability check
-    const { passable, reason: terrainReason } = getMovementCost(hexCenter, actor);
-    if (!passable) {
-      return { valid: false, blockedAt: hexCenter, reason: terrainReason };
-    }
-
-    // Elevation restriction (skip for airborne Flying; Hover and landed must obey)
-    if (!isUnitAirborne) {
-      const prevElev = getHexElevation(prevCenter);
-      const nextElev = getHexElevation(hexCenter);
-      if (Math.abs(nextElev - prevElev) > maxElevChange) {
-        return {
-          valid: false,
-          blockedAt: hexCenter,
-          reason: `Elevation change too steep (${prevElev} → ${nextElev}). Max difference is ${maxElevChange}.`
-        };
+      // Terrain passability check
+      const { passable, reason: terrainReason } = getMovementCost(hexCenter, actor, prevCenter);
+      if (!passable) {
+        return { valid: false, blockedAt: hexCenter, reason: terrainReason };
       }
-    }
-
-    // Token occupation checks
-    const tokensHere = getTokensAtHex(hexCenter);
-    const isLastStep = i === path.length - 1;
 
-    if (isLastStep) {
-      // Final hex: no other living unit (ally or enemy) allowed
-      const others = tokensHere.filter(t => t !== token);
-      if (others.length > 0) {
-        return {
-          valid: false,
-          blockedAt: hexCenter,
-          reason: "Cannot end movement in a hex occupied by another unit."
-        };
+      // Elevation restriction (skip for airborne Flying; Hover and landed must obey)
+      if (!isUnitAirborne) {
+        const prevElev = getHexElevation(prevCenter);
+        const nextElev = getHexElevation(hexCenter);
+        if (Math.abs(nextElev - prevElev) > maxElevChange) {
+          return {
+            valid: false,
+            blockedAt: hexCenter,
+            reason: `Elevation change too steep (${prevElev} → ${nextElev}). Max difference is ${maxElevChange}.`
+          };
+        }
       }
-    } else if (isUnitAirborne) {
-      // Airborne flying units can fly over any occupied hex (intermediate only)
-      // No blocking check — they fly over both allies and enemies
-    } else {
-      // Ground units: intermediate hex cannot contain enemy units
-      const enemyHere = tokensHere.some(t =>
-        t !== token && (t.actor.system.team ?? "a") !== myTeam
-      );
-      if (enemyHere) {
-        return {
-          valid: false,
-          blockedAt: hexCenter,
-          reason: "Cannot maneuver through a hex containing an enemy unit."
-        };
+
+      // Token occupation checks
+      const tokensHere = getTokensAtHex(hexCenter);
+      const isLastStep = i === path.length - 1;
+
+      if (isLastStep) {
+        // Final hex: room for this unit under the stacking rule
+        const { allowed, reason } = canStackInHex(hexCenter, actor, { ignore: [token] });
+        if (!allowed) {
+          return { valid: false, blockedAt: hexCenter, reason };
+        }
+      } else if (isUnitAirborne) {
+        // Airborne flying units can fly over any occupied hex (intermediate only)
+        // No blocking check — they fly over both allies and enemies
+      } else {
+        // Ground units: intermediate hex cannot contain enemy units
+        const enemyHere = tokensHere.some(t =>
+          t !== token && !isFriendly(t.actor.system.team ?? "a", myTeam)
+        );
+        if (enemyHere) {
+          return {
+            valid: false,
+            blockedAt: hexCenter,
+            reason: "Cannot maneuver through a hex containing an enemy unit."
+          };
+        }
+        if (i === zocStop) {
+          return {
+            valid: false,
+            blockedAt: path[i + 1],
+            reason: "Movement ends on entering an enemy zone of control."
+          };
+        }
       }
-    }
 
-    prevCenter = hexCenter;
-  }
+      prevCenter = hexCenter;
+    }
 
-  return { valid: true, blockedAt: null, reason: null };
+    return { valid: true, blockedAt: null, reason: null };
+  });
 }
 
 /**
  * Find the best adjacent hex to a target token that is closest to the attacker.
  * Used for assault movement: the attacker moves to an adjacent hex of the defender.
- * Prefers unoccupied hexes.
+ * Only considers hexes the attacker has room to stack in.
  * @param {Token} targetToken - The target to move adjacent to.
  * @param {Token} attackerToken - The attacking unit.
  * @returns {{x: number, y: number}|null} The best hex center, or null if none available.
@@ -291,21 +715,12 @@ export function findBestAdjacentHex(targetToken, attackerToken) {
   const attackerCenter = snapToHexCenter(attackerToken.center);
   const neighbors = getAdjacentHexCenters(targetCenter);
 
-  // Build set of occupied hex keys (exclude the attacker and the target)
-  const occupiedKeys = new Set();
-  for (const token of canvas.tokens.placeables) {
-    if (token === attackerToken || token === targetToken) continue;
-    if (!token.actor || token.actor.system?.strength?.value <= 0) continue;
-    occupiedKeys.add(hexKey(snapToHexCenter(token.center)));
-  }
-
   let best = null;
   let bestDist = Infinity;
 
   for (const neighbor of neighbors) {
-    const nKey = hexKey(neighbor);
-    // Skip occupied hexes
-    if (occupiedKeys.has(nKey)) continue;
+    // Skip hexes with no room (the target itself never sits in a neighbor)
+    if (!canStackInHex(neighbor, attackerToken.actor, { ignore: [attackerToken, targetToken] }).allowed) continue;
 
     const dx = neighbor.x - attackerCenter.x;
     const dy = neighbor.y - attackerCenter.y;
@@ -354,7 +769,7 @@ export function normalizeHexData(entry) {
  * @returns {{type: string, elevation: number, road: boolean}|null} Hex data or null if none assigned.
  */
 export function getHexData(hexCenter, overrideMap) {
-  const terrainMap = overrideMap ?? canvas.scene?.getFlag("star-mercs", "terrainMap");
+  const terrainMap = overrideMap ?? getBoard().terrainMap;
   if (!terrainMap) return null;
   const key = hexKey(snapToHexCenter(hexCenter));
   const entry = terrainMap[key];
@@ -446,96 +861,364 @@ export function getHexRoad(hexCenter) {
 export function getStructureAtHex(hexCenter) {
   const snapped = snapToHexCenter(hexCenter);
   const key = hexKey(snapped);
-  const structures = canvas.scene?.getFlag("star-mercs", "structures") ?? [];
+  const structures = getBoard().structures;
   return structures.find(s => s.hexKey === key) ?? null;
 }
 
+/**
+ * Whether a team can see a structure. Hidden structures (minefields) are
+ * known to their owner and its allies, and to any team they have been
+ * revealed to by triggering or detecting them. `revealed: true` marks a
+ * structure revealed to everyone (worlds saved before per-team reveals).
+ * @param {object} structure - Structure data object.
+ * @param {string} team - Faction key of the viewer.
+ * @returns {boolean}
+ */
+export function isStructureVisibleTo(structure, team) {
+  if (!CONFIG.STARMERCS.structures[structure.type]?.hidden) return true;
+  if (structure.revealed === true || isFriendly(structure.team, team)) return true;
+  return (structure.revealedTo ?? []).some(t => isFriendly(t, team));
+}
+
+/**
+ * Reveal a hidden structure to a team. Mutates the structure data; the
+ * caller saves the structures flag.
+ * @param {object} structure - Structure data object.
+ * @param {string} team - Faction key.
+ * @returns {boolean} True if the team did not already know about it.
+ */
+export function revealStructureTo(structure, team) {
+  if (isStructureVisibleTo(structure, team)) return false;
+  structure.revealedTo = [...(structure.revealedTo ?? []), team];
+  return true;
+}
+
+/**
+ * Check if a hex is water terrain (river, lake, ocean).
+ * @param {{x: number, y: number}} hexCenter
+ * @returns {boolean}
+ */
+export function isWaterHex(hexCenter) {
+  return !!getHexTerrainConfig(hexCenter)?.waterTerrain;
+}
+
+/**
+ * Distance in hexes from a hex to the nearest water hex (0 for water).
+ * Used for how far inland a Naval unit's shore bombardment reaches.
+ * @param {{x: number, y: number}} hexCenter
+ * @param {number} maxRange - Stop searching beyond this many hexes.
+ * @returns {number} Distance, or Infinity if there is no water within maxRange.
+ */
+export function getDistanceToWater(hexCenter, maxRange) {
+  let frontier = [snapToHexCenter(hexCenter)];
+  const seen = new Set(frontier.map(hexKey));
+  for (let dist = 0; dist <= maxRange && frontier.length; dist++) {
+    if (frontier.some(isWaterHex)) return dist;
+    const next = [];
+    for (const center of frontier) {
+      for (const n of getAdjacentHexCenters(center)) {
+        const key = hexKey(n);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        next.push(n);
+      }
+    }
+    frontier = next;
+  }
+  return Infinity;
+}
+
+/**
+ * Whether an attack is Naval shore bombardment: a Naval unit's non-aircraft
+ * weapon fired at a ground target on land.
+ * @param {Item} weapon
+ * @param {Actor} attacker
+ * @param {Actor} target
+ * @returns {boolean}
+ */
+export function isShoreBombardment(weapon, attacker, target) {
+  if (!attacker?.hasTrait?.("Naval") || weapon.system.aircraft) return false;
+  if (target.hasTrait?.("Flying") && !target.getFlag?.("star-mercs", "landed")) return false;
+  const targetToken = getBoard().tokens.find(t => t.actor === target);
+  return !!targetToken && !isWaterHex(targetToken.center);
+}
+
+/**
+ * Length of the shortest sea lane between two hexes: a route whose every hex
+ * after the start is water. Lets a coastal structure reach ships offshore.
+ * @param {{x: number, y: number}} fromCenter - Start hex (may be on land, e.g. a port).
+ * @param {{x: number, y: number}} toCenter - Destination hex.
+ * @param {number} maxSteps - Stop searching beyond this many hexes.
+ * @returns {number} Hexes along the lane, or Infinity if none within maxSteps.
+ */
+export function getSeaLaneDistance(fromCenter, toCenter, maxSteps) {
+  const goal = hexKey(snapToHexCenter(toCenter));
+  let frontier = [snapToHexCenter(fromCenter)];
+  const seen = new Set(frontier.map(hexKey));
+  if (seen.has(goal)) return 0;
+  for (let steps = 1; steps <= maxSteps && frontier.length; steps++) {
+    const next = [];
+    for (const center of frontier) {
+      for (const n of getAdjacentHexCenters(center)) {
+        const key = hexKey(n);
+        if (seen.has(key) || !isWaterHex(n)) continue;
+        if (key === goal) return steps;
+        seen.add(key);
+        next.push(n);
+      }
+    }
+    frontier = next;
+  }
+  return Infinity;
+}
+
+/* ---------------------------------------- */
+/*  Hex-Side Edge Features                  */
+/* ---------------------------------------- */
+
+/**
+ * Key for the edge shared by two adjacent hexes. The same for either order.
+ * @param {{x: number, y: number}} a - A hex center.
+ * @param {{x: number, y: number}} b - An adjacent hex center.
+ * @returns {string} "q1,r1|q2,r2"
+ */
+export function edgeKey(a, b) {
+  const ka = hexKey(snapToHexCenter(a));
+  const kb = hexKey(snapToHexCenter(b));
+  return ka < kb ? `${ka}|${kb}` : `${kb}|${ka}`;
+}
+
+/**
+ * Split an edge key into its two hex keys.
+ * @param {string} key
+ * @returns {[string, string]|null}
+ */
+export function hexKeysFromEdgeKey(key) {
+  const parts = typeof key === "string" ? key.split("|") : [];
+  return parts.length === 2 ? [parts[0], parts[1]] : null;
+}
+
+/**
+ * Normalize an edgeMap entry from the scene flag.
+ * Accepts a bare feature type ("river") or {type, bridge}.
+ * @param {string|object} entry
+ * @returns {{type: string|null, bridge: boolean}}
+ */
+export function normalizeEdgeData(entry) {
+  if (typeof entry === "string") return { type: entry, bridge: false };
+  if (entry && typeof entry === "object") return { type: entry.type ?? null, bridge: !!entry.bridge };
+  return { type: null, bridge: false };
+}
+
+/**
+ * Get the feature on the edge between two adjacent hexes.
+ * @param {{x: number, y: number}} a
+ * @param {{x: number, y: number}} b
+ * @returns {{type: string, bridge: boolean, config: object}|null}
+ *   config is the CONFIG.STARMERCS.edgeFeatures entry.
+ */
+export function getEdgeFeature(a, b) {
+  const edgeMap = getBoard().edgeMap;
+  if (!edgeMap) return null;
+  const entry = edgeMap[edgeKey(a, b)];
+  if (entry == null) return null;
+  const data = normalizeEdgeData(entry);
+  const config = CONFIG.STARMERCS.edgeFeatures?.[data.type];
+  return config ? { ...data, config } : null;
+}
+
+/**
+ * Extra movement cost to cross the edge between two adjacent hexes.
+ * Airborne Flying units ignore edge features.
+ * @param {{x: number, y: number}} fromCenter - The hex being left.
+ * @param {{x: number, y: number}} toCenter - The hex being entered.
+ * @param {Actor|null} [actor=null] - The moving actor.
+ * @returns {{cost: number, passable: boolean, reason: string|null}}
+ */
+export function getEdgeCrossingCost(fromCenter, toCenter, actor = null) {
+  const edge = getEdgeFeature(fromCenter, toCenter);
+  if (!edge) return { cost: 0, passable: true, reason: null };
+  if (actor?.hasTrait?.("Flying") && !actor.getFlag?.("star-mercs", "landed")) {
+    return { cost: 0, passable: true, reason: null };
+  }
+
+  const { config } = edge;
+  if (config.impassable) {
+    return { cost: Infinity, passable: false, reason: `${config.label} cannot be crossed by ground units.` };
+  }
+  if (edge.bridge) return { cost: 0, passable: true, reason: null };
+  if (config.waterEdge && (actor?.hasTrait?.("Hover") || actor?.hasTrait?.("Amphibious"))) {
+    return { cost: 0, passable: true, reason: null };
+  }
+  if (config.blocksVehicles && actor?.hasTrait?.("Vehicle")) {
+    return { cost: Infinity, passable: false, reason: `Vehicles cannot cross a ${config.label.toLowerCase()} without a bridge.` };
+  }
+  return { cost: config.movementCost ?? 0, passable: true, reason: null };
+}
+
 /**
  * Calculate the movement point cost to enter a hex.
- * Flying and Hover units always pay 1 MP regardless of terrain.
- * Water terrain is impassable unless the unit has Flying, Hover, or Amphibious.
+ * Airborne Flying units always pay 1 MP regardless of terrain. Otherwise the
+ * cost comes from the movement cost matrix for the unit's movement classes
+ * (see getTerrainClassCost); water is impassable unless a class can enter it.
  * Road reduces cost by 1 (minimum 1).
+ * Given the hex being left, the cost of crossing the edge between them is
+ * added (see getEdgeCrossingCost).
  *
  * @param {{x: number, y: number}} hexCenter - The hex to enter.
  * @param {Actor|null} [actor=null] - The moving actor (for trait checks).
+ * @param {{x: number, y: number}|null} [fromCenter=null] - The adjacent hex being left.
+ * @returns {{cost: number, passable: boolean, reason: string|null}}
+ */
+export function getMovementCost(hexCenter, actor = null, fromCenter = null) {
+  const entry = getHexEntryCost(hexCenter, actor);
+  if (!entry.passable || !fromCenter) return entry;
+  const crossing = getEdgeCrossingCost(fromCenter, hexCenter, actor);
+  if (!crossing.passable) return crossing;
+  return { cost: entry.cost + crossing.cost, passable: true, reason: null };
+}
+
+/**
+ * Movement classes a unit moves as, from its traits (see
+ * CONFIG.STARMERCS.movementClasses). Units without a base class count as Infantry.
+ * @param {Actor|null} actor
+ * @returns {string[]} Class keys.
+ */
+export function getMovementClasses(actor) {
+  const classes = Object.entries(CONFIG.STARMERCS.movementClasses ?? {});
+  const held = classes.filter(([trait]) => actor?.hasTrait?.(trait)).map(([trait]) => trait);
+  if (!classes.some(([trait, c]) => c.base && held.includes(trait))) held.unshift("Infantry");
+  return held;
+}
+
+/**
+ * Look up a unit's cost to enter a terrain type in the movement cost matrix
+ * (CONFIG.STARMERCS.movementCosts). Base classes set the cost: if any of them
+ * cannot enter, neither can the unit, otherwise it pays the lowest. Other
+ * classes (Hover, Amphibious, Jump Capable) apply when they are cheaper.
+ * Costs below 1 MP are raised to 1, which pathfinding relies on.
+ * @param {string} type - Terrain type key.
+ * @param {Actor|null} actor
+ * @param {object} [options]
+ * @param {boolean} [options.road=false] - The hex has a road, so classes that
+ *   cannot enter the terrain do not block the unit.
+ * @returns {number|null|undefined} MP cost; null if the unit cannot enter;
+ *   undefined if none of its classes has an entry for the terrain.
+ */
+export function getTerrainClassCost(type, actor, { road = false } = {}) {
+  const matrix = CONFIG.STARMERCS.movementCosts ?? {};
+  const classes = CONFIG.STARMERCS.movementClasses ?? {};
+  let base;
+  let bonus;
+  for (const cls of getMovementClasses(actor)) {
+    const row = matrix[cls];
+    if (!row || !(type in row)) continue;
+    const value = row[type] === null ? null : Math.max(1, row[type]);
+    if (classes[cls]?.base && !(road && value === null)) {
+      base = value === null || base === null ? null : Math.min(base ?? Infinity, value);
+    } else if (value !== null) {
+      bonus = Math.min(bonus ?? Infinity, value);
+    }
+  }
+  if (bonus !== undefined && (base == null || bonus < base)) return bonus;
+  return base;
+}
+
+/**
+ * A Naval unit's draft: the shallowest water depth it can enter
+ * (Naval[X], where X is 1 for river craft up to 3 for ocean-only ships).
+ * @param {Actor|null} actor
+ * @returns {number}
+ */
+export function getNavalDraft(actor) {
+  return Math.max(1, actor?.getTraitValue?.("Naval") ?? 0);
+}
+
+/**
+ * Terrain cost for a Naval unit to enter a hex. Naval units never leave the
+ * water, and only enter water at least as deep as their draft.
+ * @param {object|null} data - Hex data from getHexData.
+ * @param {object|null} config - The hex's terrain config.
+ * @param {Actor} actor
+ * @returns {{cost: number, passable: boolean, reason: string|null}}
+ */
+function getNavalEntryCost(data, config, actor) {
+  if (!config?.waterTerrain) {
+    return { cost: Infinity, passable: false, reason: "Naval units cannot leave the water." };
+  }
+  const draft = getNavalDraft(actor);
+  if ((config.waterDepth ?? 1) < draft) {
+    return { cost: Infinity, passable: false, reason: `${config.label} is too shallow for this unit's draft (${draft}).` };
+  }
+  const cost = getTerrainClassCost(data.type, actor);
+  if (cost === null) {
+    return { cost: Infinity, passable: false, reason: "This unit cannot enter this terrain." };
+  }
+  return { cost: cost ?? config.movementCost ?? 1, passable: true, reason: null };
+}
+
+/**
+ * Terrain cost to enter a hex, ignoring the edge crossed to reach it.
+ * @param {{x: number, y: number}} hexCenter
+ * @param {Actor|null} actor
  * @returns {{cost: number, passable: boolean, reason: string|null}}
  */
-export function getMovementCost(hexCenter, actor = null) {
+function getHexEntryCost(hexCenter, actor) {
   const data = getHexData(hexCenter);
   const config = data ? CONFIG.STARMERCS.terrain[data.type] ?? null : null;
 
+  if (actor?.hasTrait?.("Naval") && !actor.hasTrait("Flying")) return getNavalEntryCost(data, config, actor);
+
   // Unpainted hex: treat as open terrain (1 MP)
   if (!data || !config) return { cost: 1, passable: true, reason: null };
 
-  const isFlying = actor?.hasTrait?.("Flying") ?? false;
-  const isHover = actor?.hasTrait?.("Hover") ?? false;
-  const isAmphibious = actor?.hasTrait?.("Amphibious") ?? false;
-
   // Flying units: airborne always cost 1 MP; landed cannot move
-  if (isFlying) {
+  if (actor?.hasTrait?.("Flying")) {
     const landed = actor?.getFlag?.("star-mercs", "landed") ?? false;
     if (landed) return { cost: Infinity, passable: false, reason: "Landed flying units cannot move — take off first." };
     return { cost: 1, passable: true, reason: null };
   }
 
-  // Hover units can cross any terrain including water at terrain cost - 1 (min 1)
-  if (isHover) {
-    const terrainCost = config.movementCost ?? 1;
-    const hasRoad = data.road || config.hasRoad;
-    let cost = Math.max(1, terrainCost - 1);
-    if (hasRoad) cost = Math.max(1, cost - 1);
-    return { cost, passable: true, reason: null };
-  }
-
-  // Bridge (terrain flag or structure): makes water passable at 1 MP
+  // Bridge (terrain flag or completed structure): water costs 1 MP
   if (config.waterTerrain) {
-    // Check terrain bridge flag first
-    if (data.bridge) {
-      return { cost: 1, passable: true, reason: null };
-    }
-    // Check completed bridge structures
-    const structures = canvas.scene?.getFlag("star-mercs", "structures") ?? [];
     const bKey = hexKey(snapToHexCenter(hexCenter));
-    const bridge = structures.find(s => s.type === "bridge" && s.hexKey === bKey
+    const bridge = data.bridge || getBoard().structures.some(s => s.type === "bridge" && s.hexKey === bKey
       && s.turnsBuilt >= s.turnsRequired && s.strength > 0);
-    if (bridge) {
-      return { cost: 1, passable: true, reason: null };
-    }
+    if (bridge) return { cost: 1, passable: true, reason: null };
   }
 
-  // Water terrain check
-  if (config.waterTerrain) {
-    if (!isAmphibious) {
-      return { cost: Infinity, passable: false, reason: "Water terrain is impassable without Flying, Hover, or Amphibious." };
-    }
-    // Amphibious units can enter water at normal cost
-  }
-
-  // Vehicle impassable check (mountains without road)
-  const isVehicle = actor?.hasTrait?.("Vehicle") ?? false;
   const hasRoad = data.road || config.hasRoad;
-  if (config.impassableVehicle && isVehicle && !hasRoad) {
-    return { cost: Infinity, passable: false, reason: "Vehicles cannot enter this terrain without a road." };
+  let cost = getTerrainClassCost(data.type, actor, { road: hasRoad });
+  if (cost === undefined) {
+    // No matrix entry: fall back to the terrain's own cost and flags
+    const blocked = config.waterTerrain || (config.impassableVehicle && actor?.hasTrait?.("Vehicle"));
+    cost = blocked ? null : config.movementCost ?? 1;
   }
 
-  // Base cost from terrain config
-  let cost = config.movementCost ?? 1;
+  if (cost === null) {
+    if (config.waterTerrain) {
+      return { cost: Infinity, passable: false, reason: "Water terrain is impassable without Flying, Hover, or Amphibious." };
+    }
+    if (!hasRoad) {
+      return { cost: Infinity, passable: false, reason: "This unit cannot enter this terrain without a road." };
+    }
+    cost = config.movementCost ?? 1;
+  }
 
   // Road discount: -1 MP (minimum 1)
   if (hasRoad) {
     cost = Math.max(1, cost - 1);
   }
 
-  // Mech trait: -1 MP for all non-water terrain (min 1)
-  const isMech = actor?.hasTrait?.("Mech") ?? false;
-  if (isMech && !config.waterTerrain) {
+  // Powered trait: -1 MP for all non-water terrain (min 1); Hover already moves light
+  const isPowered = actor?.hasTrait?.("Powered") ?? false;
+  if (isPowered && !config.waterTerrain && !actor.hasTrait("Hover")) {
     cost = Math.max(1, cost - 1);
   }
 
-  // Powered trait: -1 MP for all non-water terrain (min 1)
-  const isPowered = actor?.hasTrait?.("Powered") ?? false;
-  if (isPowered && !config.waterTerrain) {
-    cost = Math.max(1, cost - 1);
+  // Weather (e.g. mud in rain) slows off-road movement; Hover skims over it
+  if (!hasRoad && !actor?.hasTrait?.("Hover")) {
+    cost += getEnvironmentModifiers().terrainCostMods[data.type] ?? 0;
   }
 
   return { cost, passable: true, reason: null };
@@ -549,6 +1232,7 @@ export function getMovementCost(hexCenter, actor = null) {
  * @param {{x: number, y: number}[]} path - Array of hex centers (excluding start).
  * @param {Actor|null} [actor=null] - The moving actor.
  * @returns {{totalCost: number, costs: number[], passable: boolean, blockedIndex: number, reason: string|null}}
+ *   Under the "exit" zone of control rule, steps out of an enemy ZOC hex include the extra MP.
  */
 export function calculatePathCost(fromCenter, path, actor = null) {
   if (path.length === 0) return { totalCost: 0, costs: [], passable: true, blockedIndex: -1, reason: null };
@@ -567,6 +1251,8 @@ export function calculatePathCost(fromCenter, path, actor = null) {
   let totalCost = 0;
   const costs = [];
   let prevCenter = snapToHexCenter(fromCenter);
+  const zoc = getZoneOfControl(null, actor);
+  const zocToll = zoc.rule === "exit" ? zoc.exitCost : 0;
 
   for (let i = 0; i < path.length; i++) {
     const hexCenter = path[i];
@@ -586,11 +1272,12 @@ export function calculatePathCost(fromCenter, path, actor = null) {
       }
     }
 
-    const { cost, passable, reason } = getMovementCost(hexCenter, actor);
+    const { cost: terrainCost, passable, reason } = getMovementCost(hexCenter, actor, prevCenter);
     if (!passable) {
       return { totalCost, costs, passable: false, blockedIndex: i, reason };
     }
 
+    const cost = zocToll && zoc.hexes.has(hexKey(prevCenter)) ? terrainCost + zocToll : terrainCost;
     costs.push(cost);
     totalCost += cost;
     prevCenter = hexCenter;
@@ -600,16 +1287,18 @@ export function calculatePathCost(fromCenter, path, actor = null) {
 }
 
 /**
- * Get the last safe hex along a path (for losers of hex contests).
- * Returns the hex just before the contested hex.
+ * Get the last safe hex along a path (for units stopped short of a contested
+ * or blocked hex). Returns the latest hex before it that passes isSafe.
  * @param {{x: number, y: number}[]} path - The full path.
  * @param {{x: number, y: number}} contestedHex - The contested destination.
+ * @param {function({x: number, y: number}): boolean} [isSafe] - Extra test a hex
+ *   must pass, e.g. room to stop in it.
  * @returns {{x: number, y: number}|null}
  */
-export function getLastSafeHex(path, contestedHex) {
+export function getLastSafeHex(path, contestedHex, isSafe = null) {
   const contestedKey = hexKey(snapToHexCenter(contestedHex));
   for (let i = path.length - 1; i >= 0; i--) {
-    if (hexKey(path[i]) !== contestedKey) return path[i];
+    if (hexKey(path[i]) !== contestedKey && (!isSafe || isSafe(path[i]))) return path[i];
   }
   return null;
 }
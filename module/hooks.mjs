@@ -0,0 +1,56 @@
+/**
+ * Custom hooks fired by Star Mercs, for companion modules (sound triggers,
+ * stat trackers, house-rule automation) to listen to instead of patching
+ * system classes. Names are exposed as game.starmercs.hooks.
+ *
+ *   Hooks.on(game.starmercs.hooks.unitDestroyed, (actor, token) => { ... });
+ *
+ * Hooks fire on the client that runs the rule (normally the GM's, which drives
+ * phase automation), not on every connected client. Hooks whose name starts
+ * with "pre" are called with Hooks.call and can be cancelled by returning false.
+ *
+ * starmercs.preResolveAttack (context)
+ *   Before an attack is rolled. context = { weapon, attacker, target, modifiers }
+ *   where modifiers = { accuracy: [], damage: [] }: push { label, value } entries
+ *   to adjust the to-hit threshold (positive is harder) or final damage.
+ *   Return false to cancel the attack (it resolves as invalid).
+ *   Not called for attacks resolved on a detached board (e.g. the battle simulator).
+ *
+ * starmercs.attackResolved (result)
+ *   After an attack is rolled and damage calculated, before damage is applied
+ *   or deferred. result is the resolveAttack() return value.
+ *   Not called for attacks resolved on a detached board (e.g. the battle simulator).
+ *
+ * starmercs.preTacticalStep (combat, step, stepIndex)
+ *   Before a tactical sub-step's automation runs. step = { key, label }.
+ *   Return false to skip the automation (the step still counts as run).
+ *
+ * starmercs.tacticalStepComplete (combat, step, stepIndex)
+ *   After a tactical sub-step has run (also when a listener skipped it).
+ *
+ * starmercs.phaseChanged (combat, { round, phase, undo })
+ *   After the combat enters a new phase; undo is true when a snapshot was restored.
+ *
+ * starmercs.unitDestroyed (actor, token)
+ *   When a unit's strength drops to 0 (combat damage, surrender or rout).
+ *   token is the unit's TokenDocument, or null if it has none on the scene.
+ *   Not called when a phase undo sets a unit back to 0 strength.
+ *
+ * starmercs.moraleResolved (combat, { token, actor, type, passed, outcome })
+ *   After a morale check is applied. type: "consolidation" | "assault" | "withdraw".
+ *   outcome: "held" | "recovered" | "breaking" | "broken" | "disordered" | "routed" | "surrendered".
+ *
+ * starmercs.structureBuilt (structure, builder)
+ *   When construction of a structure completes. builder is the constructing
+ *   unit's actor, or null when the GM auto-completed it.
+ */
+export const HOOKS = {
+  preResolveAttack: "starmercs.preResolveAttack",
+  attackResolved: "starmercs.attackResolved",
+  preTacticalStep: "starmercs.preTacticalStep",
+  tacticalStepComplete: "starmercs.tacticalStepComplete",
+  phaseChanged: "starmercs.phaseChanged",
+  unitDestroyed: "starmercs.unitDestroyed",
+  moraleResolved: "starmercs.moraleResolved",
+  structureBuilt: "starmercs.structureBuilt"
+};
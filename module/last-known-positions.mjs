@@ -0,0 +1,170 @@
+/**
+ * Last-known positions of lost contacts.
+ *
+ * When an enemy unit a team had identified drops out of detection entirely,
+ * the team keeps a "ghost" at the hex it was last seen in, tagged with the
+ * round and the unit type as identified. Ghosts fade as they age, vanish
+ * after the lastKnownPositionRounds setting, and are dropped as soon as the
+ * unit is identified again. Players can turn a ghost into a "spotted-*"
+ * tactical marker (see DetectionLayer).
+ *
+ * The GM client tracks detection levels between passes and stores ghosts in
+ * scene flag `star-mercs.lastKnownPositions` as an array of:
+ *   { id, team, tokenId, hexKey, round, unitType }
+ * where team is the observing faction and unitType a tacticalMarkerTypes key.
+ */
+
+import { computeTeamVisibility } from "./detection.mjs";
+import { getFactionKeys } from "./factions.mjs";
+import { snapToHexCenter, hexKey } from "./hex-utils.mjs";
+
+/** Scene flag holding the ghosts. */
+export const LAST_KNOWN_FLAG = "lastKnownPositions";
+
+/**
+ * Detection state from the previous pass, per observing team:
+ * team → Map(tokenId → { level, seen }), where seen is the hex and unit type
+ * from the last time the team identified the unit. GM client only.
+ * @type {Map<string, Map<string, {level: string, seen: {hexKey: string, unitType: string}|null}>>}
+ */
+const tracked = new Map();
+
+/** Ghost list changed by tracking passes and not yet written to the scene. */
+let pendingGhosts = null;
+
+/** Whether tracking passes are skipped until the next reset. */
+let suspended = false;
+
+/**
+ * The tactical marker type an observer would log for a unit.
+ * @param {Actor} actor
+ * @returns {string} A "spotted-*" key of CONFIG.STARMERCS.tacticalMarkerTypes.
+ */
+export function identifyUnitType(actor) {
+  if (!actor) return "spotted-unknown";
+  if (actor.items.some(i => i.type === "weapon" && i.system.artillery)) return "spotted-artillery";
+  if (actor.hasTrait("Supply") || actor.hasTrait("Transport")) return "spotted-logistics";
+  if (actor.hasTrait("Mech")) return "spotted-mechs";
+  if (actor.hasTrait("Vehicle")) return "spotted-tanks";
+  if (actor.hasTrait("Infantry")) return "spotted-infantry";
+  return "spotted-unknown";
+}
+
+/**
+ * Rounds since a ghost was recorded.
+ * @param {object} ghost
+ * @returns {number}
+ */
+export function getGhostAge(ghost) {
+  return Math.max(0, (game.combat?.round ?? ghost.round) - ghost.round);
+}
+
+/**
+ * Whether a ghost is still shown: younger than the lastKnownPositionRounds setting.
+ * @param {object} ghost
+ * @returns {boolean}
+ */
+export function isGhostActive(ghost) {
+  const maxAge = game.settings.get("star-mercs", "lastKnownPositionRounds");
+  return maxAge > 0 && getGhostAge(ghost) < maxAge;
+}
+
+/**
+ * Compare every team's detection levels with the previous pass and record
+ * or drop ghosts: an identified unit that drops to hidden leaves a ghost at
+ * its last identified hex; a unit identified again loses its ghost. Expired
+ * ghosts are pruned. GM only; the scene write is debounced.
+ */
+export function trackLastKnownPositions() {
+  if (suspended || !game.user.isGM || !canvas?.ready || !canvas.scene) return;
+
+  const round = game.combat?.round ?? 0;
+  let ghosts = pendingGhosts ?? foundry.utils.deepClone(canvas.scene.getFlag("star-mercs", LAST_KNOWN_FLAG) ?? []);
+  const before = ghosts.length;
+  let recorded = false;
+
+  for (const team of getFactionKeys()) {
+    const previous = tracked.get(team) ?? new Map();
+    const next = new Map();
+
+    for (const [tokenId, level] of computeTeamVisibility(team)) {
+      const last = previous.get(tokenId);
+      let seen = last?.seen ?? null;
+
+      if (level === "visible") {
+        const token = canvas.tokens.get(tokenId);
+        seen = { hexKey: hexKey(snapToHexCenter(token.center)), unitType: identifyUnitType(token.actor) };
+        ghosts = ghosts.filter(g => g.team !== team || g.tokenId !== tokenId);
+      } else if (level === "hidden" && last && last.level !== "hidden" && seen) {
+        ghosts = ghosts.filter(g => g.team !== team || g.tokenId !== tokenId);
+        ghosts.push({ id: foundry.utils.randomID(), team, tokenId, ...seen, round });
+        recorded = true;
+        seen = null;
+      }
+      next.set(tokenId, { level, seen });
+    }
+    tracked.set(team, next);
+  }
+
+  ghosts = ghosts.filter(isGhostActive);
+  if (!recorded && ghosts.length === before) return;
+  pendingGhosts = ghosts;
+  flushGhosts();
+}
+
+/** Write pending ghosts once a burst of tracking passes settles. */
+const flushGhosts = foundry.utils.debounce(async () => {
+  const ghosts = pendingGhosts;
+  pendingGhosts = null;
+  if (!ghosts || !canvas.scene) return;
+  if (ghosts.length === 0) await canvas.scene.unsetFlag("star-mercs", LAST_KNOWN_FLAG);
+  else await canvas.scene.setFlag("star-mercs", LAST_KNOWN_FLAG, ghosts);
+}, 100);
+
+/**
+ * Forget the detection levels of the previous pass, so the next pass records
+ * no losses (e.g. after the scene changes or the board is rewound).
+ */
+export function resetLastKnownTracking() {
+  tracked.clear();
+  pendingGhosts = null;
+  suspended = false;
+}
+
+/**
+ * Skip tracking passes until the next reset, so units jumping around while
+ * the board is rewound leave no ghosts.
+ */
+export function suspendLastKnownTracking() {
+  resetLastKnownTracking();
+  suspended = true;
+}
+
+/**
+ * Remove a ghost. Players relay through the GM via socket.
+ * @param {string} ghostId
+ * @returns {Promise<void>}
+ */
+export async function removeLastKnownPosition(ghostId) {
+  if (!canvas.scene) return;
+  if (game.user.isGM) {
+    const existing = canvas.scene.getFlag("star-mercs", LAST_KNOWN_FLAG) ?? [];
+    const updated = existing.filter(g => g.id !== ghostId);
+    if (updated.length === 0) await canvas.scene.unsetFlag("star-mercs", LAST_KNOWN_FLAG);
+    else await canvas.scene.setFlag("star-mercs", LAST_KNOWN_FLAG, updated);
+  } else {
+    game.socket.emit("system.star-mercs", {
+      action: "lastKnownPosition", op: "remove", ghostId, sceneId: canvas.scene.id
+    });
+  }
+}
+
+/**
+ * Remove every ghost from the scene (GM only).
+ * @returns {Promise<void>}
+ */
+export async function clearLastKnownPositions() {
+  resetLastKnownTracking();
+  if (!canvas.scene?.getFlag("star-mercs", LAST_KNOWN_FLAG)) return;
+  await canvas.scene.unsetFlag("star-mercs", LAST_KNOWN_FLAG);
+}
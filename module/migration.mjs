@@ -0,0 +1,146 @@
+/**
+ * World data migrations for Star Mercs.
+ *
+ * The world's data version is kept in the "migrationVersion" setting and
+ * migrateWorld() runs on the GM's client at ready.
+ *
+ * Version 1: hex keys change from rounded pixel centers ("x,y") to axial
+ * coordinates ("q,r"). Converted per scene, using that scene's grid:
+ *   - terrainMap keys
+ *   - structure and firing blip hexKey
+ *   - token order targets (construction, unload and air assault hexes)
+ * Tactical markers (scene flag `tacticalMarkers`) are placed at free pixel
+ * positions rather than hex keys, so they need no conversion.
+ * Combat undo snapshots still hold pixel keys, so they are discarded.
+ *
+ * Version 2: sensor emission control. Existing unit actors are set to Active
+ * sensors explicitly, which adds +1 to their signature and lets enemies pick
+ * up their emissions; the GM is told so units can be switched to Passive.
+ * Unlinked tokens inherit the mode from their base actor.
+ */
+
+import { HexGeometry } from "./board-state.mjs";
+import { axialKey } from "./hex-utils.mjs";
+
+/** Data version this system writes. */
+export const MIGRATION_VERSION = 2;
+
+/**
+ * Convert a pixel-center hex key ("x,y") to an axial key ("q,r").
+ * Keys that do not parse are returned unchanged.
+ * @param {string} key
+ * @param {HexGeometry} geometry - Geometry of the grid the key was made on.
+ * @returns {string}
+ */
+export function pixelKeyToAxialKey(key, geometry) {
+  if (typeof key !== "string") return key;
+  const [x, y] = key.split(",").map(Number);
+  if (!Number.isFinite(x) || !Number.isFinite(y)) return key;
+  return axialKey(geometry.toAxial({ x, y }));
+}
+
+/**
+ * Convert the pixel hex keys in scene-style data to axial keys.
+ * @param {{terrainMap?: object, structures?: object[], firingBlips?: object[]}} data
+ * @param {{type: number, size: number}} grid - The grid the keys were made on.
+ * @returns {{terrainMap?: object, structures?: object[], firingBlips?: object[]}} Converted copies.
+ */
+export function convertPixelHexKeys({ terrainMap, structures, firingBlips }, grid) {
+  const geometry = new HexGeometry(grid);
+  const convert = key => pixelKeyToAxialKey(key, geometry);
+  const result = {};
+  if (terrainMap) {
+    result.terrainMap = Object.fromEntries(Object.entries(terrainMap).map(([key, value]) => [convert(key), value]));
+  }
+  if (structures) {
+    result.structures = structures.map(s => ({
+      ...s,
+      hexKey: s.hexKey ? convert(s.hexKey) : axialKey(geometry.toAxial({ x: s.x, y: s.y }))
+    }));
+  }
+  if (firingBlips) result.firingBlips = firingBlips.map(b => ({ ...b, hexKey: convert(b.hexKey) }));
+  return result;
+}
+
+/**
+ * Run any migrations the world has not had yet. GM only.
+ */
+export async function migrateWorld() {
+  if (!game.user.isGM) return;
+  const version = game.settings.get("star-mercs", "migrationVersion") ?? 0;
+  if (version >= MIGRATION_VERSION) return;
+
+  if (version < 1) {
+    for (const scene of game.scenes) await migrateSceneHexKeys(scene);
+    console.log("Star Mercs | Migrated hex keys to axial coordinates");
+  }
+
+  if (version < 2) await migrateEmissions();
+
+  await game.settings.set("star-mercs", "migrationVersion", MIGRATION_VERSION);
+
+  // Layers were drawn from the old data before ready
+  if (canvas.ready) await canvas.draw();
+}
+
+/**
+ * Write Active sensors onto unit actors created before emission control.
+ */
+async function migrateEmissions() {
+  const updates = game.actors
+    .filter(a => a.type === "unit" && a._source.system?.emissions === undefined)
+    .map(a => ({ _id: a.id, "system.emissions": "active" }));
+  if (!updates.length) return;
+  await Actor.updateDocuments(updates);
+  console.log(`Star Mercs | Set ${updates.length} units to Active sensors`);
+  ui.notifications.info(`Star Mercs: ${updates.length} existing unit${updates.length === 1 ? " now runs" : "s now run"} Active sensors (+1 signature, visible as emissions to nearby enemies). Switch units to Passive on their sheets to keep them quiet.`, { permanent: true });
+}
+
+/**
+ * Convert one scene's stored hex keys from pixel centers to axial coordinates.
+ * @param {Scene} scene
+ */
+async function migrateSceneHexKeys(scene) {
+  const grid = { type: scene.grid.type, size: scene.grid.size };
+  const flags = scene.flags?.["star-mercs"] ?? {};
+  const converted = convertPixelHexKeys({
+    terrainMap: flags.terrainMap,
+    structures: flags.structures,
+    firingBlips: flags.firingBlips
+  }, grid);
+
+  if (Object.keys(converted).length) {
+    // Unset first so the new maps replace rather than merge with the old keys
+    const unset = {};
+    const set = {};
+    for (const [key, value] of Object.entries(converted)) {
+      unset[`flags.star-mercs.-=${key}`] = null;
+      set[`flags.star-mercs.${key}`] = value;
+    }
+    await scene.update(unset);
+    await scene.update(set);
+  }
+
+  const geometry = new HexGeometry(grid);
+  const convert = key => pixelKeyToAxialKey(key, geometry);
+  const tokenUpdates = [];
+  for (const tokenDoc of scene.tokens) {
+    const tokenFlags = tokenDoc.flags?.["star-mercs"] ?? {};
+    const update = {};
+    if (tokenFlags.constructionTarget?.targetHexKey) {
+      update["flags.star-mercs.constructionTarget.targetHexKey"] = convert(tokenFlags.constructionTarget.targetHexKey);
+    }
+    if (tokenFlags.transportAction === "unload" && tokenFlags.transportTargetId) {
+      update["flags.star-mercs.transportTargetId"] = convert(tokenFlags.transportTargetId);
+    }
+    if (tokenFlags.airAssaultTargetHex) {
+      update["flags.star-mercs.airAssaultTargetHex"] = convert(tokenFlags.airAssaultTargetHex);
+    }
+    if (Object.keys(update).length) tokenUpdates.push({ _id: tokenDoc.id, ...update });
+  }
+  if (tokenUpdates.length) await scene.updateEmbeddedDocuments("Token", tokenUpdates);
+
+  for (const combat of game.combats.filter(c => c.scene?.id === scene.id)) {
+    if (combat.getFlag("star-mercs", "phaseSnapshots")) await combat.unsetFlag("star-mercs", "phaseSnapshots");
+  }
+}
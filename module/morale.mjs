@@ -0,0 +1,73 @@
+/**
+ * Morale rules for Star Mercs.
+ *
+ * Pure rules shared by the combat tracker (StarMercsCombat) and the battle
+ * simulator, so neither has to load the other. Morale is roll-under: d10 plus
+ * damage taken must not exceed readiness.
+ */
+
+/**
+ * Evaluate a morale roll with all modifiers applied.
+ * Roll-under system: roll d10 + damage taken, must be ≤ readiness to pass.
+ * Lower rolls are better (natural 1 is the best possible roll).
+ * @param {number} dieResult - Raw d10 result.
+ * @param {number} damageTaken - Strength damage taken this turn.
+ * @param {number} readiness - Current readiness value.
+ * @returns {{total: number, passed: boolean}}
+ */
+export function evaluateMoraleRoll(dieResult, damageTaken, readiness) {
+  const total = dieResult + damageTaken;
+  const passed = total <= readiness;
+  return { total, passed };
+}
+
+/**
+ * Roll a standard morale check, including the comms chain re-roll:
+ *   - Isolated: a passed check is re-rolled and the re-roll stands.
+ *   - Command in chain: a failed check is re-rolled and the re-roll stands.
+ * @param {number} damageTaken - Strength damage taken this turn.
+ * @param {number} readiness - Current readiness value.
+ * @param {{isIsolated: boolean, hasCommandInChain: boolean}} comms - From StarMercsCombat#_getCommsChainStatus.
+ * @returns {Promise<{
+ *   roll: Roll, result: {total: number, passed: boolean},
+ *   rerollType: "isolation"|"command"|null, reroll: Roll|null,
+ *   rerollResult: {total: number, passed: boolean}|null,
+ *   passed: boolean, rolls: Roll[]
+ * }>}
+ */
+export async function rollMoraleCheck(damageTaken, readiness, { isIsolated, hasCommandInChain }) {
+  const roll = new Roll("1d10");
+  await roll.evaluate();
+  const result = evaluateMoraleRoll(roll.total, damageTaken, readiness);
+
+  let rerollType = null;
+  if (result.passed && isIsolated) rerollType = "isolation";
+  else if (!result.passed && hasCommandInChain) rerollType = "command";
+  if (!rerollType) return { roll, result, rerollType, reroll: null, rerollResult: null, passed: result.passed, rolls: [roll] };
+
+  const reroll = new Roll("1d10");
+  await reroll.evaluate();
+  const rerollResult = evaluateMoraleRoll(reroll.total, damageTaken, readiness);
+  return { roll, result, rerollType, reroll, rerollResult, passed: rerollResult.passed, rolls: [roll, reroll] };
+}
+
+/**
+ * Decide what the consolidation morale check does for a (non-assaulting) unit.
+ *   - Breaking/Broken and undamaged → recovers automatically.
+ *   - Breaking/Broken and damaged → must roll (failure means surrender).
+ *   - Otherwise, rolls only if fired at or damaged and failure is possible.
+ * @param {object} state
+ * @param {boolean} state.breaking
+ * @param {boolean} state.broken
+ * @param {boolean} state.firedAt - Whether the unit was fired at this turn.
+ * @param {number} state.damageTaken - Strength damage taken this turn.
+ * @param {number} state.readiness - Current readiness value.
+ * @returns {"skip"|"recover"|"roll"}
+ */
+export function moraleCheckAction({ breaking, broken, firedAt, damageTaken, readiness }) {
+  if (breaking || broken) return damageTaken === 0 ? "recover" : "roll";
+  if (!firedAt && damageTaken === 0) return "skip";
+  // Mathematically impossible to fail (max d10 + damage can't exceed readiness)
+  if (10 + damageTaken <= readiness) return "skip";
+  return "roll";
+}
@@ -0,0 +1,312 @@
+/**
+ * Scenario import/export and scripted round events for Star Mercs.
+ *
+ * A scenario is a JSON document describing a mission:
+ *
+ *   {
+ *     "name": "Hold the Ridge",
+ *     "description": "Optional briefing text.",
+ *     "version": 2,
+ *     "grid": { "type": 2, "size": 100 },          // type must match the target scene
+ *     "factions": { "a": { "label": "...", "color": "#3399FF", "allies": [] } },  // optional
+ *     "terrainMap": { "<hexKey>": { "type": "forest", "elevation": 1 } },
+ *     "edgeMap": { "<hexKey>|<hexKey>": { "type": "river", "bridge": false } },   // optional
+ *     "structures": [ { "type": "headquarters", "team": "a", "hexKey": "1,1", ... } ],
+ *     "objectives": [ { "hex": "<hexKey>", "objective": "primary" } ],
+ *     "deployPools": { "a": ["Rifle Platoon", { "actor": "Light Tank", "count": 2 }] },
+ *     "victoryConditions": [ { "type": "vpThreshold", "value": 15 } ],
+ *     "environment": { "timeOfDay": "dusk", "weather": "clear",                   // optional
+ *                      "schedule": [ { "round": 3, "timeOfDay": "night", "weather": "rain" } ] },
+ *     "events": [
+ *       { "round": 3, "type": "objective", "hex": "<hexKey>", "objective": "primary" },
+ *       { "round": 4, "phase": "deploy", "type": "reinforcements", "team": "b", "units": ["Light Tank"] },
+ *       { "round": 5, "phase": "consolidation", "type": "message", "text": "Air support is inbound." }
+ *     ]
+ *   }
+ *
+ * Hex keys are axial "q,r" coordinates, so a scenario fits any grid size of the
+ * same type; version 1 files used pixel-center keys and are converted on import
+ * using their recorded grid. Units are referenced by
+ * world actor id or actor name. Events fire as the combat enters the given phase
+ * of the given round (phase defaults to "deploy", i.e. the start of the round).
+ *
+ * Event types live in CONFIG.STARMERCS.scenarioEvents (copied from
+ * SCENARIO_EVENTS during init), so world scripts can add their own.
+ */
+
+import { normalizeHexData, axialFromKey } from "./hex-utils.mjs";
+import { HexGeometry } from "./board-state.mjs";
+import { convertPixelHexKeys, pixelKeyToAxialKey } from "./migration.mjs";
+import { getFactionLabel } from "./factions.mjs";
+import { esc } from "./helpers.mjs";
+import { DEFAULT_ENVIRONMENT } from "./environment.mjs";
+
+/** Current scenario format version. */
+export const SCENARIO_VERSION = 2;
+
+/**
+ * Default scenario event handlers, keyed by event type.
+ *
+ * Entry shape:
+ *   label    — display name
+ *   validate — optional function(event) → error string, or null when valid
+ *   apply    — async function(event, combat) → HTML line for the announcement card
+ */
+export const SCENARIO_EVENTS = {
+  reinforcements: {
+    label: "Reinforcements",
+    validate: event => (!event.team ? "reinforcements need a team"
+      : !Array.isArray(event.units) ? "reinforcements need a units list" : null),
+    apply: async (event) => {
+      const { added, missing } = await addUnitsToPool(event.team, event.units);
+      let html = `${added} unit${added === 1 ? "" : "s"} added to the ${esc(getFactionLabel(event.team))} deploy pool.`;
+      if (missing.length) html += ` <em>Not found: ${esc(missing.join(", "))}</em>`;
+      return html;
+    }
+  },
+
+  objective: {
+    label: "Objective",
+    validate: event => (!event.hex ? "objective events need a hex"
+      : event.objective && !CONFIG.STARMERCS.objectives[event.objective] ? `unknown objective "${event.objective}"` : null),
+    apply: async (event) => {
+      const terrainMap = foundry.utils.deepClone(canvas.scene.getFlag("star-mercs", "terrainMap") ?? {});
+      terrainMap[event.hex] = { ...normalizeHexData(terrainMap[event.hex]), objective: event.objective || null };
+      await canvas.scene.setFlag("star-mercs", "terrainMap", terrainMap);
+      game.starmercs?.terrainLayer?.drawTerrain();
+      const label = CONFIG.STARMERCS.objectives[event.objective]?.label;
+      return label ? `${esc(label)} activated.` : "Objective removed.";
+    }
+  },
+
+  message: {
+    label: "Message",
+    validate: event => (event.text ? null : "message events need text"),
+    apply: async (event) => esc(event.text)
+  }
+};
+
+/* ---------------------------------------- */
+/*  Validation                              */
+/* ---------------------------------------- */
+
+/**
+ * Check a scenario document and throw on the first problem found.
+ * @param {object} data
+ * @throws {Error}
+ */
+export function validateScenario(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("Scenario must be a JSON object.");
+  }
+  if ((data.version ?? 1) > SCENARIO_VERSION) {
+    throw new Error(`Scenario version ${data.version} is newer than this system supports (${SCENARIO_VERSION}).`);
+  }
+  if (data.terrainMap && typeof data.terrainMap !== "object") throw new Error("terrainMap must be an object.");
+  if (data.edgeMap && typeof data.edgeMap !== "object") throw new Error("edgeMap must be an object.");
+  if (data.structures && !Array.isArray(data.structures)) throw new Error("structures must be an array.");
+  if (data.objectives && !Array.isArray(data.objectives)) throw new Error("objectives must be an array.");
+  if (data.victoryConditions && !Array.isArray(data.victoryConditions)) throw new Error("victoryConditions must be an array.");
+
+  for (const condition of data.victoryConditions ?? []) {
+    if (!CONFIG.STARMERCS.victoryConditions[condition.type]) {
+      throw new Error(`Unknown victory condition "${condition.type}".`);
+    }
+  }
+
+  if (data.environment) {
+    const { timeOfDay, weather, schedule } = data.environment;
+    if (timeOfDay && !CONFIG.STARMERCS.timesOfDay[timeOfDay]) throw new Error(`Unknown time of day "${timeOfDay}".`);
+    if (weather && !CONFIG.STARMERCS.weatherConditions[weather]) throw new Error(`Unknown weather "${weather}".`);
+    if (schedule && !Array.isArray(schedule)) throw new Error("environment.schedule must be an array.");
+    for (const [i, entry] of (schedule ?? []).entries()) {
+      const where = `Environment change ${i + 1}`;
+      if (!Number.isInteger(entry.round) || entry.round < 1) throw new Error(`${where}: round must be a positive integer.`);
+      if (entry.timeOfDay && !CONFIG.STARMERCS.timesOfDay[entry.timeOfDay]) throw new Error(`${where}: unknown time of day "${entry.timeOfDay}".`);
+      if (entry.weather && !CONFIG.STARMERCS.weatherConditions[entry.weather]) throw new Error(`${where}: unknown weather "${entry.weather}".`);
+    }
+  }
+
+  for (const [i, event] of (data.events ?? []).entries()) {
+    const where = `Event ${i + 1}`;
+    const handler = CONFIG.STARMERCS.scenarioEvents?.[event.type];
+    if (!handler) throw new Error(`${where}: unknown type "${event.type}".`);
+    if (!Number.isInteger(event.round) || event.round < 1) throw new Error(`${where}: round must be a positive integer.`);
+    if (event.phase && !CONFIG.STARMERCS.phases[event.phase]) throw new Error(`${where}: unknown phase "${event.phase}".`);
+    const error = handler.validate?.(event);
+    if (error) throw new Error(`${where}: ${error}.`);
+  }
+}
+
+/* ---------------------------------------- */
+/*  Import / Export                         */
+/* ---------------------------------------- */
+
+/**
+ * Load a scenario into a scene, replacing its terrain, hex-side features, structures, victory
+ * conditions, environment and scripted events, and the world deploy pools.
+ * @param {Scene} scene
+ * @param {object} data - Parsed scenario JSON.
+ * @returns {Promise<{missing: string[]}>} Unit references that matched no actor.
+ * @throws {Error} If the scenario is invalid or was built for a different grid type.
+ */
+export async function importScenario(scene, data) {
+  validateScenario(data);
+
+  if (data.grid && data.grid.type !== scene.grid.type) {
+    throw new Error(`Scenario was built for grid type ${data.grid.type}; this scene uses type ${scene.grid.type}.`);
+  }
+  if ((data.version ?? 1) < 2) data = upgradeScenarioHexKeys(data, scene.grid);
+
+  if (data.factions) await game.settings.set("star-mercs", "factions", data.factions);
+
+  const terrainMap = foundry.utils.deepClone(data.terrainMap ?? {});
+  for (const { hex, objective } of data.objectives ?? []) {
+    terrainMap[hex] = { ...normalizeHexData(terrainMap[hex]), objective };
+  }
+  // Pixel positions follow the target scene's grid size
+  const geometry = new HexGeometry({ type: scene.grid.type, size: scene.grid.size });
+  const structures = (data.structures ?? []).map(s => {
+    const axial = axialFromKey(s.hexKey);
+    const center = axial ? geometry.axialToPixel(axial) : { x: s.x, y: s.y };
+    return { id: foundry.utils.randomID(), ...s, x: center.x, y: center.y };
+  });
+
+  // Clear first so the update replaces rather than merges the old maps
+  await scene.update({
+    "flags.star-mercs.-=terrainMap": null,
+    "flags.star-mercs.-=edgeMap": null,
+    "flags.star-mercs.-=structures": null,
+    "flags.star-mercs.-=victoryConditions": null,
+    "flags.star-mercs.-=environment": null,
+    "flags.star-mercs.-=environmentSchedule": null,
+    "flags.star-mercs.-=scenario": null
+  });
+  await scene.update({
+    "flags.star-mercs.terrainMap": terrainMap,
+    "flags.star-mercs.edgeMap": foundry.utils.deepClone(data.edgeMap ?? {}),
+    "flags.star-mercs.structures": structures,
+    "flags.star-mercs.victoryConditions": data.victoryConditions ?? [],
+    "flags.star-mercs.environment": {
+      timeOfDay: data.environment?.timeOfDay ?? DEFAULT_ENVIRONMENT.timeOfDay,
+      weather: data.environment?.weather ?? DEFAULT_ENVIRONMENT.weather
+    },
+    "flags.star-mercs.environmentSchedule": data.environment?.schedule ?? [],
+    "flags.star-mercs.scenario": {
+      name: data.name ?? "Untitled Scenario",
+      description: data.description ?? "",
+      events: data.events ?? []
+    }
+  });
+
+  await game.settings.set("star-mercs", "deployPool", {});
+  const missing = [];
+  for (const [team, units] of Object.entries(data.deployPools ?? {})) {
+    missing.push(...(await addUnitsToPool(team, units)).missing);
+  }
+
+  if (scene.id === canvas.scene?.id) game.starmercs?.terrainLayer?.drawTerrain();
+  return { missing };
+}
+
+/**
+ * Convert a version 1 scenario's pixel-center hex keys to axial keys.
+ * @param {object} data - Parsed scenario JSON.
+ * @param {{type: number, size: number}} fallbackGrid - Used if the file records no grid.
+ * @returns {object} A converted copy.
+ */
+function upgradeScenarioHexKeys(data, fallbackGrid) {
+  const grid = data.grid ?? { type: fallbackGrid.type, size: fallbackGrid.size };
+  const geometry = new HexGeometry(grid);
+  const convert = key => pixelKeyToAxialKey(key, geometry);
+  return {
+    ...data,
+    ...convertPixelHexKeys({ terrainMap: data.terrainMap, structures: data.structures }, grid),
+    objectives: data.objectives?.map(o => ({ ...o, hex: convert(o.hex) })),
+    events: data.events?.map(e => (e.hex ? { ...e, hex: convert(e.hex) } : e)),
+    version: SCENARIO_VERSION
+  };
+}
+
+/**
+ * Build a scenario document from a scene's current setup.
+ * Deploy pools are exported by actor name so the file works in other worlds.
+ * @param {Scene} scene
+ * @returns {object}
+ */
+export function exportScenario(scene) {
+  const flags = scene.flags?.["star-mercs"] ?? {};
+  const pool = game.settings.get("star-mercs", "deployPool") ?? {};
+
+  const deployPools = {};
+  for (const [team, entries] of Object.entries(pool)) {
+    if (!entries?.length) continue;
+    deployPools[team] = entries.map(e => game.actors.get(e.actorId)?.name ?? e.customName ?? e.actorId);
+  }
+
+  return {
+    name: flags.scenario?.name ?? scene.name,
+    description: flags.scenario?.description ?? "",
+    version: SCENARIO_VERSION,
+    grid: { type: scene.grid.type, size: scene.grid.size },
+    factions: game.settings.get("star-mercs", "factions"),
+    terrainMap: flags.terrainMap ?? {},
+    edgeMap: flags.edgeMap ?? {},
+    structures: (flags.structures ?? []).map(({ id, ...s }) => s),
+    deployPools,
+    victoryConditions: flags.victoryConditions ?? [],
+    environment: { ...DEFAULT_ENVIRONMENT, ...flags.environment, schedule: flags.environmentSchedule ?? [] },
+    events: flags.scenario?.events ?? []
+  };
+}
+
+/* ---------------------------------------- */
+/*  Deploy Pool                             */
+/* ---------------------------------------- */
+
+/**
+ * Resolve a unit reference (actor id or name) to a world actor.
+ * @param {string} ref
+ * @returns {Actor|undefined}
+ */
+function resolveActor(ref) {
+  const actor = game.actors.get(ref) ?? game.actors.getName(ref);
+  return actor?.type === "unit" ? actor : undefined;
+}
+
+/**
+ * Add units to a team's deploy pool, assigning each actor to the team.
+ * @param {string} team - Faction key.
+ * @param {Array<string|{actor: string, count?: number}>} units - Actor ids or names, with optional counts.
+ * @returns {Promise<{added: number, missing: string[]}>}
+ */
+export async function addUnitsToPool(team, units) {
+  const pool = foundry.utils.deepClone(game.settings.get("star-mercs", "deployPool") ?? {});
+  if (!pool[team]) pool[team] = [];
+  let added = 0;
+  const missing = [];
+
+  for (const unit of units ?? []) {
+    const ref = typeof unit === "string" ? unit : unit.actor;
+    const count = typeof unit === "string" ? 1 : Math.max(1, unit.count ?? 1);
+    const actor = resolveActor(ref);
+    if (!actor) {
+      missing.push(ref);
+      continue;
+    }
+    for (let i = 0; i < count; i++) {
+      pool[team].push({
+        actorId: actor.id,
+        addedBy: game.user.id,
+        instanceId: foundry.utils.randomID(),
+        customName: actor.name
+      });
+      added++;
+    }
+    if (actor.system.team !== team) await actor.update({ "system.team": team });
+  }
+
+  await game.settings.set("star-mercs", "deployPool", pool);
+  game.starmercs?.deployPanel?.render(false);
+  return { added, missing };
+}
@@ -0,0 +1,76 @@
+/**
+ * Objective scoring rules for Star Mercs.
+ *
+ * Pure rules: reads the active board (or a supplied BoardState) and returns
+ * the points earned this consolidation. Persisting scores and posting chat
+ * cards is StarMercsCombat's job.
+ */
+
+import { normalizeHexData, hexCenterFromKey, getTokensAtHex, isEngaged, isAirborne } from "./hex-utils.mjs";
+import { getBoard, withBoard } from "./board-state.mjs";
+
+/**
+ * Score every objective hex on the board.
+ *
+ * Each objective hex scores once, for the team of the unit holding it: with
+ * several units stacked in the hex, the one with the most strength holds it
+ * (ties go to the lowest token id, so every client agrees). Engaged holders
+ * score 1 less; airborne flying units cannot score or hold.
+ *
+ * @param {BoardState|null} [board=null] - Board to evaluate against (defaults to the active board).
+ * @returns {{
+ *   roundScores: Object<string, number>,
+ *   details: Array<{tokenId: string, unitName: string, team: string, objective: string, label: string,
+ *     points: number, engaged: boolean, stacked: number}>
+ * }}
+ *   stacked: other ground units sharing the hex with the holder.
+ */
+export function computeObjectiveScores(board = null) {
+  return withBoard(board, () => {
+    const roundScores = {};
+    const details = [];
+
+    const terrainMap = getBoard().terrainMap;
+    if (!terrainMap || typeof terrainMap !== "object") return { roundScores, details };
+
+    const objectiveConfig = CONFIG.STARMERCS?.objectives ?? {};
+
+    for (const [key, rawEntry] of Object.entries(terrainMap)) {
+      const hexData = normalizeHexData(rawEntry);
+      if (!hexData.objective || !objectiveConfig[hexData.objective]) continue;
+
+      const center = hexCenterFromKey(key);
+      if (!center) continue;
+
+      // Airborne flying units cannot score objectives (must land)
+      const holders = getTokensAtHex(center).filter(t => !isAirborne(t));
+      if (holders.length === 0) continue;
+
+      // getTokensAtHex is in token id order, so the first strongest unit wins ties
+      const token = holders.reduce((best, t) =>
+        (t.actor.system.strength.value > best.actor.system.strength.value ? t : best));
+
+      const team = token.actor?.system?.team;
+      if (!team) continue;
+
+      const basePoints = objectiveConfig[hexData.objective].points;
+      const engaged = isEngaged(token);
+      const points = Math.max(0, basePoints - (engaged ? 1 : 0));
+      if (points <= 0) continue;
+
+      roundScores[team] = (roundScores[team] ?? 0) + points;
+      details.push({
+        tokenId: token.id,
+        unitName: token.document?.name ?? token.actor?.name ?? "Unknown",
+        team,
+        objective: hexData.objective,
+        label: objectiveConfig[hexData.objective].label,
+        points,
+        engaged,
+        stacked: holders.length - 1
+      });
+    }
+
+    return { roundScores, details };
+  });
+}
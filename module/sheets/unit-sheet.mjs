@@ -1,9 +1,13 @@
 import StarMercsActor from "../documents/actor.mjs";
 import { snapToHexCenter, hexKey, computeHexPath, calculatePathCost,
-  getHexData, getHexElevation, getAdjacentHexCenters, getStructureAtHex, normalizeHexData } from "../hex-utils.mjs";
-import { checkLOS, getActiveSignature, getTerrainCoverMod } from "../detection.mjs";
+  getHexData, getHexElevation, getAdjacentHexCenters, getStructureAtHex, normalizeHexData,
+  isStructureVisibleTo } from "../hex-utils.mjs";
+import { checkLOS, getActiveSignature, getTerrainCoverMod, getEffectiveSensors } from "../detection.mjs";
+import { previewAttack, formatAttackPreview } from "../combat.mjs";
+import { getFactionChoices, isFriendly } from "../factions.mjs";
 import ConstructionPicker from "../apps/construction-picker.mjs";
 import TransportPicker from "../apps/transport-picker.mjs";
+import { getUnitDisplayName } from "../fog-of-war.mjs";
 
 /**
  * Sheet class for Star Mercs Unit actors.
@@ -48,13 +52,13 @@ export default class StarMercsUnitSheet extends ActorSheet {
     context.isOwner = this.actor.isOwner;
 
     // Deploy pool lock: unit in deploy pool is read-only for players
-    const deployPool = game.settings.get("star-mercs", "deployPool") ?? { a: [], b: [] };
+    const deployPool = game.settings.get("star-mercs", "deployPool") ?? {};
     const isInDeployPool = Object.values(deployPool).flat().some(e => e.actorId === this.actor.id);
     context.isInDeployPool = isInDeployPool;
     context.isDeployLocked = isInDeployPool && !game.user.isGM;
 
     // Detection range (derived): range vs configured target signature
-    const sensors = this.actor.system.sensors ?? 0;
+    const sensors = getEffectiveSensors(this.actor);
     const targetSig = game.settings.get("star-mercs", "detectionRingTargetSig") ?? 2;
     context.detectionRangeLOS = sensors + targetSig;
     context.detectionRangeNoLOS = Math.floor(sensors / 2) + targetSig;
@@ -69,10 +73,7 @@ export default class StarMercsUnitSheet extends ActorSheet {
     };
 
     // Team choices for the dropdown
-    context.teamChoices = {
-      a: "Team A",
-      b: "Team B"
-    };
+    context.teamChoices = getFactionChoices();
 
     // Organize embedded items by type
     this._prepareItems(context);
@@ -132,6 +133,7 @@ export default class StarMercsUnitSheet extends ActorSheet {
         if (data.requiredTrait) {
           if (!this.actor.hasTrait(data.requiredTrait)) return false;
         }
+        if (data.excludedTrait && this.actor.hasTrait(data.excludedTrait)) return false;
         // Flying units use Fly/Change Altitude instead of Maneuver/Forced March
         if (isFlying && (key === "move" || key === "forced_march")) return false;
         // Zero supply: only Hold, Move, Withdraw
@@ -228,6 +230,14 @@ export default class StarMercsUnitSheet extends ActorSheet {
       context.hasSignatureModifiers = false;
     }
 
+    // Emission control: changed during the Orders phase, or freely outside combat
+    const emissions = this.actor.system.emissions ?? "active";
+    context.emissionModes = Object.entries(CONFIG.STARMERCS.emissionModes).map(([key, mode]) => ({
+      key, label: mode.label, selected: key === emissions
+    }));
+    context.emissionMode = CONFIG.STARMERCS.emissionModes[emissions] ?? CONFIG.STARMERCS.emissionModes.active;
+    context.canSetEmissions = context.isOwner && (!context.combatActive || context.isOrdersPhase);
+
     // Terrain cover (accuracy penalty for attackers targeting this unit)
     if (activeToken) {
       const coverData = getTerrainCoverMod(activeToken);
@@ -254,7 +264,7 @@ export default class StarMercsUnitSheet extends ActorSheet {
       context.advReconTargetId = reconTargetId;
       if (reconTargetId) {
         const reconTargetToken = canvas?.tokens?.get(reconTargetId);
-        context.advReconTargetName = reconTargetToken?.name ?? "Unknown";
+        context.advReconTargetName = reconTargetToken ? getUnitDisplayName(reconTargetToken, reconTargetToken.name) : "Unknown";
       } else {
         context.advReconTargetName = "";
       }
@@ -351,9 +361,14 @@ export default class StarMercsUnitSheet extends ActorSheet {
         const targetId = item.system.targetId;
         if (targetId) {
           const targetToken = canvas?.tokens?.get(targetId);
-          weaponData.targetName = targetToken?.name ?? "Unknown";
+          weaponData.targetName = targetToken ? getUnitDisplayName(targetToken, targetToken.name) : "Unknown";
           weaponData.targetId = targetId;
           hasTargetedWeapons = true;
+
+          // Pre-roll odds for the assigned target
+          if (targetToken?.actor) {
+            weaponData.preview = formatAttackPreview(previewAttack(item, this.actor, targetToken.actor));
+          }
         }
         weapons.push(weaponData);
       } else if (item.type === "trait") {
@@ -449,6 +464,9 @@ export default class StarMercsUnitSheet extends ActorSheet {
     // Advanced Recon Equipment targeting
     html.on("click", ".set-recon-target", this._onSetReconTarget.bind(this));
     html.on("click", ".clear-recon-target", this._onClearReconTarget.bind(this));
+
+    // Emission control
+    html.on("change", ".emission-select", this._onEmissionSelect.bind(this));
   }
 
   /* ---------------------------------------- */
@@ -544,6 +562,12 @@ export default class StarMercsUnitSheet extends ActorSheet {
       return;
     }
 
+    // Own and allied units cannot be targeted
+    if (isFriendly(this.actor.system.team ?? "a", targetToken.actor.system.team ?? "a")) {
+      ui.notifications.warn(`${targetToken.name} is friendly — it cannot be targeted.`);
+      return;
+    }
+
     // Ensure unit is on the map
     const myToken = this.actor.getActiveTokens()?.[0];
     if (!myToken) {
@@ -573,16 +597,16 @@ export default class StarMercsUnitSheet extends ActorSheet {
           if (!chainCanDetect) {
             ui.notifications.warn(
               detLevel === "blip"
-                ? `Cannot assign target — ${targetToken.name} is only a sensor blip and no unit in comms chain can identify it.`
-                : `Cannot assign target — ${targetToken.name} is beyond detection range and no unit in comms chain can see it.`
+                ? `Cannot assign target — ${getUnitDisplayName(targetToken, targetToken.name)} is only a sensor blip and no unit in comms chain can identify it.`
+                : `Cannot assign target — ${getUnitDisplayName(targetToken, targetToken.name)} is beyond detection range and no unit in comms chain can see it.`
             );
             return;
           }
         } else {
           ui.notifications.warn(
             detLevel === "blip"
-              ? `Cannot assign target — ${targetToken.name} is only a sensor blip (not positively identified).`
-              : `Cannot assign target — ${targetToken.name} is beyond detection range.`
+              ? `Cannot assign target — ${getUnitDisplayName(targetToken, targetToken.name)} is only a sensor blip (not positively identified).`
+              : `Cannot assign target — ${getUnitDisplayName(targetToken, targetToken.name)} is beyond detection range.`
           );
           return;
         }
@@ -622,6 +646,13 @@ export default class StarMercsUnitSheet extends ActorSheet {
     }
 
     await item.update({ "system.targetId": targetToken.id });
+
+    const preview = previewAttack(item, this.actor, targetToken.actor);
+    if (preview.valid) {
+      ui.notifications.info(`${item.name} → ${targetToken.name}: ${formatAttackPreview(preview).summary}`);
+    } else {
+      ui.notifications.warn(`${item.name} → ${targetToken.name}: ${preview.reason}`);
+    }
   }
 
   /**
@@ -814,7 +845,7 @@ export default class StarMercsUnitSheet extends ActorSheet {
       // Must be an enemy
       const myTeam = this.actor.system.team ?? "a";
       const targetTeam = clicked.actor.system.team ?? "a";
-      if (myTeam === targetTeam) {
+      if (isFriendly(myTeam, targetTeam)) {
         ui.notifications.warn("Cannot designate a friendly unit.");
         return;
       }
@@ -847,6 +878,24 @@ export default class StarMercsUnitSheet extends ActorSheet {
     }
   }
 
+  /**
+   * Switch the unit's sensors between active and passive.
+   */
+  async _onEmissionSelect(event) {
+    event.preventDefault();
+    const mode = event.currentTarget.value;
+    const config = CONFIG.STARMERCS.emissionModes[mode];
+    if (!config || mode === this.actor.system.emissions) return;
+    const combat = game.combat;
+    if (combat?.started && combat.phase !== "orders") {
+      ui.notifications.warn("Emission control can only be changed during the Orders phase.");
+      this.render(false);
+      return;
+    }
+    await this.actor.update({ "system.emissions": mode });
+    await this.actor.addLogEntry(`Sensors set to ${config.label}`, "order");
+  }
+
   /* ---------------------------------------- */
   /*  Order Assignment                        */
   /* ---------------------------------------- */
@@ -878,12 +927,13 @@ export default class StarMercsUnitSheet extends ActorSheet {
     // Redraw arrows to remove stale movement arrows
     game.starmercs?.targetingArrowLayer?.drawArrows();
 
-    // Clear construction/demolish flags (preserve constructionTarget for construct)
+    // Clear construction/demolish/mine clearing flags (preserve constructionTarget for construct)
     if (token?.document) {
       if (selectedOrderKey !== "construct") {
         await token.document.unsetFlag("star-mercs", "constructionTarget");
       }
       await token.document.unsetFlag("star-mercs", "demolishTarget");
+      await token.document.unsetFlag("star-mercs", "clearMinesTarget");
     }
 
     // If assault order selected, prompt for target selection
@@ -909,6 +959,11 @@ export default class StarMercsUnitSheet extends ActorSheet {
       this._promptDemolishTarget();
     }
 
+    // If clear_mines order selected, prompt for the minefield to clear
+    if (selectedOrderKey === "clear_mines") {
+      this._promptClearMinesTarget();
+    }
+
     // If transport order selected, open TransportPicker
     if (selectedOrderKey === "transport") {
       this._promptTransportAction();
@@ -1031,7 +1086,7 @@ export default class StarMercsUnitSheet extends ActorSheet {
       if (token === myToken) continue;
       if (!token.actor || token.actor.type !== "unit") continue;
       const otherTeam = token.actor.system.team ?? "a";
-      if (otherTeam === team) continue;
+      if (isFriendly(otherTeam, team)) continue;
       if (token.actor.system.strength.value <= 0) continue;
 
       const distance = StarMercsActor.getHexDistance(myToken, token);
@@ -1162,9 +1217,13 @@ export default class StarMercsUnitSheet extends ActorSheet {
     const structures = canvas.scene?.getFlag("star-mercs", "structures") ?? [];
     const unitHex = snapToHexCenter(myToken.center);
     const unitHK = hexKey(unitHex);
+    const team = this.actor.system.team ?? "a";
     const validTargets = [];
 
     for (const s of structures) {
+      // Minefields the team hasn't found can't be targeted
+      if (!isStructureVisibleTo(s, team)) continue;
+
       if (s.hexKey === unitHK) {
         // Structure on same hex — always valid
         const config = CONFIG.STARMERCS.structures[s.type];
@@ -1232,6 +1291,76 @@ export default class StarMercsUnitSheet extends ActorSheet {
     }).render(true);
   }
 
+  /**
+   * Prompt the user to select a known minefield to clear at the unit's hex
+   * or an adjacent one.
+   * @private
+   */
+  _promptClearMinesTarget() {
+    const myToken = this.actor.getActiveTokens()?.[0];
+    if (!myToken) {
+      ui.notifications.warn("Place this unit's token on the canvas first.");
+      return;
+    }
+
+    const structures = canvas.scene?.getFlag("star-mercs", "structures") ?? [];
+    const unitHex = snapToHexCenter(myToken.center);
+    const unitHK = hexKey(unitHex);
+    const adjacentKeys = new Set(getAdjacentHexCenters(unitHex).map(hexKey));
+    const team = this.actor.system.team ?? "a";
+    const subTypes = CONFIG.STARMERCS.structures.minefield?.subTypes ?? {};
+    const validTargets = [];
+
+    for (const s of structures) {
+      if (s.type !== "minefield" || !isStructureVisibleTo(s, team)) continue;
+      if (s.hexKey !== unitHK && !adjacentKeys.has(s.hexKey)) continue;
+      const where = s.hexKey === unitHK ? "current hex" : "adjacent hex";
+      const label = subTypes[s.subType]?.label ?? "Minefield";
+      validTargets.push({ id: s.id, label: `${label} minefield (${where}, strength ${s.strength})` });
+    }
+
+    if (validTargets.length === 0) {
+      ui.notifications.warn("No known minefields to clear nearby.");
+      this.actor.update({ "system.currentOrder": "" });
+      return;
+    }
+
+    const optionsHtml = validTargets.map(t =>
+      `<option value="${t.id}">${t.label}</option>`
+    ).join("");
+
+    const actor = this.actor;
+    new Dialog({
+      title: "Select Minefield to Clear",
+      content: `<form><div class="form-group">
+        <label>Select minefield to clear</label>
+        <select id="clear-mines-target">${optionsHtml}</select>
+      </div></form>`,
+      buttons: {
+        confirm: {
+          icon: '<i class="fas fa-bomb"></i>',
+          label: "Confirm",
+          callback: async (html) => {
+            const structureId = html.find("#clear-mines-target").val();
+            const token = actor.getActiveTokens()?.[0];
+            if (token?.document && structureId) {
+              await token.document.setFlag("star-mercs", "clearMinesTarget", { structureId });
+              ui.notifications.info("Minefield clearing target set.");
+            }
+          }
+        },
+        cancel: {
+          icon: '<i class="fas fa-times"></i>',
+          label: "Cancel",
+          callback: async () => {
+            await actor.update({ "system.currentOrder": "" });
+          }
+        }
+      },
+      default: "confirm"
+    }).render(true);
+  }
+
   /**
    * Open the Transport Picker dialog for the Transport order.
    * @private
@@ -1243,8 +1372,8 @@ export default class StarMercsUnitSheet extends ActorSheet {
       return;
     }
 
-    // Must be landed
-    if (!this.actor.getFlag("star-mercs", "landed")) {
+    // Must be landed (Naval transports work from the water)
+    if (!this.actor.hasTrait("Naval") && !this.actor.getFlag("star-mercs", "landed")) {
       ui.notifications.warn("Transport must be landed to load or unload cargo.");
       await this.actor.update({ "system.currentOrder": "" });
       return;
@@ -1297,7 +1426,7 @@ export default class StarMercsUnitSheet extends ActorSheet {
     for (const token of canvas.tokens.placeables) {
       if (token === myToken) continue;
       if (!token.actor || token.actor.type !== "unit") continue;
-      if ((token.actor.system.team ?? "a") === team) continue;
+      if (isFriendly(token.actor.system.team ?? "a", team)) continue;
       if (token.actor.system.strength.value <= 0) continue;
       if (token.actor.isAboardTransport()) continue;
 
@@ -1457,9 +1586,9 @@ export default class StarMercsUnitSheet extends ActorSheet {
       if (token === myToken) continue;
       if (!token.actor || token.actor.type !== "unit") continue;
 
-      // Only allow transfer to same-team units
+      // Only allow transfer to friendly (same or allied team) units
       const otherTeam = token.actor.system.team ?? "a";
-      if (otherTeam !== myTeam) continue;
+      if (!isFriendly(otherTeam, myTeam)) continue;
 
       const distance = StarMercsActor.getHexDistance(myToken, token);
       if (distance <= transferRange) {
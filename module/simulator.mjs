@@ -0,0 +1,397 @@
+/**
+ * Monte Carlo battle simulator for unit balancing.
+ *
+ * Fights two unit lists against each other many times on a detached
+ * BoardState and aggregates the outcomes. Every shot goes through
+ * resolveAttack(), damage uses the applyDamage() rules (computeDamageOutcome),
+ * and consolidation uses the standard morale check (morale.mjs) — so results
+ * track the live rules, including house-rule combat modifiers.
+ *
+ * Nothing here touches documents, the canvas, or chat.
+ *
+ * Simplifications (the simulator measures firepower vs. staying power):
+ * - Units do not move; the sides deploy in two facing lines `range` hexes apart.
+ * - Every unit keeps the order it was given and fires each weapon once per round
+ *   at the nearest valid enemy.
+ * - Assaulting units skip the standard morale check, as in consolidation;
+ *   assault and withdraw morale are not modelled.
+ */
+
+import { BoardState, BoardToken, HexGeometry, getBoard, withBoard } from "./board-state.mjs";
+import { resolveAttack, validateAttack, computeDamageOutcome } from "./combat.mjs";
+import { getHexDistance } from "./hex-utils.mjs";
+import { checkLOS } from "./detection.mjs";
+import CommsLinkManager from "./comms-link-manager.mjs";
+import { moraleCheckAction, rollMoraleCheck } from "./morale.mjs";
+
+/** Side keys, in report order. */
+const SIDES = ["a", "b"];
+
+/**
+ * Run a batch of simulated engagements.
+ *
+ * @param {object} config
+ * @param {{a: object[], b: object[]}} config.sides - Unit records per side: BoardActor data
+ *   (BoardActor.dataFromActor()) or an actor's exported JSON. A side's team is forced to its key.
+ * @param {object} [config.terrain] - BoardState data (grid, terrainMap, structures, walls).
+ *   Tokens are ignored. An optional `anchor` {x, y} sets where the lines deploy.
+ * @param {number} [config.iterations=100] - Number of engagements.
+ * @param {number} [config.range=4] - Hex distance between the two lines.
+ * @param {number} [config.maxRounds=10] - Rounds before an engagement is called a draw.
+ * @param {(done: number, total: number) => void} [config.onProgress] - Called after each engagement.
+ * @returns {Promise<object>} Aggregated results (see summarizeEngagements()).
+ */
+export async function runBattleSimulation({ sides, terrain = {}, iterations = 100, range = 4, maxRounds = 10, onProgress } = {}) {
+  for (const side of SIDES) {
+    if (!sides?.[side]?.length) throw new Error(`Team ${side.toUpperCase()} has no units.`);
+  }
+
+  const engagements = [];
+  for (let i = 0; i < iterations; i++) {
+    engagements.push(await simulateEngagement(sides, terrain, range, maxRounds));
+    onProgress?.(i + 1, iterations);
+  }
+  return summarizeEngagements(engagements, { range, maxRounds, unitCounts: { a: sides.a.length, b: sides.b.length } });
+}
+
+/* ---------------------------------------- */
+/*  Single Engagement                       */
+/* ---------------------------------------- */
+
+/**
+ * Build a fresh board with both sides deployed.
+ * @param {{a: object[], b: object[]}} sides
+ * @param {object} terrain
+ * @param {number} range
+ * @returns {BoardState}
+ * @private
+ */
+function deployBoard(sides, terrain, range) {
+  const { tokens, anchor, ...data } = foundry.utils.deepClone(terrain);
+  const board = new BoardState(data);
+  const { sizeX: w, sizeY: h } = board.geometry;
+  const center = HexGeometry.roundAxial(board.geometry.pixelToAxial(anchor ?? { x: w * 10, y: h * 10 }));
+  const half = Math.floor(range / 2);
+
+  for (const side of SIDES) {
+    const units = sides[side];
+    units.forEach((unit, i) => {
+      // Side A stands half the range back, side B `range` hexes further along the same axis
+      const offset = i - Math.floor(units.length / 2);
+      const axial = side === "a"
+        ? { q: center.q - half, r: center.r + half + offset }
+        : { q: center.q - half + range, r: center.r + half - range + offset };
+      const { x, y } = board.geometry.axialToPixel(axial);
+      const id = `sim${side}${i}`;
+      const actor = foundry.utils.deepClone(unit);
+      actor.id = id;
+      actor.system.team = side;
+      // Accept Foundry's exported actor JSON (items keyed by _id, no derived data)
+      actor.items = (actor.items ?? []).map(item => ({ ...item, id: item.id ?? item._id }));
+      // Deploy-trait units start set up so they can fire from round 1
+      actor.flags = { ...actor.flags, "star-mercs": { ...actor.flags?.["star-mercs"], deployState: "deployed" } };
+      const token = new BoardToken({ id, name: actor.name, x: x - w / 2, y: y - h / 2, w, h, actor });
+      prepareDerived(token.actor);
+      board.tokens.push(token);
+    });
+  }
+  return board;
+}
+
+/**
+ * Fight one engagement to a result.
+ * @returns {Promise<object>} Per-engagement record.
+ * @private
+ */
+async function simulateEngagement(sides, terrain, range, maxRounds) {
+  const board = deployBoard(sides, terrain, range);
+  const comms = new CommsLinkManager();
+  const record = { winner: null, rounds: 0 };
+  for (const side of SIDES) {
+    const units = unitsOf(board, side);
+    record[side] = {
+      startStrength: units.reduce((sum, t) => sum + t.actor.system.strength.value, 0),
+      strengthLost: 0,
+      routedRound: null,
+      ammo: {}
+    };
+  }
+
+  for (let round = 1; round <= maxRounds; round++) {
+    record.rounds = round;
+    const damageTaken = await runTacticalRound(board, comms, record);
+    applyPendingDamage(board, damageTaken);
+    await runMorale(board, comms, damageTaken, round);
+
+    const standing = SIDES.filter(side => unitsOf(board, side).some(isActive));
+    for (const side of SIDES) {
+      if (!standing.includes(side) && record[side].routedRound === null) record[side].routedRound = round;
+    }
+    if (standing.length < SIDES.length) {
+      record.winner = standing[0] ?? null;
+      break;
+    }
+  }
+
+  for (const side of SIDES) {
+    const remaining = unitsOf(board, side).reduce((sum, t) => sum + t.actor.system.strength.value, 0);
+    record[side].strengthLost = record[side].startStrength - remaining;
+  }
+  return record;
+}
+
+/**
+ * Every active unit fires each weapon once. Damage is held until consolidation,
+ * as it is in a live tactical phase.
+ * @returns {Promise<Map<string, {strength: number, readiness: number, firedAt: boolean}>>} Keyed by token id.
+ * @private
+ */
+async function runTacticalRound(board, comms, record) {
+  const pending = new Map();
+  // APS/ZPS diminishing returns reset each round
+  const fireCounts = new Map(board.tokens.filter(t => t.actor).map(t => [t.actor.id, {}]));
+
+  for (const token of board.tokens.filter(isActive)) {
+    const actor = token.actor;
+    for (const weapon of actor.items) {
+      if (weapon.type !== "weapon") continue;
+      if (weapon.system.attackType === "aps" || weapon.system.attackType === "zps") continue;
+      const ammoType = weapon.system.ammoType || "projectile";
+      if ((actor.system.supply?.[ammoType]?.current ?? 0) <= 0) continue;
+
+      const targetToken = withBoard(board, () => pickTarget(comms, token, weapon));
+      if (!targetToken) continue;
+
+      // Same consumption as a live shot: 3x under Assault orders
+      spendAmmo(record[actor.system.team], actor, ammoType, actor.system.currentOrder === "assault" ? 3 : 1);
+
+      const result = await resolveAttack(weapon, actor, targetToken.actor, null, fireCounts, board);
+
+      for (const interceptor of result.interception?.interceptors ?? []) {
+        const intActor = board.getToken(interceptor.actorId)?.actor;
+        if (intActor) spendAmmo(record[intActor.system.team], intActor, interceptor.ammoType, 1);
+        const fc = fireCounts.get(interceptor.actorId);
+        fc[interceptor.weaponId] = (fc[interceptor.weaponId] ?? 0) + 1;
+      }
+
+      const entry = pending.get(targetToken.id) ?? { strength: 0, readiness: 0, firedAt: true };
+      if (result.valid && result.hitResult.hit && result.damage?.final > 0) {
+        entry.strength += result.damage.final;
+        entry.readiness += targetToken.actor.getReadinessLoss(result.damage.final);
+      }
+      pending.set(targetToken.id, entry);
+    }
+  }
+  return pending;
+}
+
+/**
+ * Choose the nearest enemy this weapon can legally engage (range, line of
+ * sight or spotter, target validity). Ties go to the weaker unit.
+ * Must run with the engagement board active.
+ * @returns {BoardToken|null}
+ * @private
+ */
+function pickTarget(comms, token, weapon) {
+  const team = token.actor.system.team;
+  let best = null;
+  let bestDistance = Infinity;
+  for (const enemy of getBoard().tokens) {
+    if (!isActive(enemy) || enemy.actor.system.team === team) continue;
+    if (!validateAttack(weapon, enemy.actor, token.actor).valid) continue;
+
+    const distance = getHexDistance(token, enemy);
+    if (weapon.system.range > 0 && distance > weapon.system.range) continue;
+    if (!checkLOS(token.center, enemy.center, token, enemy)) {
+      if (weapon.system.indirect) {
+        if (!comms.canSeeViaChainTerrain(token.id, enemy.id)) continue;
+      } else if (weapon.system.aircraft) {
+        if (!comms.canSeeForAirstrikeTerrain(token.id, enemy.id)) continue;
+      } else continue;
+    }
+
+    const weaker = best && distance === bestDistance
+      && enemy.actor.system.strength.value < best.actor.system.strength.value;
+    if (distance < bestDistance || weaker) {
+      best = enemy;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/**
+ * Apply held damage to each unit (applyDamage rules) and refresh its derived data.
+ * @private
+ */
+function applyPendingDamage(board, pending) {
+  for (const [tokenId, { strength, readiness }] of pending) {
+    const actor = board.getToken(tokenId)?.actor;
+    if (!actor || (strength <= 0 && readiness <= 0)) continue;
+    const outcome = computeDamageOutcome(actor, strength, readiness);
+    actor.system.strength.value = outcome.newStrength;
+    actor.system.readiness.value = outcome.newReadiness;
+    prepareDerived(actor);
+  }
+}
+
+/**
+ * Standard consolidation morale for every surviving unit
+ * (see StarMercsCombat#_runMoraleChecks).
+ * @private
+ */
+async function runMorale(board, comms, pending, round) {
+  for (const token of board.tokens) {
+    const actor = token.actor;
+    if (!actor || actor.system.strength.value <= 0) continue;
+    if (actor.system.currentOrder === "assault") continue;
+
+    const flags = token.document.flags["star-mercs"] ??= {};
+    const damageTaken = pending.get(token.id)?.strength ?? 0;
+    const readiness = actor.system.readiness.value;
+    const action = moraleCheckAction({
+      breaking: !!flags.breaking, broken: !!flags.broken,
+      firedAt: pending.has(token.id), damageTaken, readiness
+    });
+    if (action === "skip") continue;
+    if (action === "recover") {
+      flags.breaking = false;
+      flags.broken = false;
+      continue;
+    }
+
+    const commsStatus = withBoard(board, () => ({
+      isIsolated: comms.isIsolated(token.id),
+      hasCommandInChain: comms.hasCommandInChain(token.id)
+    }));
+    const check = await rollMoraleCheck(damageTaken, readiness, commsStatus);
+
+    if (flags.breaking || flags.broken) {
+      // Second failure while Breaking/Broken → surrender
+      if (!check.passed) actor.system.strength.value = 0;
+      flags.breaking = false;
+      flags.broken = false;
+      prepareDerived(actor);
+    } else if (!check.passed) {
+      flags.breaking = true;
+      flags.breakingTurn = round;
+    }
+  }
+}
+
+/* ---------------------------------------- */
+/*  Helpers                                 */
+/* ---------------------------------------- */
+
+/**
+ * Units still fighting: not destroyed, surrendered, or routed (readiness 0).
+ * @param {BoardToken} token
+ * @returns {boolean}
+ * @private
+ */
+function isActive(token) {
+  const system = token.actor?.system;
+  return !!system && system.strength.value > 0 && system.readiness.value > 0;
+}
+
+/** @private */
+function unitsOf(board, side) {
+  return board.tokens.filter(t => t.actor?.system.team === side);
+}
+
+/** @private */
+function spendAmmo(sideRecord, actor, ammoType, amount) {
+  const supply = actor.system.supply?.[ammoType];
+  if (!supply || supply.current <= 0) return;
+  const spent = Math.min(amount, supply.current);
+  supply.current -= spent;
+  sideRecord.ammo[ammoType] = (sideRecord.ammo[ammoType] ?? 0) + spent;
+}
+
+/**
+ * Re-run the unit data model's derived data (casualty and readiness penalties)
+ * on a BoardActor after its strength or readiness changes.
+ * @private
+ */
+function prepareDerived(actor) {
+  CONFIG.Actor.dataModels.unit?.prototype.prepareDerivedData.call(actor.system);
+}
+
+/* ---------------------------------------- */
+/*  Reporting                               */
+/* ---------------------------------------- */
+
+/**
+ * Aggregate engagement records into per-side statistics.
+ * @param {object[]} engagements - Records from simulateEngagement().
+ * @param {{range: number, maxRounds: number, unitCounts: {a: number, b: number}}} settings
+ * @returns {{
+ *   iterations: number, range: number, maxRounds: number, draws: number, drawRate: number,
+ *   sides: Object<string, {units: number, wins: number, winRate: number, avgStrengthLost: number,
+ *     avgStrengthLostPct: number, routs: number, avgTurnsToRout: number|null, avgAmmo: Object<string, number>}>,
+ *   engagements: object[]
+ * }}
+ */
+export function summarizeEngagements(engagements, { range, maxRounds, unitCounts }) {
+  const n = engagements.length || 1;
+  const mean = values => (values.length ? values.reduce((s, v) => s + v, 0) / values.length : null);
+  const ammoTypes = Object.keys(CONFIG.STARMERCS.ammoTypes ?? {});
+
+  const sides = {};
+  for (const side of SIDES) {
+    const records = engagements.map(e => e[side]);
+    const wins = engagements.filter(e => e.winner === side).length;
+    const routRounds = records.map(r => r.routedRound).filter(r => r !== null);
+    const avgStrengthLost = mean(records.map(r => r.strengthLost)) ?? 0;
+    const startStrength = records[0]?.startStrength ?? 0;
+    sides[side] = {
+      units: unitCounts[side],
+      wins,
+      winRate: wins / n,
+      avgStrengthLost,
+      avgStrengthLostPct: startStrength > 0 ? avgStrengthLost / startStrength : 0,
+      routs: routRounds.length,
+      avgTurnsToRout: mean(routRounds),
+      avgAmmo: Object.fromEntries(ammoTypes.map(type => [type, mean(records.map(r => r.ammo[type] ?? 0)) ?? 0]))
+    };
+  }
+
+  const draws = engagements.filter(e => e.winner === null).length;
+  return { iterations: engagements.length, range, maxRounds, draws, drawRate: draws / n, sides, engagements };
+}
+
+/**
+ * Format simulation results as CSV.
+ * The summary has one row per side; the detail export has one row per engagement.
+ * @param {object} results - Output of runBattleSimulation().
+ * @param {{detail?: boolean, label?: string}} [options]
+ *   label: free-text build label written to every row (e.g. "v1.2 baseline").
+ * @returns {string}
+ */
+export function simulationToCSV(results, { detail = false, label = "" } = {}) {
+  const ammoTypes = Object.keys(CONFIG.STARMERCS.ammoTypes ?? {});
+  const version = game.system?.version ?? "";
+  const cell = value => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const round = value => (value === null ? null : Math.round(value * 1000) / 1000);
+
+  const rows = [];
+  if (detail) {
+    rows.push(["label", "system_version", "engagement", "winner", "rounds",
+      ...SIDES.flatMap(side => [`${side}_strength_lost`, `${side}_routed_round`, ...ammoTypes.map(t => `${side}_ammo_${t}`)])]);
+    results.engagements.forEach((e, i) => rows.push([label, version, i + 1, e.winner ?? "draw", e.rounds,
+      ...SIDES.flatMap(side => [e[side].strengthLost, e[side].routedRound, ...ammoTypes.map(t => e[side].ammo[t] ?? 0)])]));
+  } else {
+    rows.push(["label", "system_version", "side", "units", "engagements", "range", "max_rounds", "wins", "win_rate",
+      "draw_rate", "avg_strength_lost", "avg_strength_lost_pct", "routs", "avg_turns_to_rout", ...ammoTypes.map(t => `avg_ammo_${t}`)]);
+    for (const side of SIDES) {
+      const s = results.sides[side];
+      rows.push([label, version, side, s.units, results.iterations, results.range, results.maxRounds, s.wins,
+        round(s.winRate), round(results.drawRate), round(s.avgStrengthLost), round(s.avgStrengthLostPct),
+        s.routs, round(s.avgTurnsToRout), ...ammoTypes.map(t => round(s.avgAmmo[t]))]);
+    }
+  }
+  return rows.map(row => row.map(cell).join(",")).join("\n");
+}
@@ -0,0 +1,175 @@
+/**
+ * Phase snapshots for Star Mercs combat undo.
+ *
+ * A snapshot records everything the phase and tactical-step automation can
+ * change, so stepping back restores the board exactly:
+ *   - the combat's round, turn and star-mercs flags
+ *   - scene flags for structures, terrain, firing blips, last-known positions
+ *     and the environment
+ *   - the world deploy pool
+ *   - every unit token: position, elevation, visibility and star-mercs flags,
+ *     plus its actor's name, system data, star-mercs flags, active effects and
+ *     weapon/trait item data
+ *
+ * Combats take a snapshot before each phase or tactical-step advance (see
+ * StarMercsCombat#_pushSnapshot); previousTurn/previousRound restore them.
+ */
+
+/** Scene flags restored by undo. */
+export const SNAPSHOT_SCENE_FLAGS = ["structures", "terrainMap", "firingBlips", "lastKnownPositions", "environment"];
+
+/** Combat flag holding the snapshot stack; never captured or restored itself. */
+export const SNAPSHOT_FLAG = "phaseSnapshots";
+
+/**
+ * Capture the current state of a combat and its scene.
+ * @param {Combat} combat
+ * @returns {object}
+ */
+export function captureSnapshot(combat) {
+  const scene = combat.scene ?? canvas.scene;
+  const combatFlags = foundry.utils.deepClone(combat.flags?.["star-mercs"] ?? {});
+  delete combatFlags[SNAPSHOT_FLAG];
+
+  const sceneFlags = {};
+  for (const key of SNAPSHOT_SCENE_FLAGS) {
+    const value = scene?.getFlag("star-mercs", key);
+    if (value !== undefined) sceneFlags[key] = foundry.utils.deepClone(value);
+  }
+
+  const tokens = [];
+  for (const tokenDoc of scene?.tokens ?? []) {
+    const actor = tokenDoc.actor;
+    if (actor?.type !== "unit") continue;
+
+    // Token data without the actor delta, used to recreate a token deleted since
+    const data = tokenDoc.toObject();
+    delete data.delta;
+
+    tokens.push({
+      id: tokenDoc.id,
+      data,
+      actor: {
+        name: actor.name,
+        system: actor.system.toObject(),
+        flags: foundry.utils.deepClone(actor.flags?.["star-mercs"] ?? {}),
+        effects: actor.effects.map(e => e.toObject()),
+        items: actor.items.map(i => ({ _id: i.id, system: i.system.toObject() }))
+      },
+      combatant: combat.combatants.find(c => c.tokenId === tokenDoc.id)?.toObject() ?? null
+    });
+  }
+
+  const phase = combat.getFlag("star-mercs", "phase") || "deploy";
+  const step = phase === "tactical"
+    ? combat.constructor.TACTICAL_STEPS?.[combat.getFlag("star-mercs", "tacticalStep") ?? 0]?.label
+    : null;
+
+  return {
+    round: combat.round,
+    phase,
+    label: `Round ${combat.round} — ${CONFIG.STARMERCS.phases[phase] ?? phase}${step ? `: ${step}` : ""}`,
+    combat: { round: combat.round, turn: combat.turn, flags: combatFlags },
+    scene: sceneFlags,
+    deployPool: foundry.utils.deepClone(game.settings.get("star-mercs", "deployPool") ?? {}),
+    tokens
+  };
+}
+
+/**
+ * Replace a document's star-mercs flags with the given set. Keys are unset
+ * first so object-valued flags are replaced rather than merged.
+ * @param {foundry.abstract.Document} doc
+ * @param {object} flags - The complete set of star-mercs flags to keep.
+ * @param {object} [extra] - Additional update data applied with the unset.
+ * @param {object} [options] - Update options.
+ * @param {string[]} [preserve] - Flag keys left untouched.
+ */
+async function replaceFlags(doc, flags, extra = {}, options = {}, preserve = []) {
+  const unset = {};
+  for (const key of Object.keys(doc.flags?.["star-mercs"] ?? {})) {
+    if (!preserve.includes(key)) unset[`flags.star-mercs.-=${key}`] = null;
+  }
+  await doc.update({ ...extra, ...unset }, options);
+  if (Object.keys(flags).length) await doc.update({ "flags.star-mercs": flags }, options);
+}
+
+/**
+ * Restore a unit actor's state from a snapshot entry. The update carries
+ * `starMercsRestore`, so a unit set back to 0 strength does not fire
+ * unitDestroyed a second time.
+ * @param {Actor} actor
+ * @param {object} saved
+ */
+async function restoreActor(actor, saved) {
+  await replaceFlags(actor, saved.flags, { name: saved.name, system: saved.system }, { starMercsRestore: true });
+
+  const savedEffectIds = new Set(saved.effects.map(e => e._id));
+  const stale = actor.effects.filter(e => !savedEffectIds.has(e.id)).map(e => e.id);
+  if (stale.length) await actor.deleteEmbeddedDocuments("ActiveEffect", stale);
+  const missing = saved.effects.filter(e => !actor.effects.has(e._id));
+  if (missing.length) await actor.createEmbeddedDocuments("ActiveEffect", missing, { keepId: true });
+
+  const items = saved.items.filter(i => actor.items.has(i._id));
+  if (items.length) await actor.updateEmbeddedDocuments("Item", items);
+}
+
+/**
+ * Restore a combat, its scene and its units to a snapshot.
+ * Unit tokens created since the snapshot are removed; unit tokens deleted
+ * since are recreated with their original ids.
+ * @param {Combat} combat
+ * @param {object} snapshot - From captureSnapshot.
+ */
+export async function restoreSnapshot(combat, snapshot) {
+  const scene = combat.scene ?? canvas.scene;
+
+  // Combat first, so the phase-change hook's token resets land before the units are restored
+  await replaceFlags(combat, snapshot.combat.flags,
+    { round: snapshot.combat.round, turn: snapshot.combat.turn }, {}, [SNAPSHOT_FLAG]);
+
+  if (scene) {
+    const unset = {};
+    const set = {};
+    for (const key of SNAPSHOT_SCENE_FLAGS) {
+      unset[`flags.star-mercs.-=${key}`] = null;
+      if (key in snapshot.scene) set[`flags.star-mercs.${key}`] = snapshot.scene[key];
+    }
+    await scene.update(unset);
+    if (Object.keys(set).length) await scene.update(set);
+  }
+
+  await game.settings.set("star-mercs", "deployPool", snapshot.deployPool);
+
+  if (!scene) return;
+  const savedIds = new Set(snapshot.tokens.map(t => t.id));
+
+  // Remove units that did not exist yet
+  const added = scene.tokens.filter(t => t.actor?.type === "unit" && !savedIds.has(t.id)).map(t => t.id);
+  if (added.length) {
+    const combatants = combat.combatants.filter(c => added.includes(c.tokenId)).map(c => c.id);
+    if (combatants.length) await combat.deleteEmbeddedDocuments("Combatant", combatants);
+    await scene.deleteEmbeddedDocuments("Token", added);
+  }
+
+  // Recreate units that have since been removed
+  const removed = snapshot.tokens.filter(t => !scene.tokens.has(t.id));
+  if (removed.length) {
+    await scene.createEmbeddedDocuments("Token", removed.map(t => t.data), { keepId: true });
+  }
+
+  for (const saved of snapshot.tokens) {
+    const tokenDoc = scene.tokens.get(saved.id);
+    if (!tokenDoc) continue;
+
+    const { x, y, elevation, hidden } = saved.data;
+    await replaceFlags(tokenDoc, saved.data.flags?.["star-mercs"] ?? {},
+      { x, y, elevation, hidden },
+      { animate: false, _starMercsAutoMove: true });
+    if (tokenDoc.actor) await restoreActor(tokenDoc.actor, saved.actor);
+
+    if (saved.combatant && !combat.combatants.has(saved.combatant._id)) {
+      await combat.createEmbeddedDocuments("Combatant", [saved.combatant], { keepId: true });
+    }
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Token layout for stacked hexes.
+ *
+ * When the stacking rule is on, units sharing a hex are fanned out around
+ * the hex center so each stays visible and selectable. Positions are written
+ * to the token documents by the GM, so every client sees the same layout and
+ * snapToHexCenter still resolves each token to its hex.
+ */
+
+import { axialFromKey, axialToHexCenter, hexCenterToTokenPosition, hexKey } from "./hex-utils.mjs";
+import { getBoard } from "./board-state.mjs";
+
+/**
+ * Offsets from the hex center for each token in a stack, as fractions of
+ * the grid size. A lone unit sits on the center; larger stacks form a ring.
+ * @param {number} count - Number of tokens in the hex.
+ * @returns {{x: number, y: number}[]}
+ */
+export function getStackOffsets(count) {
+  if (count <= 1) return [{ x: 0, y: 0 }];
+  const radius = count === 2 ? 0.2 : count === 3 ? 0.22 : 0.25;
+  const offsets = [];
+  for (let i = 0; i < count; i++) {
+    // Start on the left so a pair sits side by side
+    const angle = Math.PI + (2 * Math.PI * i) / count;
+    offsets.push({ x: Math.cos(angle) * radius, y: Math.sin(angle) * radius });
+  }
+  return offsets;
+}
+
+/**
+ * Move unit tokens on a scene into their stack slots. Cargo aboard a
+ * transport is left to follow its transport. GM only.
+ * @param {Scene} [scene]
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - Lay out even with stacking off,
+ *   used to re-center tokens when the rule is switched off.
+ */
+export async function layoutStacks(scene = canvas.scene, { force = false } = {}) {
+  if (!game.user.isGM || !scene || scene.id !== canvas.scene?.id) return;
+  if (!force && getBoard().rules.stacking === "off") return;
+
+  const gridSize = getBoard().gridSize;
+  const stacks = new Map();
+  for (const tokenDoc of scene.tokens) {
+    const actor = tokenDoc.actor;
+    if (actor?.type !== "unit" || actor.system.strength.value <= 0) continue;
+    if (tokenDoc.getFlag("star-mercs", "transportTokenId")) continue;
+    const key = hexKey({
+      x: tokenDoc.x + (tokenDoc.width * gridSize) / 2,
+      y: tokenDoc.y + (tokenDoc.height * gridSize) / 2
+    });
+    if (!stacks.has(key)) stacks.set(key, []);
+    stacks.get(key).push(tokenDoc);
+  }
+
+  const updates = [];
+  for (const [key, tokens] of stacks) {
+    tokens.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+    const center = axialToHexCenter(axialFromKey(key));
+    const offsets = getStackOffsets(tokens.length);
+    tokens.forEach((tokenDoc, i) => {
+      const slot = { x: center.x + offsets[i].x * gridSize, y: center.y + offsets[i].y * gridSize };
+      const pos = hexCenterToTokenPosition(slot, tokenDoc);
+      if (Math.abs(pos.x - tokenDoc.x) < 1 && Math.abs(pos.y - tokenDoc.y) < 1) return;
+      updates.push({ _id: tokenDoc.id, x: Math.round(pos.x), y: Math.round(pos.y) });
+    });
+  }
+
+  if (updates.length) {
+    await scene.updateEmbeddedDocuments("Token", updates,
+      { animate: false, _starMercsAutoMove: true, _starMercsStackLayout: true });
+  }
+}
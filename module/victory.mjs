@@ -0,0 +1,253 @@
+/**
+ * Victory condition rules for Star Mercs.
+ *
+ * Pure rules: reads the active board (or a supplied BoardState) plus the
+ * combat's round and scores, and reports progress toward each configured
+ * condition and the winner, if any. Ending the combat and posting the victory
+ * card is StarMercsCombat's job.
+ */
+
+import { getBoard, withBoard } from "./board-state.mjs";
+import { getFriendlyFactions, isFriendly } from "./factions.mjs";
+
+/**
+ * @typedef {object} VictoryProgress
+ * @property {string} type - Condition type key.
+ * @property {string} label - Condition display name.
+ * @property {string|null} text - Shared progress text (round limit only).
+ * @property {Array<{team: string, value: number, target: number, met: boolean, text: string}>} teams
+ */
+
+/**
+ * @typedef {object} VictoryResult
+ * @property {string|null} winner - Winning faction key, or null for a draw.
+ * @property {string[]} winners - The winner and its allies on the board.
+ * @property {boolean} draw
+ * @property {string} type - Condition type that ended the battle.
+ * @property {string} reason - Human-readable explanation.
+ */
+
+/**
+ * Evaluate victory conditions.
+ *
+ * Each condition is checked per team on the board. The first condition (in list
+ * order) met by any team decides the battle; if several teams meet it at once, the
+ * VP leader among them wins and a tie is a draw.
+ *
+ * @param {Array<{type: string, value?: number}>} conditions
+ * @param {object} [context]
+ * @param {number} [context.round=0] - The round just completed.
+ * @param {Object<string, number>} [context.scores={}] - Cumulative VP by team.
+ * @param {{hqTeams?: string[]}} [context.state={}] - Persistent state from earlier evaluations.
+ * @param {BoardState|null} [board=null] - Board to evaluate against (defaults to the active board).
+ * @returns {{progress: VictoryProgress[], result: VictoryResult|null, state: {hqTeams: string[]}}}
+ */
+export function evaluateVictory(conditions, { round = 0, scores = {}, state = {} } = {}, board = null) {
+  return withBoard(board, () => {
+    const census = takeCensus(state);
+    const progress = [];
+    let result = null;
+
+    for (const condition of conditions ?? []) {
+      const entry = evaluateCondition(condition, census, round, scores);
+      if (!entry) continue;
+      progress.push(entry.progress);
+      if (!result && entry.contenders.length) {
+        result = decide(entry, census, scores);
+      }
+    }
+
+    return { progress, result, state: { hqTeams: census.hqTeams } };
+  });
+}
+
+/**
+ * Record which teams currently hold a headquarters. A team can only lose its
+ * HQ once it has held one, and destroyed structures leave the board, so the
+ * combat refreshes this state at every phase step.
+ * @param {{hqTeams?: string[]}} [state={}]
+ * @param {BoardState|null} [board=null] - Board to evaluate against (defaults to the active board).
+ * @returns {{hqTeams: string[]}}
+ */
+export function updateVictoryState(state = {}, board = null) {
+  return withBoard(board, () => ({ hqTeams: takeCensus(state).hqTeams }));
+}
+
+/* ---------------------------------------- */
+/*  Board Census                            */
+/* ---------------------------------------- */
+
+/**
+ * Tally unit strength and headquarters per team on the active board.
+ * @param {{hqTeams?: string[]}} state
+ * @returns {{teams: string[], units: Map<string, {total: number, out: number, strength: number, maxStrength: number}>, hqs: Map<string, number>, hqTeams: string[]}}
+ */
+function takeCensus(state) {
+  const board = getBoard();
+  const units = new Map();
+  const hqs = new Map();
+
+  for (const token of board.tokens) {
+    const actor = token.actor;
+    if (!actor || actor.type !== "unit") continue;
+    const team = actor.system.team ?? "a";
+    if (!units.has(team)) units.set(team, { total: 0, out: 0, strength: 0, maxStrength: 0 });
+    const tally = units.get(team);
+    const strength = Math.max(0, actor.system.strength.value);
+    tally.total++;
+    tally.strength += strength;
+    tally.maxStrength += actor.system.strength.max ?? strength;
+    // Destroyed or routed units are out of action
+    if (strength <= 0 || actor.system.readiness.value <= 0) tally.out++;
+  }
+
+  for (const s of board.structures) {
+    if (s.type !== "headquarters" || !s.team || s.team === "none") continue;
+    if (s.turnsBuilt < s.turnsRequired || s.strength <= 0) continue;
+    hqs.set(s.team, (hqs.get(s.team) ?? 0) + 1);
+  }
+
+  // Teams that have ever held a headquarters can lose it
+  const hqTeams = [...new Set([...(state.hqTeams ?? []), ...hqs.keys()])];
+
+  return { teams: [...units.keys()], units, hqs, hqTeams };
+}
+
+/**
+ * Teams on the board that are hostile to a team.
+ * @param {string} team
+ * @param {{teams: string[]}} census
+ * @returns {string[]}
+ */
+function enemiesOf(team, census) {
+  return census.teams.filter(other => !isFriendly(team, other));
+}
+
+/* ---------------------------------------- */
+/*  Conditions                              */
+/* ---------------------------------------- */
+
+/**
+ * Evaluate a single condition.
+ * @param {{type: string, value?: number}} condition
+ * @param {object} census
+ * @param {number} round
+ * @param {Object<string, number>} scores
+ * @returns {{progress: VictoryProgress, contenders: string[], type: string, leaderWins: boolean}|null}
+ */
+function evaluateCondition(condition, census, round, scores) {
+  const config = CONFIG.STARMERCS.victoryConditions?.[condition.type];
+  if (!config) return null;
+  const target = Number(condition.value ?? config.default ?? 0);
+  const progress = { type: condition.type, label: config.label, text: null, teams: [] };
+  const perTeam = (fn) => {
+    for (const team of census.teams) {
+      if (!enemiesOf(team, census).length) continue;
+      progress.teams.push({ team, ...fn(team) });
+    }
+  };
+
+  switch (condition.type) {
+    case "vpThreshold":
+      perTeam(team => {
+        const value = scores[team] ?? 0;
+        return { value, target, met: target > 0 && value >= target, text: `${value} / ${target} VP` };
+      });
+      break;
+
+    case "roundLimit": {
+      progress.text = `Round ${round} / ${target}`;
+      const met = target > 0 && round >= target;
+      return {
+        progress,
+        contenders: met ? census.teams : [],
+        type: condition.type,
+        leaderWins: true
+      };
+    }
+
+    case "hqDestroyed":
+      perTeam(team => {
+        const enemyHQTeams = enemiesOf(team, census).filter(t => census.hqTeams.includes(t));
+        const lost = enemyHQTeams.filter(t => !census.hqs.get(t)).length;
+        return {
+          value: lost,
+          target: enemyHQTeams.length,
+          met: enemyHQTeams.length > 0 && lost === enemyHQTeams.length,
+          text: `${lost} / ${enemyHQTeams.length} enemy HQs`
+        };
+      });
+      break;
+
+    case "strengthDestroyed":
+      perTeam(team => {
+        let strength = 0;
+        let maxStrength = 0;
+        for (const enemy of enemiesOf(team, census)) {
+          strength += census.units.get(enemy).strength;
+          maxStrength += census.units.get(enemy).maxStrength;
+        }
+        const value = maxStrength > 0 ? Math.round((1 - strength / maxStrength) * 100) : 0;
+        return { value, target, met: maxStrength > 0 && value >= target, text: `${value}% / ${target}%` };
+      });
+      break;
+
+    case "allRouted":
+      perTeam(team => {
+        let total = 0;
+        let out = 0;
+        for (const enemy of enemiesOf(team, census)) {
+          total += census.units.get(enemy).total;
+          out += census.units.get(enemy).out;
+        }
+        return { value: out, target: total, met: total > 0 && out === total, text: `${out} / ${total} enemy units` };
+      });
+      break;
+
+    default:
+      return null;
+  }
+
+  return {
+    progress,
+    contenders: progress.teams.filter(t => t.met).map(t => t.team),
+    type: condition.type,
+    leaderWins: false
+  };
+}
+
+/**
+ * Pick the winner among the teams that met a condition.
+ * @param {{progress: VictoryProgress, contenders: string[], type: string, leaderWins: boolean}} entry
+ * @param {{teams: string[]}} census
+ * @param {Object<string, number>} scores
+ * @returns {VictoryResult}
+ */
+function decide(entry, census, scores) {
+  const best = Math.max(...entry.contenders.map(t => scores[t] ?? 0));
+  const leaders = entry.contenders.filter(t => (scores[t] ?? 0) === best);
+  const label = entry.progress.label;
+
+  if (leaders.length > 1) {
+    return {
+      winner: null,
+      winners: [],
+      draw: true,
+      type: entry.type,
+      reason: entry.leaderWins
+        ? `${label} reached with the VP lead tied at ${best}.`
+        : `${label} reached by several teams with equal VP.`
+    };
+  }
+
+  const winner = leaders[0];
+  return {
+    winner,
+    winners: getFriendlyFactions(winner).filter(t => census.teams.includes(t)),
+    draw: false,
+    type: entry.type,
+    reason: entry.leaderWins
+      ? `${label} reached; leading with ${best} VP.`
+      : `${label}: ${entry.progress.teams.find(t => t.team === winner).text}.`
+  };
+}
@@ -10,15 +10,28 @@ import * as documents from "./module/documents/_module.mjs";
 import * as sheets from "./module/sheets/_module.mjs";
 import * as combat from "./module/combat.mjs";
 import * as dice from "./module/dice.mjs";
+import { COMBAT_MODIFIERS } from "./module/combat-modifiers.mjs";
+import * as scenario from "./module/scenario.mjs";
+import * as campaign from "./module/campaign.mjs";
+import { HOOKS } from "./module/hooks.mjs";
+import { migrateWorld } from "./module/migration.mjs";
+import { layoutStacks } from "./module/stack-layout.mjs";
 import { preloadHandlebarsTemplates, registerHandlebarsHelpers } from "./module/helpers.mjs";
 import TargetingArrowLayer from "./module/canvas/targeting-layer.mjs";
 import CommsLinkManager from "./module/comms-link-manager.mjs";
 import CommsLinkLayer from "./module/canvas/comms-link-layer.mjs";
 import * as hexUtils from "./module/hex-utils.mjs";
+import * as board from "./module/board-state.mjs";
+import * as scoring from "./module/scoring.mjs";
+import * as factions from "./module/factions.mjs";
+import * as simulator from "./module/simulator.mjs";
 import TerrainLayer from "./module/canvas/terrain-layer.mjs";
 import TerrainPainter from "./module/apps/terrain-painter.mjs";
 import TeamSettingsForm from "./module/apps/team-settings.mjs";
 import * as detection from "./module/detection.mjs";
+import * as fogOfWar from "./module/fog-of-war.mjs";
+import * as lastKnown from "./module/last-known-positions.mjs";
+import * as environment from "./module/environment.mjs";
 import DetectionLayer from "./module/canvas/detection-layer.mjs";
 import MovementPathLayer from "./module/canvas/movement-path-layer.mjs";
 import DamageOverlayLayer from "./module/canvas/damage-overlay-layer.mjs";
@@ -29,9 +42,15 @@ import TacticalMarkerPainter from "./module/apps/tactical-marker-painter.mjs";
 import TurnControlPanel from "./module/apps/turn-control.mjs";
 import StructureLayer from "./module/canvas/structure-layer.mjs";
 import StructureSettings from "./module/apps/structure-settings.mjs";
+import MovementCostSettings from "./module/apps/movement-cost-settings.mjs";
+import VictorySettings from "./module/apps/victory-settings.mjs";
+import EnvironmentSettings from "./module/apps/environment-settings.mjs";
+import ScenarioManager from "./module/apps/scenario-manager.mjs";
+import CampaignJournal from "./module/apps/campaign-journal.mjs";
 import DeployPanel from "./module/apps/deploy-panel.mjs";
 import CombatSummary from "./module/apps/combat-summary.mjs";
 import ReferenceTables from "./module/apps/reference-tables.mjs";
+import BattleSimulator from "./module/apps/battle-simulator.mjs";
 
 /* ============================================ */
 /*  Foundry VTT Initialization                  */
@@ -49,11 +68,23 @@ Hooks.once("init", () => {
     dice,
     commsLinkManager: new CommsLinkManager(),
     hexUtils,
-    detection
+    detection,
+    fogOfWar,
+    lastKnown,
+    environment,
+    board,
+    scoring,
+    factions,
+    scenario,
+    campaign,
+    simulator,
+    hooks: HOOKS
   };
 
   // Assign system configuration object
   CONFIG.STARMERCS = STARMERCS;
+  CONFIG.STARMERCS.combatModifiers = COMBAT_MODIFIERS.map(m => ({ ...m }));
+  CONFIG.STARMERCS.scenarioEvents = { ...scenario.SCENARIO_EVENTS };
 
   // --- Register Custom Status Effects ---
   // Keep only the Foundry "dead" effect; remove all other defaults.
@@ -171,7 +202,7 @@ Hooks.once("init", () => {
 
   game.settings.register("star-mercs", "showDetectionOverlay", {
     name: "Show Detection Overlay",
-    hint: "Display detection range rings and blip markers on the canvas.",
+    hint: "Display detection range rings on the canvas. Contact markers for sensor blips are always shown.",
     scope: "client",
     config: false,
     type: Boolean,
@@ -227,6 +258,25 @@ Hooks.once("init", () => {
     default: {},
     onChange: () => {
       syncAllOwnership();
+      fogOfWar.refreshFogOfWar();
+    }
+  });
+
+  game.settings.register("star-mercs", "factions", {
+    name: "Factions",
+    hint: "Faction registry: name, color and allies, keyed by team key.",
+    scope: "world",
+    config: false,
+    type: Object,
+    default: foundry.utils.deepClone(STARMERCS.factions),
+    onChange: (value) => {
+      CONFIG.STARMERCS.factions = value;
+      game.starmercs?.commsLinkManager?.invalidate();
+      game.starmercs?.commsLinkLayer?.drawLinks();
+      game.starmercs?.structureLayer?.drawStructures();
+      game.starmercs?.detectionLayer?.drawDetection();
+      game.starmercs?.turnControlPanel?.render();
+      for (const token of canvas?.tokens?.placeables ?? []) token.refresh();
     }
   });
 
@@ -239,6 +289,7 @@ Hooks.once("init", () => {
     default: false,
     onChange: () => {
       syncAllOwnership();
+      fogOfWar.refreshFogOfWar();
     }
   });
 
@@ -251,14 +302,142 @@ Hooks.once("init", () => {
     default: {}
   });
 
+  game.settings.register("star-mercs", "movementCosts", {
+    name: "Terrain Movement Costs",
+    hint: "GM-editable MP cost to enter each terrain type, by movement class.",
+    scope: "world",
+    config: false,
+    type: Object,
+    default: foundry.utils.deepClone(STARMERCS.movementCosts),
+    onChange: (value) => {
+      CONFIG.STARMERCS.movementCosts = value;
+      game.starmercs?.movementPathLayer?.drawReachable();
+    }
+  });
+
   game.settings.register("star-mercs", "deployPool", {
     name: "Deploy Pool",
     hint: "Actor IDs waiting to deploy, keyed by team.",
     scope: "world",
     config: false,
     type: Object,
-    default: { a: [], b: [] }
+    default: {}
+  });
+
+  game.settings.register("star-mercs", "migrationVersion", {
+    name: "Data Version",
+    hint: "Last Star Mercs data migration applied to this world.",
+    scope: "world",
+    config: false,
+    type: Number,
+    default: 0
+  });
+
+  game.settings.register("star-mercs", "campaign", {
+    name: "Campaign Journal",
+    hint: "Persistent company roster and battle history for campaign play.",
+    scope: "world",
+    config: false,
+    type: Object,
+    default: foundry.utils.deepClone(campaign.DEFAULT_CAMPAIGN),
+    onChange: () => {
+      foundry.applications.instances?.get("star-mercs-campaign-journal")?.render();
+    }
+  });
+
+  // --- Optional Rules (World) ---
+  game.settings.register("star-mercs", "zoneOfControl", {
+    name: "Zone of Control",
+    hint: "Hexes adjacent to enemy ground units restrict movement. Stop: entering one ends the unit's move. "
+      + "Pay to Leave: each step out of one costs extra MP. Hover, Jump Capable and airborne Flying units are exempt.",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      off: "Off",
+      stop: "Stop on Entry",
+      exit: "Pay to Leave"
+    },
+    default: "off",
+    onChange: () => {
+      game.starmercs?.movementPathLayer?.drawReachable();
+    }
+  });
+
+  game.settings.register("star-mercs", "zocExitCost", {
+    name: "Zone of Control Exit Cost",
+    hint: "Extra MP to step out of an enemy zone of control hex under the Pay to Leave rule.",
+    scope: "world",
+    config: true,
+    type: Number,
+    range: { min: 1, max: 6, step: 1 },
+    default: 1,
+    onChange: () => {
+      game.starmercs?.movementPathLayer?.drawReachable();
+    }
   });
+
+  game.settings.register("star-mercs", "commsDetectionSharing", {
+    name: "Comms-Limited Detection Sharing",
+    hint: "Units only use contacts spotted by units in their own comms chain; isolated units see only what they detect themselves. "
+      + "Spotters for chain-assisted fire must detect the target, not just see it. Players see the contacts of their selected units' chains.",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false,
+    onChange: () => {
+      fogOfWar.refreshFogOfWar();
+    }
+  });
+
+  game.settings.register("star-mercs", "lastKnownPositionRounds", {
+    name: "Last-Known Position Ghosts",
+    hint: "Rounds a lost contact's last-known position stays on the map for the team that lost it. 0 turns ghosts off.",
+    scope: "world",
+    config: true,
+    type: Number,
+    range: { min: 0, max: 10, step: 1 },
+    default: 3,
+    onChange: () => {
+      game.starmercs?.detectionLayer?.drawDetection();
+    }
+  });
+
+  game.settings.register("star-mercs", "stacking", {
+    name: "Unit Stacking",
+    hint: "How many units may share a hex. Friendly units only; enemy units never share a hex. "
+      + "Stack points are set per trait in CONFIG.STARMERCS.stackPoints.",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      off: "One Unit per Hex",
+      units: "Limit by Units",
+      points: "Limit by Stack Points"
+    },
+    default: "off",
+    onChange: () => {
+      game.starmercs?.movementPathLayer?.drawReachable();
+      layoutStacks(canvas.scene, { force: true });
+    }
+  });
+
+  game.settings.register("star-mercs", "stackLimit", {
+    name: "Stacking Limit",
+    hint: "Units (or stack points) allowed in one hex when stacking is on.",
+    scope: "world",
+    config: true,
+    type: Number,
+    range: { min: 1, max: 12, step: 1 },
+    default: 2,
+    onChange: () => {
+      game.starmercs?.movementPathLayer?.drawReachable();
+    }
+  });
+
+  // Load the world's faction registry and movement cost matrix over the defaults
+  CONFIG.STARMERCS.factions = game.settings.get("star-mercs", "factions");
+  CONFIG.STARMERCS.movementCosts = game.settings.get("star-mercs", "movementCosts");
 });
 
 /* ============================================ */
@@ -314,6 +493,19 @@ Hooks.once("ready", async () => {
       }
     }
 
+    // Last-known-position ghosts dismissed or converted by players
+    if (data.action === "lastKnownPosition" && data.op === "remove") {
+      const scene = game.scenes.get(data.sceneId);
+      if (!scene) return;
+      const existing = scene.getFlag("star-mercs", lastKnown.LAST_KNOWN_FLAG) ?? [];
+      const updated = existing.filter(g => g.id !== data.ghostId);
+      if (updated.length === 0) {
+        await scene.unsetFlag("star-mercs", lastKnown.LAST_KNOWN_FLAG);
+      } else {
+        await scene.setFlag("star-mercs", lastKnown.LAST_KNOWN_FLAG, updated);
+      }
+    }
+
     // Structure operations relayed from players
     if (data.action === "structure") {
       const scene = game.scenes.get(data.sceneId);
@@ -356,7 +548,7 @@ Hooks.once("ready", async () => {
     if (data.action === "deploy") {
       switch (data.op) {
         case "addToPool": {
-          const pool = foundry.utils.deepClone(game.settings.get("star-mercs", "deployPool") ?? { a: [], b: [] });
+          const pool = foundry.utils.deepClone(game.settings.get("star-mercs", "deployPool") ?? {});
           if (!pool[data.team]) pool[data.team] = [];
           if (!pool[data.team].some(e => e.actorId === data.actorId)) {
             pool[data.team].push({ actorId: data.actorId, addedBy: data.userId });
@@ -365,7 +557,7 @@ Hooks.once("ready", async () => {
           break;
         }
         case "removeFromPool": {
-          const pool = foundry.utils.deepClone(game.settings.get("star-mercs", "deployPool") ?? { a: [], b: [] });
+          const pool = foundry.utils.deepClone(game.settings.get("star-mercs", "deployPool") ?? {});
           if (pool[data.team]) {
             pool[data.team] = pool[data.team].filter(e => e.actorId !== data.actorId);
             await game.settings.set("star-mercs", "deployPool", pool);
@@ -409,6 +601,9 @@ Hooks.once("ready", async () => {
               if (data.customName && data.customName !== actor.name) synthUpdate.name = data.customName;
               await tokenDoc.actor.update(synthUpdate);
             }
+            const poolEntry = game.settings.get("star-mercs", "deployPool")?.[data.team]
+              ?.find(e => e.instanceId === data.instanceId);
+            if (poolEntry?.campaignUnitId) await campaign.applyRosterState(tokenDoc, poolEntry.campaignUnitId);
             await panel._markDeployed(data.instanceId, data.team, tokenDoc.id);
           }
           break;
@@ -434,6 +629,9 @@ Hooks.once("ready", async () => {
       }
     }
   }
+
+  // Versioned world data migrations (hex key format, ...)
+  await migrateWorld();
 });
 
 /**
@@ -527,6 +725,7 @@ Hooks.on("canvasReady", () => {
   const detectionLayer = new DetectionLayer();
   game.starmercs.detectionLayer = detectionLayer;
   canvas.interface.addChild(detectionLayer);
+  detectionLayer.activateListeners();
   detectionLayer.drawDetection();
 
   // Movement path overlay
@@ -618,6 +817,16 @@ Hooks.on("updateScene", (scene, changes) => {
     // Also redraw terrain (bridges affect road network)
     game.starmercs?.terrainLayer?.drawTerrain();
   }
+  if (smFlags.edgeMap !== undefined || smFlags["-=edgeMap"] !== undefined) {
+    game.starmercs?.terrainLayer?.drawTerrain();
+    game.starmercs?.movementPathLayer?.drawReachable();
+  }
+  const envChanged = ["environment", "environmentSchedule"]
+    .some(key => smFlags[key] !== undefined || smFlags[`-=${key}`] !== undefined);
+  if (envChanged) {
+    game.starmercs?.movementPathLayer?.drawReachable();
+    game.starmercs?.turnControlPanel?.render(false);
+  }
 });
 
 /**
@@ -660,18 +869,17 @@ Hooks.on("preUpdateToken", (tokenDoc, changes, options, userId) => {
     const destSnapped = hexUtils.snapToHexCenter(newCenter);
 
     // Compute hex path and validate (terrain, elevation, enemy occupancy)
-    const path = hexUtils.computeHexPath(currentCenter, destSnapped);
+    const path = hexUtils.computeHexPath(currentCenter, destSnapped, { token: currentToken });
     const pathValidation = hexUtils.validatePath(currentToken, path);
     if (!pathValidation.valid) {
       ui.notifications.warn(pathValidation.reason);
       return false;
     }
 
-    // Cannot end in a hex occupied by another living unit
-    const tokensAtDest = hexUtils.getTokensAtHex(destSnapped);
-    const otherAtDest = tokensAtDest.filter(t => t !== currentToken);
-    if (otherAtDest.length > 0) {
-      ui.notifications.warn("Cannot move into a hex occupied by another unit.");
+    // Destination must have room under the stacking rule
+    const stackCheck = hexUtils.canStackInHex(destSnapped, actor, { ignore: [currentToken] });
+    if (!stackCheck.allowed) {
+      ui.notifications.warn(stackCheck.reason);
       return false;
     }
 
@@ -722,6 +930,7 @@ Hooks.on("updateToken", (tokenDoc, changes, options) => {
   if ("x" in changes || "y" in changes || "elevation" in changes) {
     game.starmercs?.targetingArrowLayer?.drawArrows();
     game.starmercs?.commsLinkLayer?.drawLinks();
+    game.starmercs?.movementPathLayer?.drawReachable();
   }
 
   // Also redraw arrows when moveDestination or assaultTarget flags change
@@ -747,8 +956,8 @@ Hooks.on("updateToken", (tokenDoc, changes, options) => {
     }
   }
 
-  // Deactivate Entrenched and Fortified traits when a unit moves
-  if ("x" in changes || "y" in changes) {
+  // Deactivate Entrenched and Fortified traits when a unit moves (not when a stack is re-laid out)
+  if (("x" in changes || "y" in changes) && !options?._starMercsStackLayout) {
     const actor = tokenDoc.actor;
     if (actor?.type === "unit") {
       const entrenchedTrait = actor.items.find(
@@ -976,6 +1185,28 @@ Hooks.on("updateToken", async (tokenDoc, changes) => {
   }
 });
 
+/* ============================================ */
+/*  Stack Layout                                */
+/* ============================================ */
+
+/** Fan out stacked units after tokens move, arrive, leave or are destroyed (GM only). */
+const scheduleStackLayout = foundry.utils.debounce(() => layoutStacks(), 100);
+
+Hooks.on("updateToken", (tokenDoc, changes, options) => {
+  if (options?._starMercsStackLayout) return;
+  if ("x" in changes || "y" in changes
+      || foundry.utils.hasProperty(changes, "flags.star-mercs.transportTokenId")
+      || foundry.utils.hasProperty(changes, "flags.star-mercs.-=transportTokenId")) {
+    scheduleStackLayout();
+  }
+});
+Hooks.on("createToken", () => scheduleStackLayout());
+Hooks.on("deleteToken", () => scheduleStackLayout());
+Hooks.on("canvasReady", () => scheduleStackLayout());
+Hooks.on("updateActor", (actor, changes) => {
+  if (foundry.utils.hasProperty(changes, "system.strength")) scheduleStackLayout();
+});
+
 /** Sync "Breaking" status effect icon with the breaking token flag. */
 Hooks.on("updateToken", (tokenDoc, changes) => {
   if (foundry.utils.hasProperty(changes, "flags.star-mercs.breaking")) {
@@ -1081,10 +1312,14 @@ Hooks.on("deleteItem", async (item) => {
 /*  Token Control — Show Planned Movement Path */
 /* ============================================ */
 
-/** When a token is selected, display its planned movement path (if any). */
+/**
+ * When a token is selected, display its planned movement path (if any)
+ * and, during the Orders phase, the hexes it can reach.
+ */
 Hooks.on("controlToken", (token, controlled) => {
   const pathLayer = game.starmercs?.movementPathLayer;
   if (!pathLayer) return;
+  pathLayer.drawReachable();
 
   if (!controlled) {
     // Token deselected — clear path display
@@ -1132,6 +1367,7 @@ Hooks.on("updateCombat", (combat, changes) => {
   // Redraw arrows and comms links (movement destination arrows appear/disappear based on phase)
   game.starmercs?.targetingArrowLayer?.drawArrows();
   game.starmercs?.commsLinkLayer?.drawLinks();
+  game.starmercs?.movementPathLayer?.drawReachable();
 
   // Re-render all open unit sheets so phase indicators and order dropdown update
   for (const app of Object.values(ui.windows)) {
@@ -1205,12 +1441,20 @@ Hooks.on("renderCombatTracker", (app, html, data) => {
 
 });
 
+/** Drop hidden enemies from the Combat Tracker and anonymize blips. */
+Hooks.on("renderCombatTracker", (app, html) => {
+  fogOfWar.applyCombatTrackerFog(html);
+});
+
 /* ============================================ */
 /*  Chat Message Hooks                         */
 /* ============================================ */
 
 /** Handle chat message button clicks (v13: html is a DOM element, not jQuery). */
 Hooks.on("renderChatMessageHTML", (message, html) => {
+  // Hide units the viewer hasn't identified before unit links get click handlers
+  fogOfWar.applyChatFog(message, html);
+
   // Morale button
   html.querySelectorAll(".roll-morale-btn").forEach(btn => {
     btn.addEventListener("click", async (event) => {
@@ -1274,7 +1518,7 @@ Hooks.on("renderChatMessageHTML", (message, html) => {
 
         const targetToken = canvas.tokens.placeables.find(t => t.document.id === targetId);
         if (!targetToken?.actor) continue;
-        if (targetToken.actor.system.team === token.actor.system.team) continue;
+        if (factions.isFriendly(targetToken.actor.system.team ?? "a", token.actor.system.team ?? "a")) continue;
 
         const dist = documents.StarMercsActor.getHexDistance(token, targetToken);
         if (dist <= weapon.system.range) {
@@ -1437,7 +1681,7 @@ Hooks.once("ready", () => {
       let startCenter = hexUtils.snapToHexCenter(token.center);
       const fullPath = [];
       for (const wp of testWaypoints) {
-        const segment = hexUtils.computeHexPath(startCenter, wp);
+        const segment = hexUtils.computeHexPath(startCenter, wp, { token });
         fullPath.push(...segment);
         if (segment.length > 0) startCenter = segment[segment.length - 1];
       }
@@ -1492,7 +1736,7 @@ Hooks.once("ready", () => {
       let startCenter = hexUtils.snapToHexCenter(token.center);
       const fullPath = [];
       for (const wp of waypoints) {
-        const segment = hexUtils.computeHexPath(startCenter, wp);
+        const segment = hexUtils.computeHexPath(startCenter, wp, { token });
         fullPath.push(...segment);
         if (segment.length > 0) startCenter = segment[segment.length - 1];
       }
@@ -1630,6 +1874,12 @@ Hooks.on("updateActor", (actor, changes) => {
   if (foundry.utils.hasProperty(changes, "system.supply")) {
     syncSupplyStatusEffects(actor);
   }
+  // Redraw the reachable-hex overlay when the selected unit's order, movement or fuel changes
+  if (["system.currentOrder", "system.movement", "system.supply", "flags.star-mercs"]
+    .some(path => foundry.utils.hasProperty(changes, path))
+    && canvas.tokens?.controlled.some(t => t.actor === actor)) {
+    game.starmercs?.movementPathLayer?.drawReachable();
+  }
   // Apply "Dead" overlay when a unit is destroyed (strength reaches 0)
   if (foundry.utils.hasProperty(changes, "system.strength")) {
     if (actor.system.strength.value <= 0) {
@@ -1713,48 +1963,49 @@ Hooks.on("refreshToken", (token) => {
 /* ============================================ */
 
 /**
- * Enforce detection-based visibility on token refresh.
- * Enemy tokens are hidden, shown as blips, or fully visible based on detection.
+ * Enforce detection-based visibility on token refresh (see fog-of-war.mjs):
+ * enemy tokens render only once the viewer's team has fully detected them.
  */
-Hooks.on("refreshToken", (token) => {
-  if (!canvas?.tokens?.placeables) return;
-  if (game.user.isGM) return; // GM sees everything
-  if (!game.settings.get("star-mercs", "teamAssignmentsEnabled")) return;
+Hooks.on("refreshToken", (token) => fogOfWar.applyTokenFog(token));
 
-  const actor = token.actor;
-  if (!actor || actor.type !== "unit") return;
+/** Recompute fog of war once a burst of token, actor or scene changes settles. */
+const scheduleFogRefresh = foundry.utils.debounce(() => fogOfWar.refreshFogOfWar(), 100);
 
-  // Determine which team the current user is on
-  const assignments = game.settings.get("star-mercs", "teamAssignments") ?? {};
-  const myTeam = assignments[game.user.id];
-  if (!myTeam || myTeam === "spectator") return; // Spectators see all
+for (const hook of ["createToken", "updateToken", "deleteToken", "updateActor",
+  "createItem", "updateItem", "deleteItem", "canvasReady"]) {
+  Hooks.on(hook, () => {
+    fogOfWar.invalidateFogOfWar();
+    scheduleFogRefresh();
+  });
+}
+Hooks.on("updateScene", (scene, changes) => {
+  if (scene.id !== canvas.scene?.id || !changes?.flags?.["star-mercs"]) return;
+  fogOfWar.invalidateFogOfWar();
+  scheduleFogRefresh();
+  const flags = changes.flags["star-mercs"];
+  if ("terrainMap" in flags || "environment" in flags) lastKnown.trackLastKnownPositions();
+});
 
-  const tokenTeam = actor.system.team ?? "a";
-  if (tokenTeam === myTeam) return; // Friendly token — always visible
+/**
+ * Track lost contacts when units move or are revealed. Not debounced: each
+ * step of a move must be seen to know where a contact was lost.
+ */
+Hooks.on("canvasReady", () => {
+  lastKnown.resetLastKnownTracking();
+  lastKnown.trackLastKnownPositions();
+});
+Hooks.on("updateToken", (tokenDoc, changes) => {
+  if ("x" in changes || "y" in changes || "hidden" in changes) lastKnown.trackLastKnownPositions();
+});
 
-  // Enemy token — compute detection level
-  const level = detection.computeBestDetectionLevel(myTeam, token);
+/** Under comms-limited detection sharing, players see the selected units' chain picture. */
+Hooks.on("controlToken", () => {
+  if (game.settings.get("star-mercs", "commsDetectionSharing")) scheduleFogRefresh();
+});
 
-  if (level === "visible") {
-    if (token.mesh) token.mesh.alpha = 1.0;
-    token.visible = true;
-    // Show name for spotted enemy units, but never show bars
-    if (token.nameplate) token.nameplate.visible = true;
-    if (token.bars) token.bars.visible = false;
-  } else if (level === "blip") {
-    // Dim the token and let the detection layer draw a "?" marker
-    if (token.mesh) token.mesh.alpha = 0.15;
-    token.visible = true;
-    // Hide name and bars for blips
-    if (token.nameplate) token.nameplate.visible = false;
-    if (token.bars) token.bars.visible = false;
-  } else {
-    // hidden
-    if (token.mesh) token.mesh.alpha = 0;
-    token.visible = false;
-    if (token.nameplate) token.nameplate.visible = false;
-    if (token.bars) token.bars.visible = false;
-  }
+/** Age out last-known-position ghosts as rounds pass. */
+Hooks.on("updateCombat", (combat, changes) => {
+  if ("round" in changes) lastKnown.trackLastKnownPositions();
 });
 
 /** Make cargo tokens non-interactive while aboard a transport. */
@@ -1910,6 +2161,7 @@ Hooks.on("renderTokenHUD", (app, html, data) => {
         if ((isBreaking || isBroken) && !breakingOrders.includes(key)) return false;
         if (unitIsEngaged && engagedBlockedOrders.includes(key)) return false;
         if (data.requiredTrait && !actor.hasTrait(data.requiredTrait)) return false;
+        if (data.excludedTrait && actor.hasTrait(data.excludedTrait)) return false;
         if (isFlying && (key === "move" || key === "forced_march")) return false;
         if (hasNoSupply && !zeroSupplyOrders.includes(key)) return false;
         return true;
@@ -1951,6 +2203,7 @@ Hooks.on("renderTokenHUD", (app, html, data) => {
           await tkDoc.unsetFlag("star-mercs", "flyAltitudeTarget");
           if (orderKey !== "construct") await tkDoc.unsetFlag("star-mercs", "constructionTarget");
           await tkDoc.unsetFlag("star-mercs", "demolishTarget");
+          await tkDoc.unsetFlag("star-mercs", "clearMinesTarget");
           game.starmercs?.targetingArrowLayer?.drawArrows();
 
           // Deploy order: initialize deploy/pack transition
@@ -1980,6 +2233,7 @@ Hooks.on("renderTokenHUD", (app, html, data) => {
           if (orderKey === "change_altitude") sheet?._promptAltitudeTarget?.();
           if (orderKey === "construct") sheet?._promptConstructionTarget?.();
           if (orderKey === "demolish") sheet?._promptDemolishTarget?.();
+          if (orderKey === "clear_mines") sheet?._promptClearMinesTarget?.();
           if (orderKey === "transport") sheet?._promptTransportAction?.();
           if (orderKey === "air_assault") sheet?._promptAirAssaultTarget?.();
           if (orderKey === "hot_disembark") sheet?._promptHotDisembarkTarget?.();
@@ -2102,6 +2356,61 @@ Hooks.on("getSceneControlButtons", (controls) => {
     }
   };
 
+  const movementCostSettingsTool = {
+    name: "movementCostSettings",
+    title: "Movement Costs",
+    icon: "fas fa-shoe-prints",
+    visible: game.user.isGM,
+    toggle: false,
+    onChange: () => {
+      new MovementCostSettings().render(true);
+    }
+  };
+
+  const victorySettingsTool = {
+    name: "victorySettings",
+    title: "Victory Conditions",
+    icon: "fas fa-trophy",
+    visible: game.user.isGM,
+    toggle: false,
+    onChange: () => {
+      new VictorySettings().render(true);
+    }
+  };
+
+  const environmentSettingsTool = {
+    name: "environmentSettings",
+    title: "Environment",
+    icon: "fas fa-cloud-sun",
+    visible: game.user.isGM,
+    toggle: false,
+    onChange: () => {
+      new EnvironmentSettings().render(true);
+    }
+  };
+
+  const scenarioManagerTool = {
+    name: "scenarioManager",
+    title: "Scenario Manager",
+    icon: "fas fa-scroll",
+    visible: game.user.isGM,
+    toggle: false,
+    onChange: () => {
+      new ScenarioManager().render(true);
+    }
+  };
+
+  const campaignJournalTool = {
+    name: "campaignJournal",
+    title: "Campaign Journal",
+    icon: "fas fa-book",
+    visible: game.user.isGM,
+    toggle: false,
+    onChange: () => {
+      new CampaignJournal().render(true);
+    }
+  };
+
   const turnControlTool = {
     name: "turnControl",
     title: "Turn Control",
@@ -2178,6 +2487,25 @@ Hooks.on("getSceneControlButtons", (controls) => {
     }
   };
 
+  const simulatorTool = {
+    name: "battleSimulator",
+    title: "Battle Simulator",
+    icon: "fas fa-dice",
+    visible: game.user.isGM,
+    toggle: true,
+    active: game.starmercs?.battleSimulator?.rendered ?? false,
+    onChange: (event, active) => {
+      if (active) {
+        if (!game.starmercs.battleSimulator) {
+          game.starmercs.battleSimulator = new BattleSimulator();
+        }
+        game.starmercs.battleSimulator.render(true);
+      } else {
+        game.starmercs.battleSimulator?.close();
+      }
+    }
+  };
+
   if (isV13) {
     tool.order = Object.keys(tokenControls.tools).length;
     tokenControls.tools.targetingArrows = tool;
@@ -2195,6 +2523,16 @@ Hooks.on("getSceneControlButtons", (controls) => {
     tokenControls.tools.tacticalMarkers = tacticalMarkerTool;
     structureSettingsTool.order = Object.keys(tokenControls.tools).length;
     tokenControls.tools.structureSettings = structureSettingsTool;
+    movementCostSettingsTool.order = Object.keys(tokenControls.tools).length;
+    tokenControls.tools.movementCostSettings = movementCostSettingsTool;
+    victorySettingsTool.order = Object.keys(tokenControls.tools).length;
+    tokenControls.tools.victorySettings = victorySettingsTool;
+    environmentSettingsTool.order = Object.keys(tokenControls.tools).length;
+    tokenControls.tools.environmentSettings = environmentSettingsTool;
+    scenarioManagerTool.order = Object.keys(tokenControls.tools).length;
+    tokenControls.tools.scenarioManager = scenarioManagerTool;
+    campaignJournalTool.order = Object.keys(tokenControls.tools).length;
+    tokenControls.tools.campaignJournal = campaignJournalTool;
     turnControlTool.order = Object.keys(tokenControls.tools).length;
     tokenControls.tools.turnControl = turnControlTool;
     deployPanelTool.order = Object.keys(tokenControls.tools).length;
@@ -2203,6 +2541,8 @@ Hooks.on("getSceneControlButtons", (controls) => {
     tokenControls.tools.combatSummary = combatSummaryTool;
     referenceTool.order = Object.keys(tokenControls.tools).length;
     tokenControls.tools.referenceTables = referenceTool;
+    simulatorTool.order = Object.keys(tokenControls.tools).length;
+    tokenControls.tools.battleSimulator = simulatorTool;
   } else {
     tokenControls.tools.push(tool);
     tokenControls.tools.push(commsTool);
@@ -2212,9 +2552,15 @@ Hooks.on("getSceneControlButtons", (controls) => {
     tokenControls.tools.push(teamSettingsTool);
     tokenControls.tools.push(tacticalMarkerTool);
     tokenControls.tools.push(structureSettingsTool);
+    tokenControls.tools.push(movementCostSettingsTool);
+    tokenControls.tools.push(victorySettingsTool);
+    tokenControls.tools.push(environmentSettingsTool);
+    tokenControls.tools.push(scenarioManagerTool);
+    tokenControls.tools.push(campaignJournalTool);
     tokenControls.tools.push(turnControlTool);
     tokenControls.tools.push(deployPanelTool);
     tokenControls.tools.push(combatSummaryTool);
     tokenControls.tools.push(referenceTool);
+    tokenControls.tools.push(simulatorTool);
   }
 });